@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// Command-line batch rendering and QA reports
+//
+// Renders every XML file of each ZIP with the viewer's own code (see
+// lib/headless-viewer.js) into self-contained HTML previews, and writes a JSON
+// and a JUnit XML report of parse and schema errors, image references that do
+// not resolve or resolve uncertainly, unmapped elements and unused images.
+// The exit status tells a delivery pipeline whether the checks passed.
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { HeadlessViewer } = require('./lib/headless-viewer');
+
+const CHECKS = ['parse', 'validation', 'missing-images', 'ambiguous-images', 'unknown-elements', 'unreferenced-images'];
+const DEFAULT_FAIL_ON = ['parse', 'missing-images'];
+// ZIP-based packages the viewer reads: EPUB, DOCX and ODT are ZIPs with a known layout
+const PACKAGE_PATTERN = /\.(zip|epub|docx|docm|dotx|odt|ott)$/i;
+
+const USAGE = `Usage: node cli.js [options] <zip, epub, docx, odt or directory>...
+
+Renders each XML file to a self-contained HTML preview and writes QA reports.
+Directories are searched for these files; one without any is read as an unpacked delivery.
+
+Options:
+  -o, --out <dir>        Output directory (default: xml-viewer-output)
+  --json <file>          JSON report (default: <out>/report.json)
+  --junit <file>         JUnit XML report (default: <out>/report.xml)
+  --profile <id|file>    Mapping profile: jats, dita, tei or a JSON profile file
+  --strict               Strict image matching, without the fuzzy fallback
+  --fail-on <checks>     Comma-separated checks that fail the run (default: ${DEFAULT_FAIL_ON.join(',')})
+                         ${CHECKS.join(', ')}
+  --no-html              Write the reports only
+  --verbose              Show the viewer's console output
+  -h, --help             Show this help
+
+Exit status: 0 when all checks pass, 1 when a check fails, 2 on usage or input errors.`;
+
+function parseArgs(argv) {
+    const options = { out: 'xml-viewer-output', json: null, junit: null, profile: null, strict: false,
+        failOn: DEFAULT_FAIL_ON, html: true, verbose: false, inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '-o':
+            case '--out':
+                options.out = value();
+                break;
+            case '--json':
+                options.json = value();
+                break;
+            case '--junit':
+                options.junit = value();
+                break;
+            case '--profile':
+                options.profile = value();
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--fail-on':
+                options.failOn = value().split(',').map(check => check.trim()).filter(Boolean);
+                options.failOn.forEach(check => {
+                    if (!CHECKS.includes(check)) throw new Error(`Unknown check "${check}"`);
+                });
+                break;
+            case '--no-html':
+                options.html = false;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                options.inputs.push(arg);
+        }
+    }
+    options.json = options.json || path.join(options.out, 'report.json');
+    options.junit = options.junit || path.join(options.out, 'report.xml');
+    return options;
+}
+
+// [{input, name, load}] where load() gives what JSZip.loadAsync takes, or a JSZip
+function collectInputs(inputs) {
+    const packages = [];
+    inputs.forEach(input => {
+        const stat = fs.statSync(input);
+        if (!stat.isDirectory()) {
+            packages.push({ input, name: path.basename(input), load: async () => fs.readFileSync(input) });
+            return;
+        }
+
+        const files = fs.readdirSync(input, { recursive: true }).map(file => file.split(path.sep).join('/')).sort();
+        const zips = files.filter(file => PACKAGE_PATTERN.test(file));
+        if (zips.length > 0) {
+            zips.forEach(file => packages.push({ input: path.join(input, file), name: file, load: async () => fs.readFileSync(path.join(input, file)) }));
+            return;
+        }
+
+        packages.push({
+            input,
+            name: path.basename(path.resolve(input)),
+            load: async () => {
+                const zip = new JSZip();
+                files.forEach(file => {
+                    const fullPath = path.join(input, file);
+                    if (fs.statSync(fullPath).isFile()) zip.file(file, fs.readFileSync(fullPath));
+                });
+                return zip;
+            }
+        });
+    });
+    return packages;
+}
+
+const formatError = error => `${error.line ? `${error.line}:${error.column} ` : ''}${error.message}`;
+
+// Findings of one file by check
+function findingsOf(file) {
+    return {
+        parse: file.wellFormed ? [] : file.errors.filter(error => error.source === 'well-formedness').map(formatError),
+        validation: file.errors.filter(error => error.source !== 'well-formedness' && error.severity === 'error').map(formatError),
+        // Image elements that name no source at all are missing their image too
+        'missing-images': file.images.unresolved.map(ref => ref.src ? `<${ref.element}> ${ref.src} was not found` : `<${ref.element}> names no image source`),
+        'ambiguous-images': [
+            ...file.images.ambiguous.map(ref => `${ref.src} matches ${ref.candidates.join(', ')}`),
+            ...file.images.fuzzy.map(ref => `${ref.src} matched ${ref.path} by fuzzy name match`)
+        ],
+        'unknown-elements': Object.entries(file.unknownElements).map(([name, count]) => `<${name}> (${count})`)
+    };
+}
+
+// Output path of a preview: the XML path with .html, under a folder per package
+function previewPath(out, folder, xmlPath) {
+    return path.join(out, folder, xmlPath.replace(/\.xml$/i, '') + '.html');
+}
+
+async function processPackage(headless, pkg, folder, options) {
+    const result = { input: pkg.input, name: pkg.name, error: null, warnings: [], files: [], unreferencedImages: [], failures: [] };
+    try {
+        await headless.open(await pkg.load(), { profile: options.profile, strict: options.strict });
+    } catch (err) {
+        result.error = err.message;
+        return result;
+    }
+    result.warnings = headless.warnings;
+
+    for (let index = 0; index < headless.xmlFiles.length; index++) {
+        const html = await headless.render(index);
+        const file = headless.inspect(index);
+        file.findings = findingsOf(file);
+        file.output = null;
+        if (options.html) {
+            file.output = previewPath(options.out, folder, file.path);
+            fs.mkdirSync(path.dirname(file.output), { recursive: true });
+            fs.writeFileSync(file.output, headless.previewPage(`${file.name} — ${pkg.name}`, html));
+        }
+        result.files.push(file);
+    }
+    result.unreferencedImages = headless.unreferencedImages;
+
+    result.files.forEach(file => {
+        Object.entries(file.findings).forEach(([check, findings]) => {
+            if (findings.length > 0 && options.failOn.includes(check)) result.failures.push({ file: file.path, check, count: findings.length });
+        });
+    });
+    if (result.unreferencedImages.length > 0 && options.failOn.includes('unreferenced-images')) {
+        result.failures.push({ file: null, check: 'unreferenced-images', count: result.unreferencedImages.length });
+    }
+    return result;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// One test suite per package, one test case per file and check
+function junitReport(results, options) {
+    let tests = 0;
+    let failures = 0;
+    let errors = 0;
+    const suites = results.map(result => {
+        const cases = [];
+        const addCase = (name, check, findings) => {
+            tests++;
+            let body = '';
+            if (findings.length > 0 && options.failOn.includes(check)) {
+                failures++;
+                body = `<failure type="${check}" message="${escapeXml(`${findings.length} ${check} finding${findings.length === 1 ? '' : 's'}`)}">${escapeXml(findings.join('\n'))}</failure>`;
+            } else if (findings.length > 0) {
+                body = `<system-out>${escapeXml(findings.join('\n'))}</system-out>`;
+            }
+            cases.push(`    <testcase classname="${escapeXml(result.name)}" name="${escapeXml(`${name}: ${check}`)}">${body}</testcase>`);
+        };
+
+        if (result.error) {
+            tests++;
+            errors++;
+            cases.push(`    <testcase classname="${escapeXml(result.name)}" name="open"><error message="${escapeXml(result.error)}"/></testcase>`);
+        } else {
+            result.files.forEach(file => Object.entries(file.findings).forEach(([check, findings]) => addCase(file.path, check, findings)));
+            addCase('images', 'unreferenced-images', result.unreferencedImages);
+        }
+        const suiteFailures = cases.filter(testCase => testCase.includes('<failure')).length;
+        return `  <testsuite name="${escapeXml(result.name)}" tests="${cases.length}" failures="${suiteFailures}" errors="${result.error ? 1 : 0}">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="xml-viewer" tests="${tests}" failures="${failures}" errors="${errors}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.inputs.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let packages;
+    try {
+        packages = collectInputs(options.inputs);
+    } catch (err) {
+        console.error(err.message);
+        return 2;
+    }
+
+    const headless = await HeadlessViewer.create({ verbose: options.verbose });
+    const results = [];
+    const folders = new Set();
+    for (const pkg of packages) {
+        // Packages with the same name get their own preview folders
+        const base = pkg.name.replace(PACKAGE_PATTERN, '').replace(/[\\/]/g, '_');
+        let folder = base;
+        for (let n = 2; folders.has(folder); n++) folder = `${base}-${n}`;
+        folders.add(folder);
+
+        const result = await processPackage(headless, pkg, folder, options);
+        results.push(result);
+        if (result.error) {
+            console.error(`${pkg.name}: ${result.error}`);
+        } else {
+            const failing = [...new Set(result.failures.map(failure => failure.check))];
+            console.error(`${pkg.name}: ${result.files.length} XML file${result.files.length === 1 ? '' : 's'}, ${failing.length > 0 ? `failed (${failing.join(', ')})` : 'passed'}`);
+            result.warnings.forEach(warning => console.error(`  ${warning}`));
+        }
+    }
+    headless.close();
+
+    const passed = results.every(result => !result.error && result.failures.length === 0);
+    const report = {
+        generated: new Date().toISOString(),
+        options: { profile: options.profile, strict: options.strict, failOn: options.failOn },
+        passed,
+        packages: results
+    };
+    [options.json, options.junit].forEach(file => fs.mkdirSync(path.dirname(file), { recursive: true }));
+    fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+    fs.writeFileSync(options.junit, junitReport(results, options));
+
+    if (results.some(result => result.error)) return 2;
+    return passed ? 0 : 1;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}).catch(err => {
+    console.error(err);
+    process.exitCode = 2;
+});
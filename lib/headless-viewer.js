@@ -0,0 +1,186 @@
+// The viewer without a browser: runs the page scripts from public/ in a jsdom window
+//
+// Scripts are loaded unchanged and in the order index.html lists them, so batch
+// rendering and QA reports use exactly the extraction, mapping and rendering
+// code of the page. Images are inlined as data URIs, which makes every preview
+// a single self-contained HTML file.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const JSZip = require('jszip');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+// Page classes the Node side uses
+const EXPORTS = ['XMLViewer', 'ZipArchive', 'SafetyPolicy', 'TagMapping', 'XsltRenderer', 'AssetIndex', 'DocumentExport', 'TextEncoding', 'Annotations'];
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp',
+    svg: 'image/svg+xml', webp: 'image/webp', tif: 'image/tiff', tiff: 'image/tiff'
+};
+
+class HeadlessViewer {
+    constructor(window, classes, options) {
+        this.window = window;
+        this.classes = classes;
+        this.options = options;
+        this.viewer = new classes.XMLViewer();
+        this.styles = fs.readFileSync(path.join(PUBLIC_DIR, 'styles.css'), 'utf8');
+        this.imageLoads = [];
+        this.warnings = []; // problems of the open ZIP that are not about one file
+
+        // Images become data URIs instead of blob URLs; loads are awaited before a preview is written
+        this.viewer.imageUrl = (imagePath) => {
+            if (!this.viewer.imageUrls.has(imagePath)) {
+                const entry = this.viewer.imageEntries.get(imagePath);
+                const type = MIME_TYPES[imagePath.split('.').pop().toLowerCase()] || 'application/octet-stream';
+                const url = entry
+                    ? entry.async('base64').then(data => `data:${type};base64,${data}`)
+                    : Promise.reject(new Error('Not in the ZIP'));
+                this.viewer.imageUrls.set(imagePath, url);
+            }
+            const url = this.viewer.imageUrls.get(imagePath);
+            this.imageLoads.push(url);
+            return url;
+        };
+    }
+
+    // options: {verbose} forwards the page's console output
+    static async create(options = {}) {
+        let html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+        const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+        html = html.replace(/<script\b[^>]*><\/script>/g, '');
+
+        const virtualConsole = new VirtualConsole();
+        if (options.verbose) virtualConsole.forwardTo(console);
+        const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url: 'http://localhost/', virtualConsole });
+        const window = dom.window;
+        // The page's own DOMContentLoaded handler must not create a second viewer
+        if (window.document.readyState !== 'complete') {
+            await new Promise(resolve => window.addEventListener('load', resolve));
+        }
+
+        // Layout and URL APIs jsdom does not have; nothing headless depends on their results
+        window.JSZip = JSZip;
+        window.Element.prototype.scrollIntoView = () => {};
+        if (!window.CSS) window.CSS = { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
+        // Images are data URIs here, which need no revoking
+        if (!window.URL.revokeObjectURL) window.URL.revokeObjectURL = () => {};
+
+        // Remote libraries (JSZip from the CDN) and vendored ones (pdf.js) are not needed or provided here
+        const code = scripts
+            .filter(src => !/^(https?:)?\/\//.test(src) && !src.startsWith('vendor/'))
+            .map(src => fs.readFileSync(path.join(PUBLIC_DIR, src), 'utf8'))
+            .join('\n');
+        window.eval(`${code}\nwindow.__headless = { ${EXPORTS.join(', ')} };`);
+        const classes = window.__headless;
+        delete window.__headless;
+        return new HeadlessViewer(window, classes, options);
+    }
+
+    // Open a ZIP (Buffer, Uint8Array or a JSZip instance); options: {profile, strict}
+    async open(data, options = {}) {
+        const viewer = this.viewer;
+        viewer.reset();
+        viewer.assetStrict.checked = !!options.strict;
+        const { ZipArchive, SafetyPolicy, TextEncoding } = this.classes;
+        const zip = data instanceof JSZip ? data : await JSZip.loadAsync(data, { decodeFileName: TextEncoding.decodeFileName });
+        const declared = data instanceof JSZip ? new Map() : SafetyPolicy.declaredSizes(data, TextEncoding.decodeFileName);
+        // Over the safety limits as a whole, the ZIP is refused; single entries are left out with a warning
+        const archive = ZipArchive.fromJSZip(zip, declared).applyLimits(viewer.safety.limits);
+        await viewer.extractContents(archive);
+
+        this.warnings = archive.blocked.map(({ path: entryPath, reason }) => `${entryPath} was left out: ${reason}`);
+        if (options.profile) await this.useProfile(options.profile);
+        // jsdom has no XSLTProcessor; a stylesheet picked from the ZIP gives way to the tag mapping
+        if (viewer.xsltRenderer && !this.classes.XsltRenderer.available()) {
+            this.warnings.push(`XSLT rendering is not available headless; ${viewer.xsltRenderer.path} was not applied`);
+            viewer.selectProfile('default', false);
+        }
+        // Which elements are images depends on the profile finally chosen
+        viewer.updateAssetReport();
+        return this;
+    }
+
+    // A built-in preset id (jats, dita, tei), or a JSON mapping profile file
+    async useProfile(profile) {
+        const viewer = this.viewer;
+        const preset = viewer.profiles.find(entry => entry.key === `preset:${profile.toLowerCase()}`);
+        if (preset) {
+            viewer.selectProfile(preset.key, false);
+            return;
+        }
+        const text = fs.readFileSync(profile, 'utf8');
+        await viewer.loadProfileFile({ name: path.basename(profile), text: async () => text });
+        if (viewer.profileError.textContent) throw new Error(viewer.profileError.textContent);
+    }
+
+    get xmlFiles() {
+        return this.viewer.xmlFiles;
+    }
+
+    // Render one XML file of the open ZIP completely, with its images loaded
+    async render(fileIndex) {
+        const viewer = this.viewer;
+        this.imageLoads = [];
+        viewer.currentXmlIndex = fileIndex;
+        viewer.renderCurrentXML();
+        viewer.completeRendering();
+        await Promise.allSettled(this.imageLoads);
+        // loadImage sets the src in a continuation of the URL promise
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return viewer.renderedView.innerHTML;
+    }
+
+    // Self-contained HTML page for a rendered file
+    previewPage(title, body) {
+        return this.classes.DocumentExport.standalonePage(title, body, this.styles);
+    }
+
+    // QA findings for one file: well-formedness and schema errors, image references, unmapped elements
+    inspect(fileIndex) {
+        const viewer = this.viewer;
+        const xmlFile = viewer.xmlFiles[fileIndex];
+        if (!xmlFile.validation) {
+            viewer.currentXmlIndex = fileIndex;
+            viewer.updateValidation();
+        }
+        const validation = xmlFile.validation.result;
+        const references = viewer.assets.references.filter(ref => ref.fileIndex === fileIndex);
+
+        const unmapped = {};
+        if (!xmlFile.hasError) {
+            viewer.unmappedElements(xmlFile.parsed.documentElement).forEach((elements, name) => {
+                unmapped[name] = elements.length;
+            });
+        }
+
+        return {
+            name: xmlFile.name,
+            path: xmlFile.path,
+            encoding: xmlFile.encoding ? this.classes.TextEncoding.describe(xmlFile.encoding) : null,
+            wellFormed: !xmlFile.hasError,
+            schema: validation.schema,
+            errors: validation.errors.map(({ source, severity, message, line, column }) => ({ source, severity, message, line, column })),
+            images: {
+                references: references.length,
+                // src is '' for image elements without a source
+                unresolved: references.filter(ref => !ref.match.path).map(ref => ({ src: ref.src, element: ref.element.tagName })),
+                ambiguous: references.filter(ref => ref.match.candidates.length > 1)
+                    .map(ref => ({ src: ref.src, path: ref.match.path, candidates: ref.match.candidates })),
+                fuzzy: references.filter(ref => ref.match.strategy === 'fuzzy' && ref.match.candidates.length === 1)
+                    .map(ref => ({ src: ref.src, path: ref.match.path }))
+            },
+            unknownElements: unmapped
+        };
+    }
+
+    get unreferencedImages() {
+        return this.viewer.assets.unreferenced;
+    }
+
+    close() {
+        this.viewer.reset();
+        this.window.close();
+    }
+}
+
+module.exports = { HeadlessViewer, MIME_TYPES };
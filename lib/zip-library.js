@@ -0,0 +1,216 @@
+// Directory of ZIP deliverables served by server.js in library mode
+//
+// ZIPs are named by their path relative to the library root, with forward
+// slashes. Opened archives are kept in a small cache keyed by modification
+// time, so browsing one delivery does not re-read it for every entry request.
+//
+// Review annotations are changed one at a time (add, update, delete), each a
+// synchronous read and write of the file, so reviewers saving at the same
+// time never overwrite each other's comments.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const JSZip = require('jszip');
+
+// The viewer's SafetyPolicy (public/safety.js), for its reading of entry sizes; that part needs no browser
+const { SafetyPolicy } = vm.runInNewContext(
+    `${fs.readFileSync(path.join(__dirname, '..', 'public', 'safety.js'), 'utf8')}\n({ SafetyPolicy })`,
+    { TextDecoder }
+);
+
+class ZipLibrary {
+    static CACHE_SIZE = 8;
+    // Same groups the viewer sorts ZIP entries into
+    static ENTRY_TYPES = {
+        xml: ['xml'],
+        image: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'tiff', 'tif'],
+        pdf: ['pdf'],
+        schema: ['dtd', 'xsd', 'rng', 'ent', 'mod'],
+        stylesheet: ['xsl', 'xslt'],
+        profile: ['json']
+    };
+    // What an annotation may hold: field -> check of its value
+    static ANNOTATION_FIELDS = {
+        id: value => typeof value === 'string' && /^[\w-]{1,64}$/.test(value),
+        file: value => typeof value === 'string' && value.length > 0 && value.length <= 1024,
+        xpath: value => typeof value === 'string' && value.startsWith('/') && value.length <= 4096,
+        offset: value => Number.isInteger(value) && value >= -1,
+        quote: value => typeof value === 'string' && value.length <= 10000,
+        comment: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 10000,
+        severity: value => ['minor', 'major', 'critical'].includes(value),
+        status: value => ['open', 'resolved'].includes(value),
+        author: value => typeof value === 'string' && value.length <= 200,
+        created: value => typeof value === 'string' && value.length <= 40 && !isNaN(Date.parse(value)),
+        updated: value => typeof value === 'string' && value.length <= 40 && !isNaN(Date.parse(value))
+    };
+    // Fields a reviewer may change after adding a comment
+    static ANNOTATION_CHANGES = ['comment', 'severity', 'status', 'author'];
+    static MAX_ANNOTATIONS = 10000;
+
+    constructor(root) {
+        this.root = path.resolve(root);
+        this.cache = new Map(); // absolute path -> {mtime, zip, sizes}; oldest first
+    }
+
+    static entryType(entryPath) {
+        const extension = entryPath.split('.').pop().toLowerCase();
+        const type = Object.keys(ZipLibrary.ENTRY_TYPES).find(key => ZipLibrary.ENTRY_TYPES[key].includes(extension));
+        return type || 'other';
+    }
+
+    // [{name, size, modified}] for every ZIP under the root, sorted by name
+    list() {
+        return fs.readdirSync(this.root, { recursive: true })
+            .map(file => file.split(path.sep).join('/'))
+            .filter(name => name.toLowerCase().endsWith('.zip'))
+            .map(name => {
+                const stat = fs.statSync(path.join(this.root, name));
+                return { name, size: stat.size, modified: stat.mtime.toISOString() };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    // Absolute path of a ZIP in the library, or null for names outside it or that do not exist
+    resolve(name) {
+        if (!name || !name.toLowerCase().endsWith('.zip')) return null;
+        const fullPath = path.resolve(this.root, name);
+        if (!fullPath.startsWith(this.root + path.sep)) return null;
+        return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fullPath : null;
+    }
+
+    // {mtime, zip, sizes} of a ZIP in the library, or null
+    async open(name) {
+        const fullPath = this.resolve(name);
+        if (!fullPath) return null;
+        const mtime = fs.statSync(fullPath).mtimeMs;
+
+        let archive = this.cache.get(fullPath);
+        this.cache.delete(fullPath);
+        if (!archive || archive.mtime !== mtime) {
+            const buffer = fs.readFileSync(fullPath);
+            archive = { mtime, zip: await JSZip.loadAsync(buffer), sizes: SafetyPolicy.declaredSizes(buffer) };
+        }
+        this.cache.set(fullPath, archive);
+        if (this.cache.size > ZipLibrary.CACHE_SIZE) this.cache.delete(this.cache.keys().next().value);
+        return archive;
+    }
+
+    // ZIP details and its entries grouped by type, or null when there is no such ZIP
+    async metadata(name) {
+        const archive = await this.open(name);
+        if (!archive) return null;
+        const stat = fs.statSync(this.resolve(name));
+
+        const entries = Object.values(archive.zip.files)
+            .filter(file => !file.dir)
+            .map(file => ({
+                path: file.name,
+                type: ZipLibrary.entryType(file.name),
+                size: SafetyPolicy.entrySizes(file, archive.sizes).size,
+                modified: file.date ? file.date.toISOString() : null
+            }));
+        const pathsOf = type => entries.filter(entry => entry.type === type).map(entry => entry.path);
+
+        return {
+            name,
+            size: stat.size,
+            modified: stat.mtime.toISOString(),
+            xmlFiles: pathsOf('xml').sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+            images: pathsOf('image'),
+            pdfs: pathsOf('pdf'),
+            entries
+        };
+    }
+
+    // Review annotations are kept next to the ZIP: book.zip -> book.annotations.json
+    annotationsPath(name) {
+        const fullPath = this.resolve(name);
+        return fullPath ? fullPath.replace(/\.zip$/i, '.annotations.json') : null;
+    }
+
+    // {zip, updated, annotations}; an empty list when nothing was saved yet, null when there is no such ZIP
+    readAnnotations(name) {
+        const file = this.annotationsPath(name);
+        if (!file) return null;
+        if (!fs.existsSync(file)) return { zip: name, updated: null, annotations: [] };
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // Written to a temporary file first, so a failed write never leaves half a file behind
+    writeAnnotations(name, annotations) {
+        const file = this.annotationsPath(name);
+        if (!file) return null;
+        const data = { zip: name, updated: new Date().toISOString(), annotations };
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+        return data;
+    }
+
+    // Error for the client, with the HTTP status the server answers with
+    static requestError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // Throws a 400 error when an object has fields other than the allowed ones, or one of them is not valid
+    static checkAnnotationFields(object, fields) {
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+            throw ZipLibrary.requestError(400, 'Expected an annotation object');
+        }
+        Object.entries(object).forEach(([field, value]) => {
+            if (!fields.includes(field)) throw ZipLibrary.requestError(400, `Unknown annotation field "${field}"`);
+            if (!ZipLibrary.ANNOTATION_FIELDS[field](value)) throw ZipLibrary.requestError(400, `Invalid annotation ${field}`);
+        });
+    }
+
+    // Read, change and write the annotations of a ZIP in one go; null when there is no such ZIP
+    changeAnnotations(name, change) {
+        const data = this.readAnnotations(name);
+        if (!data) return null;
+        return this.writeAnnotations(name, change(data.annotations));
+    }
+
+    addAnnotation(name, annotation) {
+        const fields = Object.keys(ZipLibrary.ANNOTATION_FIELDS);
+        ZipLibrary.checkAnnotationFields(annotation, fields);
+        const missing = fields.find(field => !(field in annotation));
+        if (missing) throw ZipLibrary.requestError(400, `The annotation has no ${missing}`);
+        return this.changeAnnotations(name, annotations => {
+            if (annotations.some(item => item.id === annotation.id)) {
+                throw ZipLibrary.requestError(409, `An annotation ${annotation.id} exists already`);
+            }
+            if (annotations.length >= ZipLibrary.MAX_ANNOTATIONS) {
+                throw ZipLibrary.requestError(400, `A ZIP can have at most ${ZipLibrary.MAX_ANNOTATIONS} annotations`);
+            }
+            return [...annotations, annotation];
+        });
+    }
+
+    // changes: some of ANNOTATION_CHANGES; the time of the change is the server's
+    updateAnnotation(name, id, changes) {
+        ZipLibrary.checkAnnotationFields(changes, ZipLibrary.ANNOTATION_CHANGES);
+        return this.changeAnnotations(name, annotations => {
+            const index = annotations.findIndex(item => item.id === id);
+            if (index === -1) throw ZipLibrary.requestError(404, `No such annotation: ${id}`);
+            return annotations.map((item, i) => i === index ? { ...item, ...changes, updated: new Date().toISOString() } : item);
+        });
+    }
+
+    removeAnnotation(name, id) {
+        return this.changeAnnotations(name, annotations => {
+            if (!annotations.some(item => item.id === id)) throw ZipLibrary.requestError(404, `No such annotation: ${id}`);
+            return annotations.filter(item => item.id !== id);
+        });
+    }
+
+    // JSZip entry of a ZIP, or null
+    async entry(name, entryPath) {
+        const archive = await this.open(name);
+        if (!archive) return null;
+        const file = archive.zip.file(entryPath);
+        return file && !file.dir ? file : null;
+    }
+}
+
+module.exports = { ZipLibrary };
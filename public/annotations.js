@@ -0,0 +1,179 @@
+// Review comments anchored to XML nodes
+//
+// An annotation points at an element by a positional XPath from the document
+// root, plus the commented text as a character offset into the element's text
+// and the quoted text itself. The anchor does not depend on the rendered HTML,
+// so comments survive re-rendering, profile changes and redelivered ZIPs: when
+// the text moved inside the element the quote is found again, and when it is
+// gone the comment stays on the element.
+//
+// Annotations of a library ZIP are stored by the server next to the ZIP;
+// those of an uploaded ZIP are kept in the browser's local storage. Changes
+// are sent to the server one by one as they were made, and its answer (every
+// comment, including other reviewers') replaces the list.
+class Annotations {
+    static STATUSES = ['open', 'resolved'];
+    static SEVERITIES = ['minor', 'major', 'critical'];
+    static CSV_COLUMNS = ['id', 'file', 'xpath', 'offset', 'quote', 'comment', 'severity', 'status', 'author', 'created', 'updated'];
+    static STORAGE_PREFIX = 'xmlViewer.annotations:';
+
+    // options: {url} of the server endpoint, or {storageKey} for local storage
+    constructor(zipName, options = {}) {
+        this.zipName = zipName;
+        this.url = options.url || null;
+        this.storageKey = options.storageKey || null;
+        this.items = [];
+        this.pending = []; // changes not sent to the server yet: [{method, path, body}]
+        this.saving = Promise.resolve();
+    }
+
+    get storedOnServer() {
+        return this.url !== null;
+    }
+
+    // Positional path of an element; namespaced elements are matched by local name
+    static xpathOf(element) {
+        const steps = [];
+        for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+            const sameName = sibling => sibling.localName === node.localName && !sibling.namespaceURI === !node.namespaceURI;
+            let position = 1;
+            for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                if (sameName(sibling)) position++;
+            }
+            steps.unshift(node.namespaceURI ? `*[local-name()='${node.localName}'][${position}]` : `${node.nodeName}[${position}]`);
+        }
+        return '/' + steps.join('/');
+    }
+
+    static resolveXPath(doc, xpath) {
+        try {
+            const node = doc.evaluate(xpath, doc, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+            return node && node.nodeType === Node.ELEMENT_NODE ? node : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Index of the occurrence of quote in text nearest to near, or -1
+    static locate(text, quote, near) {
+        if (!quote) return -1;
+        let best = -1;
+        for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+            if (best === -1 || Math.abs(index - near) < Math.abs(best - near)) best = index;
+        }
+        return best;
+    }
+
+    // Where an annotation points now: {fileIndex, element, offset, state}
+    // state is 'anchored', 'moved' (the quote was found elsewhere in the element),
+    // 'detached' (the quote is gone; the comment applies to the element) or 'orphaned'
+    anchor(annotation, xmlFiles) {
+        const fileIndex = xmlFiles.findIndex(xmlFile => xmlFile.path === annotation.file);
+        const xmlFile = xmlFiles[fileIndex];
+        if (!xmlFile || xmlFile.hasError) return { fileIndex, element: null, offset: -1, state: 'orphaned' };
+
+        const element = Annotations.resolveXPath(xmlFile.parsed, annotation.xpath);
+        if (!element) return { fileIndex, element: null, offset: -1, state: 'orphaned' };
+        if (!annotation.quote) return { fileIndex, element, offset: -1, state: 'anchored' };
+
+        const text = element.textContent;
+        if (text.substr(annotation.offset, annotation.quote.length) === annotation.quote) {
+            return { fileIndex, element, offset: annotation.offset, state: 'anchored' };
+        }
+        const offset = Annotations.locate(text, annotation.quote, annotation.offset);
+        return { fileIndex, element, offset, state: offset === -1 ? 'detached' : 'moved' };
+    }
+
+    add({ file, element, offset = -1, quote = '', comment, severity, author = '' }) {
+        const now = new Date().toISOString();
+        const annotation = {
+            id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            file,
+            xpath: Annotations.xpathOf(element),
+            offset: quote ? offset : -1,
+            quote: quote || '',
+            comment,
+            severity: Annotations.SEVERITIES.includes(severity) ? severity : 'minor',
+            status: 'open',
+            author,
+            created: now,
+            updated: now
+        };
+        this.items.push(annotation);
+        this.pending.push({ method: 'POST', path: '', body: annotation });
+        return annotation;
+    }
+
+    update(id, changes) {
+        const annotation = this.items.find(item => item.id === id);
+        if (!annotation) return null;
+        Object.assign(annotation, changes, { updated: new Date().toISOString() });
+        this.pending.push({ method: 'PATCH', path: `/${encodeURIComponent(id)}`, body: changes });
+        return annotation;
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.pending.push({ method: 'DELETE', path: `/${encodeURIComponent(id)}`, body: null });
+    }
+
+    async load() {
+        let data = null;
+        if (this.url) {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`the server answered ${response.status}`);
+            data = await response.json();
+        } else if (this.storageKey) {
+            data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        }
+        this.items = data && Array.isArray(data.annotations) ? data.annotations : [];
+        return this;
+    }
+
+    // Saves run one after another, so changes reach the server in the order they were made
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => this.send());
+        return this.saving;
+    }
+
+    async send() {
+        const changes = this.pending.splice(0);
+        if (this.url) {
+            for (const [index, { method, path, body }] of changes.entries()) {
+                const response = await fetch(this.url + path, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    // Another reviewer may have changed the same comment; show what the server has
+                    this.pending = [];
+                    await this.load().catch(() => {});
+                    throw new Error(error.error || `the server answered ${response.status}`);
+                }
+                const data = await response.json();
+                // Changes still to be sent stay in the list as they are until they are
+                if (index === changes.length - 1 && this.pending.length === 0) this.items = data.annotations;
+            }
+        } else if (this.storageKey) {
+            if (this.items.length === 0) localStorage.removeItem(this.storageKey);
+            else localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON(), null, 2));
+        }
+    }
+
+    toJSON() {
+        return { zip: this.zipName, updated: new Date().toISOString(), annotations: this.items };
+    }
+
+    toCsv() {
+        const cell = value => {
+            let text = value === undefined || value === null ? '' : String(value);
+            // Spreadsheets run text cells that start like a formula; a leading quote keeps them text
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = this.items.map(item => Annotations.CSV_COLUMNS.map(column => cell(item[column])).join(','));
+        return [Annotations.CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+}
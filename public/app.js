@@ -1,41 +1,241 @@
 // XML Viewer Application
 class XMLViewer {
+    static PRESET_STORAGE_KEY = 'xmlViewer.presets';
+    static API_ROOT = '/api'; // REST API of server.js in library mode
+    static VIEW_PREFIX = '/view/'; // permalinks: /view/<zip>/<xml path>#<id>
+    static REVIEWER_STORAGE_KEY = 'xmlViewer.reviewer';
+    static INCREMENTAL_THRESHOLD = 5000; // elements above which a document renders in chunks
+    static CHUNK_SIZE = 200; // child nodes per deferred chunk
+    static CHUNK_BUDGET_MS = 12; // time spent rendering chunks before yielding to the browser
+    static TREE_OPEN_DEPTH = 2; // levels of the tree inspector open at first
+    static TREE_TEXT_LENGTH = 200; // characters of text and attribute values shown in a tree row
+    // Roles that render their whole subtree themselves, so descendants never reach the mapping
+    static OPAQUE_ROLES = ['image', 'table', 'code', 'hidden', 'math', 'svg', 'indexterm'];
+
     constructor() {
-        this.xmlFiles = []; // Array of {name, content, parsed}
+        this.xmlFiles = []; // Array of {name, content, parsed}: the files shown, with assembled books in book view
+        this.sourceXmlFiles = []; // the XML files as they are in the ZIP
+        this.book = null; // BookAssembly of the XML files (XInclude and external entities)
+        this.bookMode = false; // books are shown assembled instead of file by file
         this.currentXmlIndex = 0;
-        this.images = new Map(); // Map of image filename to blob URL
+        this.archive = null; // ZipArchive of the loaded ZIP, kept open for lazy image loading
+        this.container = null; // DocumentContainer.layoutOf the loaded archive (EPUB, DOCX, ODT or plain ZIP)
+        this.relationships = new Map(); // parsed document -> Map of relationship ID to {target, external} (DOCX)
+        this.unparsedEntities = new WeakMap(); // parsed document -> Map of NDATA entity name to system ID
+        this.assets = null; // AssetIndex of the ZIP's images and the references to them
+        this.imageEntries = new Map(); // Map of image path to ZIP entry
+        this.imageUrls = new Map(); // Map of image path (and page, after the first) to a promise of its blob URL, filled as images are shown
+        this.imageObserver = null; // IntersectionObserver loading images as they come near the viewport
+        this.pendingChunks = null; // {queue, placeholders, next, token} while a large document is still rendering
+        this.renderQueue = null; // chunks deferred by renderChildren during a render pass
+        this.renderToken = 0;
+        this.rawViewStale = true; // the raw view is built the first time it is needed for the current file
+        this.treeViewStale = true; // so is the tree inspector
+        this.treeUnmapped = new Set(); // elements of the tree's file that renderElement renders generically
+        this.statistics = null; // DocumentStatistics of the files shown, counted when the panel needs them
         this.currentView = 'rendered';
+        this.translations = []; // TranslationAlignment.pairFiles of the files shown: [{source, target, sourceLang, targetLang}]
+        this.translationPair = null; // the pair last shown side by side
+        this.idIndex = null; // IdIndex over all loaded XML files
+        this.outline = null; // DocumentOutline over all loaded XML files
+        this.backMatter = null; // BackMatter (footnotes, index terms, glossary) over all loaded XML files
+        this.schemaFiles = new Map(); // Map of schema path to text (DTD, XSD, RelaxNG)
+        this.validator = null; // XmlValidator over schemaFiles
+        this.schemaChoice = 'auto';
+        this.elementIndexes = new Map(); // parsed document -> Map of element to document-order index
+        this.search = null; // {query, mode, caseSensitive, pattern, outcome, current}
+        this.sourceSelection = null; // {fileIndex, elementIndex, reveal} shared by the rendered and raw views
+        this.comparison = null; // {name, oldXmlFiles, pairs, removed, images, oldImageUrls, highlight} against a second ZIP
+        this.pdfFiles = []; // [{path, name, entry}] source PDFs found in the ZIP
+        this.pdfIndex = -1; // PDF shown in the pane, -1 when none is loaded
+        this.pageMap = null; // PageMap of the current document
+        this.profiles = []; // [{key, name, source, kind: 'mapping'|'xslt', profile, path, error}] for the rendered view
+        this.profileKey = 'default';
+        this.mapping = new TagMapping(); // element-to-HTML mapping of the selected profile
+        this.stylesheets = new Map(); // Map of XSL stylesheet path to text (ZIP, uploads and saved presets)
+        this.xsltRenderer = null; // XsltRenderer while an XSLT profile is selected
+        this.libraryZip = null; // library name of the open ZIP when it came from the server, for permalinks
+        this.annotations = null; // Annotations of the open ZIP
+        this.annotationTarget = null; // {fileIndex, elementIndex, offset, quote} the next comment is about
+        this.zipName = null; // file name of the open ZIP, for the corrected download
+        this.editMode = false; // raw view becomes a source editor, rendered text is editable on double-click
+        this.history = new EditHistory();
+        this.safety = SafetyPolicy.load(); // URL allow-lists, archive limits and sandboxed rendering
+        this.blockedUrls = []; // [{fileIndex, element, attribute, value, kind}] URLs the allow-lists keep out of the page
+        this.sandboxToken = 0;
+        this.sourceEditorDirty = false; // the source editor holds changes not applied to the file yet
+        this.checkTimer = null;
 
         this.initElements();
         this.initEventListeners();
+        this.initLibrary();
     }
 
     initElements() {
         this.uploadSection = document.getElementById('uploadSection');
         this.uploadArea = document.getElementById('uploadArea');
         this.fileInput = document.getElementById('fileInput');
+        this.encodingSelector = document.getElementById('encodingSelector');
+        this.folderInput = document.getElementById('folderInput');
+        this.folderBtn = document.getElementById('folderBtn');
         this.controls = document.getElementById('controls');
         this.previewSection = document.getElementById('previewSection');
         this.renderedView = document.getElementById('renderedView');
         this.rawView = document.getElementById('rawView');
         this.loading = document.getElementById('loading');
+        this.loadingMessage = document.getElementById('loadingMessage');
+        this.loadingBar = document.getElementById('loadingBar');
         this.error = document.getElementById('error');
         this.errorMessage = document.getElementById('errorMessage');
         this.fileName = document.getElementById('fileName');
+        this.copyLinkBtn = document.getElementById('copyLinkBtn');
+        this.library = document.getElementById('library');
+        this.libraryList = document.getElementById('libraryList');
         this.backBtn = document.getElementById('backBtn');
         this.retryBtn = document.getElementById('retryBtn');
         this.viewRendered = document.getElementById('viewRendered');
         this.viewRaw = document.getElementById('viewRaw');
+        this.viewBilingual = document.getElementById('viewBilingual');
+        this.bilingualView = document.getElementById('bilingualView');
+        this.viewTree = document.getElementById('viewTree');
+        this.treeView = document.getElementById('treeView');
+        this.editBtn = document.getElementById('editBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.downloadZipBtn = document.getElementById('downloadZipBtn');
+        this.exportHtmlBtn = document.getElementById('exportHtmlBtn');
+        this.exportEpubBtn = document.getElementById('exportEpubBtn');
+        this.editStatus = document.getElementById('editStatus');
+        this.sourceEditor = document.getElementById('sourceEditor');
+        this.sourceText = document.getElementById('sourceText');
+        this.sourceCheck = document.getElementById('sourceCheck');
+        this.sourceErrors = document.getElementById('sourceErrors');
+        this.sourceApply = document.getElementById('sourceApply');
+        this.sourceRevert = document.getElementById('sourceRevert');
         this.xmlSelector = document.getElementById('xmlSelector');
         this.xmlSelectorContainer = document.getElementById('xmlSelectorContainer');
+        this.bookToggle = document.getElementById('bookToggle');
+        this.bookModeInput = document.getElementById('bookModeInput');
+        this.linkReportBtn = document.getElementById('linkReportBtn');
+        this.linkReport = document.getElementById('linkReport');
+        this.linkReportBody = document.getElementById('linkReportBody');
+        this.linkReportClose = document.getElementById('linkReportClose');
+        this.assetReportBtn = document.getElementById('assetReportBtn');
+        this.assetReport = document.getElementById('assetReport');
+        this.assetReportBody = document.getElementById('assetReportBody');
+        this.assetReportClose = document.getElementById('assetReportClose');
+        this.assetStrict = document.getElementById('assetStrict');
+        this.previewContainer = document.getElementById('previewContainer');
+        this.outlineBtn = document.getElementById('outlineBtn');
+        this.outlinePanel = document.getElementById('outlinePanel');
+        this.outlineBody = document.getElementById('outlineBody');
+        this.outlineClose = document.getElementById('outlineClose');
+        this.validationBtn = document.getElementById('validationBtn');
+        this.validationPanel = document.getElementById('validationPanel');
+        this.validationClose = document.getElementById('validationClose');
+        this.validationResults = document.getElementById('validationResults');
+        this.schemaSelector = document.getElementById('schemaSelector');
+        this.addSchemaBtn = document.getElementById('addSchemaBtn');
+        this.schemaInput = document.getElementById('schemaInput');
+        this.searchInput = document.getElementById('searchInput');
+        this.searchMode = document.getElementById('searchMode');
+        this.searchCase = document.getElementById('searchCase');
+        this.searchPrev = document.getElementById('searchPrev');
+        this.searchNext = document.getElementById('searchNext');
+        this.searchCount = document.getElementById('searchCount');
+        this.searchPanel = document.getElementById('searchPanel');
+        this.searchClose = document.getElementById('searchClose');
+        this.searchResults = document.getElementById('searchResults');
+        this.diffBtn = document.getElementById('diffBtn');
+        this.annotationBtn = document.getElementById('annotationBtn');
+        this.indexBtn = document.getElementById('indexBtn');
+        this.statsBtn = document.getElementById('statsBtn');
+        this.statsPanel = document.getElementById('statsPanel');
+        this.statsClose = document.getElementById('statsClose');
+        this.statsBody = document.getElementById('statsBody');
+        this.statsScope = document.getElementById('statsScope');
+        this.highlightUnmapped = document.getElementById('highlightUnmapped');
+        this.safetyBtn = document.getElementById('safetyBtn');
+        this.safetyPanel = document.getElementById('safetyPanel');
+        this.safetyClose = document.getElementById('safetyClose');
+        this.safetyBody = document.getElementById('safetyBody');
+        this.safetySandbox = document.getElementById('safetySandbox');
+        this.sandboxView = document.getElementById('sandboxView');
+        this.limitInputs = {
+            maxEntries: document.getElementById('limitEntries'),
+            maxTotalSize: document.getElementById('limitTotalSize'),
+            maxEntrySize: document.getElementById('limitEntrySize'),
+            maxRatio: document.getElementById('limitRatio')
+        };
+        this.limitsReset = document.getElementById('limitsReset');
+        this.indexPanel = document.getElementById('indexPanel');
+        this.indexClose = document.getElementById('indexClose');
+        this.indexBody = document.getElementById('indexBody');
+        this.annotationPanel = document.getElementById('annotationPanel');
+        this.annotationClose = document.getElementById('annotationClose');
+        this.annotationAddBtn = document.getElementById('annotationAddBtn');
+        this.annotationFilter = document.getElementById('annotationFilter');
+        this.annotationCsvBtn = document.getElementById('annotationCsvBtn');
+        this.annotationJsonBtn = document.getElementById('annotationJsonBtn');
+        this.annotationForm = document.getElementById('annotationForm');
+        this.annotationQuote = document.getElementById('annotationQuote');
+        this.annotationComment = document.getElementById('annotationComment');
+        this.annotationSeverity = document.getElementById('annotationSeverity');
+        this.annotationAuthor = document.getElementById('annotationAuthor');
+        this.annotationCancel = document.getElementById('annotationCancel');
+        this.annotationStatus = document.getElementById('annotationStatus');
+        this.annotationList = document.getElementById('annotationList');
+        this.diffPanel = document.getElementById('diffPanel');
+        this.diffClose = document.getElementById('diffClose');
+        this.diffResults = document.getElementById('diffResults');
+        this.diffHighlight = document.getElementById('diffHighlight');
+        this.diffClearBtn = document.getElementById('diffClearBtn');
+        this.compareBtn = document.getElementById('compareBtn');
+        this.compareInput = document.getElementById('compareInput');
+        this.pdfBtn = document.getElementById('pdfBtn');
+        this.pdfPane = document.getElementById('pdfPane');
+        this.pdfClose = document.getElementById('pdfClose');
+        this.pdfSelector = document.getElementById('pdfSelector');
+        this.pdfSync = document.getElementById('pdfSync');
+        this.pdfOffset = document.getElementById('pdfOffset');
+        this.pdfStatus = document.getElementById('pdfStatus');
+        this.pdfPages = document.getElementById('pdfPages');
+        this.pdfViewer = new PdfPane(this.pdfPages, (page) => this.syncRenderedToPdf(page));
+        this.profileSelector = document.getElementById('profileSelector');
+        this.loadProfileBtn = document.getElementById('loadProfileBtn');
+        this.saveProfileBtn = document.getElementById('saveProfileBtn');
+        this.profileInput = document.getElementById('profileInput');
+        this.profileError = document.getElementById('profileError');
+        this.lightbox = new ImageLightbox({
+            root: document.getElementById('lightbox'),
+            stage: document.getElementById('lightboxStage'),
+            image: document.getElementById('lightboxImage'),
+            title: document.getElementById('lightboxTitle'),
+            info: document.getElementById('lightboxInfo'),
+            page: document.getElementById('lightboxPage'),
+            zoom: document.getElementById('lightboxZoom'),
+            prev: document.getElementById('lightboxPrev'),
+            next: document.getElementById('lightboxNext'),
+            zoomIn: document.getElementById('lightboxZoomIn'),
+            zoomOut: document.getElementById('lightboxZoomOut'),
+            fit: document.getElementById('lightboxFit'),
+            actual: document.getElementById('lightboxActual'),
+            close: document.getElementById('lightboxClose')
+        });
     }
 
     initEventListeners() {
         // File input change
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
+        this.folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
+
         // Click on upload area
         this.uploadArea.addEventListener('click', () => this.fileInput.click());
+        this.folderBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
 
         // Drag and drop
         this.uploadArea.addEventListener('dragover', (e) => {
@@ -47,12 +247,12 @@ class XMLViewer {
             this.uploadArea.classList.remove('dragover');
         });
 
-        this.uploadArea.addEventListener('drop', (e) => {
+        this.uploadArea.addEventListener('drop', async (e) => {
             e.preventDefault();
             this.uploadArea.classList.remove('dragover');
-            const files = e.dataTransfer.files;
+            const files = await this.droppedFiles(e.dataTransfer);
             if (files.length > 0) {
-                this.processFile(files[0]);
+                this.processFiles(files);
             }
         });
 
@@ -63,45 +263,521 @@ class XMLViewer {
         // View toggle
         this.viewRendered.addEventListener('click', () => this.switchView('rendered'));
         this.viewRaw.addEventListener('click', () => this.switchView('raw'));
+        this.viewBilingual.addEventListener('click', () => this.switchView('bilingual'));
+        this.viewTree.addEventListener('click', () => this.switchView('tree'));
+        this.treeView.addEventListener('click', (e) => {
+            const row = e.target.closest('.tree-node');
+            if (!row) return;
+            if (e.target.closest('.tree-toggle')) {
+                this.toggleTreeNode(row);
+                return;
+            }
+            const target = e.target.closest('.tree-tag, .tree-attr');
+            if (target) this.copyTreeXPath(row, target);
+        });
+        this.bilingualView.addEventListener('change', (e) => {
+            if (e.target.id === 'bilingualPair') {
+                this.translationPair = this.translations[parseInt(e.target.value)];
+                this.renderBilingual();
+            } else if (e.target.id === 'bilingualUnalignedOnly') {
+                this.bilingualView.classList.toggle('bilingual-unaligned-only', e.target.checked);
+            }
+        });
+        // Images from the ZIP open in the lightbox
+        [this.renderedView, this.bilingualView].forEach(view => view.addEventListener('click', (e) => {
+            const img = e.target.closest('img[data-image-path]');
+            if (!img || e.altKey || e.defaultPrevented) return;
+            e.preventDefault();
+            this.openLightbox(img.dataset.imagePath);
+        }));
+
+        // Editing
+        this.editBtn.addEventListener('click', () => this.toggleEditMode());
+        this.undoBtn.addEventListener('click', () => this.undoEdit());
+        this.redoBtn.addEventListener('click', () => this.redoEdit());
+        this.downloadZipBtn.addEventListener('click', () => this.downloadZip());
+
+        // Export
+        this.exportHtmlBtn.addEventListener('click', () => this.exportHtml());
+        this.exportEpubBtn.addEventListener('click', () => this.exportEpub());
+        this.sourceText.addEventListener('input', () => {
+            this.sourceEditorDirty = true;
+            clearTimeout(this.checkTimer);
+            this.checkTimer = setTimeout(() => this.checkSourceEditor(), 300);
+        });
+        this.sourceApply.addEventListener('click', () => this.commitSourceEditor());
+        this.sourceRevert.addEventListener('click', () => {
+            this.sourceEditorDirty = false;
+            this.updateSourceEditor();
+        });
+        this.sourceErrors.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-offset]');
+            if (item) this.selectSourceOffset(parseInt(item.dataset.offset));
+        });
+        this.renderedView.addEventListener('dblclick', (e) => {
+            if (this.editMode) this.startTextEdit(e.target);
+        });
+        // Undo and redo outside text fields, which keep their own
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || this.xmlFiles.length === 0) return;
+            if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoEdit();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redoEdit();
+            }
+        });
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.hasEdits()) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
 
         // XML file selector
         if (this.xmlSelector) {
             this.xmlSelector.addEventListener('change', (e) => {
-                this.currentXmlIndex = parseInt(e.target.value);
-                this.renderCurrentXML();
+                this.selectXmlFile(parseInt(e.target.value));
+            });
+        }
+        this.encodingSelector.addEventListener('change', (e) => this.setEncoding(e.target.value));
+        this.bookModeInput.addEventListener('change', () => this.setBookMode(this.bookModeInput.checked));
+
+        // Internal cross-references navigate within the loaded documents
+        this.renderedView.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-xref]');
+            if (!link) return;
+            e.preventDefault();
+            this.navigateToId(link.dataset.xref, parseInt(link.dataset.fileIndex));
+        });
+        // Generated index and glossary entries point at anchors, possibly in another file
+        this.renderedView.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-anchor-ref]');
+            if (!link) return;
+            e.preventDefault();
+            this.revealAnchor(link.dataset.anchorRef, parseInt(link.dataset.fileIndex));
+        });
+        // Other fragment links (footnotes, XSLT output) stay on the page; the permalink base URL would send them to the start page
+        this.renderedView.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]:not([data-xref])');
+            if (!link || e.defaultPrevented) return;
+            e.preventDefault();
+            const target = link.getAttribute('href').length > 1 && document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1)));
+            if (target && this.renderedView.contains(target)) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        // Permalinks
+        this.copyLinkBtn.addEventListener('click', () => this.copyPermalink());
+        window.addEventListener('hashchange', () => {
+            if (!this.libraryZip || location.hash.length < 2) return;
+            this.navigateToId(decodeURIComponent(location.hash.slice(1)), this.currentXmlIndex);
+        });
+
+        // Rendered and raw view sync: Alt+click a block to see its source, select source lines to find the block
+        this.renderedView.addEventListener('click', (e) => {
+            if (!e.altKey) return;
+            const node = e.target.closest('[data-node]');
+            if (!node) return;
+            e.preventDefault();
+            this.revealSourceNode(parseInt(node.dataset.node));
+        });
+        // Printing needs the whole document, not just the chunks rendered so far
+        window.addEventListener('beforeprint', () => this.completeRendering());
+        this.rawView.addEventListener('click', (e) => this.handleRawClick(e));
+        this.rawView.addEventListener('mouseup', () => this.handleRawSelection());
+
+        // Outline
+        this.outlineBtn.addEventListener('click', () => this.toggleOutline());
+        this.outlineClose.addEventListener('click', () => this.toggleOutline(false));
+        this.outlineBody.addEventListener('click', (e) => this.handleOutlineClick(e));
+        this.previewContainer.addEventListener('scroll', () => {
+            if (this.outlineScrollPending) return;
+            this.outlineScrollPending = true;
+            requestAnimationFrame(() => {
+                this.outlineScrollPending = false;
+                this.updateOutlinePosition();
+                this.syncPdfToRendered();
             });
+        });
+
+        // Link report
+        this.linkReportBtn.addEventListener('click', () => this.toggleLinkReport());
+        this.linkReportClose.addEventListener('click', () => this.toggleLinkReport(false));
+        this.linkReportBody.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-file-index]');
+            if (!item) return;
+            this.revealReportItem(item.dataset);
+        });
+
+        // Asset report
+        this.assetReportBtn.addEventListener('click', () => this.toggleAssetReport());
+        this.assetReportClose.addEventListener('click', () => this.toggleAssetReport(false));
+        this.assetStrict.addEventListener('change', () => {
+            if (!this.assets) return;
+            this.assets = new AssetIndex(this.assets.paths, this.assetStrict.checked);
+            this.updateAssetReport();
+            this.renderCurrentXML();
+        });
+        this.assetReportBody.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-file-index]');
+            if (!item) return;
+            this.revealRenderedNode(parseInt(item.dataset.fileIndex), `[data-node="${item.dataset.node}"]`);
+        });
+
+        // Statistics
+        this.statsBtn.addEventListener('click', () => this.toggleStatsPanel());
+        this.statsClose.addEventListener('click', () => this.toggleStatsPanel(false));
+        this.statsScope.addEventListener('change', () => this.renderStatistics());
+        this.highlightUnmapped.addEventListener('change', () => {
+            this.previewContainer.classList.toggle('highlight-unmapped', this.highlightUnmapped.checked);
+        });
+        this.statsBody.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-file-index]');
+            if (item) this.selectXmlFile(parseInt(item.dataset.fileIndex));
+        });
+
+        // Safety report and settings
+        this.safetyBtn.addEventListener('click', () => this.toggleSafetyPanel());
+        this.safetyClose.addEventListener('click', () => this.toggleSafetyPanel(false));
+        this.safetySandbox.addEventListener('change', () => {
+            this.safety.sandbox = this.safetySandbox.checked;
+            this.safety.save();
+            this.renderCurrentXML();
+            this.switchView(this.currentView);
+        });
+        Object.values(this.limitInputs).forEach(input => input.addEventListener('change', () => this.saveLimits()));
+        this.limitsReset.addEventListener('click', () => {
+            this.safety.limits = { ...SafetyPolicy.DEFAULT_LIMITS };
+            this.safety.save();
+            this.updateSafetySettings();
+        });
+        this.safetyBody.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-file-index]');
+            if (!item) return;
+            this.revealRenderedNode(parseInt(item.dataset.fileIndex), `[data-node="${item.dataset.node}"]`);
+        });
+        this.updateSafetySettings();
+
+        // Index and glossary
+        this.indexBtn.addEventListener('click', () => this.toggleIndexPanel());
+        this.indexClose.addEventListener('click', () => this.toggleIndexPanel(false));
+        this.indexBody.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-anchor-ref]');
+            if (link) {
+                e.preventDefault();
+                this.revealAnchor(link.dataset.anchorRef, parseInt(link.dataset.fileIndex));
+                return;
+            }
+            const item = e.target.closest('[data-node]');
+            if (item) this.revealRenderedNode(parseInt(item.dataset.fileIndex), `[data-node="${item.dataset.node}"]`);
+        });
+
+        // Validation
+        this.validationBtn.addEventListener('click', () => this.toggleValidation());
+        this.validationClose.addEventListener('click', () => this.toggleValidation(false));
+        this.schemaSelector.addEventListener('change', (e) => {
+            this.schemaChoice = e.target.value;
+            this.updateValidation();
+        });
+        this.addSchemaBtn.addEventListener('click', () => this.schemaInput.click());
+        this.schemaInput.addEventListener('change', async (e) => {
+            await this.addSchemaFiles(Array.from(e.target.files));
+            this.schemaInput.value = '';
+        });
+        this.validationResults.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-offset]');
+            if (!item) return;
+            this.revealSourcePosition(parseInt(item.dataset.offset));
+        });
+
+        // Search
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (this.isCurrentSearch()) {
+                this.stepSearchResult(e.shiftKey ? -1 : 1);
+            } else {
+                this.runSearch();
+            }
+        });
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            // XPath expressions are only evaluated on Enter; half-typed ones are rarely valid
+            if (this.searchMode.value === 'xpath') return;
+            this.searchTimer = setTimeout(() => this.runSearch(), 300);
+        });
+        this.searchMode.addEventListener('change', () => this.runSearch());
+        this.searchCase.addEventListener('change', () => this.runSearch());
+        this.searchPrev.addEventListener('click', () => this.stepSearchResult(-1));
+        this.searchNext.addEventListener('click', () => this.stepSearchResult(1));
+        this.searchClose.addEventListener('click', () => this.toggleSearchPanel(false));
+        this.searchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-result]');
+            if (!item) return;
+            this.showSearchResult(parseInt(item.dataset.result));
+        });
+
+        // Comparison with a second ZIP
+        this.diffBtn.addEventListener('click', () => this.toggleDiffPanel());
+        this.diffClose.addEventListener('click', () => this.toggleDiffPanel(false));
+        this.compareBtn.addEventListener('click', () => this.compareInput.click());
+        this.compareInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            this.compareInput.value = '';
+            if (file) await this.loadComparison(file);
+        });
+        this.diffHighlight.addEventListener('change', () => {
+            if (!this.comparison) return;
+            this.comparison.highlight = this.diffHighlight.checked;
+            this.renderCurrentXML();
+        });
+        this.diffClearBtn.addEventListener('click', () => {
+            this.closeComparison();
+            this.renderCurrentXML();
+            this.updateDiffPanel();
+        });
+        this.diffResults.addEventListener('click', (e) => this.handleDiffClick(e));
+
+        // Review annotations: select text or click an element in the rendered view, then comment on it
+        this.annotationBtn.addEventListener('click', () => this.toggleAnnotationPanel());
+        this.annotationClose.addEventListener('click', () => this.toggleAnnotationPanel(false));
+        this.renderedView.addEventListener('mouseup', (e) => {
+            if (!e.altKey) this.captureAnnotationTarget(e.target);
+        });
+        this.renderedView.addEventListener('click', (e) => {
+            const mark = e.target.closest('.annotation-mark');
+            if (!mark || e.altKey || !window.getSelection().isCollapsed) return;
+            this.toggleAnnotationPanel(true);
+            this.showAnnotationItem(mark.dataset.annotation);
+        });
+        this.annotationAddBtn.addEventListener('click', () => this.openAnnotationForm());
+        this.annotationCancel.addEventListener('click', () => this.closeAnnotationForm());
+        this.annotationForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAnnotation();
+        });
+        this.annotationFilter.addEventListener('change', () => this.updateAnnotationList());
+        this.annotationList.addEventListener('click', (e) => this.handleAnnotationClick(e));
+        this.annotationCsvBtn.addEventListener('click', () => this.exportAnnotations('csv'));
+        this.annotationJsonBtn.addEventListener('click', () => this.exportAnnotations('json'));
+
+        // Source PDF pane
+        this.pdfBtn.addEventListener('click', () => this.togglePdfPane());
+        this.pdfClose.addEventListener('click', () => this.togglePdfPane(false));
+        this.pdfSelector.addEventListener('change', (e) => this.loadPdf(parseInt(e.target.value)));
+        this.pdfSync.addEventListener('change', () => this.syncPdfToRendered());
+        this.pdfOffset.addEventListener('change', () => this.syncPdfToRendered());
+
+        // Mapping profiles and XSLT
+        this.profileSelector.addEventListener('change', (e) => this.selectProfile(e.target.value));
+        this.loadProfileBtn.addEventListener('click', () => this.profileInput.click());
+        this.profileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            this.profileInput.value = '';
+            if (file) await this.loadProfileFile(file);
+        });
+        this.saveProfileBtn.addEventListener('click', () => this.saveOrDeletePreset());
+    }
+
+    // Library mode: list the server's ZIPs on the upload screen and open the document a /view/ URL names
+    async initLibrary() {
+        const target = XMLViewer.parseViewPath(location.pathname, location.hash);
+        if (target) await this.openFromLibrary(target.zip, target.xml, target.id);
+        await this.loadLibraryList();
+    }
+
+    // {zip, xml, id} of a permalink path, or null
+    static parseViewPath(pathname, hash = '') {
+        if (!pathname.startsWith(XMLViewer.VIEW_PREFIX)) return null;
+        try {
+            const segments = pathname.slice(XMLViewer.VIEW_PREFIX.length).split('/').map(segment => decodeURIComponent(segment));
+            if (!segments[0]) return null;
+            return { zip: segments[0], xml: segments.slice(1).join('/') || null, id: hash.length > 1 ? decodeURIComponent(hash.slice(1)) : null };
+        } catch (err) {
+            return null;
         }
     }
 
-    handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.processFile(file);
+    // The ZIP name is one segment, so ZIPs in library subfolders keep their slashes encoded
+    static viewPath(zip, xmlPath = null, id = null) {
+        let url = XMLViewer.VIEW_PREFIX + encodeURIComponent(zip);
+        if (xmlPath) url += '/' + xmlPath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+        if (id) url += '#' + encodeURIComponent(id);
+        return url;
+    }
+
+    async loadLibraryList() {
+        let zips;
+        try {
+            const response = await fetch(`${XMLViewer.API_ROOT}/zips`);
+            if (!response.ok) return;
+            zips = (await response.json()).zips;
+        } catch (err) {
+            // Opened from a plain static server or file://; uploads are the only way in
+            return;
         }
+
+        this.libraryList.innerHTML = zips.length === 0
+            ? '<li class="report-empty">No ZIP files in the library</li>'
+            : zips.map(zip => `<li>
+                <a href="${this.escapeAttribute(XMLViewer.viewPath(zip.name))}">${this.escapeHtml(zip.name)}</a>
+                <span class="library-meta">${this.formatSize(zip.size)} · ${new Date(zip.modified).toLocaleString()}</span>
+            </li>`).join('');
+        this.library.style.display = 'block';
     }
 
-    async processFile(file) {
-        if (!file.name.endsWith('.zip')) {
-            this.showError('Please upload a ZIP file');
+    async openFromLibrary(zip, xmlPath, id) {
+        let file;
+        this.showLoading();
+        try {
+            const response = await fetch(`${XMLViewer.API_ROOT}/zips/${encodeURIComponent(zip)}/file`);
+            if (!response.ok) throw new Error(response.status === 404 ? 'it is not in the library' : `the server answered ${response.status}`);
+            file = new File([await response.blob()], zip.split('/').pop(), { type: 'application/zip' });
+        } catch (err) {
+            this.showError(`Failed to open ${zip}: ${err.message}`);
             return;
         }
 
+        // Set first: annotations of library ZIPs are stored on the server
+        this.libraryZip = zip;
+        await this.processFile(file);
+        if (this.xmlFiles.length === 0) return;
+        this.fileName.textContent = zip;
+        this.copyLinkBtn.style.display = '';
+
+        const fileIndex = xmlPath ? this.fileIndexOf(xmlPath) : 0;
+        if (fileIndex === -1) console.warn(`${xmlPath} is not in ${zip}; showing the first XML file`);
+        this.selectXmlFile(Math.max(fileIndex, 0));
+        if (id) this.navigateToId(id, Math.max(fileIndex, 0));
+        this.updatePermalink(id);
+    }
+
+    // Keep the address bar pointing at the open file (and element), so it can be shared as is
+    updatePermalink(id = null) {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!this.libraryZip || !xmlFile) return;
+        history.replaceState(null, '', XMLViewer.viewPath(this.libraryZip, xmlFile.path, id));
+    }
+
+    // ID of the selected element or of the last element with an ID above the top of the view
+    currentAnchorId() {
+        const selection = this.sourceSelection;
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (selection && selection.fileIndex === this.currentXmlIndex) {
+            let element = xmlFile.parsed.getElementsByTagName('*')[selection.elementIndex];
+            while (element && element.nodeType === Node.ELEMENT_NODE) {
+                const id = IdIndex.idOf(element);
+                if (id) return id;
+                element = element.parentNode;
+            }
+        }
+
+        const top = this.previewContainer.getBoundingClientRect().top;
+        let current = null;
+        for (const node of this.renderedView.querySelectorAll('[id^="xml-id-"]')) {
+            if (node.getBoundingClientRect().top > top + 10) break;
+            current = node.id.slice(this.anchorId('').length);
+        }
+        return current;
+    }
+
+    copyPermalink() {
+        const id = this.currentAnchorId();
+        this.updatePermalink(id);
+        const reset = () => setTimeout(() => { this.copyLinkBtn.textContent = 'Copy link'; }, 1500);
+        navigator.clipboard.writeText(location.href).then(() => {
+            this.copyLinkBtn.textContent = 'Link copied';
+            reset();
+        }, () => {
+            // The address bar holds the link either way
+            this.copyLinkBtn.textContent = 'Copy from the address bar';
+            reset();
+        });
+    }
+
+    handleFileSelect(e) {
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            this.processFiles(files);
+        }
+    }
+
+    // A ZIP, EPUB, DOCX/ODT or tarball, a folder, or XML files dropped with their images; schema files
+    // (DTD, XSD, RelaxNG) selected or dropped with an archive are used for validation
+    processFiles(files) {
+        const archive = files.find(file => DocumentContainer.isArchive(file.name));
+        const schemas = archive
+            ? files.filter(file => file !== archive && XmlValidator.SCHEMA_EXTENSIONS.includes(XmlValidator.extensionOf(file.name)))
+            : [];
+        this.processFile(archive || files, schemas);
+    }
+
+    // input is one archive file, or the loose files of a folder or a drop
+    async processFile(input, schemaUploads = []) {
+        const files = Array.isArray(input) ? input : [input];
         this.showLoading();
-        this.fileName.textContent = file.name;
 
         try {
-            const zip = await JSZip.loadAsync(file);
-            await this.extractContents(zip);
+            this.setProgress('Opening…', 0);
+            const opened = await DocumentContainer.open(files, this.safety.limits);
+            if (!opened) {
+                this.showError('Please upload a ZIP, EPUB, DOCX, ODT or tar file, a folder, or XML files with their images');
+                return;
+            }
+            this.fileName.textContent = opened.name;
+            this.zipName = opened.name;
+            for (const schema of schemaUploads) {
+                this.schemaFiles.set(schema.name, await schema.text());
+            }
+            await this.extractContents(opened.archive, opened.kind);
+            if (this.container.kind !== 'zip') this.fileName.textContent = `${opened.name} (${this.container.label})`;
             this.showPreview();
+            await this.loadAnnotations(opened.name);
         } catch (err) {
-            console.error('Error processing ZIP:', err);
-            this.showError('Failed to process ZIP file: ' + err.message);
+            console.error('Error processing input:', err);
+            this.showError('Failed to process the file: ' + err.message);
         }
     }
 
-    async extractContents(zip) {
-        const xmlFiles = [];
+    // Files of a drop, with the contents of dropped folders; each file gets its relativePath in the drop
+    async droppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (!entries.some(entry => entry.isDirectory)) return Array.from(dataTransfer.files);
+
+        const files = [];
+        const walk = async (entry, prefix) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                file.relativePath = prefix + file.name;
+                files.push(file);
+                return;
+            }
+            const reader = entry.createReader();
+            // readEntries gives the entries of a folder in batches until it gives none
+            for (let batch; (batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))).length > 0;) {
+                for (const child of batch) await walk(child, `${prefix}${entry.name}/`);
+            }
+        };
+        for (const entry of entries) await walk(entry, '');
+        return files;
+    }
+
+    // Sort the entries of a ZIP into parsed XML files, images, schema files, PDFs, mapping profiles and stylesheets
+    // onProgress(message, fraction) follows the reading and parsing of the XML files; kind is the
+    // DocumentContainer kind the archive was opened as, EPUB, DOCX and ODT are recognized by their contents
+    async readArchive(zip, onProgress = () => {}, kind = 'zip') {
+        const container = await DocumentContainer.layoutOf(zip, kind);
+        const documentPaths = container.xmlPaths && new Set(container.xmlPaths);
+        const xmlEntries = [];
         const imageFiles = [];
+        const schemaFiles = [];
+        const pdfFiles = [];
+        const profileFiles = [];
+        const stylesheetFiles = [];
 
         // Iterate through all files in the ZIP
         for (const [path, zipEntry] of Object.entries(zip.files)) {
@@ -110,30 +786,69 @@ class XMLViewer {
             const fileName = path.split('/').pop().toLowerCase();
             const extension = fileName.split('.').pop();
 
-            // Find ALL XML files
-            if (extension === 'xml') {
-                xmlFiles.push({ path, entry: zipEntry, name: path.split('/').pop() });
+            // Find ALL XML files, or those the container names as its document
+            if (documentPaths ? documentPaths.has(path) : extension === 'xml') {
+                xmlEntries.push({ path, entry: zipEntry, name: path.split('/').pop() });
             }
 
             // Find image files (in any folder, typically 'multimedia')
             if (['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'tiff', 'tif'].includes(extension)) {
                 imageFiles.push({ path, entry: zipEntry });
             }
+
+            if (XmlValidator.SCHEMA_EXTENSIONS.includes(extension)) {
+                schemaFiles.push({ path, entry: zipEntry });
+            }
+
+            if (extension === 'pdf') {
+                pdfFiles.push({ path, entry: zipEntry, name: path.split('/').pop() });
+            }
+
+            if (extension === 'json') {
+                profileFiles.push({ path, entry: zipEntry });
+            }
+
+            if (XsltRenderer.EXTENSIONS.includes(extension)) {
+                stylesheetFiles.push({ path, entry: zipEntry });
+            }
         }
 
-        if (xmlFiles.length === 0) {
+        if (xmlEntries.length === 0) {
             throw new Error('No XML file found in the ZIP');
         }
 
-        // Sort XML files by name for consistent ordering
-        xmlFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        // Sort XML files by name for consistent ordering; an EPUB spine gives the reading order
+        if (documentPaths) {
+            xmlEntries.sort((a, b) => container.xmlPaths.indexOf(a.path) - container.xmlPaths.indexOf(b.path));
+        } else {
+            xmlEntries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        }
 
-        // Extract and parse all XML files
-        this.xmlFiles = [];
-        for (const xmlFile of xmlFiles) {
-            const content = await xmlFile.entry.async('text');
+        // Extract and parse all XML files; decompression runs in the archive's worker, DOM parsing cannot
+        const parsedFiles = [];
+        const totalSize = ZipArchive.totalSize(xmlEntries.map(xmlFile => xmlFile.entry)) || xmlEntries.length;
+        let doneSize = 0;
+        for (const [index, xmlFile] of xmlEntries.entries()) {
+            const size = xmlFile.entry.size || 1;
+            const counter = xmlEntries.length > 1 ? ` (${index + 1} of ${xmlEntries.length})` : '';
+            let bytes;
+            try {
+                bytes = await xmlFile.entry.async('uint8array', fraction => {
+                    onProgress(`Reading ${xmlFile.name}${counter}`, (doneSize + fraction * size / 2) / totalSize);
+                });
+            } catch (err) {
+                // The archive lists it with the entries over the limits
+                if (!err.overLimit) throw err;
+                doneSize += size;
+                continue;
+            }
+            // Decoded by byte-order mark and encoding declaration, not always as UTF-8
+            const { text: content, encoding } = TextEncoding.decode(bytes);
+            onProgress(`Parsing ${xmlFile.name}${counter}`, (doneSize + size / 2) / totalSize);
+            await this.yieldToBrowser();
             const parser = new DOMParser();
             const parsed = parser.parseFromString(content, 'text/xml');
+            doneSize += size;
 
             // Check for parsing errors
             const parseError = parsed.querySelector('parsererror');
@@ -141,36 +856,84 @@ class XMLViewer {
                 console.warn(`Warning: Invalid XML in ${xmlFile.name}: ${parseError.textContent}`);
             }
 
-            this.xmlFiles.push({
+            parsedFiles.push({
                 name: xmlFile.name,
                 path: xmlFile.path,
                 content: content,
                 parsed: parsed,
-                hasError: !!parseError
+                hasError: !!parseError,
+                encoding,
+                detectedEncoding: encoding
             });
         }
 
-        // Extract images and create blob URLs
-        for (const { path, entry } of imageFiles) {
-            const blob = await entry.async('blob');
-            const url = URL.createObjectURL(blob);
+        if (parsedFiles.length === 0) {
+            throw new Error(`No XML file in the ZIP is within the safety limits: ${zip.blocked.map(entry => entry.reason).join('; ')}`);
+        }
+        pdfFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        return { xmlFiles: parsedFiles, imageFiles, schemaFiles, pdfFiles, profileFiles, stylesheetFiles, container };
+    }
+
+    async extractContents(archive, kind = 'zip') {
+        this.archive = archive;
+        const { xmlFiles, imageFiles, schemaFiles, pdfFiles, profileFiles, stylesheetFiles, container } =
+            await this.readArchive(archive, (message, fraction) => this.setProgress(message, fraction * 0.9), kind);
+        this.pdfFiles = pdfFiles;
+        this.container = container;
+        xmlFiles.forEach(xmlFile => {
+            if (container.relationships.has(xmlFile.path)) this.relationships.set(xmlFile.parsed, container.relationships.get(xmlFile.path));
+        });
 
-            // Store with multiple keys for flexible matching
-            const fullName = path.split('/').pop();
-            const baseName = fullName.toLowerCase();
+        // Books are shown assembled from their chapter files to begin with
+        this.sourceXmlFiles = xmlFiles;
+        this.book = new BookAssembly(xmlFiles);
+        this.bookMode = this.book.books.length > 0;
+        this.xmlFiles = this.bookMode ? this.book.files : xmlFiles;
+        this.updateBookToggle();
+        this.updateEditControls();
 
-            this.images.set(fullName, url);
-            this.images.set(baseName, url);
-            this.images.set(path, url);
+        // Schemas and DTD modules used for validation
+        for (const { path, entry } of schemaFiles) {
+            try {
+                this.schemaFiles.set(path, TextEncoding.decode(await entry.async('uint8array')).text);
+            } catch (err) {
+                if (!err.overLimit) throw err;
+            }
+        }
 
-            // Also store without extension for some XML formats
-            const nameWithoutExt = fullName.replace(/\.[^.]+$/, '');
-            this.images.set(nameWithoutExt, url);
-            this.images.set(nameWithoutExt.toLowerCase(), url);
+        // Images are only indexed here; their data is read from the ZIP when they are shown
+        for (const { path, entry } of imageFiles) {
+            this.imageEntries.set(path, entry);
         }
+        this.assets = new AssetIndex(imageFiles.map(({ path }) => path), this.assetStrict.checked);
+
+        this.setProgress('Indexing…', 0.92);
+        await this.yieldToBrowser();
+
+        // Index IDs and references across all files
+        this.idIndex = new IdIndex(this.xmlFiles);
+        this.updateLinkReport();
+
+        // Build the outline across all files
+        this.outline = new DocumentOutline(this.xmlFiles);
+        this.updateOutline();
+
+        this.validator = new XmlValidator(this.schemaFiles);
+        this.updateSchemaSelector();
+
+        // Rendering profiles: built-in presets, mapping profiles and stylesheets in the ZIP, saved presets
+        await this.loadProfiles(profileFiles, stylesheetFiles);
+        // Which elements are images, footnotes or index terms depends on the profile
+        this.updateAssetReport();
+        this.updateSafetyReport();
+        this.updateStatistics();
+        this.updateBackMatter();
+        this.updateTranslations();
 
         // Update the XML selector dropdown
         this.updateXmlSelector();
+        this.updatePdfSelector();
 
         // Render the first XML
         this.currentXmlIndex = 0;
@@ -187,9 +950,12 @@ class XMLViewer {
         this.xmlFiles.forEach((xmlFile, index) => {
             const option = document.createElement('option');
             option.value = index;
-            option.textContent = xmlFile.name + (xmlFile.hasError ? ' (parse error)' : '');
+            const edited = xmlFile.originalContent !== undefined && xmlFile.content !== xmlFile.originalContent;
+            const book = xmlFile.book ? ` (book, ${xmlFile.book.parts.length + 1} files)` : '';
+            option.textContent = xmlFile.name + book + (xmlFile.hasError ? ' (parse error)' : '') + (edited ? ' (edited)' : '');
             this.xmlSelector.appendChild(option);
         });
+        this.xmlSelector.value = this.currentXmlIndex;
 
         // Show/hide selector based on number of XML files
         if (this.xmlFiles.length > 1) {
@@ -199,120 +965,504 @@ class XMLViewer {
         }
     }
 
+    // Encoding the current file was read in, and the encodings it can be read in instead
+    updateEncodingSelector() {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        this.encodingSelector.parentNode.style.display = xmlFile && xmlFile.encoding ? '' : 'none';
+        if (!xmlFile || !xmlFile.encoding) return;
+
+        const options = [['auto', `Encoding: ${TextEncoding.describe(xmlFile.detectedEncoding)}`],
+            ...TextEncoding.ENCODINGS.map(label => [label, `Encoding: ${label}`])];
+        this.encodingSelector.innerHTML = options
+            .map(([value, label]) => `<option value="${this.escapeAttribute(value)}">${this.escapeHtml(label)}</option>`).join('');
+        this.encodingSelector.value = xmlFile.encoding.source === 'override' ? xmlFile.encoding.label : 'auto';
+        // Undo steps hold text decoded the old way
+        const edited = xmlFile.originalContent !== undefined;
+        this.encodingSelector.disabled = edited;
+        this.encodingSelector.title = edited ? 'The file has been edited; its encoding can no longer be changed' : 'Read the file again in another encoding';
+    }
+
+    // Read the current file again in another encoding; 'auto' goes back to the detected one
+    async setEncoding(label) {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        const entry = xmlFile && this.archive && this.archive.files[xmlFile.path];
+        if (!entry || xmlFile.originalContent !== undefined) return;
+        const { text, encoding } = TextEncoding.decode(await entry.async('uint8array'), label === 'auto' ? null : label);
+        xmlFile.encoding = encoding;
+        this.setXmlContent(this.currentXmlIndex, text, false);
+    }
+
+    updateBookToggle() {
+        this.bookToggle.style.display = this.book && this.book.books.length > 0 ? '' : 'none';
+        this.bookModeInput.checked = this.bookMode;
+    }
+
+    // Index of a file in the list shown; in book view a chapter is found in its book
+    fileIndexOf(path) {
+        const index = this.xmlFiles.findIndex(xmlFile => xmlFile.path === path);
+        if (index !== -1) return index;
+        return this.xmlFiles.findIndex(xmlFile => xmlFile.book && xmlFile.book.parts.includes(path));
+    }
+
+    // Switch between assembled books and the files as they are in the ZIP
+    setBookMode(on) {
+        if (!this.book || on === this.bookMode) return;
+        // Edits are made to the files themselves
+        this.toggleEditMode(false);
+        const current = this.xmlFiles[this.currentXmlIndex];
+        this.bookMode = on && this.book.books.length > 0;
+        this.xmlFiles = this.bookMode ? this.book.files : this.sourceXmlFiles;
+        this.updateBookToggle();
+        this.elementIndexes.clear();
+        this.sourceSelection = null;
+        this.annotationTarget = null;
+
+        this.idIndex = new IdIndex(this.xmlFiles);
+        this.updateLinkReport();
+        this.outline = new DocumentOutline(this.xmlFiles);
+        this.updateOutline();
+        this.updateAssetReport();
+        this.updateSafetyReport();
+        this.updateStatistics();
+        this.updateBackMatter();
+        if (this.comparison) Object.assign(this.comparison, this.matchComparison(this.comparison.oldXmlFiles));
+        this.updateTranslations();
+        this.refreshSearch();
+        this.updateEditControls();
+
+        // The book of the chapter shown, or the master of the book shown
+        this.currentXmlIndex = current ? Math.max(this.fileIndexOf(current.path), 0) : 0;
+        this.updateXmlSelector();
+        this.renderCurrentXML();
+        this.updatePermalink();
+    }
+
+    selectXmlFile(index) {
+        if (index === this.currentXmlIndex && this.renderedView.firstChild) return;
+        this.commitSourceEditor();
+        this.currentXmlIndex = index;
+        if (this.xmlSelector) this.xmlSelector.value = index;
+        this.renderCurrentXML();
+        this.updatePermalink();
+    }
+
     renderCurrentXML() {
         const xmlFile = this.xmlFiles[this.currentXmlIndex];
         if (!xmlFile) return;
+        this.updateEncodingSelector();
+
+        const root = xmlFile.parsed.documentElement;
+        this.pageMap = new PageMap(root, element => this.mapping.roleOf(element) === 'pagebreak');
+        this.pendingChunks = null;
+        if (this.imageObserver) this.imageObserver.disconnect();
+        if (this.safety.sandbox) {
+            // Only the sandboxed iframe shows the document; none of its markup enters this page
+            this.renderedView.innerHTML = '';
+            this.renderSandboxed(xmlFile);
+        } else if (this.xsltRenderer) {
+            this.sandboxView.removeAttribute('srcdoc');
+            this.renderedView.innerHTML = '';
+            this.renderedView.appendChild(this.renderXslt(xmlFile));
+        } else {
+            this.sandboxView.removeAttribute('srcdoc');
+            // Large documents show their first part now and render the rest in the background
+            this.renderQueue = root.getElementsByTagName('*').length > XMLViewer.INCREMENTAL_THRESHOLD ? [] : null;
+            const html = this.renderElement(root);
+            const queue = this.renderQueue;
+            this.renderQueue = null;
+            // The notes are rendered whole, below the chunks still to come
+            this.renderedView.innerHTML = `<div class="xml-document">${html}${this.renderFootnotes()}</div>`;
+            if (queue && queue.length > 0) this.startChunkRendering(queue);
+        }
+        this.observeImages(this.renderedView);
+
+        // The raw view is built when it is first shown
+        this.rawLines = null;
+        this.rawLineNodes = [];
+        this.rawView.innerHTML = '';
+        this.rawViewStale = true;
+        if (this.currentView === 'raw') this.ensureRawView();
+        this.treeViewStale = true;
+        if (this.currentView === 'tree') this.ensureTreeView();
+        this.updateSourceEditor();
+        this.updateBilingualView();
+        if (this.statsScope.value === 'current') this.renderStatistics();
+
+        this.applySearchHighlights();
+        this.applySourceSelection();
+        this.applyAnnotationMarks();
+        this.updateOutlinePosition();
+        this.updateValidation();
+        if (this.comparison) this.updateDiffPanel();
+        if (this.pdfPane.style.display !== 'none') this.showPdfFor(xmlFile);
+    }
+
+    startChunkRendering(queue) {
+        const placeholders = new Map(); // chunk id -> placeholder element
+        this.renderedView.querySelectorAll('[data-chunk]').forEach(node => placeholders.set(parseInt(node.dataset.chunk), node));
+        const pending = { queue, placeholders, next: 0 };
+        this.pendingChunks = pending;
+
+        const schedule = window.requestIdleCallback || (callback => setTimeout(callback, 0));
+        const run = () => {
+            // A new render pass replaces the pending chunks; this loop then just stops
+            if (this.pendingChunks !== pending) return;
+            const started = performance.now();
+            while (performance.now() - started < XMLViewer.CHUNK_BUDGET_MS) {
+                if (!this.renderNextChunk()) return;
+            }
+            schedule(run);
+        };
+        schedule(run);
+    }
+
+    // Render the next deferred chunk; returns false once everything is rendered
+    renderNextChunk() {
+        const pending = this.pendingChunks;
+        if (!pending) return false;
+        if (pending.next >= pending.queue.length) {
+            this.finishChunkRendering();
+            return false;
+        }
+
+        const id = pending.next++;
+        const chunk = pending.queue[id];
+        const placeholder = pending.placeholders.get(id);
+        pending.placeholders.delete(id);
+
+        // Chunks can defer parts of their own content in turn
+        this.renderQueue = pending.queue;
+        placeholder.innerHTML = this.renderChildNodes(chunk.element, chunk.nodes, chunk.last);
+        this.renderQueue = null;
+        placeholder.removeAttribute('data-chunk');
+        placeholder.querySelectorAll('[data-chunk]').forEach(node => pending.placeholders.set(parseInt(node.dataset.chunk), node));
+
+        if (this.search && this.search.pattern) this.highlightSearchIn(placeholder);
+        this.observeImages(placeholder);
+        return true;
+    }
+
+    finishChunkRendering() {
+        this.pendingChunks = null;
+        // XPath hits and the source selection may point at elements that were not rendered before
+        if (this.search && !this.search.pattern) this.applySearchHighlights();
+        this.applySourceSelection();
+        this.applyAnnotationMarks();
+        this.updateOutlinePosition();
+    }
+
+    // Render everything still pending, for navigation that needs a node that may not exist yet
+    completeRendering() {
+        while (this.renderNextChunk());
+    }
+
+    observeImages(root) {
+        const images = root.querySelectorAll('img[data-image], image[data-image]');
+        if (images.length === 0) return;
+        if (typeof IntersectionObserver === 'undefined') {
+            images.forEach(img => this.loadImage(img));
+            return;
+        }
+        if (!this.imageObserver) {
+            this.imageObserver = new IntersectionObserver(entries => entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.imageObserver.unobserve(entry.target);
+                this.loadImage(entry.target);
+            }), { rootMargin: '800px 0px' });
+        }
+        images.forEach(img => this.imageObserver.observe(img));
+    }
+
+    loadImage(img) {
+        const path = img.dataset.image;
+        img.removeAttribute('data-image');
+        this.imageUrl(path).then(url => {
+            // SVG <image> elements take an href
+            if (img.namespaceURI === Namespaces.SVG) {
+                img.setAttribute('href', url);
+            } else {
+                img.src = url;
+                img.dataset.imagePath = path;
+            }
+        }).catch(err => {
+            console.error(`Failed to load image ${path}:`, err);
+            img.classList.add('xml-image-failed');
+            // The archive has just left the image out
+            if (err.overLimit) this.renderSafetyReport();
+        });
+    }
+
+    // Blob URL of an image (or one page of a TIFF) in the ZIP, read the first time it is asked for
+    imageUrl(path, pageIndex = 0) {
+        const key = pageIndex > 0 ? `${path}#page${pageIndex + 1}` : path;
+        if (!this.imageUrls.has(key)) {
+            this.imageUrls.set(key, this.imageBlob(path, pageIndex).then(blob => URL.createObjectURL(blob)));
+        }
+        return this.imageUrls.get(key);
+    }
+
+    async imageBlob(path, pageIndex = 0) {
+        const entry = this.imageEntries.get(path);
+        if (!entry) throw new Error('Not in the ZIP');
+        const bytes = await entry.async('uint8array');
+        const decoded = await this.decodeImage(path, bytes, pageIndex);
+        if (decoded) return decoded;
+        // SVG is only displayed with its media type; other formats are sniffed
+        return new Blob([bytes], /\.svg$/i.test(path) ? { type: 'image/svg+xml' } : {});
+    }
+
+    // TIFF and BMP drawn as PNG; null for other formats, and for files the decoder cannot read,
+    // which are left to the browser (Safari shows JPEG-compressed TIFF, for one)
+    async decodeImage(path, bytes, pageIndex = 0) {
+        try {
+            const decoder = ImageDecoder.forBytes(bytes);
+            return decoder ? await ImageDecoder.pngBlob(decoder, pageIndex) : null;
+        } catch (err) {
+            console.warn(`Could not decode ${path}:`, err);
+            return null;
+        }
+    }
+
+    // Bytes and media type of an image for export, decoded images as PNG
+    async exportImage(path) {
+        const entry = this.imageEntries.get(path);
+        if (!entry) return null;
+        const bytes = await entry.async('uint8array');
+        const decoded = await this.decodeImage(path, bytes);
+        return decoded
+            ? { bytes: new Uint8Array(await decoded.arrayBuffer()), mediaType: 'image/png' }
+            : { bytes, mediaType: DocumentExport.mediaType(path) };
+    }
+
+    async openLightbox(path) {
+        const entry = this.imageEntries.get(path);
+        if (!entry) return;
+        const bytes = await entry.async('uint8array');
+        let info;
+        try {
+            info = ImageInfo.read(bytes);
+        } catch (err) {
+            info = { format: path.split('.').pop().toUpperCase(), pages: [{}] };
+        }
+        this.lightbox.open({ name: path, size: this.formatSize(bytes.length), info, pageUrl: pageIndex => this.imageUrl(path, pageIndex) });
+    }
 
+    // Tree inspector of the current file; the first levels are open, deeper rows are built when expanded
+    ensureTreeView() {
+        if (!this.treeViewStale) return;
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!xmlFile) return;
+        this.treeViewStale = false;
+        if (xmlFile.hasError) {
+            this.treeView.innerHTML = `<p class="report-empty">${this.escapeHtml(xmlFile.name)} is not well-formed; see the raw view.</p>`;
+            return;
+        }
         const root = xmlFile.parsed.documentElement;
-        this.renderedView.innerHTML = `<div class="xml-document">${this.renderElement(root)}</div>`;
-        this.rawView.textContent = this.formatXML(xmlFile.content);
+        this.treeUnmapped = new Set(this.xsltRenderer ? [] : [].concat(...this.unmappedElements(root).values()));
+        this.treeView.innerHTML = '<p class="tree-status">Click a tag or attribute to copy its XPath.</p>' +
+            `<ul class="tree-root">${this.renderTreeNode(root, XMLViewer.TREE_OPEN_DEPTH)}</ul>`;
+    }
+
+    // One row of the tree; openDepth levels below it are rendered open
+    renderTreeNode(node, openDepth) {
+        const preview = text => this.escapeHtml(text.length > XMLViewer.TREE_TEXT_LENGTH ? `${text.slice(0, XMLViewer.TREE_TEXT_LENGTH)}…` : text);
+        switch (node.nodeType) {
+            case Node.ELEMENT_NODE:
+                break;
+            case Node.TEXT_NODE:
+                return `<li class="tree-text">${preview(node.nodeValue.trim().replace(/\s+/g, ' '))}</li>`;
+            case Node.CDATA_SECTION_NODE:
+                return `<li class="tree-text">&lt;![CDATA[${preview(node.nodeValue)}]]&gt;</li>`;
+            case Node.COMMENT_NODE:
+                return `<li class="tree-comment">&lt;!--${preview(node.nodeValue)}--&gt;</li>`;
+            case Node.PROCESSING_INSTRUCTION_NODE:
+                return `<li class="tree-pi">&lt;?${this.escapeHtml(node.target)} ${preview(node.data)}?&gt;</li>`;
+            default:
+                return '';
+        }
+
+        const children = ElementTree.childrenOf(node);
+        const open = openDepth > 0 && children.length > 0;
+        const state = children.length === 0 ? ' tree-leaf' : open ? ' tree-open' : '';
+        const unmapped = this.treeUnmapped.has(node);
+        // The namespace is named where it changes
+        const parent = node.parentNode;
+        const namespace = node.namespaceURI && (!parent || parent.namespaceURI !== node.namespaceURI)
+            ? `<span class="tree-namespace">${this.escapeHtml(node.namespaceURI)}</span>`
+            : '';
+        const declarations = ElementTree.declarationsOf(node).map(({ prefix, uri }) =>
+            ` <span class="tree-ns">xmlns${prefix ? `:${this.escapeHtml(prefix)}` : ''}="${this.escapeHtml(uri)}"</span>`).join('');
+        const attributes = ElementTree.attributesOf(node).map(attr =>
+            ` <span class="tree-attr" data-attr="${this.escapeAttribute(attr.name)}">${this.escapeHtml(attr.name)}=<span class="tree-value">"${preview(attr.value)}"</span></span>`).join('');
+        const count = children.length > 0 ? `<span class="tree-count">${children.length} ${children.length === 1 ? 'child' : 'children'}</span>` : '';
+        const rows = open ? children.map(child => this.renderTreeNode(child, openDepth - 1)).join('') : '';
+        return `<li class="tree-node${state}" data-node="${this.elementIndexOf(node)}"${open ? ' data-built' : ''}>` +
+            `<span class="tree-toggle"></span><span class="tree-tag${unmapped ? ' tree-unmapped' : ''}"` +
+            `${unmapped ? ' title="No mapping rule: rendered by the generic fallback"' : ''}>&lt;${this.escapeHtml(node.nodeName)}</span>` +
+            `${declarations}${attributes}<span class="tree-tag-end">&gt;</span>${namespace}${count}` +
+            `<ul class="tree-children">${rows}</ul></li>`;
+    }
+
+    toggleTreeNode(row) {
+        if (row.classList.contains('tree-leaf')) return;
+        if (!row.hasAttribute('data-built')) {
+            const element = this.xmlFiles[this.currentXmlIndex].parsed.getElementsByTagName('*')[parseInt(row.dataset.node)];
+            row.querySelector('.tree-children').innerHTML = ElementTree.childrenOf(element).map(child => this.renderTreeNode(child, 0)).join('');
+            row.setAttribute('data-built', '');
+        }
+        row.classList.toggle('tree-open');
+    }
+
+    copyTreeXPath(row, target) {
+        const element = this.xmlFiles[this.currentXmlIndex].parsed.getElementsByTagName('*')[parseInt(row.dataset.node)];
+        const xpath = ElementTree.xpathOf(target.dataset.attr ? element.getAttributeNode(target.dataset.attr) : element);
+        this.treeView.querySelectorAll('.tree-copied').forEach(node => node.classList.remove('tree-copied'));
+        target.classList.add('tree-copied');
+        const status = this.treeView.querySelector('.tree-status');
+        status.innerHTML = `<code>${this.escapeHtml(xpath)}</code>`;
+        navigator.clipboard.writeText(xpath).then(() => {
+            status.insertAdjacentText('beforeend', ' copied');
+        }, () => {
+            status.insertAdjacentText('beforeend', ' (select to copy)');
+        });
+    }
+
+    ensureRawView() {
+        if (!this.rawViewStale) return;
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!xmlFile) return;
+        this.rawViewStale = false;
+        this.renderRawView(xmlFile);
+        this.refreshRawLines();
+    }
+
+    setProgress(message, fraction) {
+        this.loadingMessage.textContent = message;
+        this.loadingBar.style.width = `${Math.round(Math.min(Math.max(fraction, 0), 1) * 100)}%`;
+    }
+
+    // Let the browser paint (the progress overlay) between long steps
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // Document-order index of an element within its file, as written into data-node
+    elementIndexOf(element) {
+        const doc = element.ownerDocument;
+        if (!this.elementIndexes.has(doc)) {
+            const indexes = new Map();
+            Array.from(doc.getElementsByTagName('*')).forEach((el, index) => indexes.set(el, index));
+            this.elementIndexes.set(doc, indexes);
+        }
+        return this.elementIndexes.get(doc).get(element);
+    }
+
+    // Source positions of a file, shared by validation and raw view lookups
+    scannerFor(xmlFile) {
+        if (!xmlFile.scanner) xmlFile.scanner = new XmlScanner(xmlFile.content).scan();
+        return xmlFile.scanner;
+    }
+
+    elementSourceOffset(xmlFile, elementIndex) {
+        const record = this.scannerFor(xmlFile).elements[elementIndex];
+        return record ? record.start : null;
     }
 
     renderElement(element) {
+        return this.decorateElementHtml(this.renderElementContent(element), element);
+    }
+
+    renderElementContent(element) {
         const tagName = element.tagName.toLowerCase();
+        const rule = this.mapping.ruleFor(element);
         let html = '';
 
-        // Handle different element types
-        switch (tagName) {
-            case 'img':
+        // Marker of an include the book could not resolve
+        if (element.namespaceURI === BookAssembly.NAMESPACE) {
+            return `<div class="xml-include-problem" data-include="${this.escapeAttribute(element.getAttribute('href'))}">${this.escapeHtml(element.textContent)}</div>`;
+        }
+
+        // Handle different element types by the role the mapping profile gives them
+        switch (rule ? rule.role : null) {
             case 'image':
-            case 'figure':
-            case 'graphic':
-            case 'picture':
                 html = this.renderImage(element);
                 break;
 
+            case 'figure':
+                html = `<figure class="xml-figure">${this.renderChildren(element)}</figure>`;
+                break;
+
             case 'table':
                 html = this.renderTable(element);
                 break;
 
-            case 'ul':
-            case 'ol':
             case 'list':
-                html = this.renderList(element, tagName === 'ol' ? 'ol' : 'ul');
+            case 'ordered-list':
+                html = this.renderList(element, rule.role === 'ordered-list' ? 'ol' : 'ul');
                 break;
 
-            case 'li':
-            case 'item':
             case 'listitem':
                 html = `<li class="xml-list-item">${this.renderChildren(element)}</li>`;
                 break;
 
-            case 'title':
-            case 'heading':
-            case 'h1':
+            case 'heading1':
                 html = `<h1 class="xml-title">${this.renderChildren(element)}</h1>`;
                 break;
 
-            case 'h2':
-            case 'subtitle':
+            case 'heading2':
                 html = `<h2 class="xml-h2">${this.renderChildren(element)}</h2>`;
                 break;
 
-            case 'h3':
+            case 'heading3':
                 html = `<h3 class="xml-h3">${this.renderChildren(element)}</h3>`;
                 break;
 
-            case 'p':
-            case 'para':
             case 'paragraph':
-            case 'text':
                 html = `<p class="xml-paragraph">${this.renderChildren(element)}</p>`;
                 break;
 
-            case 'b':
             case 'bold':
-            case 'strong':
                 html = `<strong class="xml-bold">${this.renderChildren(element)}</strong>`;
                 break;
 
-            case 'i':
             case 'italic':
-            case 'em':
-            case 'emphasis':
                 html = `<em class="xml-italic">${this.renderChildren(element)}</em>`;
                 break;
 
-            case 'u':
             case 'underline':
                 html = `<u class="xml-underline">${this.renderChildren(element)}</u>`;
                 break;
 
+            case 'superscript':
+                html = `<sup class="xml-sup">${this.renderChildren(element)}</sup>`;
+                break;
+
+            case 'subscript':
+                html = `<sub class="xml-sub">${this.renderChildren(element)}</sub>`;
+                break;
+
             case 'code':
-            case 'pre':
-            case 'programlisting':
                 html = `<code class="xml-code">${this.escapeHtml(element.textContent)}</code>`;
                 break;
 
             case 'blockquote':
-            case 'quote':
                 html = `<blockquote class="xml-blockquote">${this.renderChildren(element)}</blockquote>`;
                 break;
 
-            case 'a':
             case 'link':
-            case 'xref':
-                const href = element.getAttribute('href') || element.getAttribute('url') || '#';
-                html = `<a class="xml-link" href="${this.escapeHtml(href)}" target="_blank">${this.renderChildren(element)}</a>`;
+                html = this.renderLink(element);
                 break;
 
-            case 'br':
-            case 'break':
             case 'linebreak':
                 html = '<br>';
                 break;
 
-            case 'hr':
             case 'separator':
             case 'pagebreak':
-            case 'page-break':
                 html = '<div class="xml-page-break"></div>';
                 break;
 
             case 'section':
-            case 'div':
-            case 'block':
-            case 'chapter':
                 html = `<div class="xml-section">${this.renderChildren(element)}</div>`;
                 break;
 
@@ -325,34 +1475,2269 @@ class XMLViewer {
                 break;
 
             case 'caption':
-            case 'figcaption':
                 html = `<div class="xml-image-caption">${this.renderChildren(element)}</div>`;
                 break;
 
-            case 'span':
             case 'inline':
                 html = `<span class="xml-element">${this.renderChildren(element)}</span>`;
                 break;
 
-            default:
-                // For unknown elements, render as a block with children
+            case 'block':
+                html = `<div class="xml-element-block" data-tag="${this.escapeAttribute(tagName)}">${this.renderChildren(element)}</div>`;
+                break;
+
+            case 'content':
+                // No box of its own, but still a node the other views can point at
+                html = `<span class="xml-content">${this.renderChildren(element)}</span>`;
+                break;
+
+            case 'hidden':
+                break;
+
+            case 'math':
+            case 'svg':
+                // Native MathML and SVG, with SVG images taken from the ZIP
+                html = Namespaces.foreignMarkup(element, href => this.findImagePath(href));
+                break;
+
+            case 'footnote':
+                html = this.renderFootnoteReference(element);
+                break;
+
+            case 'indexterm':
+                // Not shown in the text; the generated index links to this spot
+                html = this.renderIndexTerm(element);
+                break;
+
+            case 'index':
+                html = `<div class="xml-index">${this.renderChildren(element)}${this.renderGeneratedIndex()}</div>`;
+                break;
+
+            case 'glossary':
+                html = this.renderGlossary(element);
+                break;
+
+            case 'glossentry':
+                html = this.renderGlossaryEntry(element);
+                break;
+
+            case 'glossterm':
+                html = this.renderGlossaryTerm(element);
+                break;
+
+            case 'glossdef':
+                html = `<dd class="xml-glossdef">${this.renderChildren(element)}</dd>`;
+                break;
+
+            case 'admonition':
+                html = this.renderAdmonition(element);
+                break;
+
+            case 'sidebar':
+                html = `<aside class="xml-sidebar">${this.renderChildren(element)}</aside>`;
+                break;
+
+            case 'citation':
+                html = this.renderCitation(element);
+                break;
+
+            default:
+                // For unknown elements, render as a block with children; marked for "Highlight unmapped tags"
                 const hasBlockChildren = this.hasBlockElements(element);
                 if (hasBlockChildren || element.children.length > 0) {
-                    html = `<div class="xml-element-block" data-tag="${tagName}">${this.renderChildren(element)}</div>`;
+                    html = `<div class="xml-element-block xml-unmapped" data-tag="${this.escapeAttribute(tagName)}">${this.renderChildren(element)}</div>`;
                 } else {
                     const content = this.renderChildren(element);
                     if (content.trim()) {
-                        html = `<span class="xml-element" data-tag="${tagName}">${content}</span>`;
+                        html = `<span class="xml-element xml-unmapped" data-tag="${this.escapeAttribute(tagName)}">${content}</span>`;
                     }
                 }
         }
 
-        return html;
+        if (rule && rule.className && html) html = this.addClassToHtml(html, rule.className);
+        return html;
+    }
+
+    // Add classes to the first opening tag of rendered markup
+    addClassToHtml(html, className) {
+        const classes = this.escapeAttribute(className);
+        const withClass = /^(\s*<[a-zA-Z][a-zA-Z0-9]*\b[^>]*?\sclass=")/;
+        if (withClass.test(html)) return html.replace(withClass, start => `${start}${classes} `);
+        return html.replace(/^(\s*<[a-zA-Z][a-zA-Z0-9]*)/, start => `${start} class="${classes}"`);
+    }
+
+    // Give the rendered markup an anchor for the element's ID, its outline entry, dangling references
+    // and its source element index
+    decorateElementHtml(html, element) {
+        const attrs = [];
+        // Elements deleted since a compared ZIP come from the other document and get no anchors
+        const current = element.ownerDocument === this.xmlFiles[this.currentXmlIndex].parsed;
+        const change = this.diffChangeOf(element);
+        if (change) {
+            attrs.push(`data-diff="${change.type}"`);
+            if (change.attributes) {
+                const summary = change.attributes.map(({ name, oldValue, newValue }) => `${name}: ${oldValue ?? '∅'} → ${newValue ?? '∅'}`);
+                attrs.push(`title="${this.escapeAttribute(summary.join('; '))}"`);
+            }
+        }
+
+        if (this.idIndex && current) {
+            const id = IdIndex.idOf(element);
+            if (id) attrs.push(`id="${this.escapeAttribute(this.anchorId(id))}"`);
+
+            const references = this.idIndex.referencesByElement.get(element) || [];
+            const dangling = references.find(ref => this.idIndex.isDangling(ref));
+            if (dangling) attrs.push(`data-broken-ref="${dangling.index}"`);
+        }
+
+        const outlineEntry = this.outline && this.outline.entryByElement.get(element);
+        if (outlineEntry) attrs.push(`data-outline="${outlineEntry.key}"`);
+
+        const page = current && this.pageMap ? this.pageMap.pageByElement.get(element) : undefined;
+        if (page !== undefined) attrs.push(`data-page="${page}"`);
+
+        const openTag = /^(\s*<[a-zA-Z][a-zA-Z0-9]*)/;
+        if (openTag.test(html)) {
+            if (current) attrs.push(`data-node="${this.elementIndexOf(element)}"`);
+            return html.replace(openTag, tag => `${tag} ${attrs.join(' ')}`);
+        }
+
+        if (attrs.length === 0) return html;
+        // Diff marks must cover the content, other attributes only need an anchor
+        if (change) return `<span ${attrs.join(' ')}>${html}</span>`;
+        return `<span ${attrs.join(' ')}></span>${html}`;
+    }
+
+    anchorId(id) {
+        return `xml-id-${id}`;
+    }
+
+    renderLink(element) {
+        const content = this.renderChildren(element);
+        const fileIndex = this.idIndex ? this.idIndex.fileIndexOf(element) : -1;
+        const reference = this.idIndex ? this.idIndex.primaryReference(element, fileIndex) : null;
+
+        if (reference) {
+            const target = this.idIndex.resolve(reference.id, fileIndex);
+            const text = content.trim() ? content : this.escapeHtml(this.idIndex.generatedLinkText(element, fileIndex));
+            const className = target ? 'xml-link xml-xref' : 'xml-link xml-xref xml-xref-broken';
+            const title = target ? '' : ` title="Unresolved reference: ${this.escapeAttribute(reference.id)}"`;
+            return `<a class="${className}" href="#${this.escapeAttribute(this.anchorId(reference.id))}" data-xref="${this.escapeAttribute(reference.id)}" data-file-index="${fileIndex}"${title}>${text}</a>`;
+        }
+
+        const href = element.getAttribute('href') || Namespaces.xlinkHref(element) || element.getAttribute('url') ||
+            this.relationshipTarget(element) || '#';
+        // Listed in the safety report
+        if (!SafetyPolicy.allowsUrl(href, 'link')) {
+            return `<span class="xml-link xml-link-blocked" title="Blocked link: ${this.escapeAttribute(href)}">${content}</span>`;
+        }
+        return `<a class="xml-link" href="${this.escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${content}</a>`;
+    }
+
+    // Show the element with the given ID, switching XML files if it lives elsewhere
+    navigateToId(id, fromFileIndex) {
+        const target = this.idIndex && this.idIndex.resolve(id, fromFileIndex);
+        if (!target) return;
+
+        const occurrence = this.idIndex.targets.get(id)
+            .filter(match => match.fileIndex === target.fileIndex)
+            .indexOf(target);
+        this.revealRenderedNode(target.fileIndex, `[id="${CSS.escape(this.anchorId(id))}"]`, occurrence);
+        this.updatePermalink(id);
+    }
+
+    revealRenderedNode(fileIndex, selector, occurrence = 0) {
+        this.selectXmlFile(fileIndex);
+        this.switchView('rendered');
+        // Occurrences count in document order, so every chunk must be there
+        this.completeRendering();
+
+        const node = this.renderedView.querySelectorAll(selector)[occurrence];
+        if (!node) return;
+
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        node.classList.remove('xml-target-highlight');
+        void node.offsetWidth; // restart the highlight animation
+        node.classList.add('xml-target-highlight');
+    }
+
+    toggleOutline(show = this.outlinePanel.style.display === 'none') {
+        this.outlinePanel.style.display = show ? 'flex' : 'none';
+        this.outlineBtn.classList.toggle('active', show);
+    }
+
+    updateOutline() {
+        const multiFile = this.xmlFiles.length > 1;
+        const renderEntries = (entries) => {
+            if (entries.length === 0) return '';
+            let html = '<ul class="outline-tree">';
+            entries.forEach(entry => {
+                const hasChildren = entry.children.length > 0;
+                html += `<li class="outline-item${hasChildren ? ' has-children' : ''}">
+                    <div class="outline-row">
+                        ${hasChildren ? '<button class="outline-toggle" title="Collapse">▾</button>' : '<span class="outline-toggle-spacer"></span>'}
+                        <a class="outline-link" href="#" data-outline="${entry.key}" title="${this.escapeAttribute(entry.title)}">${this.escapeHtml(entry.title)}</a>
+                    </div>
+                    ${renderEntries(entry.children)}
+                </li>`;
+            });
+            return html + '</ul>';
+        };
+
+        let html = '';
+        if (multiFile) {
+            html += '<ul class="outline-tree outline-files">';
+            this.outline.files.forEach(file => {
+                html += `<li class="outline-item outline-file has-children">
+                    <div class="outline-row">
+                        <button class="outline-toggle" title="Collapse">▾</button>
+                        <a class="outline-link outline-file-link" href="#" data-file-index="${file.fileIndex}">${this.escapeHtml(file.name)}</a>
+                    </div>
+                    ${renderEntries(file.children)}
+                </li>`;
+            });
+            html += '</ul>';
+        } else {
+            html = renderEntries(this.outline.files[0].children);
+        }
+
+        this.outlineBody.innerHTML = html || '<p class="report-empty">No headings found.</p>';
+        this.toggleOutline(this.outline.size > 0 || multiFile);
+    }
+
+    handleOutlineClick(e) {
+        const toggle = e.target.closest('.outline-toggle');
+        if (toggle) {
+            const item = toggle.closest('.outline-item');
+            const collapsed = item.classList.toggle('collapsed');
+            toggle.textContent = collapsed ? '▸' : '▾';
+            toggle.title = collapsed ? 'Expand' : 'Collapse';
+            return;
+        }
+
+        const link = e.target.closest('.outline-link');
+        if (!link) return;
+        e.preventDefault();
+
+        if (link.dataset.outline) {
+            const entry = this.outline.entries.get(link.dataset.outline);
+            this.revealRenderedNode(entry.fileIndex, `[data-outline="${entry.key}"]`);
+        } else {
+            this.selectXmlFile(parseInt(link.dataset.fileIndex));
+            this.switchView('rendered');
+            this.previewContainer.scrollTop = 0;
+        }
+        this.updateOutlinePosition();
+    }
+
+    // Highlight the outline entry for the heading closest above the top of the viewport
+    updateOutlinePosition() {
+        if (!this.outline || this.currentView !== 'rendered') return;
+
+        const containerTop = this.previewContainer.getBoundingClientRect().top;
+        let current = null;
+        for (const node of this.renderedView.querySelectorAll('[data-outline]')) {
+            if (node.getBoundingClientRect().top - containerTop > 80) break;
+            current = node.dataset.outline;
+        }
+        if (!current) {
+            const first = this.renderedView.querySelector('[data-outline]');
+            current = first ? first.dataset.outline : null;
+        }
+
+        this.outlineBody.querySelectorAll('.outline-link.active').forEach(link => link.classList.remove('active'));
+        this.outlineBody.querySelectorAll('.outline-file-link').forEach(link => {
+            link.classList.toggle('current', parseInt(link.dataset.fileIndex) === this.currentXmlIndex);
+        });
+        if (!current) return;
+
+        const link = this.outlineBody.querySelector(`.outline-link[data-outline="${current}"]`);
+        if (!link) return;
+        link.classList.add('active');
+
+        // Keep the active entry visible without moving the document itself
+        const body = this.outlineBody;
+        const linkRect = link.getBoundingClientRect();
+        const bodyRect = body.getBoundingClientRect();
+        if (linkRect.top < bodyRect.top || linkRect.bottom > bodyRect.bottom) {
+            body.scrollTop += linkRect.top - bodyRect.top - body.clientHeight / 2;
+        }
+    }
+
+    // Right-hand panels share the same column, so opening one closes the others
+    toggleSidePanel(panel, button, show = panel.style.display === 'none') {
+        if (show) {
+            [[this.linkReport, this.linkReportBtn], [this.assetReport, this.assetReportBtn], [this.validationPanel, this.validationBtn],
+                [this.searchPanel, null], [this.diffPanel, this.diffBtn], [this.annotationPanel, this.annotationBtn],
+                [this.indexPanel, this.indexBtn], [this.statsPanel, this.statsBtn], [this.safetyPanel, this.safetyBtn]].forEach(([other, otherButton]) => {
+                if (other === panel) return;
+                other.style.display = 'none';
+                if (otherButton) otherButton.classList.remove('active');
+            });
+        }
+        panel.style.display = show ? 'flex' : 'none';
+        if (button) button.classList.toggle('active', show);
+    }
+
+    toggleLinkReport(show) {
+        this.toggleSidePanel(this.linkReport, this.linkReportBtn, show);
+    }
+
+    toggleAssetReport(show) {
+        this.toggleSidePanel(this.assetReport, this.assetReportBtn, show);
+    }
+
+    toggleValidation(show) {
+        this.toggleSidePanel(this.validationPanel, this.validationBtn, show);
+    }
+
+    toggleIndexPanel(show) {
+        this.toggleSidePanel(this.indexPanel, this.indexBtn, show);
+    }
+
+    toggleStatsPanel(show) {
+        this.toggleSidePanel(this.statsPanel, this.statsBtn, show);
+        this.renderStatistics();
+    }
+
+    // Counts depend on the files and on the profile (images, unmapped tags); they are redone when next shown
+    updateStatistics() {
+        this.statistics = null;
+        this.renderStatistics();
+    }
+
+    renderStatistics() {
+        if (this.statsPanel.style.display === 'none') return;
+        if (!this.statistics) {
+            this.statistics = new DocumentStatistics(this.xmlFiles, {
+                imageReferenceOf: element => this.imageReferenceOf(element),
+                // A stylesheet renders everything its own way
+                unmappedElements: root => this.xsltRenderer ? new Map() : this.unmappedElements(root)
+            });
+        }
+        const { files, totals } = this.statistics;
+        const current = files[this.currentXmlIndex];
+        const scope = this.statsScope.value === 'current' && current ? current : totals;
+
+        const numbers = values => values.map(value => `<td class="stats-number">${value}</td>`).join('');
+        const row = (name, stats) => `<td>${name}</td>` +
+            numbers([stats.elementCount, stats.attributeCount, stats.words, stats.images, stats.unmapped.size]);
+        let html = `<table class="stats-table">
+            <thead><tr><th>File</th><th class="stats-number">Elements</th><th class="stats-number">Attributes</th>
+                <th class="stats-number">Words</th><th class="stats-number">Images</th>
+                <th class="stats-number" title="Tags without a mapping rule">Unmapped</th></tr></thead><tbody>`;
+        files.forEach(stats => {
+            const name = this.escapeHtml(stats.name) + (stats.wellFormed ? '' : ' <span class="stats-unmapped">(not well-formed)</span>');
+            html += `<tr class="report-item" data-file-index="${stats.fileIndex}">${row(name, stats)}</tr>`;
+        });
+        html += '</tbody>';
+        if (files.length > 1) html += `<tfoot><tr>${row('All files', totals)}</tr></tfoot>`;
+        html += '</table>';
+
+        const frequency = (title, map, empty, unmapped = new Map()) => {
+            html += `<h4>${title} (${map.size})</h4>`;
+            if (map.size === 0) {
+                html += `<p class="report-empty">${empty}</p>`;
+                return;
+            }
+            html += '<table class="stats-table"><tbody>';
+            DocumentStatistics.ranked(map).forEach(([name, count]) => {
+                const note = unmapped.has(name) ? ' class="stats-unmapped" title="No mapping rule: rendered by the generic fallback"' : '';
+                html += `<tr><td${note}><code>${this.escapeHtml(name)}</code></td><td class="stats-number">${count}</td></tr>`;
+            });
+            html += '</tbody></table>';
+        };
+        frequency('Unmapped tags', scope.unmapped, this.xsltRenderer ? 'An XSL stylesheet renders these files.' : 'Every tag has a mapping rule.');
+        frequency('Elements', scope.elements, 'No elements.', scope.unmapped);
+        frequency('Attributes', scope.attributes, 'No attributes.');
+        this.statsBody.innerHTML = html;
+    }
+
+    toggleSafetyPanel(show) {
+        this.toggleSidePanel(this.safetyPanel, this.safetyBtn, show);
+    }
+
+    updateSafetySettings() {
+        this.safetySandbox.checked = this.safety.sandbox;
+        const { maxEntries, maxTotalSize, maxEntrySize, maxRatio } = this.safety.limits;
+        this.limitInputs.maxEntries.value = maxEntries;
+        this.limitInputs.maxTotalSize.value = Math.round(maxTotalSize / SafetyPolicy.MB);
+        this.limitInputs.maxEntrySize.value = Math.round(maxEntrySize / SafetyPolicy.MB);
+        this.limitInputs.maxRatio.value = maxRatio;
+    }
+
+    // Limits apply to the next archive opened; empty or invalid fields keep their value
+    saveLimits() {
+        const value = (input, scale = 1) => {
+            const number = parseInt(input.value);
+            return number > 0 ? number * scale : null;
+        };
+        const limits = this.safety.limits;
+        limits.maxEntries = value(this.limitInputs.maxEntries) || limits.maxEntries;
+        limits.maxTotalSize = value(this.limitInputs.maxTotalSize, SafetyPolicy.MB) || limits.maxTotalSize;
+        limits.maxEntrySize = value(this.limitInputs.maxEntrySize, SafetyPolicy.MB) || limits.maxEntrySize;
+        limits.maxRatio = value(this.limitInputs.maxRatio) || limits.maxRatio;
+        this.safety.save();
+        this.updateSafetySettings();
+    }
+
+    // Find every URL in the files shown that the allow-lists block, then list them with the blocked
+    // archive entries and the markup removed from XSLT output
+    updateSafetyReport() {
+        this.blockedUrls = [];
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (xmlFile.hasError) return;
+            for (const element of xmlFile.parsed.getElementsByTagName('*')) {
+                // Image elements of the mapping only ever show images from the archive
+                const svgImage = element.namespaceURI === Namespaces.SVG && element.localName === 'image';
+                if (!svgImage && this.imageReferenceOf(element) !== null) continue;
+                for (const attr of element.attributes) {
+                    // The attributes renderLink and the MathML/SVG copy take link targets from
+                    if (attr.localName !== 'href' && attr.localName !== 'url') continue;
+                    const kind = svgImage ? 'image' : 'link';
+                    if (SafetyPolicy.allowsUrl(attr.value, kind)) continue;
+                    this.blockedUrls.push({ fileIndex, element, attribute: attr.name, value: attr.value, kind });
+                }
+            }
+        });
+        this.renderSafetyReport();
+    }
+
+    renderSafetyReport() {
+        const entries = this.archive ? this.archive.blocked : [];
+        const markup = [];
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            (xmlFile.blockedMarkup || []).forEach(item => markup.push({ ...item, fileIndex }));
+        });
+        const problems = entries.length + this.blockedUrls.length + markup.length;
+        this.safetyBtn.textContent = problems > 0 ? `Safety (${problems})` : 'Safety';
+        this.safetyBtn.classList.toggle('has-issues', problems > 0);
+
+        const section = (title, items, empty, render) => `<h4>${title} (${items.length})</h4>` + (items.length === 0
+            ? `<p class="report-empty">${empty}</p>`
+            : `<ul class="report-list">${items.map(render).join('')}</ul>`);
+        const limits = this.archive ? this.archive.limits : this.safety.limits;
+
+        let html = `<p class="report-summary">Links may use ${SafetyPolicy.LINK_SCHEMES.join(', ')}; images ${SafetyPolicy.IMAGE_SCHEMES.join(', ')}. ` +
+            `Archives may hold ${limits.maxEntries} files and ${SafetyPolicy.formatSize(limits.maxTotalSize)}, ` +
+            `${SafetyPolicy.formatSize(limits.maxEntrySize)} per file, compressed at most ${limits.maxRatio}:1.</p>`;
+        html += section('Blocked URLs', this.blockedUrls, 'Every link and image URL uses an allowed scheme.', item => `
+            <li class="report-item" data-file-index="${item.fileIndex}" data-node="${this.elementIndexOf(item.element)}">
+                <code>${this.escapeHtml(item.value)}</code> <span class="asset-strategy">${item.kind}</span>
+                <span class="report-location">${this.escapeHtml(item.attribute)} of &lt;${this.escapeHtml(item.element.tagName)}&gt; in ${this.escapeHtml(this.xmlFiles[item.fileIndex].name)}</span>
+            </li>`);
+        html += section('Removed from XSLT output', markup, 'Nothing was removed from rendered stylesheet output.', item => `
+            <li><code>${this.escapeHtml(item.markup)}</code>
+                <span class="report-location">${this.escapeHtml(item.reason)} in ${this.escapeHtml(this.xmlFiles[item.fileIndex].name)}</span></li>`);
+        html += section('Blocked archive entries', entries, 'No file in the archive is over a limit.', item => `
+            <li><code>${this.escapeHtml(item.path)}</code> <span class="report-location">${this.escapeHtml(item.reason)}</span></li>`);
+        this.safetyBody.innerHTML = html;
+    }
+
+    // Collect footnotes, index terms and glossary entries with the current profile's roles
+    updateBackMatter() {
+        this.backMatter = new BackMatter(this.xmlFiles, element => this.mapping.roleOf(element));
+        const { indexTerms, glossary, undefinedTerms } = this.backMatter;
+
+        this.indexBtn.textContent = undefinedTerms.length > 0 ? `Index (${undefinedTerms.length})` : 'Index';
+        this.indexBtn.classList.toggle('has-issues', undefinedTerms.length > 0);
+
+        let html = `<p class="report-summary">${indexTerms.length} index terms, ${glossary.length} glossary entries</p>`;
+        html += '<h4>Index</h4>' + this.renderGeneratedIndex();
+        html += '<h4>Glossary</h4>' + this.renderGeneratedGlossary();
+        html += `<h4>Terms without a glossary entry (${undefinedTerms.length})</h4>`;
+        if (undefinedTerms.length === 0) {
+            html += '<p class="report-empty">Every glossary term has an entry.</p>';
+        } else {
+            html += '<ul class="report-list">';
+            undefinedTerms.forEach(({ fileIndex, element, term }) => {
+                html += `<li class="report-item" data-file-index="${fileIndex}" data-node="${this.elementIndexOf(element)}">
+                    <code>${this.escapeHtml(term)}</code>
+                    <span class="report-location">&lt;${this.escapeHtml(element.tagName)}&gt; in ${this.escapeHtml(this.xmlFiles[fileIndex].name)}</span>
+                </li>`;
+            });
+            html += '</ul>';
+        }
+        this.indexBody.innerHTML = html;
+    }
+
+    async addSchemaFiles(files) {
+        for (const file of files) {
+            this.schemaFiles.set(file.name, await file.text());
+        }
+        this.validator = new XmlValidator(this.schemaFiles);
+        this.xmlFiles.forEach(xmlFile => { delete xmlFile.validation; });
+
+        const added = files.find(file => ['dtd', 'xsd', 'rng'].includes(XmlValidator.extensionOf(file.name)));
+        if (added) this.schemaChoice = added.name;
+        this.updateSchemaSelector();
+        this.updateValidation();
+    }
+
+    updateSchemaSelector() {
+        const options = [
+            ['auto', 'Auto-detect'],
+            ['none', 'None (well-formedness only)'],
+            ...this.validator.selectableSchemas().map(path => [path, path])
+        ];
+        this.schemaSelector.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.schemaSelector.appendChild(option);
+        });
+        if (!options.some(([value]) => value === this.schemaChoice)) this.schemaChoice = 'auto';
+        this.schemaSelector.value = this.schemaChoice;
+    }
+
+    updateValidation() {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!xmlFile || !this.validator) return;
+
+        if (!xmlFile.validation || xmlFile.validation.choice !== this.schemaChoice) {
+            let result;
+            try {
+                result = this.validator.validate(xmlFile, this.schemaChoice, this.scannerFor(xmlFile));
+            } catch (err) {
+                console.error('Validation failed:', err);
+                result = { errors: [{ source: 'validator', severity: 'warning', message: `Validation failed: ${err.message}` }], schema: null };
+            }
+            xmlFile.validation = { choice: this.schemaChoice, result };
+        }
+
+        const { errors, schema } = xmlFile.validation.result;
+        const errorCount = errors.filter(error => error.severity === 'error').length;
+        this.validationBtn.textContent = errorCount > 0 ? `Validation (${errorCount})` : 'Validation';
+        this.validationBtn.classList.toggle('has-issues', errorCount > 0);
+
+        let html = schema
+            ? `<p class="report-summary">Schema: ${this.escapeHtml(schema)}${this.schemaChoice === 'auto' ? ' (auto-detected)' : ''}</p>`
+            : '<p class="report-summary">No schema selected; checking well-formedness only.</p>';
+
+        if (errors.length === 0) {
+            html += `<p class="validation-ok">${schema ? 'Document is valid.' : 'Document is well-formed.'}</p>`;
+        } else {
+            html += `<p class="report-summary">${errorCount} error${errorCount === 1 ? '' : 's'}, ${errors.length - errorCount} warning${errors.length - errorCount === 1 ? '' : 's'}</p>`;
+            html += '<ul class="report-list">';
+            errors.forEach(error => {
+                const location = error.line ? `${error.line}:${error.column}` : '—';
+                const clickable = error.offset !== undefined ? ` report-item" data-offset="${error.offset}` : '';
+                html += `<li class="validation-${error.severity}${clickable}">
+                    <span class="validation-location">${location}</span>
+                    <span class="validation-message">${this.escapeHtml(error.message)}</span>
+                    <span class="validation-source">${this.escapeHtml(error.source)}</span>
+                </li>`;
+            });
+            html += '</ul>';
+        }
+
+        this.validationResults.innerHTML = html;
+    }
+
+    updateLinkReport() {
+        const dangling = this.idIndex.danglingReferences();
+        const duplicates = this.idIndex.duplicateIds();
+        const includes = this.book ? this.book.problems : [];
+        const problems = dangling.length + duplicates.length + includes.length;
+
+        this.linkReportBtn.textContent = problems > 0 ? `Link Report (${problems})` : 'Link Report';
+        this.linkReportBtn.classList.toggle('has-issues', problems > 0);
+
+        let html = `<p class="report-summary">${this.idIndex.targets.size} IDs, ${this.idIndex.references.length} references</p>`;
+
+        html += `<h4>Dangling references (${dangling.length})</h4>`;
+        if (dangling.length === 0) {
+            html += '<p class="report-empty">All references resolve.</p>';
+        } else {
+            html += '<ul class="report-list">';
+            dangling.forEach(ref => {
+                const fileName = this.xmlFiles[ref.fileIndex].name;
+                html += `<li class="report-item" data-file-index="${ref.fileIndex}" data-ref-index="${ref.index}">
+                    <code>${this.escapeHtml(ref.attribute)}="${this.escapeHtml(ref.id)}"</code>
+                    <span class="report-location">&lt;${this.escapeHtml(ref.element.tagName)}&gt; in ${this.escapeHtml(fileName)}</span>
+                </li>`;
+            });
+            html += '</ul>';
+        }
+
+        html += `<h4>Duplicate IDs (${duplicates.length})</h4>`;
+        if (duplicates.length === 0) {
+            html += '<p class="report-empty">All IDs are unique.</p>';
+        } else {
+            html += '<ul class="report-list">';
+            duplicates.forEach(({ id, matches }) => {
+                html += `<li><code>${this.escapeHtml(id)}</code><ul class="report-sublist">`;
+                const perFile = new Map();
+                matches.forEach(match => {
+                    const occurrence = perFile.get(match.fileIndex) || 0;
+                    perFile.set(match.fileIndex, occurrence + 1);
+                    html += `<li class="report-item" data-file-index="${match.fileIndex}" data-id="${this.escapeAttribute(id)}" data-occurrence="${occurrence}">
+                        <span class="report-location">&lt;${this.escapeHtml(match.element.tagName)}&gt; in ${this.escapeHtml(this.xmlFiles[match.fileIndex].name)}</span>
+                    </li>`;
+                });
+                html += '</ul></li>';
+            });
+            html += '</ul>';
+        }
+
+        if (this.book && (this.book.books.length > 0 || includes.length > 0)) {
+            html += `<h4>Include problems (${includes.length})</h4>`;
+            if (includes.length === 0) {
+                html += '<p class="report-empty">All includes resolve.</p>';
+            } else {
+                html += '<ul class="report-list">';
+                includes.forEach(problem => {
+                    // The marker left in the book shows where the include is
+                    const fileIndex = this.fileIndexOf(problem.from);
+                    const reveal = fileIndex !== -1 && this.xmlFiles[fileIndex].book
+                        ? ` data-file-index="${fileIndex}" data-include="${this.escapeAttribute(problem.href)}"` : '';
+                    html += `<li class="report-item"${reveal}>
+                        ${this.escapeHtml(problem.message)}
+                        <span class="report-location">in ${this.escapeHtml(problem.from)}</span>
+                    </li>`;
+                });
+                html += '</ul>';
+            }
+        }
+
+        this.linkReportBody.innerHTML = html;
+    }
+
+    updateAssetReport() {
+        const assets = this.assets.collect(this.xmlFiles, element => this.imageReferenceOf(element));
+        const unresolved = assets.unresolved;
+        const ambiguous = assets.ambiguous;
+        const fuzzy = assets.fuzzy;
+        const unreferenced = assets.unreferenced;
+        const problems = unresolved.length + ambiguous.length + fuzzy.length + unreferenced.length;
+
+        this.assetReportBtn.textContent = problems > 0 ? `Assets (${problems})` : 'Assets';
+        this.assetReportBtn.classList.toggle('has-issues', problems > 0);
+
+        const referenceItem = (ref) => {
+            const { path, strategy, candidates } = ref.match;
+            // SVG images have no rendered node of their own; point at their <svg>
+            let target = ref.element;
+            while (target.parentNode && target.parentNode.namespaceURI === Namespaces.SVG) target = target.parentNode;
+            let detail = path
+                ? `→ ${this.escapeHtml(path)} <span class="asset-strategy asset-strategy-${strategy}">${AssetIndex.STRATEGIES[strategy]}</span>`
+                : '<span class="asset-strategy asset-strategy-none">not found</span>';
+            if (candidates.length > 1) {
+                detail += `<span class="asset-candidates">Also matches: ${candidates.slice(1).map(candidate => this.escapeHtml(candidate)).join(', ')}</span>`;
+            }
+            return `<li class="report-item" data-file-index="${ref.fileIndex}" data-node="${this.elementIndexOf(target)}">
+                ${ref.src ? `<code>${this.escapeHtml(ref.src)}</code>` : '<em>no image source</em>'} ${detail}
+                <span class="report-location">&lt;${this.escapeHtml(ref.element.tagName)}&gt; in ${this.escapeHtml(this.xmlFiles[ref.fileIndex].name)}</span>
+            </li>`;
+        };
+        const section = (title, refs, empty) => `<h4>${title} (${refs.length})</h4>` + (refs.length === 0
+            ? `<p class="report-empty">${empty}</p>`
+            : `<ul class="report-list">${refs.map(referenceItem).join('')}</ul>`);
+
+        let html = `<p class="report-summary">${assets.references.length} image references, ${assets.paths.length} images in the ZIP</p>`;
+        html += section('Unresolved references', unresolved, 'Every reference finds an image.');
+        html += section('Ambiguous matches', ambiguous, 'No reference matches more than one image.');
+        if (!assets.strict) html += section('Fuzzy matches', fuzzy, 'No reference needed a fuzzy match.');
+
+        html += `<h4>Unreferenced images (${unreferenced.length})</h4>`;
+        html += unreferenced.length === 0
+            ? '<p class="report-empty">Every image is referenced.</p>'
+            : `<ul class="report-list">${unreferenced.map(path => `<li><code>${this.escapeHtml(path)}</code></li>`).join('')}</ul>`;
+
+        html += `<details class="asset-all"><summary>All references (${assets.references.length})</summary>
+            <ul class="report-list">${assets.references.map(referenceItem).join('')}</ul></details>`;
+        this.assetReportBody.innerHTML = html;
+    }
+
+    revealReportItem(data) {
+        const fileIndex = parseInt(data.fileIndex);
+        if (data.refIndex !== undefined) {
+            this.revealRenderedNode(fileIndex, `[data-broken-ref="${data.refIndex}"]`);
+        } else if (data.id !== undefined) {
+            this.revealRenderedNode(fileIndex, `[id="${CSS.escape(this.anchorId(data.id))}"]`, parseInt(data.occurrence));
+        } else if (data.include !== undefined) {
+            this.revealRenderedNode(fileIndex, `[data-include="${CSS.escape(data.include)}"]`);
+        }
+    }
+
+    toggleEditMode(on = !this.editMode) {
+        if (on && this.bookMode) return;
+        if (!on) this.commitSourceEditor();
+        this.editMode = on;
+        this.renderedView.classList.toggle('editing', on);
+        this.updateEditControls();
+        this.updateSourceEditor();
+        this.setEditStatus(on ? 'Double-click text in the rendered view to edit it, or edit the source in the raw view' : '');
+    }
+
+    setEditStatus(message) {
+        this.editStatus.textContent = message;
+    }
+
+    hasEdits() {
+        return this.sourceXmlFiles.some(xmlFile => xmlFile.originalContent !== undefined && xmlFile.content !== xmlFile.originalContent);
+    }
+
+    updateEditControls() {
+        this.editBtn.classList.toggle('active', this.editMode);
+        // Undo steps are kept per file, so editing is done file by file
+        this.editBtn.disabled = this.bookMode;
+        this.editBtn.title = this.bookMode ? 'Switch off Book view to edit the files' : 'Edit text in the rendered view and the source in the raw view';
+        this.undoBtn.disabled = !this.history.canUndo || this.bookMode;
+        this.redoBtn.disabled = !this.history.canRedo || this.bookMode;
+        this.downloadZipBtn.style.display = this.hasEdits() ? '' : 'none';
+    }
+
+    // Replace the source of a file as one undoable step
+    applyXmlEdit(fileIndex, content, label) {
+        const xmlFile = this.xmlFiles[fileIndex];
+        if (content === xmlFile.content) return;
+        this.history.record({ fileIndex, before: xmlFile.content, after: content, label });
+        this.setXmlContent(fileIndex, content);
+        this.setEditStatus(label);
+    }
+
+    undoEdit() {
+        if (this.bookMode) return;
+        const step = this.history.undo();
+        if (!step) return;
+        this.sourceEditorDirty = false;
+        this.setXmlContent(step.fileIndex, step.before);
+        this.setEditStatus(`Undone: ${step.label}`);
+    }
+
+    redoEdit() {
+        if (this.bookMode) return;
+        const step = this.history.redo();
+        if (!step) return;
+        this.sourceEditorDirty = false;
+        this.setXmlContent(step.fileIndex, step.after);
+        this.setEditStatus(`Redone: ${step.label}`);
+    }
+
+    // Parse new source for a file and rebuild everything derived from it; edit is false when the
+    // file was only read again (in another encoding), which leaves nothing to save
+    setXmlContent(fileIndex, content, edit = true) {
+        const xmlFile = this.xmlFiles[fileIndex];
+        if (edit && xmlFile.originalContent === undefined) xmlFile.originalContent = xmlFile.content;
+        this.elementIndexes.delete(xmlFile.parsed);
+        const relationships = this.relationships.get(xmlFile.parsed);
+        this.relationships.delete(xmlFile.parsed);
+        xmlFile.content = content;
+        xmlFile.parsed = new DOMParser().parseFromString(content, 'text/xml');
+        if (relationships) this.relationships.set(xmlFile.parsed, relationships);
+        xmlFile.hasError = !!xmlFile.parsed.querySelector('parsererror');
+        delete xmlFile.scanner;
+        delete xmlFile.validation;
+        if (this.sourceSelection && this.sourceSelection.fileIndex === fileIndex) this.sourceSelection = null;
+        if (this.annotationTarget && this.annotationTarget.fileIndex === fileIndex) this.annotationTarget = null;
+
+        // Includes may have changed
+        this.book = new BookAssembly(this.sourceXmlFiles);
+        this.updateBookToggle();
+        this.idIndex = new IdIndex(this.xmlFiles);
+        this.updateLinkReport();
+        this.outline = new DocumentOutline(this.xmlFiles);
+        this.updateOutline();
+        this.updateAssetReport();
+        this.updateSafetyReport();
+        this.updateStatistics();
+        this.updateBackMatter();
+        this.updateXmlSelector();
+        this.refreshComparison(xmlFile);
+        this.updateTranslations();
+        this.refreshSearch();
+        this.updateAnnotationList();
+        this.updateEditControls();
+
+        // Show the file that changed, as it is now
+        if (fileIndex !== this.currentXmlIndex) {
+            this.selectXmlFile(fileIndex);
+        } else {
+            this.xmlSelector.value = fileIndex;
+            this.renderCurrentXML();
+        }
+    }
+
+    refreshComparison(xmlFile) {
+        if (!this.comparison) return;
+        const pair = this.comparison.pairs.find(candidate => candidate.newFile === xmlFile);
+        if (!pair || !pair.oldFile) return;
+        pair.diff = !pair.oldFile.hasError && !xmlFile.hasError
+            ? new XmlDiff(pair.oldFile.parsed.documentElement, xmlFile.parsed.documentElement)
+            : null;
+        this.updateDiffPanel();
+    }
+
+    // Search results point at elements by index, which edits may shift
+    refreshSearch() {
+        if (!this.search) return;
+        const { query, mode, caseSensitive } = this.search;
+        this.search.outcome = new DocumentSearch(this.xmlFiles, element => this.elementIndexOf(element)).run(query, mode, caseSensitive);
+        this.search.current = -1;
+        this.renderSearchResults();
+        this.updateSearchCount();
+    }
+
+    // In edit mode the raw view is replaced by a text editor with live well-formedness checks
+    updateSourceEditor() {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        const editing = this.editMode && this.currentView === 'raw' && !!xmlFile;
+        this.sourceEditor.style.display = editing ? 'flex' : 'none';
+        if (this.currentView === 'raw') this.rawView.style.display = editing ? 'none' : 'block';
+        if (!editing || this.sourceEditorDirty) return;
+        this.sourceText.value = xmlFile.content;
+        this.checkSourceEditor();
+    }
+
+    checkSourceEditor() {
+        clearTimeout(this.checkTimer);
+        const content = this.sourceText.value;
+        const parsed = new DOMParser().parseFromString(content, 'text/xml');
+        const { errors } = this.validator.validate({ content, parsed, hasError: !!parsed.querySelector('parsererror') }, 'none');
+
+        this.sourceCheck.textContent = errors.length === 0 ? 'Well-formed' : `${errors.length} error${errors.length === 1 ? '' : 's'}`;
+        this.sourceCheck.classList.toggle('has-issues', errors.length > 0);
+        this.sourceErrors.innerHTML = errors.map(error => {
+            const clickable = error.offset !== undefined ? ` class="report-item" data-offset="${error.offset}"` : '';
+            return `<li${clickable}><span class="validation-location">${error.line ? `${error.line}:${error.column}` : '—'}</span> ${this.escapeHtml(error.message)}</li>`;
+        }).join('');
+        this.sourceApply.disabled = !this.sourceEditorDirty;
+        this.sourceRevert.disabled = !this.sourceEditorDirty;
+    }
+
+    selectSourceOffset(offset) {
+        const text = this.sourceText;
+        text.focus();
+        text.setSelectionRange(offset, offset);
+        const line = text.value.slice(0, offset).split('\n').length;
+        const lineHeight = parseFloat(getComputedStyle(text).lineHeight) || 18;
+        text.scrollTop = Math.max(0, (line - 5) * lineHeight);
+    }
+
+    // Apply what the source editor holds; an undo step like any other edit
+    commitSourceEditor() {
+        if (!this.sourceEditorDirty) return;
+        this.sourceEditorDirty = false;
+        this.applyXmlEdit(this.currentXmlIndex, this.sourceText.value, `Edited the source of ${this.xmlFiles[this.currentXmlIndex].name}`);
+    }
+
+    // Edit the text of an element that contains only text, in place in the rendered view
+    startTextEdit(target) {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        const node = target.closest('[data-node]');
+        if (!node || !this.renderedView.contains(node) || node.isContentEditable) return;
+        const elementIndex = parseInt(node.dataset.node);
+        const element = xmlFile.parsed.getElementsByTagName('*')[elementIndex];
+        const textOnly = element.childNodes.length > 0 &&
+            Array.from(element.childNodes).every(child => child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE);
+        if (!textOnly || node.textContent !== element.textContent) {
+            this.setEditStatus(`<${element.tagName}> contains markup or generated text; edit it in the raw view`);
+            return;
+        }
+
+        const original = node.textContent;
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            node.removeAttribute('contenteditable');
+            node.removeEventListener('keydown', onKey);
+            node.removeEventListener('blur', onBlur);
+            const text = node.textContent;
+            if (commit && text !== original) {
+                this.editElementText(elementIndex, text);
+            } else {
+                node.textContent = original;
+            }
+        };
+        const onKey = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        };
+        const onBlur = () => finish(true);
+        node.addEventListener('keydown', onKey);
+        node.addEventListener('blur', onBlur);
+        // Plain text only; rich text pasted in would not map back to the XML
+        node.setAttribute('contenteditable', 'plaintext-only');
+        if (!node.isContentEditable) node.setAttribute('contenteditable', 'true');
+        node.focus();
+        this.setEditStatus('Enter to apply, Escape to cancel');
+    }
+
+    // Write new text into an element of the current file: into xmlFile.parsed, and into the source between its tags
+    editElementText(elementIndex, text) {
+        const fileIndex = this.currentXmlIndex;
+        const xmlFile = this.xmlFiles[fileIndex];
+        const element = xmlFile.parsed.getElementsByTagName('*')[elementIndex];
+        const record = this.scannerFor(xmlFile).elements[elementIndex];
+        // Nothing to edit without a start tag of the element in the source
+        if (!element || !record) return;
+        const closeStart = xmlFile.content.lastIndexOf('</', record.end - 1);
+        if (closeStart < record.openEnd) return;
+
+        const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const content = xmlFile.content.slice(0, record.openEnd) + escaped + xmlFile.content.slice(closeStart);
+        if (xmlFile.originalContent === undefined) xmlFile.originalContent = xmlFile.content;
+        this.history.record({ fileIndex, before: xmlFile.content, after: content, label: `Edited <${element.tagName}>` });
+
+        // The element keeps its identity, so selections, comments and indexes stay valid
+        element.textContent = text;
+        xmlFile.content = content;
+        delete xmlFile.scanner;
+        delete xmlFile.validation;
+
+        this.updateBackMatter();
+        const node = this.renderedView.querySelector(`[data-node="${elementIndex}"]`);
+        if (node) node.outerHTML = this.renderElement(element);
+        this.outline = new DocumentOutline(this.xmlFiles);
+        this.updateOutline();
+        this.refreshComparison(xmlFile);
+        this.refreshSearch();
+        this.applySearchHighlights();
+        this.applyAnnotationMarks();
+        this.rawViewStale = true;
+        this.treeViewStale = true;
+        this.updateStatistics();
+        this.updateValidation();
+        this.updateXmlSelector();
+        this.updateEditControls();
+        this.setEditStatus(`Edited <${element.tagName}>`);
+    }
+
+    // The ZIP as delivered, with the edited XML files replaced; every other entry is copied byte for byte
+    async downloadZip() {
+        this.commitSourceEditor();
+        await this.withBusyButton(this.downloadZipBtn, 'Building ZIP…', async () => {
+            // Edited files are written in the encoding they were read in
+            const edited = new Map(this.sourceXmlFiles.filter(xmlFile => xmlFile.originalContent !== undefined)
+                .map(xmlFile => [xmlFile.path, TextEncoding.encode(xmlFile.content, xmlFile.encoding)]));
+            // Entries the safety limits kept out are copied as they are
+            this.downloadBlob(await this.archive.rewrite(edited), `${this.baseName()}-corrected.zip`);
+        });
+    }
+
+    // Run a long action from a button, which shows busyLabel meanwhile; failures are shown next to the edit controls
+    async withBusyButton(button, busyLabel, task) {
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = busyLabel;
+        try {
+            await task();
+        } catch (err) {
+            console.error(`${label} failed:`, err);
+            this.setEditStatus(`${label} failed: ${err.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Name of the open ZIP without its extension, for downloads
+    baseName() {
+        return (this.zipName || 'document.zip').split('/').pop().replace(/\.(zip|epub|docx|docm|dotx|odt|ott|tar|tgz|tar\.gz|xml)$/i, '');
+    }
+
+    // Complete HTML of a file from renderElement: no chunks (nothing is queued outside a render pass) and no diff marks
+    renderForExport(fileIndex) {
+        return this.renderAs(fileIndex, () => this.renderElement(this.xmlFiles[fileIndex].parsed.documentElement) + this.renderFootnotes());
+    }
+
+    // Render as the file at fileIndex would be shown (image paths, footnote numbers), without comparison marks
+    renderAs(fileIndex, render) {
+        const current = this.currentXmlIndex;
+        const comparison = this.comparison;
+        this.currentXmlIndex = fileIndex;
+        this.comparison = null;
+        try {
+            return render();
+        } finally {
+            this.currentXmlIndex = current;
+            this.comparison = comparison;
+        }
+    }
+
+    // The viewer's stylesheet as text; its rules cannot be read on file:// pages in some browsers
+    async documentCss() {
+        const sheet = Array.from(document.styleSheets).find(candidate => candidate.href && /styles\.css$/.test(candidate.href));
+        try {
+            return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        } catch (err) {
+            try {
+                const response = await fetch('styles.css');
+                return response.ok ? await response.text() : '';
+            } catch (fetchError) {
+                return '';
+            }
+        }
+    }
+
+    documentLanguage() {
+        const root = this.xmlFiles.find(xmlFile => !xmlFile.hasError);
+        const element = root && root.parsed.documentElement;
+        return (element && (Namespaces.attribute(element, Namespaces.XML, 'lang') || element.getAttribute('lang'))) || 'en';
+    }
+
+    // The current file as one HTML page with the stylesheet and images inlined
+    async exportHtml() {
+        const fileIndex = this.currentXmlIndex;
+        const xmlFile = this.xmlFiles[fileIndex];
+        if (!xmlFile || xmlFile.hasError) {
+            this.setEditStatus('Only well-formed files can be exported');
+            return;
+        }
+        this.commitSourceEditor();
+        await this.withBusyButton(this.exportHtmlBtn, 'Exporting…', async () => {
+            const container = await this.standaloneDocument(fileIndex);
+            const page = DocumentExport.standalonePage(xmlFile.name, container.innerHTML, await this.documentCss());
+            this.downloadBlob(new Blob([page], { type: 'text/html' }), `${xmlFile.name.replace(/\.xml$/i, '')}.html`);
+        });
+    }
+
+    // Rendered file in a detached container with links within the file and images inlined as data URIs
+    async standaloneDocument(fileIndex) {
+        const container = DocumentExport.prepare(this.renderForExport(fileIndex), {
+            headingIds: new Map(),
+            // Targets in other files are not part of the page
+            hrefForXref: (id, fromFileIndex) => {
+                const target = this.idIndex.resolve(id, fromFileIndex);
+                return target && target.fileIndex === fileIndex ? `#${this.anchorId(id)}` : null;
+            },
+            hrefForAnchor: (elementId, targetFileIndex) => targetFileIndex === fileIndex ? `#${elementId}` : null
+        });
+        await this.inlineImages(container);
+        return container;
+    }
+
+    async inlineImages(container) {
+        await DocumentExport.replaceImages(container, async (path) => {
+            const image = await this.exportImage(path);
+            return image ? `data:${image.mediaType};base64,${DocumentExport.base64(image.bytes)}` : null;
+        });
+    }
+
+    // The current file as a self-contained page in the sandboxed iframe, where the CSP allows
+    // no scripts and no requests. Stylesheet output is built in an inert document, which loads nothing.
+    async renderSandboxed(xmlFile) {
+        const token = ++this.sandboxToken;
+        let container;
+        if (this.xsltRenderer) {
+            container = this.renderXslt(xmlFile, document.implementation.createHTMLDocument(''));
+            await this.inlineImages(container);
+        } else {
+            container = await this.standaloneDocument(this.currentXmlIndex);
+        }
+        const css = await this.documentCss();
+        // A newer render (or another file) took over while the images were read
+        if (token !== this.sandboxToken) return;
+        const head = `<meta http-equiv="Content-Security-Policy" content="${SafetyPolicy.SANDBOX_CSP}">`;
+        this.sandboxView.srcdoc = DocumentExport.standalonePage(xmlFile.name, container.innerHTML, css, head);
+    }
+
+    // An EPUB3 package: a content document per XML file, navigation from the outline, the images the documents show
+    async exportEpub() {
+        const files = this.xmlFiles
+            .map((xmlFile, fileIndex) => ({ xmlFile, fileIndex, href: `text/doc${String(fileIndex + 1).padStart(3, '0')}.xhtml` }))
+            .filter(({ xmlFile }) => !xmlFile.hasError);
+        if (files.length === 0) {
+            this.setEditStatus('Only well-formed files can be exported');
+            return;
+        }
+        this.commitSourceEditor();
+
+        await this.withBusyButton(this.exportEpubBtn, 'Exporting…', async () => {
+            const title = this.baseName();
+            const lang = this.documentLanguage();
+            const hrefs = new Map(files.map(({ fileIndex, href }) => [fileIndex, href]));
+            const headingIds = new Map(); // outline entry key -> heading ID
+            const images = new Map(); // ZIP path -> package path
+            const skipped = new Set();
+            const items = [];
+            const spine = [];
+
+            const zip = new JSZip();
+            // The media type must come first and uncompressed
+            zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+            zip.file('META-INF/container.xml', DocumentExport.containerXml());
+
+            for (const { xmlFile, fileIndex, href } of files) {
+                const pageOf = targetFileIndex => targetFileIndex === fileIndex ? '' : hrefs.get(targetFileIndex).split('/').pop();
+                const container = DocumentExport.prepare(this.renderForExport(fileIndex), {
+                    headingIds,
+                    hrefForXref: (id, fromFileIndex) => {
+                        const target = this.idIndex.resolve(id, fromFileIndex);
+                        return target && hrefs.has(target.fileIndex) ? `${pageOf(target.fileIndex)}#${this.anchorId(id)}` : null;
+                    },
+                    hrefForAnchor: (elementId, targetFileIndex) => hrefs.has(targetFileIndex) ? `${pageOf(targetFileIndex)}#${elementId}` : null
+                });
+                await DocumentExport.replaceImages(container, async (path) => {
+                    if (skipped.has(path)) return null;
+                    if (!images.has(path)) {
+                        const image = await this.exportImage(path);
+                        if (!image || !DocumentExport.EPUB_IMAGE_TYPES.includes(image.mediaType)) {
+                            skipped.add(path);
+                            return null;
+                        }
+                        // Decoded TIFF and BMP images go in as PNG
+                        const packagePath = image.mediaType === DocumentExport.mediaType(path) ? `images/${path}` : `images/${path}.png`;
+                        images.set(path, packagePath);
+                        zip.file(`OEBPS/${packagePath}`, image.bytes);
+                    }
+                    return '../' + DocumentExport.href(images.get(path));
+                });
+
+                const fileEntries = this.outline.files[fileIndex].children;
+                const docTitle = fileEntries.length > 0 ? fileEntries[0].title : xmlFile.name;
+                zip.file(`OEBPS/${href}`, DocumentExport.contentDocument(docTitle, DocumentExport.xhtml(container), lang));
+                // Reading systems need to know which documents hold MathML or SVG
+                const properties = [container.querySelector('math') && 'mathml', container.querySelector('svg') && 'svg'].filter(Boolean).join(' ');
+                items.push({ id: `doc${fileIndex + 1}`, href, mediaType: 'application/xhtml+xml', properties });
+                spine.push(`doc${fileIndex + 1}`);
+            }
+
+            const navEntry = (entry, href) => ({
+                title: entry.title,
+                href: headingIds.has(entry.key) ? `${href}#${headingIds.get(entry.key)}` : href,
+                children: entry.children.map(child => navEntry(child, href))
+            });
+            const nav = files.flatMap(({ xmlFile, fileIndex, href }) => {
+                const entries = this.outline.files[fileIndex].children;
+                return entries.length > 0 ? entries.map(entry => navEntry(entry, href)) : [{ title: xmlFile.name, href, children: [] }];
+            });
+            zip.file('OEBPS/nav.xhtml', DocumentExport.navDocument(title, nav, lang));
+            zip.file('OEBPS/styles/book.css', await this.documentCss());
+
+            items.push({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+            items.push({ id: 'css', href: 'styles/book.css', mediaType: 'text/css' });
+            [...images.values()].forEach((packagePath, index) => {
+                items.push({ id: `img${index + 1}`, href: DocumentExport.href(packagePath), mediaType: DocumentExport.mediaType(packagePath) });
+            });
+            zip.file('OEBPS/content.opf', DocumentExport.packageDocument({ identifier: `urn:uuid:${DocumentExport.uuid()}`, title, lang, items, spine }));
+
+            this.downloadBlob(await zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' }), `${title}.epub`);
+            this.setEditStatus(skipped.size > 0
+                ? `EPUB exported; ${skipped.size} image${skipped.size === 1 ? '' : 's'} left out (missing, or not an EPUB image format): ${[...skipped].join(', ')}`
+                : 'EPUB exported');
+        });
+    }
+
+    toggleAnnotationPanel(show) {
+        this.toggleSidePanel(this.annotationPanel, this.annotationBtn, show);
+    }
+
+    async loadAnnotations(zipName) {
+        this.annotations = this.libraryZip
+            ? new Annotations(this.libraryZip, { url: `${XMLViewer.API_ROOT}/zips/${encodeURIComponent(this.libraryZip)}/annotations` })
+            : new Annotations(zipName, { storageKey: Annotations.STORAGE_PREFIX + zipName });
+        try {
+            await this.annotations.load();
+            this.setAnnotationStatus(this.annotations.storedOnServer ? 'Comments are saved on the server' : 'Comments are saved in this browser');
+        } catch (err) {
+            this.setAnnotationStatus(`Failed to load comments: ${err.message}`, true);
+        }
+        this.updateAnnotations();
+    }
+
+    setAnnotationStatus(message, isError = false) {
+        this.annotationStatus.textContent = message;
+        this.annotationStatus.classList.toggle('annotation-status-error', isError);
+    }
+
+    async saveAnnotations() {
+        try {
+            await this.annotations.save();
+            this.setAnnotationStatus(this.annotations.storedOnServer ? 'Saved on the server' : 'Saved in this browser');
+        } catch (err) {
+            this.setAnnotationStatus(`Failed to save comments: ${err.message}`, true);
+        }
+        // The server's answer includes the other reviewers' comments
+        if (this.annotations.storedOnServer) this.updateAnnotations();
+    }
+
+    // Remember what a mouseup in the rendered view selected: the selected text, or else the clicked element
+    captureAnnotationTarget(clicked) {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!xmlFile || this.xsltRenderer || xmlFile.book) return;
+        const selection = window.getSelection();
+        const range = selection && selection.rangeCount > 0 && !selection.isCollapsed ? selection.getRangeAt(0) : null;
+
+        let start = range ? range.commonAncestorContainer : clicked;
+        if (start.nodeType !== Node.ELEMENT_NODE) start = start.parentNode;
+        if (!this.renderedView.contains(start)) return;
+        const node = start.closest('[data-node]');
+        if (!node) return;
+        const elementIndex = parseInt(node.dataset.node);
+        const element = xmlFile.parsed.getElementsByTagName('*')[elementIndex];
+
+        let quote = range ? range.toString().trim() : '';
+        let offset = -1;
+        if (quote) {
+            // Rendered text includes generated labels, so the offset is only a hint for which occurrence of the quote was meant
+            const before = document.createRange();
+            before.setStart(node, 0);
+            before.setEnd(range.startContainer, range.startOffset);
+            offset = Annotations.locate(element.textContent, quote, before.toString().length);
+            // Text that is not in the source (generated text) leaves a comment on the element
+            if (offset === -1) quote = '';
+        }
+        this.annotationTarget = { fileIndex: this.currentXmlIndex, elementIndex, offset, quote };
+        if (this.annotationForm.style.display !== 'none') this.showAnnotationTarget();
+    }
+
+    openAnnotationForm() {
+        // Comments are anchored in the files themselves
+        if (this.xmlFiles[this.currentXmlIndex].book) {
+            this.setAnnotationStatus('Switch off Book view to comment on the files of a book', true);
+            return;
+        }
+        // Without a selection in the rendered view, the element selected in the raw view
+        if (!this.annotationTarget && this.sourceSelection) {
+            this.annotationTarget = { fileIndex: this.sourceSelection.fileIndex, elementIndex: this.sourceSelection.elementIndex, offset: -1, quote: '' };
+        }
+        if (!this.annotationTarget) {
+            this.setAnnotationStatus('Select text or click an element in the rendered view first', true);
+            return;
+        }
+        this.annotationAuthor.value = localStorage.getItem(XMLViewer.REVIEWER_STORAGE_KEY) || '';
+        this.annotationForm.style.display = 'flex';
+        this.showAnnotationTarget();
+        this.annotationComment.focus();
+    }
+
+    showAnnotationTarget() {
+        const { fileIndex, elementIndex, quote } = this.annotationTarget;
+        const element = this.xmlFiles[fileIndex].parsed.getElementsByTagName('*')[elementIndex];
+        this.annotationQuote.innerHTML = quote
+            ? `“${this.escapeHtml(quote.length > 200 ? quote.slice(0, 200) + '…' : quote)}”`
+            : `<code>&lt;${this.escapeHtml(element.tagName)}&gt;</code>`;
+    }
+
+    closeAnnotationForm() {
+        this.annotationForm.style.display = 'none';
+        this.annotationComment.value = '';
+    }
+
+    async addAnnotation() {
+        const comment = this.annotationComment.value.trim();
+        if (!comment || !this.annotationTarget || !this.annotations) return;
+        const { fileIndex, elementIndex, offset, quote } = this.annotationTarget;
+        const xmlFile = this.xmlFiles[fileIndex];
+        const author = this.annotationAuthor.value.trim();
+        localStorage.setItem(XMLViewer.REVIEWER_STORAGE_KEY, author);
+
+        this.annotations.add({
+            file: xmlFile.path,
+            element: xmlFile.parsed.getElementsByTagName('*')[elementIndex],
+            offset,
+            quote,
+            comment,
+            severity: this.annotationSeverity.value,
+            author
+        });
+        this.annotationTarget = null;
+        window.getSelection().removeAllRanges();
+        this.closeAnnotationForm();
+        this.updateAnnotations();
+        await this.saveAnnotations();
+    }
+
+    handleAnnotationClick(e) {
+        const item = e.target.closest('[data-annotation]');
+        if (!item) return;
+        const id = item.dataset.annotation;
+        const action = e.target.closest('[data-action]');
+        if (!action) {
+            this.revealAnnotation(id);
+            return;
+        }
+
+        if (action.dataset.action === 'status') {
+            const annotation = this.annotations.items.find(candidate => candidate.id === id);
+            this.annotations.update(id, { status: annotation.status === 'open' ? 'resolved' : 'open' });
+        } else if (action.dataset.action === 'delete') {
+            if (!confirm('Delete this comment?')) return;
+            this.annotations.remove(id);
+        }
+        this.updateAnnotations();
+        this.saveAnnotations();
+    }
+
+    updateAnnotations() {
+        const open = this.annotations ? this.annotations.items.filter(item => item.status === 'open').length : 0;
+        this.annotationBtn.textContent = open > 0 ? `Comments (${open})` : 'Comments';
+        this.updateAnnotationList();
+        this.clearAnnotationMarks();
+        this.applyAnnotationMarks();
+    }
+
+    updateAnnotationList() {
+        if (!this.annotations) return;
+        const filter = this.annotationFilter.value;
+        const items = this.annotations.items.filter(item => filter === 'all' || item.status === filter);
+        if (items.length === 0) {
+            this.annotationList.innerHTML = `<p class="report-empty">${this.annotations.items.length === 0 ? 'No comments yet.' : 'No comments match the filter.'}</p>`;
+            return;
+        }
+
+        // Grouped by file in the order of the ZIP's files; files no longer in the ZIP come last
+        const order = file => {
+            const index = this.sourceXmlFiles.findIndex(xmlFile => xmlFile.path === file);
+            return index === -1 ? this.sourceXmlFiles.length : index;
+        };
+        const files = [...new Set(items.map(item => item.file))].sort((a, b) => order(a) - order(b));
+        const states = { moved: 'text moved', detached: 'text changed', orphaned: 'element not found' };
+
+        this.annotationList.innerHTML = files.map(file => {
+            const list = items.filter(item => item.file === file).map(item => {
+                const anchor = this.annotations.anchor(item, this.sourceXmlFiles);
+                const target = item.quote
+                    ? `<blockquote class="annotation-quote">“${this.escapeHtml(item.quote.length > 120 ? item.quote.slice(0, 120) + '…' : item.quote)}”</blockquote>`
+                    : `<code>${this.escapeHtml(anchor.element ? `<${anchor.element.tagName}>` : item.xpath)}</code>`;
+                const meta = [item.author, new Date(item.updated).toLocaleString()].filter(Boolean).map(text => this.escapeHtml(text)).join(' · ');
+                return `<li class="report-item annotation-item${item.status === 'resolved' ? ' annotation-resolved' : ''}" data-annotation="${this.escapeAttribute(item.id)}">
+                    <span class="annotation-severity annotation-severity-${this.escapeAttribute(item.severity)}">${this.escapeHtml(item.severity)}</span>
+                    ${states[anchor.state] ? `<span class="annotation-state">${states[anchor.state]}</span>` : ''}
+                    ${target}
+                    <p class="annotation-comment">${this.escapeHtml(item.comment)}</p>
+                    <span class="report-location">${meta}</span>
+                    <span class="annotation-actions">
+                        <button class="btn btn-secondary" data-action="status">${item.status === 'open' ? 'Resolve' : 'Reopen'}</button>
+                        <button class="btn btn-secondary" data-action="delete">Delete</button>
+                    </span>
+                </li>`;
+            }).join('');
+            const name = order(file) < this.sourceXmlFiles.length ? file : `${file} (not in this ZIP)`;
+            return `<h4>${this.escapeHtml(name)}</h4><ul class="report-list">${list}</ul>`;
+        }).join('');
+    }
+
+    clearAnnotationMarks() {
+        this.renderedView.querySelectorAll('.annotation-mark').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+        this.renderedView.querySelectorAll('.annotation-element').forEach(node => node.classList.remove('annotation-element'));
+    }
+
+    // Highlight the commented text (or element) of the current file; annotations already marked are skipped
+    applyAnnotationMarks() {
+        if (!this.annotations || this.xsltRenderer || this.xmlFiles[this.currentXmlIndex].book) return;
+        this.annotations.items.forEach(item => {
+            if (item.status !== 'open' || item.file !== this.xmlFiles[this.currentXmlIndex].path) return;
+            if (this.renderedView.querySelector(`[data-annotation="${CSS.escape(item.id)}"]`)) return;
+            const anchor = this.annotations.anchor(item, this.xmlFiles);
+            if (!anchor.element) return;
+            const elementIndex = this.elementIndexOf(anchor.element);
+            // Not rendered yet: marked when the remaining chunks are done
+            if (this.pendingChunks && !this.renderedView.querySelector(`[data-node="${elementIndex}"]`)) return;
+            const node = this.renderedNodeFor(elementIndex, false);
+            if (!node) return;
+
+            const start = anchor.offset === -1 ? -1 : Annotations.locate(node.textContent, item.quote, anchor.offset);
+            if (start === -1) {
+                node.classList.add('annotation-element');
+                return;
+            }
+            this.markText(node, start, start + item.quote.length, mark => {
+                mark.className = `annotation-mark annotation-severity-${item.severity}`;
+                mark.dataset.annotation = item.id;
+                mark.title = item.comment;
+            });
+        });
+    }
+
+    // Wrap the characters start..end of a node's text in marks, one per text node they span
+    markText(root, start, end, decorate) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const spans = [];
+        let position = 0;
+        for (let node = walker.nextNode(); node && position < end; node = walker.nextNode()) {
+            const length = node.nodeValue.length;
+            const from = Math.max(start - position, 0);
+            const to = Math.min(end - position, length);
+            // Marks are HTML and cannot go inside MathML or SVG
+            if (from < to && node.parentNode.namespaceURI === Namespaces.XHTML) spans.push({ node, from, to });
+            position += length;
+        }
+        spans.forEach(({ node, from, to }) => {
+            const text = from > 0 ? node.splitText(from) : node;
+            if (to - from < text.nodeValue.length) text.splitText(to - from);
+            const mark = document.createElement('mark');
+            decorate(mark);
+            text.replaceWith(mark);
+            mark.appendChild(text);
+        });
+    }
+
+    revealAnnotation(id) {
+        const item = this.annotations.items.find(candidate => candidate.id === id);
+        const anchor = this.annotations.anchor(item, this.sourceXmlFiles);
+        if (!anchor.element) return;
+        // A comment on a file of a book is shown in the file
+        const xmlFile = this.sourceXmlFiles[anchor.fileIndex];
+        if (!this.xmlFiles.includes(xmlFile)) this.setBookMode(false);
+        this.selectXmlFile(this.xmlFiles.indexOf(xmlFile));
+        this.switchView('rendered');
+        this.completeRendering();
+
+        const node = this.renderedView.querySelector(`[data-annotation="${CSS.escape(id)}"]`) ||
+            this.renderedNodeFor(this.elementIndexOf(anchor.element));
+        if (!node) return;
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        node.classList.remove('xml-target-highlight');
+        void node.offsetWidth; // restart the highlight animation
+        node.classList.add('xml-target-highlight');
+    }
+
+    showAnnotationItem(id) {
+        this.annotationFilter.value = 'all';
+        this.updateAnnotationList();
+        const item = this.annotationList.querySelector(`[data-annotation="${CSS.escape(id)}"]`);
+        if (!item) return;
+        item.scrollIntoView({ block: 'nearest' });
+        item.classList.remove('xml-target-highlight');
+        void item.offsetWidth;
+        item.classList.add('xml-target-highlight');
+    }
+
+    // CSV or JSON of all comments, for the conversion vendor
+    exportAnnotations(format) {
+        if (!this.annotations) return;
+        const base = this.annotations.zipName.split('/').pop().replace(/\.zip$/i, '');
+        const [text, type] = format === 'csv'
+            ? [this.annotations.toCsv(), 'text/csv']
+            : [JSON.stringify(this.annotations.toJSON(), null, 2), 'application/json'];
+        this.downloadBlob(new Blob([text], { type }), `${base}-comments.${format}`);
+    }
+
+    toggleSearchPanel(show) {
+        this.toggleSidePanel(this.searchPanel, null, show);
+    }
+
+    isCurrentSearch() {
+        return this.search !== null &&
+            this.search.query === this.searchInput.value &&
+            this.search.mode === this.searchMode.value &&
+            this.search.caseSensitive === this.searchCase.checked;
+    }
+
+    runSearch() {
+        clearTimeout(this.searchTimer);
+        const query = this.searchInput.value;
+        const mode = this.searchMode.value;
+        const caseSensitive = this.searchCase.checked;
+
+        this.search = null;
+        if (!query) {
+            this.searchCount.textContent = '';
+            this.searchResults.innerHTML = '';
+            this.applySearchHighlights();
+            this.toggleSearchPanel(false);
+            return;
+        }
+
+        try {
+            const pattern = mode === 'xpath' ? null : DocumentSearch.buildPattern(query, mode, caseSensitive);
+            const outcome = new DocumentSearch(this.xmlFiles, element => this.elementIndexOf(element)).run(query, mode, caseSensitive);
+            this.search = { query, mode, caseSensitive, pattern, outcome, current: -1 };
+        } catch (err) {
+            this.searchCount.textContent = 'Invalid';
+            this.searchResults.innerHTML = `<p class="search-error">${this.escapeHtml(err.message)}</p>`;
+            this.applySearchHighlights();
+            this.toggleSearchPanel(true);
+            return;
+        }
+
+        this.renderSearchResults();
+        this.applySearchHighlights();
+        this.toggleSearchPanel(true);
+        if (this.search.outcome.results.length > 0) {
+            this.showSearchResult(0);
+        } else {
+            this.updateSearchCount();
+        }
+    }
+
+    renderSearchResults() {
+        const { outcome, mode } = this.search;
+        let html = '';
+
+        if (outcome.values.length > 0) {
+            html += '<ul class="report-list">';
+            outcome.values.forEach(({ fileIndex, value }) => {
+                html += `<li><span class="report-location">${this.escapeHtml(this.xmlFiles[fileIndex].name)}</span> <code>${this.escapeHtml(value)}</code></li>`;
+            });
+            html += '</ul>';
+        } else if (outcome.results.length === 0) {
+            html += '<p class="report-empty">No matches.</p>';
+            const namespaced = this.xmlFiles.some(xmlFile => xmlFile.parsed && !xmlFile.hasError && xmlFile.parsed.documentElement.namespaceURI);
+            if (mode === 'xpath' && namespaced) {
+                html += '<p class="report-empty">These documents use a default namespace; match elements with <code>*[local-name()=\'para\']</code>.</p>';
+            }
+        }
+
+        let index = 0;
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            const start = index;
+            while (index < outcome.results.length && outcome.results[index].fileIndex === fileIndex) index++;
+            if (index === start) return;
+
+            html += `<h4>${this.escapeHtml(xmlFile.name)} (${index - start})</h4><ul class="report-list">`;
+            for (let resultIndex = start; resultIndex < index; resultIndex++) {
+                const { snippet, tagName } = outcome.results[resultIndex];
+                html += `<li class="report-item search-result" data-result="${resultIndex}">
+                    <span class="search-snippet">${this.escapeHtml(snippet.before)}<mark>${this.escapeHtml(snippet.match)}</mark>${this.escapeHtml(snippet.after)}</span>
+                    <span class="report-location">&lt;${this.escapeHtml(tagName)}&gt;</span>
+                </li>`;
+            }
+            html += '</ul>';
+        });
+
+        if (outcome.truncated) {
+            html += `<p class="report-summary">Showing the first ${outcome.results.length} of ${outcome.total} matches.</p>`;
+        }
+        this.searchResults.innerHTML = html;
+    }
+
+    updateSearchCount() {
+        if (!this.search) {
+            this.searchCount.textContent = '';
+            return;
+        }
+        const { outcome, current } = this.search;
+        this.searchCount.textContent = outcome.results.length === 0 ? 'No results' : `${current + 1} / ${outcome.total}`;
+    }
+
+    stepSearchResult(direction) {
+        if (!this.search || this.search.outcome.results.length === 0) return;
+        const count = this.search.outcome.results.length;
+        this.showSearchResult((this.search.current + direction + count) % count);
+    }
+
+    // Mark every hit of the active search in the current file's rendered and raw views
+    applySearchHighlights() {
+        this.renderedView.querySelectorAll('mark.search-hit').forEach(mark => {
+            const parent = mark.parentNode;
+            // Comment marks may have been added inside
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+        this.renderedView.querySelectorAll('.search-hit-element').forEach(node => node.classList.remove('search-hit-element'));
+        this.refreshRawLines();
+
+        if (!this.search) return;
+
+        if (this.search.pattern) {
+            this.highlightSearchIn(this.renderedView);
+        } else {
+            this.currentSearchResults().forEach(result => {
+                const node = this.renderedNodeFor(result.elementIndex, false);
+                if (node) node.classList.add('search-hit-element');
+            });
+        }
+    }
+
+    highlightSearchIn(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            // Marks are HTML and cannot go inside MathML or SVG
+            if (node.parentNode.namespaceURI === Namespaces.XHTML) textNodes.push(node);
+        }
+
+        textNodes.forEach(node => {
+            const html = this.highlightText(node.nodeValue, this.search.pattern);
+            if (html === null) return;
+            const holder = document.createElement('span');
+            holder.innerHTML = html;
+            node.replaceWith(...holder.childNodes);
+        });
+    }
+
+    currentSearchResults() {
+        return this.search.outcome.results.filter(result => result.fileIndex === this.currentXmlIndex);
+    }
+
+    // Escaped text with every match wrapped in a mark, or null when nothing matches
+    highlightText(text, pattern) {
+        pattern.lastIndex = 0;
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            html += this.escapeHtml(text.slice(last, match.index)) + `<mark class="search-hit">${this.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return last === 0 ? null : html + this.escapeHtml(text.slice(last));
+    }
+
+    // Rendered node for a source element; elements without markup of their own fall back to their nearest rendered ancestor
+    // While a large document is still rendering, complete (the default) renders the rest first if needed
+    renderedNodeFor(elementIndex, complete = true) {
+        const own = this.renderedView.querySelector(`[data-node="${elementIndex}"]`);
+        if (own) return own;
+        if (complete && this.pendingChunks) {
+            this.completeRendering();
+            return this.renderedNodeFor(elementIndex, false);
+        }
+
+        let element = this.xmlFiles[this.currentXmlIndex].parsed.getElementsByTagName('*')[elementIndex];
+        while (element && element.nodeType === 1) {
+            const node = this.renderedView.querySelector(`[data-node="${this.elementIndexOf(element)}"]`);
+            if (node) return node;
+            element = element.parentNode;
+        }
+        return null;
+    }
+
+    showSearchResult(index) {
+        const result = this.search.outcome.results[index];
+        if (!result) return;
+        this.search.current = index;
+        this.selectXmlFile(result.fileIndex);
+
+        document.querySelectorAll('.search-hit-current').forEach(node => node.classList.remove('search-hit-current'));
+        this.searchResults.querySelectorAll('.search-result.active').forEach(node => node.classList.remove('active'));
+        const item = this.searchResults.querySelector(`[data-result="${index}"]`);
+        if (item) {
+            item.classList.add('active');
+            item.scrollIntoView({ block: 'nearest' });
+        }
+
+        let target;
+        if (this.currentView === 'raw') {
+            target = this.rawHitFor(result);
+        } else {
+            const node = this.renderedNodeFor(result.elementIndex);
+            target = node;
+            if (node && this.search.pattern) {
+                // Count only the marks that belong to this element, not to nested rendered elements
+                const own = Array.from(node.querySelectorAll('mark.search-hit'))
+                    .filter(mark => mark.parentNode.closest('[data-node]') === node);
+                target = own[result.ordinal] || own[0] || node;
+            }
+        }
+
+        if (target) {
+            if (this.currentView === 'raw') this.unfoldRawLine(target);
+            target.classList.add('search-hit-current');
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        this.updateSearchCount();
+    }
+
+    // Raw view node for a result: the nth mark from the element's start tag on, or the start tag's line
+    rawHitFor(result) {
+        if (!this.rawLines) return null;
+        const offset = this.elementSourceOffset(this.xmlFiles[result.fileIndex], result.elementIndex);
+        if (offset === null) return null;
+
+        const lineIndex = this.rawLineIndexAt(offset);
+        const lineNodes = this.rawLineNodes;
+        if (this.search.pattern) {
+            let skip = result.ordinal;
+            for (let i = lineIndex; i < lineNodes.length; i++) {
+                for (const mark of lineNodes[i].querySelectorAll('mark.search-hit')) {
+                    if (skip-- === 0) return mark;
+                }
+            }
+        }
+        return lineNodes[lineIndex] || null;
+    }
+
+    // Re-render raw lines whose search marks are stale
+    refreshRawLines() {
+        if (!this.rawLines) return;
+        const pattern = this.search && this.search.pattern;
+
+        this.rawLineNodes.forEach((node, index) => {
+            let matches = false;
+            if (pattern) {
+                pattern.lastIndex = 0;
+                matches = pattern.test(this.rawLines[index].segments.map(segment => segment.text).join(''));
+            }
+            if (matches || node.querySelector('mark.search-hit')) {
+                node.classList.remove('raw-line-highlight');
+                node.querySelector('.raw-code').innerHTML = this.rawLineHtml(index);
+            }
+        });
+
+        this.rawView.querySelectorAll('.search-hit-line').forEach(node => node.classList.remove('search-hit-line'));
+        if (this.search && !pattern) {
+            this.currentSearchResults().forEach(result => {
+                const node = this.rawHitFor(result);
+                if (node) node.classList.add('search-hit-line');
+            });
+        }
+    }
+
+    toggleDiffPanel(show) {
+        this.toggleSidePanel(this.diffPanel, this.diffBtn, show);
+        if (this.diffPanel.style.display !== 'none') this.updateDiffPanel();
+    }
+
+    // Diff of the current file against its counterpart in the compared ZIP, while highlighting is on
+    currentDiff() {
+        if (!this.comparison || !this.comparison.highlight) return null;
+        const pair = this.comparison.pairs[this.currentXmlIndex];
+        return pair && pair.diff ? pair.diff : null;
+    }
+
+    diffChangeOf(element) {
+        const diff = this.currentDiff();
+        if (!diff) return null;
+        return diff.changes.get(element) || diff.oldChanges.get(element) || null;
+    }
+
+    async loadComparison(file) {
+        this.toggleDiffPanel(true);
+        this.diffResults.innerHTML = '<p class="report-summary">Comparing…</p>';
+
+        let comparison;
+        let archive = null;
+        try {
+            const opened = await DocumentContainer.open([file], this.safety.limits);
+            if (!opened) throw new Error('it is not an archive or XML file');
+            archive = opened.archive;
+            const { xmlFiles, imageFiles } = await this.readArchive(archive, undefined, opened.kind);
+            comparison = { name: file.name, oldXmlFiles: xmlFiles, ...this.matchComparison(xmlFiles), highlight: true, ...await this.compareImages(imageFiles) };
+        } catch (err) {
+            console.error('Error comparing ZIP:', err);
+            this.diffResults.innerHTML = `<p class="search-error">Failed to compare with ${this.escapeHtml(file.name)}: ${this.escapeHtml(err.message)}</p>`;
+            return;
+        } finally {
+            if (archive) archive.close();
+        }
+
+        this.closeComparison();
+        this.comparison = comparison;
+        this.diffHighlight.checked = true;
+        this.renderCurrentXML();
+        this.updateDiffPanel();
+    }
+
+    // Pair the files shown with those of the compared ZIP (books with books in book view) and diff each pair
+    matchComparison(oldXmlFiles) {
+        const { pairs, removed } = XmlDiff.matchFiles(this.bookMode ? new BookAssembly(oldXmlFiles).files : oldXmlFiles, this.xmlFiles);
+        pairs.forEach(pair => {
+            if (pair.oldFile && !pair.oldFile.hasError && !pair.newFile.hasError) {
+                pair.diff = new XmlDiff(pair.oldFile.parsed.documentElement, pair.newFile.parsed.documentElement);
+            }
+        });
+        return { pairs, removed };
+    }
+
+    // Images are compared by content hash; the old blobs of changed and removed images get URLs for previews
+    async compareImages(oldImageFiles) {
+        const oldHashes = new Map();
+        const oldEntries = new Map();
+        for (const { path, entry } of oldImageFiles) {
+            oldHashes.set(path, await XmlDiff.hashBytes(await entry.async('uint8array')));
+            oldEntries.set(path, entry);
+        }
+
+        const newHashes = new Map();
+        for (const [path, entry] of this.imageEntries) {
+            newHashes.set(path, await XmlDiff.hashBytes(await entry.async('uint8array')));
+        }
+
+        const images = XmlDiff.compareAssets(oldHashes, newHashes);
+        const oldImageUrls = new Map();
+        for (const path of [...images.changed.map(change => change.oldPath), ...images.removed]) {
+            oldImageUrls.set(path, URL.createObjectURL(await oldEntries.get(path).async('blob')));
+        }
+        return { images, oldImageUrls };
+    }
+
+    closeComparison() {
+        if (!this.comparison) return;
+        for (const url of this.comparison.oldImageUrls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.comparison = null;
+    }
+
+    updateDiffPanel() {
+        const comparison = this.comparison;
+        const changed = comparison ? comparison.pairs.filter(pair => !pair.oldFile || (pair.diff && pair.diff.size > 0)).length : 0;
+        this.diffBtn.textContent = comparison ? `Compare (${changed + comparison.removed.length})` : 'Compare';
+        this.diffClearBtn.disabled = !comparison;
+        this.diffHighlight.disabled = !comparison;
+
+        if (!comparison) {
+            this.diffResults.innerHTML = '<p class="report-empty">Load an earlier ZIP of this deliverable to see what changed.</p>';
+            return;
+        }
+
+        let html = `<p class="report-summary">Compared with ${this.escapeHtml(comparison.name)}</p>`;
+
+        html += '<h4>XML files</h4><ul class="report-list">';
+        comparison.pairs.forEach(pair => {
+            let status;
+            if (!pair.oldFile) status = 'added';
+            else if (!pair.diff) status = 'not compared (parse error)';
+            else if (pair.diff.size === 0) status = 'unchanged';
+            else {
+                const { inserted, deleted, text, attributes } = pair.diff.stats;
+                status = `${inserted} inserted, ${deleted} deleted, ${text} text, ${attributes} attribute changes`;
+            }
+            const active = pair.newIndex === this.currentXmlIndex ? ' active' : '';
+            html += `<li class="report-item diff-file${active}" data-file="${pair.newIndex}">
+                ${this.escapeHtml(pair.newFile.name)}
+                <span class="report-location">${status}</span>
+            </li>`;
+        });
+        comparison.removed.forEach(oldFile => {
+            html += `<li class="diff-file">${this.escapeHtml(oldFile.name)} <span class="report-location">removed</span></li>`;
+        });
+        html += '</ul>';
+
+        const diff = comparison.pairs[this.currentXmlIndex] && comparison.pairs[this.currentXmlIndex].diff;
+        if (diff && diff.size > 0) {
+            html += `<h4>Changes in ${this.escapeHtml(this.xmlFiles[this.currentXmlIndex].name)} (${diff.size})</h4><ul class="report-list">`;
+            diff.entries.forEach((entry, index) => {
+                html += `<li class="report-item diff-entry diff-entry-${entry.type}" data-entry="${index}">${this.diffEntryLabel(entry)}</li>`;
+            });
+            html += '</ul>';
+            if (diff.entries.length < diff.size) {
+                html += `<p class="report-summary">Showing the first ${diff.entries.length} changes.</p>`;
+            }
+        }
+
+        const { added, removed, changed: changedImages, unchanged } = comparison.images;
+        html += `<h4>Images</h4><p class="report-summary">${unchanged} unchanged, ${changedImages.length} changed, ${added.length} added, ${removed.length} removed</p>`;
+        if (changedImages.length + added.length + removed.length > 0) {
+            html += '<ul class="report-list">';
+            changedImages.forEach(({ path, oldPath }) => {
+                html += `<li class="diff-image">
+                    <span>${this.escapeHtml(path)} <span class="report-location">changed</span></span>
+                    <span class="diff-image-pair">
+                        <img src="${comparison.oldImageUrls.get(oldPath)}" alt="Before">
+                        <img data-image="${this.escapeAttribute(path)}" alt="After">
+                    </span>
+                </li>`;
+            });
+            added.forEach(path => {
+                html += `<li class="diff-image"><span>${this.escapeHtml(path)} <span class="report-location">added</span></span>
+                    <span class="diff-image-pair"><img data-image="${this.escapeAttribute(path)}" alt="Added"></span></li>`;
+            });
+            removed.forEach(path => {
+                html += `<li class="diff-image"><span>${this.escapeHtml(path)} <span class="report-location">removed</span></span>
+                    <span class="diff-image-pair"><img src="${comparison.oldImageUrls.get(path)}" alt="Removed"></span></li>`;
+            });
+            html += '</ul>';
+        }
+
+        this.diffResults.innerHTML = html;
+        this.observeImages(this.diffResults);
+    }
+
+    diffEntryLabel(entry) {
+        const node = entry.newNode || entry.oldNode;
+        const snippet = text => {
+            const normalized = XmlDiff.normalize(text || '');
+            return this.escapeHtml(normalized.length > 60 ? normalized.slice(0, 60) + '…' : normalized);
+        };
+        const labels = { inserted: 'Inserted', deleted: 'Deleted', text: 'Text', attributes: 'Attributes' };
+        let detail;
+
+        if (entry.type === 'text') {
+            detail = `<del>${snippet(entry.oldNode.nodeValue)}</del> <ins>${snippet(entry.newNode.nodeValue)}</ins>`;
+        } else if (entry.type === 'attributes') {
+            detail = entry.attributes.map(({ name, oldValue, newValue }) =>
+                `<code>${this.escapeHtml(name)}</code> ${this.escapeHtml(oldValue ?? '∅')} → ${this.escapeHtml(newValue ?? '∅')}`
+            ).join(', ');
+        } else {
+            detail = snippet(node.textContent);
+        }
+
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.nodeName : node.parentNode.nodeName;
+        return `<span class="diff-type">${labels[entry.type]}</span> <code>&lt;${this.escapeHtml(tag)}&gt;</code> ${detail}`;
+    }
+
+    handleDiffClick(e) {
+        const fileItem = e.target.closest('[data-file]');
+        if (fileItem) {
+            this.selectXmlFile(parseInt(fileItem.dataset.file));
+            this.updateDiffPanel();
+            return;
+        }
+
+        const entryItem = e.target.closest('[data-entry]');
+        if (!entryItem) return;
+        const entry = this.currentDiff() && this.currentDiff().entries[parseInt(entryItem.dataset.entry)];
+        if (!entry) return;
+
+        // Show the change at the closest element of the current document that is rendered
+        let element = entry.type === 'deleted' ? entry.parent : entry.newNode;
+        if (element && element.nodeType !== Node.ELEMENT_NODE) element = element.parentNode;
+        const node = element && this.renderedNodeFor(this.elementIndexOf(element));
+        if (node) this.revealRenderedNode(this.currentXmlIndex, `[data-node="${node.dataset.node}"]`);
+    }
+
+    updatePdfSelector() {
+        this.pdfSelector.innerHTML = '';
+        this.pdfFiles.forEach((pdfFile, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = pdfFile.name;
+            this.pdfSelector.appendChild(option);
+        });
+        this.pdfSelector.style.display = this.pdfFiles.length > 1 ? '' : 'none';
+        this.pdfBtn.style.display = this.pdfFiles.length > 0 ? '' : 'none';
+    }
+
+    togglePdfPane(show = this.pdfPane.style.display === 'none') {
+        this.pdfPane.style.display = show ? 'flex' : 'none';
+        this.pdfBtn.classList.toggle('active', show);
+        if (show && this.xmlFiles[this.currentXmlIndex]) this.showPdfFor(this.xmlFiles[this.currentXmlIndex]);
+    }
+
+    // The PDF named like the XML file, else the only one; with several and no match keep the current choice
+    pdfIndexFor(xmlFile) {
+        const baseName = name => name.replace(/\.[^.]+$/, '').toLowerCase();
+        const match = this.pdfFiles.findIndex(pdfFile => baseName(pdfFile.name) === baseName(xmlFile.name));
+        if (match !== -1) return match;
+        return this.pdfIndex !== -1 ? this.pdfIndex : 0;
+    }
+
+    showPdfFor(xmlFile) {
+        if (this.pdfFiles.length === 0) return;
+        const index = this.pdfIndexFor(xmlFile);
+        if (index !== this.pdfIndex) {
+            this.loadPdf(index);
+        } else {
+            this.syncPdfToRendered();
+        }
+    }
+
+    async loadPdf(index) {
+        this.pdfIndex = index;
+        this.pdfSelector.value = index;
+        if (!PdfPane.available()) {
+            this.pdfStatus.textContent = 'PDF renderer not available (run npm install)';
+            return;
+        }
+
+        const pdfFile = this.pdfFiles[index];
+        this.pdfStatus.textContent = 'Loading…';
+        try {
+            await this.pdfViewer.load(await pdfFile.entry.async('uint8array'));
+        } catch (err) {
+            console.error(`Error loading ${pdfFile.name}:`, err);
+            if (this.pdfIndex === index) this.pdfStatus.textContent = `Failed to load PDF: ${err.message}`;
+            return;
+        }
+        if (this.pdfIndex !== index) return;
+
+        const markers = this.pageMap ? this.pageMap.size : 0;
+        this.pdfStatus.textContent = `${this.pdfViewer.pageCount} pages` + (markers === 0 ? ', no page markers in this XML' : '');
+        this.syncPdfToRendered();
     }
 
-    renderImage(element) {
-        // Try various attribute names for image source
-        const srcAttrs = ['src', 'href', 'url', 'source', 'file', 'path', 'xlink:href'];
+    pdfSyncActive() {
+        return this.pdfPane.style.display !== 'none' && this.pdfSync.checked && this.currentView === 'rendered' &&
+            this.pdfViewer.pageCount > 0 && this.pageMap && this.pageMap.size > 0;
+    }
+
+    pdfPageOffset() {
+        return parseInt(this.pdfOffset.value) || 0;
+    }
+
+    // Page of the content at the top of the rendered view, from the last page marker above it
+    renderedPageAt() {
+        const top = this.previewContainer.getBoundingClientRect().top + 40;
+        let page = null;
+        for (const node of this.renderedView.querySelectorAll('[data-page]')) {
+            if (node.getBoundingClientRect().top > top) break;
+            page = parseInt(node.dataset.page);
+        }
+        return page ?? Math.max(this.pageMap.markers[0].page - 1, 1);
+    }
+
+    syncPdfToRendered() {
+        if (this.ignoreRenderedScroll) {
+            this.ignoreRenderedScroll = false;
+            return;
+        }
+        if (!this.pdfSyncActive()) return;
+        this.pdfViewer.scrollToPage(this.renderedPageAt() + this.pdfPageOffset());
+    }
+
+    // Scroll the rendered view to where a PDF page starts; pages without a marker leave it where it is
+    syncRenderedToPdf(pdfPage) {
+        if (!this.pdfSyncActive()) return;
+        const page = pdfPage - this.pdfPageOffset();
+        const containerTop = this.previewContainer.getBoundingClientRect().top;
+        let delta;
+        if (page < this.pageMap.markers[0].page) {
+            delta = -this.previewContainer.scrollTop;
+        } else {
+            let node = this.renderedView.querySelector(`[data-page="${page}"]`);
+            if (!node && this.pendingChunks) {
+                this.completeRendering();
+                node = this.renderedView.querySelector(`[data-page="${page}"]`);
+            }
+            if (!node) return;
+            delta = node.getBoundingClientRect().top - containerTop;
+        }
+
+        const before = this.previewContainer.scrollTop;
+        this.previewContainer.scrollTop += delta;
+        this.ignoreRenderedScroll = this.previewContainer.scrollTop !== before;
+    }
+
+    // JSON files in the ZIP count as mapping profiles when they have a "tags" object or are named like one
+    async loadProfiles(profileFiles, stylesheetFiles) {
+        this.profiles = [{ key: 'default', name: 'Default', source: 'preset', kind: 'mapping', profile: null }];
+        TagMapping.PRESETS.forEach(preset => {
+            this.profiles.push({ key: `preset:${preset.id}`, name: preset.name, source: 'preset', kind: 'mapping', profile: preset });
+        });
+
+        for (const { path, entry } of profileFiles) {
+            const text = await entry.async('text');
+            const fileName = path.split('/').pop();
+            const profileEntry = { key: `zip:${path}`, name: fileName, source: 'zip', kind: 'mapping', path };
+            try {
+                profileEntry.profile = TagMapping.parse(text, fileName);
+                profileEntry.name = profileEntry.profile.name;
+            } catch (err) {
+                if (!/profile|mapping/i.test(fileName) && !/"tags"\s*:/.test(text)) continue;
+                profileEntry.error = err.message;
+            }
+            this.profiles.push(profileEntry);
+        }
+
+        for (const { path, entry } of stylesheetFiles) {
+            this.stylesheets.set(path, TextEncoding.decode(await entry.async('uint8array')).text);
+            this.profiles.push({ key: `xslt:${path}`, name: path.split('/').pop(), source: 'zip', kind: 'xslt', path });
+        }
+
+        this.savedPresets().forEach(preset => this.addSavedProfile(preset));
+
+        // A profile shipped in the ZIP wins, then the stylesheet the first document names itself
+        // and last the preset of the container's format (XHTML for EPUB, WordprocessingML, ODF)
+        const shipped = this.profiles.find(entry => entry.source === 'zip' && entry.kind === 'mapping' && !entry.error);
+        const href = this.xmlFiles[0] && XsltRenderer.stylesheetHref(this.xmlFiles[0].parsed);
+        const linked = href && XsltRenderer.resolvePath(href, this.xmlFiles[0].path, stylesheetFiles.map(file => file.path));
+        const preset = this.container && this.container.profile ? `preset:${this.container.profile}` : 'default';
+        this.selectProfile(shipped ? shipped.key : linked ? `xslt:${linked}` : preset, false);
+    }
+
+    savedPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(XMLViewer.PRESET_STORAGE_KEY)) || [];
+        } catch (err) {
+            console.warn('Ignoring unreadable saved presets:', err);
+            return [];
+        }
+    }
+
+    writeSavedPresets(presets) {
+        try {
+            localStorage.setItem(XMLViewer.PRESET_STORAGE_KEY, JSON.stringify(presets));
+        } catch (err) {
+            this.profileError.textContent = `Could not save presets: ${err.message}`;
+        }
+    }
+
+    addSavedProfile(preset) {
+        const key = `saved:${preset.name}`;
+        this.profiles = this.profiles.filter(entry => entry.key !== key);
+        if (preset.kind === 'xslt') {
+            this.stylesheets.set(key, preset.stylesheet);
+            this.profiles.push({ key, name: preset.name, source: 'saved', kind: 'xslt', path: key });
+        } else {
+            this.profiles.push({ key, name: preset.name, source: 'saved', kind: 'mapping', profile: preset.profile });
+        }
+        return key;
+    }
+
+    updateProfileSelector() {
+        const groups = [['preset', 'Built-in'], ['zip', 'From ZIP'], ['upload', 'Loaded'], ['saved', 'Saved presets']];
+        this.profileSelector.innerHTML = groups.map(([source, label]) => {
+            const entries = this.profiles.filter(entry => entry.source === source);
+            if (entries.length === 0) return '';
+            const options = entries.map(entry => {
+                const suffix = entry.kind === 'xslt' ? ' (XSLT)' : entry.error ? ' (invalid)' : '';
+                const title = entry.error ? ` title="${this.escapeAttribute(entry.error)}"` : '';
+                return `<option value="${this.escapeAttribute(entry.key)}"${entry.error ? ' disabled' : ''}${title}>${this.escapeHtml(entry.name + suffix)}</option>`;
+            }).join('');
+            return `<optgroup label="${label}">${options}</optgroup>`;
+        }).join('');
+        this.profileSelector.value = this.profileKey;
+
+        const current = this.profiles.find(entry => entry.key === this.profileKey);
+        const source = current ? current.source : 'preset';
+        this.saveProfileBtn.style.display = source === 'preset' ? 'none' : '';
+        this.saveProfileBtn.textContent = source === 'saved' ? 'Delete preset' : 'Save preset';
+    }
+
+    selectProfile(key, render = true) {
+        const entry = this.profiles.find(candidate => candidate.key === key && !candidate.error) || this.profiles[0];
+        this.profileKey = entry.key;
+        this.profileError.textContent = '';
+
+        if (entry.kind === 'xslt') {
+            this.mapping = new TagMapping();
+            this.xsltRenderer = new XsltRenderer(entry.path, this.stylesheets);
+            if (!XsltRenderer.available()) this.profileError.textContent = 'This browser has no XSLTProcessor';
+        } else {
+            this.mapping = new TagMapping(entry.profile);
+            this.xsltRenderer = null;
+        }
+        if (render && this.assets) {
+            this.updateAssetReport();
+            this.updateSafetyReport();
+            this.updateStatistics();
+        }
+        if (this.assets) this.updateBackMatter();
+
+        this.updateProfileSelector();
+        if (render) this.renderCurrentXML();
+    }
+
+    async loadProfileFile(file) {
+        const text = await file.text();
+        const key = `upload:${file.name}`;
+        const extension = file.name.split('.').pop().toLowerCase();
+        this.profiles = this.profiles.filter(entry => entry.key !== key);
+
+        if (XsltRenderer.EXTENSIONS.includes(extension)) {
+            this.stylesheets.set(file.name, text);
+            this.profiles.push({ key, name: file.name, source: 'upload', kind: 'xslt', path: file.name });
+        } else {
+            try {
+                const profile = TagMapping.parse(text, file.name);
+                this.profiles.push({ key, name: profile.name, source: 'upload', kind: 'mapping', profile });
+            } catch (err) {
+                this.profileError.textContent = `${file.name}: ${err.message}`;
+                return;
+            }
+        }
+        this.selectProfile(key);
+    }
+
+    // Keep a loaded or shipped profile for later sessions, or forget a saved one
+    saveOrDeletePreset() {
+        const entry = this.profiles.find(candidate => candidate.key === this.profileKey);
+        if (!entry || entry.source === 'preset') return;
+        let presets = this.savedPresets();
+
+        if (entry.source === 'saved') {
+            this.writeSavedPresets(presets.filter(preset => preset.name !== entry.name));
+            this.profiles = this.profiles.filter(candidate => candidate !== entry);
+            this.stylesheets.delete(entry.key);
+            this.selectProfile('default');
+            return;
+        }
+
+        let preset;
+        try {
+            preset = entry.kind === 'xslt'
+                // Includes from the ZIP are inlined so the preset works on its own
+                ? { name: entry.name, kind: 'xslt', stylesheet: new XMLSerializer().serializeToString(new XsltRenderer(entry.path, this.stylesheets).assemble(entry.path)) }
+                : { name: entry.name, kind: 'mapping', profile: entry.profile };
+        } catch (err) {
+            this.profileError.textContent = err.message;
+            return;
+        }
+        presets = presets.filter(existing => existing.name !== preset.name);
+        presets.push(preset);
+        this.writeSavedPresets(presets);
+        this.selectProfile(this.addSavedProfile(preset));
+    }
+
+    // Stylesheet output for a file in a new container of ownerDocument
+    renderXslt(xmlFile, ownerDocument = document) {
+        const container = ownerDocument.createElement('div');
+        container.className = 'xml-document xslt-output';
+        try {
+            const fragment = this.xsltRenderer.transform(xmlFile.parsed);
+            // Keep the body of full HTML output, plus its style sheets
+            const body = fragment.querySelector('body');
+            if (body) {
+                fragment.querySelectorAll('head style').forEach(style => container.appendChild(style));
+                container.append(...body.childNodes);
+            } else {
+                container.appendChild(fragment);
+            }
+        } catch (err) {
+            this.xsltRenderer.removed = [];
+            console.error('XSLT failed:', err);
+            container.innerHTML = `<div class="xslt-error">XSLT rendering failed: ${this.escapeHtml(err.message || String(err))}</div>`;
+        }
+
+        // Stylesheets come with the delivery too, so what they emit is listed in the safety report
+        const blockedBefore = (xmlFile.blockedMarkup || []).length;
+        xmlFile.blockedMarkup = this.xsltRenderer.removed;
+        if (xmlFile.blockedMarkup.length !== blockedBefore) this.renderSafetyReport();
+
+        // Images named by relative paths come from the ZIP
+        container.querySelectorAll('img[src]').forEach(img => {
+            const src = img.getAttribute('src');
+            if (/^[a-z][a-z0-9+.-]*:/i.test(src)) return;
+            const path = this.findImagePath(src);
+            if (!path) return;
+            img.removeAttribute('src');
+            img.dataset.image = path;
+        });
+        return container;
+    }
+
+    // Image reference an element makes, for elements rendered as images and SVG <image>;
+    // '' for an image that names no source, so it is reported as unresolved
+    imageReferenceOf(element) {
+        if (element.namespaceURI === Namespaces.SVG) {
+            return element.localName === 'image' ? element.getAttribute('href') || Namespaces.xlinkHref(element) || '' : null;
+        }
+        return this.mapping.roleOf(element) === 'image' ? this.imageSource(element) || '' : null;
+    }
+
+    // System ID of an unparsed entity (<!ENTITY fig1 SYSTEM "fig1.png" NDATA png>) declared in an element's file, or null
+    unparsedEntity(element, name) {
+        const doc = element.ownerDocument;
+        if (!this.unparsedEntities.has(doc)) {
+            const xmlFile = [...this.xmlFiles, ...this.sourceXmlFiles].find(candidate => candidate.parsed === doc);
+            const doctype = xmlFile ? BookAssembly.doctypeOf(xmlFile.content) : null;
+            this.unparsedEntities.set(doc, doctype ? BookAssembly.externalEntities(doctype.internalSubset, true) : new Map());
+        }
+        return this.unparsedEntities.get(doc).get(name) || null;
+    }
+
+    // Target of the relationship an element refers to (r:embed, r:id or r:link in DOCX), or null
+    relationshipTarget(element) {
+        const relationships = this.relationships.get(element.ownerDocument);
+        if (!relationships) return null;
+        const relationship = relationships.get(DocumentContainer.relationshipId(element));
+        return relationship ? relationship.target : null;
+    }
+
+    imageSource(element) {
+        const related = this.relationshipTarget(element);
+        if (related) return related;
+
+        // Try various attribute names for image source; fileref is DocBook's
+        const srcAttrs = ['src', 'href', 'fileref', 'url', 'source', 'file', 'path'];
         let imageSrc = null;
 
         for (const attr of srcAttrs) {
@@ -362,6 +3747,10 @@ class XMLViewer {
                 break;
             }
         }
+        if (!imageSrc) imageSrc = Namespaces.xlinkHref(element);
+        // DocBook's entityref names an entity declared in the DOCTYPE; undeclared, the name is matched like a file name
+        const entityref = element.getAttribute('entityref');
+        if (!imageSrc && entityref) imageSrc = this.unparsedEntity(element, entityref) || entityref;
 
         // Also check for nested source elements
         if (!imageSrc) {
@@ -375,22 +3764,32 @@ class XMLViewer {
         if (!imageSrc && element.childNodes.length === 1 && element.firstChild.nodeType === Node.TEXT_NODE) {
             imageSrc = element.textContent.trim();
         }
+        return imageSrc;
+    }
 
+    renderImage(element) {
+        const imageSrc = this.imageSource(element);
         if (!imageSrc) {
             return '<div class="image-error">Image source not found</div>';
         }
 
-        // Find matching image from extracted files
-        const imageUrl = this.findImageUrl(imageSrc);
+        // Find matching image among the ZIP's files; its data is read when it scrolls into view
+        const match = this.imageMatch(imageSrc);
+        const imagePath = match.path;
 
         // Get caption if available
         const captionEl = element.querySelector('caption, figcaption, title, alt');
         const caption = captionEl ? captionEl.textContent : (element.getAttribute('alt') || element.getAttribute('title') || '');
 
-        if (imageUrl) {
+        if (imagePath) {
+            // Guessed matches stay visible in the document, not only in the asset report
+            const uncertain = match.strategy === 'fuzzy' || match.candidates.length > 1;
+            const note = uncertain
+                ? ` title="${this.escapeAttribute(`${imageSrc} matched ${imagePath} by ${AssetIndex.STRATEGIES[match.strategy]}${match.candidates.length > 1 ? ` (${match.candidates.length} candidates)` : ''}`)}"`
+                : '';
             return `
-                <div class="xml-image-container">
-                    <img class="xml-image" src="${imageUrl}" alt="${this.escapeHtml(caption)}" loading="lazy">
+                <div class="xml-image-container${uncertain ? ' xml-image-uncertain' : ''}"${note}>
+                    <img class="xml-image" data-image="${this.escapeAttribute(imagePath)}" alt="${this.escapeAttribute(caption)}">
                     ${caption ? `<div class="xml-image-caption">${this.escapeHtml(caption)}</div>` : ''}
                 </div>
             `;
@@ -399,81 +3798,114 @@ class XMLViewer {
         }
     }
 
-    findImageUrl(src) {
-        // Clean up the source path
-        const cleanSrc = src.replace(/^\.\//, '').replace(/^\//, '');
-        const fileName = cleanSrc.split('/').pop();
-        const baseName = fileName.toLowerCase();
+    // Path of the ZIP image a reference points at
+    findImagePath(src) {
+        return this.imageMatch(src).path;
+    }
 
-        // Try different matching strategies
-        const attempts = [
-            src,
-            cleanSrc,
-            fileName,
-            baseName,
-            fileName.replace(/\.[^.]+$/, ''), // without extension
-            baseName.replace(/\.[^.]+$/, ''),
-        ];
+    // How a reference from the current file resolves: {path, strategy, candidates}
+    imageMatch(src) {
+        const xmlFile = this.xmlFiles[this.currentXmlIndex];
+        if (!this.assets) return { path: null, strategy: null, candidates: [] };
+        return this.assets.resolve(src, xmlFile ? xmlFile.path || '' : '');
+    }
 
-        for (const attempt of attempts) {
-            if (this.images.has(attempt)) {
-                return this.images.get(attempt);
-            }
-        }
+    renderTable(element) {
+        const layout = new TableLayout(element).build();
+        const frame = (layout.frame || '').toLowerCase();
+        const frameClass = ['all', 'top', 'bottom', 'topbot', 'sides', 'none'].includes(frame) ? ` xml-table-frame-${frame}` : '';
+        let html = '<div class="xml-table-container">';
 
-        // Try partial matching
-        for (const [key, url] of this.images.entries()) {
-            if (key.includes(fileName) || fileName.includes(key.split('/').pop())) {
-                return url;
-            }
+        if (layout.title) {
+            html += `<div class="xml-table-title">${this.renderChildren(layout.title)}</div>`;
         }
 
-        return null;
+        layout.groups.forEach(group => {
+            html += `<table class="xml-table${frameClass}">${this.renderTableGroup(group)}</table>`;
+        });
+
+        html += '</div>';
+        return html;
     }
 
-    renderTable(element) {
-        let html = '<table class="xml-table">';
-
-        // Find header row
-        const thead = element.querySelector('thead, header, tgroup > thead');
-        const tbody = element.querySelector('tbody, body, tgroup > tbody') || element;
-        const rows = element.querySelectorAll('tr, row');
-
-        if (rows.length === 0) {
-            // Try alternative table structure
-            const entries = element.querySelectorAll('entry, cell, td, th');
-            if (entries.length > 0) {
-                html += '<tbody><tr>';
-                entries.forEach(entry => {
-                    html += `<td>${this.renderChildren(entry)}</td>`;
-                });
-                html += '</tr></tbody>';
-            }
-        } else {
-            rows.forEach((row, index) => {
-                const cells = row.querySelectorAll('td, th, cell, entry');
-                const isHeader = row.closest('thead') || row.closest('header') || index === 0 && row.querySelector('th');
+    renderTableGroup(group) {
+        let html = '';
+        const widths = TableLayout.columnWidths(group.columns);
+
+        if (widths.some(width => width)) {
+            html += '<colgroup>';
+            widths.forEach(width => {
+                html += width ? `<col style="width: ${width}">` : '<col>';
+            });
+            html += '</colgroup>';
+        }
 
+        const sectionTags = { head: 'thead', body: 'tbody', foot: 'tfoot' };
+        for (const [key, tag] of Object.entries(sectionTags)) {
+            const rows = group.sections[key];
+            if (rows.length === 0) continue;
+
+            html += `<${tag}>`;
+            // Rows still to come under a cell with a rowspan, by column
+            let covered = [];
+            rows.forEach(row => {
                 html += '<tr>';
-                cells.forEach(cell => {
-                    const tag = isHeader || cell.tagName.toLowerCase() === 'th' ? 'th' : 'td';
-                    html += `<${tag}>${this.renderChildren(cell)}</${tag}>`;
+                // Columns no cell takes (entries named by colname or namest may skip some) get empty cells
+                let column = 0;
+                const fillTo = end => {
+                    for (; column < end; column++) {
+                        if (!(covered[column] > 0)) html += key === 'head' ? '<th></th>' : '<td></td>';
+                    }
+                };
+                row.cells.forEach(cell => {
+                    fillTo(cell.column);
+                    html += this.renderTableCell(cell);
+                    column = Math.max(column, cell.column + cell.colspan);
                 });
+                fillTo(group.columns.length);
                 html += '</tr>';
+
+                covered = covered.map(count => count - 1);
+                row.cells.forEach(cell => {
+                    for (let c = cell.column; c < cell.column + cell.colspan; c++) covered[c] = Math.max(covered[c] || 0, cell.rowspan - 1);
+                });
             });
+            html += `</${tag}>`;
         }
 
-        html += '</table>';
         return html;
     }
 
+    renderTableCell(cell) {
+        const tag = cell.header ? 'th' : 'td';
+        const attrs = [];
+        const styles = [];
+        const classes = [];
+
+        if (cell.colspan > 1) attrs.push(`colspan="${cell.colspan}"`);
+        if (cell.rowspan > 1) attrs.push(`rowspan="${cell.rowspan}"`);
+        if (['left', 'right', 'center', 'justify'].includes(cell.align)) styles.push(`text-align: ${cell.align}`);
+        if (['top', 'middle', 'bottom'].includes(cell.valign)) styles.push(`vertical-align: ${cell.valign}`);
+        if (cell.colsep === '0') classes.push('xml-cell-nocolsep');
+        if (cell.rowsep === '0') classes.push('xml-cell-norowsep');
+
+        if (classes.length) attrs.push(`class="${classes.join(' ')}"`);
+        if (styles.length) attrs.push(`style="${styles.join('; ')}"`);
+
+        const content = cell.nested
+            ? `<table class="xml-table xml-table-nested">${this.renderTableGroup(cell.nested)}</table>`
+            : this.renderChildren(cell.element);
+
+        return this.decorateElementHtml(`<${tag}${attrs.length ? ' ' + attrs.join(' ') : ''}>${content}</${tag}>`, cell.element);
+    }
+
     renderList(element, listType) {
         const items = element.querySelectorAll(':scope > li, :scope > item, :scope > listitem');
         let html = `<${listType} class="xml-list">`;
 
         if (items.length > 0) {
             items.forEach(item => {
-                html += `<li class="xml-list-item">${this.renderChildren(item)}</li>`;
+                html += this.decorateElementHtml(`<li class="xml-list-item">${this.renderChildren(item)}</li>`, item);
             });
         } else {
             html += this.renderChildren(element);
@@ -484,91 +3916,592 @@ class XMLViewer {
     }
 
     renderChildren(element) {
+        const nodes = Array.from(element.childNodes);
+        if (!this.renderQueue || nodes.length <= XMLViewer.CHUNK_SIZE || !this.canDeferChildren(element)) {
+            return this.renderChildNodes(element, nodes, true);
+        }
+
+        // Past the first chunk, children get placeholders that startChunkRendering fills later
+        let html = this.renderChildNodes(element, nodes.slice(0, XMLViewer.CHUNK_SIZE), false);
+        for (let start = XMLViewer.CHUNK_SIZE; start < nodes.length; start += XMLViewer.CHUNK_SIZE) {
+            const id = this.renderQueue.push({
+                element,
+                nodes: nodes.slice(start, start + XMLViewer.CHUNK_SIZE),
+                last: start + XMLViewer.CHUNK_SIZE >= nodes.length
+            }) - 1;
+            html += `<div class="xml-chunk" data-chunk="${id}"></div>`;
+        }
+        return html;
+    }
+
+    // Chunk placeholders are divs, so only element content rendered as blocks can be split
+    canDeferChildren(element) {
+        const inline = ['paragraph', 'bold', 'italic', 'underline', 'superscript', 'subscript', 'link', 'inline', 'caption', 'heading1', 'heading2', 'heading3',
+            'footnote', 'glossterm', 'citation'];
+        for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+            if (inline.includes(this.mapping.roleOf(node))) return false;
+        }
+        return Array.from(element.childNodes).every(child => child.nodeType !== Node.TEXT_NODE || !child.nodeValue.trim());
+    }
+
+    // Render some of an element's child nodes; the tail holds deletions after the last child
+    renderChildNodes(element, nodes, includeTail) {
+        const diff = this.currentDiff();
         let html = '';
 
-        for (const node of element.childNodes) {
+        for (const node of nodes) {
+            if (diff) html += this.renderDeletions(diff, element, node);
             if (node.nodeType === Node.TEXT_NODE) {
                 const text = node.textContent;
                 if (text.trim()) {
-                    html += this.escapeHtml(text);
+                    html += diff ? this.renderTextChange(diff, node) : this.escapeHtml(text);
                 }
             } else if (node.nodeType === Node.ELEMENT_NODE) {
                 html += this.renderElement(node);
             }
         }
+        if (diff && includeTail) html += this.renderDeletions(diff, element, null);
 
         return html;
     }
 
+    // Content of the compared ZIP that is gone from this spot of the current document
+    renderDeletions(diff, parent, before) {
+        return diff.deletionsBefore(parent, before).map(node => node.nodeType === Node.ELEMENT_NODE
+            ? this.renderElement(node)
+            : `<del class="diff-deleted">${this.escapeHtml(node.nodeValue)}</del>`
+        ).join('');
+    }
+
+    renderTextChange(diff, node) {
+        const change = diff.changes.get(node);
+        if (!change) return this.escapeHtml(node.textContent);
+        if (change.type === 'inserted') return `<ins class="diff-inserted">${this.escapeHtml(node.textContent)}</ins>`;
+
+        return XmlDiff.diffWords(change.oldNode.nodeValue, node.nodeValue).map(({ type, text }) => {
+            if (type === 'equal') return this.escapeHtml(text);
+            const tag = type === 'insert' ? 'ins' : 'del';
+            return `<${tag} class="diff-${type === 'insert' ? 'inserted' : 'deleted'}">${this.escapeHtml(text)}</${tag}>`;
+        }).join('');
+    }
+
+    // Elements no mapping rule covers, which fall back to generic rendering, by tag name
+    unmappedElements(root) {
+        const unmapped = new Map(); // tag name -> [element]
+        const visit = (element) => {
+            const rule = this.mapping.ruleFor(element);
+            if (!rule) {
+                if (!unmapped.has(element.tagName)) unmapped.set(element.tagName, []);
+                unmapped.get(element.tagName).push(element);
+            } else if (XMLViewer.OPAQUE_ROLES.includes(rule.role)) {
+                return;
+            }
+            for (const child of element.children) visit(child);
+        };
+        visit(root);
+        return unmapped;
+    }
+
     hasBlockElements(element) {
         const blockTags = ['p', 'para', 'paragraph', 'div', 'section', 'table', 'ul', 'ol', 'list',
                           'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'title', 'heading', 'blockquote',
                           'figure', 'image', 'img'];
 
         for (const child of element.children) {
-            if (blockTags.includes(child.tagName.toLowerCase())) {
+            if (blockTags.includes(child.tagName.toLowerCase()) || TagMapping.BLOCK_ROLES.includes(this.mapping.roleOf(child))) {
                 return true;
             }
         }
         return false;
     }
 
+    // Numbered reference to a footnote; the note itself is rendered by renderFootnotes
+    renderFootnoteReference(element) {
+        const note = this.backMatter && this.backMatter.footnotes.get(element);
+        // Footnotes of a compared ZIP's deleted content are not numbered
+        if (!note) return `<span class="xml-footnote-inline">${this.renderChildren(element)}</span>`;
+        if (note.number === null) return '<sup class="xml-footnote-ref xml-footnote-broken" title="Unresolved footnote reference">?</sup>';
+
+        const preview = BackMatter.normalize(note.element.textContent);
+        const title = this.escapeAttribute(preview.length > 200 ? `${preview.slice(0, 200)}…` : preview);
+        // Only the footnote itself is the target of the note's back-link
+        const id = note.reference ? '' : ` id="xml-fnref-${note.number}"`;
+        return `<sup class="xml-footnote-ref"><a${id} href="#xml-fn-${note.number}" title="${title}">${note.number}</a></sup>`;
+    }
+
+    // Notes section of the current file, with a back-link from each number to its reference
+    renderFootnotes() {
+        const notes = this.backMatter ? this.backMatter.notesByFile.get(this.currentXmlIndex) || [] : [];
+        if (notes.length === 0) return '';
+        const items = notes.map(note => `<li class="xml-footnote" id="xml-fn-${note.number}">
+                <a class="xml-footnote-back" href="#xml-fnref-${note.number}" title="Back to the text">${note.number}</a>
+                <div class="xml-footnote-body">${this.renderChildren(note.element)}</div>
+            </li>`).join('');
+        return `<section class="xml-footnotes"><h2 class="xml-footnotes-title">Notes</h2><ol class="xml-footnote-list">${items}</ol></section>`;
+    }
+
+    renderIndexTerm(element) {
+        const indexTerm = this.backMatter && this.backMatter.termByElement.get(element);
+        if (!indexTerm) return '';
+        return `<span class="xml-indexterm" data-anchor="${indexTerm.anchor}" title="${this.escapeAttribute(indexTerm.terms.join(', '))}"></span>`;
+    }
+
+    // Link to a generated anchor (index term, glossary entry) in any file
+    anchorLink(anchor, fileIndex, html, title = '') {
+        const titleAttribute = title ? ` title="${this.escapeAttribute(title)}"` : '';
+        return `<a class="xml-anchor-link" href="#" data-anchor-ref="${anchor}" data-file-index="${fileIndex}"${titleAttribute}>${html}</a>`;
+    }
+
+    revealAnchor(anchor, fileIndex) {
+        this.revealRenderedNode(fileIndex, `[data-anchor="${anchor}"]`);
+    }
+
+    // Alphabetical index of all files: each term links to where it occurs, by the title of the section there
+    renderGeneratedIndex() {
+        const entries = this.backMatter ? this.backMatter.indexEntries() : [];
+        if (entries.length === 0) return '<p class="xml-index-empty">No index terms.</p>';
+
+        const renderEntries = list => `<ul class="xml-index-list">${list.map(entry => {
+            const contexts = new Map(); // one link per section
+            entry.occurrences.forEach(indexTerm => {
+                const context = BackMatter.contextOf(indexTerm.element) || this.xmlFiles[indexTerm.fileIndex].name;
+                if (!contexts.has(context)) contexts.set(context, indexTerm);
+            });
+            const links = Array.from(contexts, ([context, indexTerm]) => this.anchorLink(indexTerm.anchor, indexTerm.fileIndex, this.escapeHtml(context)));
+            const see = entry.see.length > 0 ? ` <em>see</em> ${this.escapeHtml(entry.see.join('; '))}` : '';
+            const seeAlso = entry.seeAlso.length > 0 ? ` <em>see also</em> ${this.escapeHtml(entry.seeAlso.join('; '))}` : '';
+            return `<li><span class="xml-index-term">${this.escapeHtml(entry.term)}</span>${links.length > 0 ? ', ' + links.join(', ') : ''}${see}${seeAlso}` +
+                (entry.children.length > 0 ? renderEntries(entry.children) : '') + '</li>';
+        }).join('')}</ul>`;
+
+        // Grouped by initial letter, as in a printed index
+        const groups = new Map();
+        entries.forEach(entry => {
+            const initial = entry.term.charAt(0).toLocaleUpperCase();
+            const letter = /\p{L}/u.test(initial) ? initial : '#';
+            if (!groups.has(letter)) groups.set(letter, []);
+            groups.get(letter).push(entry);
+        });
+        return `<div class="xml-index-generated">${Array.from(groups, ([letter, list]) =>
+            `<h3 class="xml-index-letter">${this.escapeHtml(letter)}</h3>${renderEntries(list)}`).join('')}</div>`;
+    }
+
+    // A glossary with entries renders them; an empty one (a placeholder for generated back matter) lists every entry
+    renderGlossary(element) {
+        const hasEntries = Array.from(element.children).some(child => this.mapping.roleOf(child) === 'glossentry');
+        return `<div class="xml-glossary">${this.renderChildren(element)}${hasEntries ? '' : this.renderGeneratedGlossary()}</div>`;
+    }
+
+    renderGeneratedGlossary() {
+        const entries = this.backMatter ? this.backMatter.glossaryEntries() : [];
+        if (entries.length === 0) return '<p class="xml-index-empty">No glossary entries.</p>';
+        return `<dl class="xml-glossary-generated">${entries.map(entry =>
+            `<dt>${this.anchorLink(entry.anchor, entry.fileIndex, this.escapeHtml(entry.term))}</dt><dd>${this.escapeHtml(entry.definition)}</dd>`).join('')}</dl>`;
+    }
+
+    renderGlossaryEntry(element) {
+        const entry = this.backMatter && this.backMatter.entryByElement.get(element);
+        const anchor = entry ? ` data-anchor="${entry.anchor}"` : '';
+        return `<dl class="xml-glossentry"${anchor}>${this.renderChildren(element)}</dl>`;
+    }
+
+    // The term of a glossary entry, or a term in the text linked to its entry
+    renderGlossaryTerm(element) {
+        const content = this.renderChildren(element);
+        if (!this.backMatter) return `<em class="xml-glossterm">${content}</em>`;
+        if (this.backMatter.entryTerms.has(element)) return `<dt class="xml-glossentry-term">${content}</dt>`;
+
+        const entry = this.backMatter.termLinks.get(element);
+        if (!entry) return `<em class="xml-glossterm xml-glossterm-undefined" title="No glossary entry">${content}</em>`;
+        return `<em class="xml-glossterm">${this.anchorLink(entry.anchor, entry.fileIndex, content, entry.definition)}</em>`;
+    }
+
+    // Note, tip, warning and the like as a callout; the kind comes from a type attribute (DITA) or the tag name
+    renderAdmonition(element) {
+        const kind = ((element.localName === 'note' && element.getAttribute('type')) || element.localName).toLowerCase().replace(/[^\w-]/g, '');
+        const titleElement = Array.from(element.children).find(child => DocumentOutline.TITLE_TAGS.includes(DocumentOutline.localName(child)));
+        const label = titleElement
+            ? this.decorateElementHtml(`<div class="xml-admonition-title">${this.renderChildren(titleElement)}</div>`, titleElement)
+            : `<div class="xml-admonition-title">${this.escapeHtml(kind.charAt(0).toUpperCase() + kind.slice(1))}</div>`;
+        const body = this.renderChildNodes(element, Array.from(element.childNodes).filter(node => node !== titleElement), true);
+        return `<aside class="xml-admonition xml-admonition-${kind}">${label}${body}</aside>`;
+    }
+
+    // Bibliographic citation in brackets, linked to the entry whose ID it names
+    renderCitation(element) {
+        const content = this.renderChildren(element);
+        const key = element.textContent.trim();
+        const fileIndex = this.idIndex ? this.idIndex.fileIndexOf(element) : -1;
+        const target = key && this.idIndex && this.idIndex.resolve(key, fileIndex);
+        if (!target) return `<cite class="xml-citation">[${content}]</cite>`;
+        return `<cite class="xml-citation">[<a class="xml-link xml-xref" href="#${this.escapeAttribute(this.anchorId(key))}" data-xref="${this.escapeAttribute(key)}" data-file-index="${fileIndex}">${content}</a>]</cite>`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
-    formatXML(xml) {
-        // Basic XML formatting for display
-        let formatted = '';
-        let indent = 0;
-        const lines = xml.replace(/>\s*</g, '>\n<').split('\n');
+    // Text for a quoted attribute value: escapeHtml leaves quotes as they are
+    escapeAttribute(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    formatSize(size) {
+        return size >= 1048576 ? `${(size / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(size / 1024))} KB`;
+    }
+
+    renderRawView(xmlFile) {
+        this.rawLines = xmlFile.parsed && !xmlFile.hasError
+            ? new SourcePrinter(xmlFile.parsed, xmlFile.content, this.scannerFor(xmlFile), element => this.elementIndexOf(element)).lines
+            : SourcePrinter.plainLines(xmlFile.content);
+
+        const diff = this.currentDiff();
+        let html = '';
+        if (diff) {
+            html = this.rawDiffHtml(this.comparison.pairs[this.currentXmlIndex].oldFile);
+        } else {
+            this.rawLines.forEach((line, index) => {
+                if (line.kind === 'open') {
+                    html += `<div class="raw-block">${this.rawLineMarkup(line, index)}<div class="raw-children">`;
+                } else if (line.kind === 'close') {
+                    html += `</div>${this.rawLineMarkup(line, index)}</div>`;
+                } else {
+                    html += this.rawLineMarkup(line, index);
+                }
+            });
+        }
+        this.rawView.innerHTML = html;
+        this.rawView.classList.toggle('raw-diff', !!diff);
+        this.rawLineNodes = Array.from(this.rawView.querySelectorAll('.raw-line[data-index]'));
+        this.applySourceSelection();
+    }
+
+    // A line of the current file (index set) or of the compared file (index null)
+    rawLineMarkup(line, index) {
+        const attrs = index === null ? '' : ` data-index="${index}"${line.node !== null ? ` data-node="${line.node}"` : ''}`;
+        const fold = line.kind === 'open' ? ` data-fold="${this.escapeAttribute(`…</${line.segments[0].text.slice(1)}>`)}"` : '';
+        const code = index === null ? this.segmentsHtml(line.segments, []) : this.rawLineHtml(index);
+        return `<div class="raw-line"${attrs}>` +
+            `<span class="raw-gutter"><span class="raw-toggle"></span>${line.line}</span>` +
+            `<span class="raw-code"${fold} style="padding-left: ${line.depth * 2}ch">${code}</span></div>`;
+    }
+
+    // Old and current source side by side, aligned line by line on the printed form
+    rawDiffHtml(oldFile) {
+        const oldLines = new SourcePrinter(oldFile.parsed, oldFile.content, this.scannerFor(oldFile), element => this.elementIndexOf(element)).lines;
+        const keyOf = line => `${line.depth}|${line.segments.map(segment => segment.text).join('')}`;
+        const ops = XmlDiff.sequence(oldLines.map(keyOf), this.rawLines.map(keyOf));
+
+        let html = '';
+        let deleted = [];
+        let inserted = [];
+        const row = (type, oldIndex, newIndex) => {
+            const oldHtml = oldIndex !== undefined ? this.rawLineMarkup(oldLines[oldIndex], null) : '';
+            const newHtml = newIndex !== undefined ? this.rawLineMarkup(this.rawLines[newIndex], newIndex) : '';
+            html += `<div class="raw-diff-row raw-diff-${type}"><div class="raw-diff-side">${oldHtml}</div><div class="raw-diff-side">${newHtml}</div></div>`;
+        };
+        const flush = () => {
+            for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+                row(i >= deleted.length ? 'inserted' : i >= inserted.length ? 'deleted' : 'changed', deleted[i], inserted[i]);
+            }
+            deleted = [];
+            inserted = [];
+        };
+
+        ops.forEach(([type, i, j]) => {
+            if (type === 'delete') {
+                deleted.push(i);
+            } else if (type === 'insert') {
+                inserted.push(j);
+            } else {
+                flush();
+                row('equal', i, j);
+            }
+        });
+        flush();
+        return html;
+    }
 
-        for (let line of lines) {
-            line = line.trim();
-            if (!line) continue;
+    // Line text with syntax classes, marking active search hits and any extra [{start, end, cls}] ranges
+    rawLineHtml(index, extraRanges = []) {
+        const { segments } = this.rawLines[index];
+        const text = segments.map(segment => segment.text).join('');
 
-            // Decrease indent for closing tags
-            if (line.startsWith('</')) {
-                indent = Math.max(0, indent - 1);
+        const ranges = [];
+        const pattern = this.search && this.search.pattern;
+        if (pattern) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                ranges.push({ start: match.index, end: match.index + match[0].length, cls: 'search-hit' });
             }
+        }
+        extraRanges.forEach(range => {
+            if (!ranges.some(other => range.start < other.end && other.start < range.end)) ranges.push(range);
+        });
+        ranges.sort((a, b) => a.start - b.start);
+        return this.segmentsHtml(segments, ranges);
+    }
+
+    // Split the syntax segments at range boundaries so marks can wrap whole pieces
+    segmentsHtml(segments, ranges) {
+        let html = '';
+        let position = 0;
+        let rangeIndex = 0;
+        let open = null;
+        for (const segment of segments) {
+            let start = 0;
+            while (start < segment.text.length) {
+                const absolute = position + start;
+                if (!open && rangeIndex < ranges.length && ranges[rangeIndex].start <= absolute) {
+                    open = ranges[rangeIndex++];
+                    html += `<mark class="${open.cls}">`;
+                }
+                let end = segment.text.length;
+                if (open) end = Math.min(end, open.end - position);
+                else if (rangeIndex < ranges.length) end = Math.min(end, ranges[rangeIndex].start - position);
 
-            formatted += '  '.repeat(indent) + line + '\n';
+                const piece = this.escapeHtml(segment.text.slice(start, end));
+                html += segment.cls ? `<span class="${segment.cls}">${piece}</span>` : piece;
+                start = end;
 
-            // Increase indent for opening tags (not self-closing)
-            if (line.startsWith('<') && !line.startsWith('</') &&
-                !line.startsWith('<?') && !line.startsWith('<!') &&
-                !line.endsWith('/>') && !line.includes('</')) {
-                indent++;
+                if (open && position + start >= open.end) {
+                    html += '</mark>';
+                    open = null;
+                }
             }
+            position += segment.text.length;
+        }
+        if (open) html += '</mark>';
+        return html;
+    }
+
+    rawLineIndexAt(offset) {
+        let index = 0;
+        while (index + 1 < this.rawLines.length && this.rawLines[index + 1].offset <= offset) index++;
+        return index;
+    }
+
+    // Unfold every block around a raw line so it can be shown
+    unfoldRawLine(node) {
+        for (let block = node.closest('.raw-block.folded'); block; block = block.parentNode.closest('.raw-block.folded')) {
+            block.classList.remove('folded');
+        }
+    }
+
+    // Show the raw view at a source offset, marking the markup that starts there
+    revealSourcePosition(offset) {
+        this.ensureRawView();
+        if (!this.rawLines || this.rawLines.length === 0) return;
+        this.switchView('raw');
+
+        this.rawView.querySelectorAll('.raw-line-highlight').forEach(node => {
+            node.classList.remove('raw-line-highlight');
+            node.querySelector('.raw-code').innerHTML = this.rawLineHtml(parseInt(node.dataset.index));
+        });
+
+        const index = this.rawLineIndexAt(offset);
+        const line = this.rawLines[index];
+        const text = line.segments.map(segment => segment.text).join('');
+
+        // Printed lines are normalised, so only verbatim lines can mark an exact column
+        let start = 0;
+        let end = line.tagLength || text.length;
+        if (line.exact) {
+            start = Math.min(Math.max(offset - line.offset, 0), text.length);
+            const tagEnd = text.indexOf('>', start);
+            end = text[start] === '<' && tagEnd !== -1 ? tagEnd + 1 : Math.min(start + 1, text.length);
+        }
+
+        const node = this.rawLineNodes[index];
+        node.classList.add('raw-line-highlight');
+        node.querySelector('.raw-code').innerHTML = this.rawLineHtml(index, [{ start, end, cls: 'raw-position' }]);
+        this.unfoldRawLine(node);
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    handleRawClick(e) {
+        const line = e.target.closest('.raw-line');
+        if (!line || !e.target.closest('.raw-gutter')) return;
+
+        const block = line.parentNode;
+        if (e.target.closest('.raw-toggle') && block.classList.contains('raw-block') && block.firstElementChild === line) {
+            block.classList.toggle('folded');
+            return;
+        }
+
+        // A click on a line number jumps to the rendered node of that line
+        const elementIndex = this.rawLines[parseInt(line.dataset.index)].node;
+        if (elementIndex === null) return;
+        this.setSourceSelection(elementIndex);
+        this.switchView('rendered');
+    }
+
+    // Selecting source lines highlights the element that spans them in the rendered view
+    handleRawSelection() {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || !this.rawView.contains(selection.anchorNode)) return;
+
+        const lineOf = node => (node.nodeType === 1 ? node : node.parentNode).closest('.raw-line');
+        const first = lineOf(selection.anchorNode);
+        const last = lineOf(selection.focusNode);
+        if (!first || !last) return;
+
+        const elements = this.xmlFiles[this.currentXmlIndex].parsed.getElementsByTagName('*');
+        const a = this.rawLines[parseInt(first.dataset.index)].node;
+        const b = this.rawLines[parseInt(last.dataset.index)].node;
+        if (a === null || b === null) return;
+
+        let element = elements[a];
+        while (element.parentNode && element.parentNode.nodeType === 1 && !element.contains(elements[b])) {
+            element = element.parentNode;
+        }
+        this.setSourceSelection(this.elementIndexOf(element));
+    }
+
+    // Rendered view Alt+click shows the element's source lines
+    revealSourceNode(elementIndex) {
+        this.setSourceSelection(elementIndex);
+        this.switchView('raw');
+    }
+
+    // The element selected in one view, highlighted in both; {fileIndex, elementIndex}
+    setSourceSelection(elementIndex) {
+        this.sourceSelection = { fileIndex: this.currentXmlIndex, elementIndex, reveal: true };
+        this.applySourceSelection();
+    }
+
+    applySourceSelection() {
+        document.querySelectorAll('.raw-line-selected, .xml-source-selected').forEach(node => {
+            node.classList.remove('raw-line-selected', 'xml-source-selected');
+        });
+        const selection = this.sourceSelection;
+        if (!selection || selection.fileIndex !== this.currentXmlIndex) return;
+
+        // Inline elements share their line with the nearest block or line-level ancestor
+        let element = this.xmlFiles[selection.fileIndex].parsed.getElementsByTagName('*')[selection.elementIndex];
+        let open = -1;
+        while (this.rawLines && open === -1 && element && element.nodeType === 1) {
+            const elementIndex = this.elementIndexOf(element);
+            open = this.rawLines.findIndex(line => line.node === elementIndex && line.kind !== 'close');
+            element = element.parentNode;
+        }
+        if (open !== -1) {
+            const last = this.rawLines[open].kind === 'open' ? this.rawLines[open].close : open;
+            for (let i = open; i <= last; i++) this.rawLineNodes[i].classList.add('raw-line-selected');
+        }
+
+        const rendered = this.renderedNodeFor(selection.elementIndex, false);
+        if (rendered) rendered.classList.add('xml-source-selected');
+    }
+
+    updateTranslations() {
+        this.translations = TranslationAlignment.pairFiles(this.xmlFiles);
+    }
+
+    // Pairs the file is in, as the source or as a translation
+    translationPairsFor(fileIndex) {
+        return this.translations.filter(pair => pair.source === fileIndex || pair.target === fileIndex);
+    }
+
+    // The side-by-side view is offered for files that have a counterpart in another language
+    updateBilingualView() {
+        const available = this.translationPairsFor(this.currentXmlIndex).length > 0;
+        this.viewBilingual.style.display = available ? '' : 'none';
+        if (this.currentView !== 'bilingual') return;
+        if (available) this.renderBilingual();
+        else this.switchView('rendered');
+    }
+
+    renderBilingual() {
+        const pairs = this.translationPairsFor(this.currentXmlIndex);
+        if (pairs.length === 0) return;
+        const pair = pairs.includes(this.translationPair) ? this.translationPair : pairs[0];
+        this.translationPair = pair;
+        const source = this.xmlFiles[pair.source];
+        const target = this.xmlFiles[pair.target];
+
+        const options = pairs.map(candidate => `<option value="${this.translations.indexOf(candidate)}"${candidate === pair ? ' selected' : ''}>` +
+            `${this.escapeHtml(this.xmlFiles[candidate.source].name)} (${this.escapeHtml(candidate.sourceLang)}) → ` +
+            `${this.escapeHtml(this.xmlFiles[candidate.target].name)} (${this.escapeHtml(candidate.targetLang)})</option>`).join('');
+        let html = `<div class="bilingual-header">
+            <select id="bilingualPair" class="xml-selector"${pairs.length === 1 ? ' disabled' : ''}>${options}</select>
+            <label class="search-case"><input type="checkbox" id="bilingualUnalignedOnly"${this.bilingualView.classList.contains('bilingual-unaligned-only') ? ' checked' : ''}> Unaligned only</label>
+        </div>`;
+
+        if (source.hasError || target.hasError) {
+            this.bilingualView.innerHTML = html + `<p class="report-empty">${this.escapeHtml((source.hasError ? source : target).name)} has parse errors and cannot be aligned.</p>`;
+            return;
         }
 
-        return formatted.trim();
+        const alignment = new TranslationAlignment(source.parsed.documentElement, target.parsed.documentElement, element => this.mapping.roleOf(element));
+        const { byId, byPosition, missing, extra, empty } = alignment.stats;
+        html += `<p class="report-summary">${byId + byPosition} segments aligned (${byId} by ID, ${byPosition} by position); ` +
+            `${missing} missing from the translation, ${extra} only in the translation, ${empty} left empty</p>`;
+
+        const cell = (element, fileIndex, lang, gap) => element
+            ? `<div class="bilingual-cell" lang="${this.escapeAttribute(lang)}">${this.renderAs(fileIndex, () => this.renderElement(element))}</div>`
+            : `<div class="bilingual-cell bilingual-gap">${gap}</div>`;
+        html += '<div class="bilingual-rows">';
+        alignment.rows.forEach(row => {
+            const unaligned = !row.source || !row.target || row.empty;
+            const title = row.by ? ` title="Aligned by ${row.by === 'id' ? 'ID' : 'position'}"` : '';
+            html += `<div class="bilingual-row${unaligned ? ' bilingual-unaligned' : ''}"${title}>` +
+                cell(row.source, pair.source, pair.sourceLang, 'Only in the translation') +
+                cell(row.target, pair.target, pair.targetLang, 'Missing from the translation') +
+                '</div>';
+        });
+        html += '</div>';
+        this.bilingualView.innerHTML = html;
+        this.observeImages(this.bilingualView);
     }
 
     switchView(view) {
+        if (view !== this.currentView) this.commitSourceEditor();
         this.currentView = view;
 
-        if (view === 'rendered') {
-            this.renderedView.style.display = 'block';
-            this.rawView.style.display = 'none';
-            this.viewRendered.classList.add('active');
-            this.viewRendered.classList.remove('btn-secondary');
-            this.viewRendered.classList.add('btn-primary');
-            this.viewRaw.classList.remove('active');
-            this.viewRaw.classList.add('btn-secondary');
-            this.viewRaw.classList.remove('btn-primary');
-        } else {
-            this.renderedView.style.display = 'none';
-            this.rawView.style.display = 'block';
-            this.viewRaw.classList.add('active');
-            this.viewRaw.classList.remove('btn-secondary');
-            this.viewRaw.classList.add('btn-primary');
-            this.viewRendered.classList.remove('active');
-            this.viewRendered.classList.add('btn-secondary');
-            this.viewRendered.classList.remove('btn-primary');
+        if (view === 'raw') this.ensureRawView();
+        if (view === 'tree') this.ensureTreeView();
+        if (view === 'bilingual') this.renderBilingual();
+        // The sandboxed iframe stands in for the rendered view, which stays in the page for search and the outline
+        const rendered = this.safety.sandbox ? this.sandboxView : this.renderedView;
+        (this.safety.sandbox ? this.renderedView : this.sandboxView).style.display = 'none';
+        [['rendered', this.viewRendered, rendered], ['raw', this.viewRaw, this.rawView], ['tree', this.viewTree, this.treeView],
+            ['bilingual', this.viewBilingual, this.bilingualView]]
+            .forEach(([name, button, container]) => {
+                const active = name === view;
+                container.style.display = active ? 'block' : 'none';
+                button.classList.toggle('active', active);
+                button.classList.toggle('btn-primary', active);
+                button.classList.toggle('btn-secondary', !active);
+            });
+        if (view === 'rendered') this.updateOutlinePosition();
+        this.updateSourceEditor();
+        this.revealSourceSelection();
+    }
+
+    // Scroll the view just switched to onto the element selected in the other one
+    revealSourceSelection() {
+        const selection = this.sourceSelection;
+        if (!selection || !selection.reveal || selection.fileIndex !== this.currentXmlIndex || ['bilingual', 'tree'].includes(this.currentView)) return;
+        selection.reveal = false;
+        if (this.currentView === 'rendered' && this.pendingChunks) {
+            this.completeRendering();
+            this.applySourceSelection();
         }
+        const node = this.currentView === 'raw'
+            ? this.rawView.querySelector('.raw-line-selected')
+            : this.renderedView.querySelector('.xml-source-selected');
+        if (!node) return;
+        if (this.currentView === 'raw') this.unfoldRawLine(node);
+        node.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
 
     showLoading() {
@@ -577,6 +4510,7 @@ class XMLViewer {
         this.previewSection.style.display = 'none';
         this.error.style.display = 'none';
         this.loading.style.display = 'block';
+        this.setProgress('Processing ZIP file...', 0);
     }
 
     showPreview() {
@@ -597,14 +4531,92 @@ class XMLViewer {
     }
 
     reset() {
-        // Clean up blob URLs
-        for (const url of this.images.values()) {
-            URL.revokeObjectURL(url);
+        if (this.libraryZip) {
+            this.libraryZip = null;
+            history.replaceState(null, '', '/');
+        }
+        this.copyLinkBtn.style.display = 'none';
+        this.lightbox.close();
+        // Clean up blob URLs and the worker holding the ZIP
+        for (const url of this.imageUrls.values()) {
+            url.then(value => URL.revokeObjectURL(value), () => {});
         }
-        this.images.clear();
+        this.imageUrls.clear();
+        this.assets = null;
+        this.imageEntries.clear();
+        if (this.imageObserver) this.imageObserver.disconnect();
+        if (this.archive) this.archive.close();
+        this.archive = null;
+        this.container = null;
+        this.relationships.clear();
+        this.blockedUrls = [];
+        this.statistics = null;
+        this.statsBody.innerHTML = '';
+        this.treeUnmapped.clear();
+        this.sandboxToken++;
+        this.sandboxView.removeAttribute('srcdoc');
+        this.pendingChunks = null;
+        this.rawViewStale = true;
+        this.treeViewStale = true;
+        this.treeView.innerHTML = '';
+        this.closeComparison();
+        this.updateDiffPanel();
+        this.toggleDiffPanel(false);
+        this.togglePdfPane(false);
+        this.pdfViewer.close();
+        this.pdfFiles = [];
+        this.pdfIndex = -1;
+        this.pageMap = null;
+        this.pdfBtn.style.display = 'none';
+        this.profiles = [];
+        this.profileKey = 'default';
+        this.mapping = new TagMapping();
+        this.stylesheets.clear();
+        this.xsltRenderer = null;
+        this.profileError.textContent = '';
+        this.translations = [];
+        this.translationPair = null;
+        this.bilingualView.innerHTML = '';
+        this.viewBilingual.style.display = 'none';
+        if (this.currentView === 'bilingual') this.switchView('rendered');
         this.xmlFiles = [];
+        this.sourceXmlFiles = [];
+        this.renderSafetyReport();
+        this.book = null;
+        this.bookMode = false;
+        this.updateBookToggle();
         this.currentXmlIndex = 0;
+        this.idIndex = null;
+        this.outline = null;
+        this.backMatter = null;
+        this.schemaFiles.clear();
+        this.validator = null;
+        this.schemaChoice = 'auto';
+        this.rawLines = null;
+        this.rawLineNodes = [];
+        this.sourceSelection = null;
+        this.elementIndexes.clear();
+        this.search = null;
+        this.searchInput.value = '';
+        this.searchCount.textContent = '';
+        this.searchResults.innerHTML = '';
+        this.toggleSearchPanel(false);
+        this.annotations = null;
+        this.annotationTarget = null;
+        this.closeAnnotationForm();
+        this.toggleAnnotationPanel(false);
+        this.annotationBtn.textContent = 'Comments';
+        this.annotationList.innerHTML = '';
+        this.annotationStatus.textContent = '';
         this.fileInput.value = '';
+        this.encodingSelector.parentNode.style.display = 'none';
+        this.folderInput.value = '';
+        this.zipName = null;
+        this.sourceEditorDirty = false;
+        this.editMode = false;
+        this.history.clear();
+        this.updateEditControls();
+        this.updateSourceEditor();
 
         this.error.style.display = 'none';
         this.loading.style.display = 'none';
@@ -613,6 +4625,20 @@ class XMLViewer {
         this.uploadSection.style.display = 'flex';
         this.renderedView.innerHTML = '';
         this.rawView.textContent = '';
+        this.linkReportBody.innerHTML = '';
+        this.toggleLinkReport(false);
+        this.assetReportBody.innerHTML = '';
+        this.assetReportBtn.textContent = 'Assets';
+        this.assetReportBtn.classList.remove('has-issues');
+        this.toggleAssetReport(false);
+        this.outlineBody.innerHTML = '';
+        this.toggleOutline(false);
+        this.validationResults.innerHTML = '';
+        this.toggleValidation(false);
+        this.indexBody.innerHTML = '';
+        this.indexBtn.textContent = 'Index';
+        this.indexBtn.classList.remove('has-issues');
+        this.toggleIndexPanel(false);
 
         if (this.xmlSelectorContainer) {
             this.xmlSelectorContainer.style.display = 'none';
@@ -0,0 +1,161 @@
+// Image references and the ZIP images they resolve to
+//
+// A reference is tried in order of confidence: the path relative to the XML
+// file, the path from the ZIP root, the exact file name, the file name ignoring
+// case, the name without its extension and, unless matching is strict, a fuzzy
+// match on the words and numbers of the name ("Fig_01.tif" finds "fig-1.png").
+// Numbers are compared whole, so "fig1" never matches "fig10". Every lookup
+// keeps all candidates: two images sharing a name are reported as ambiguous
+// instead of one silently replacing the other.
+class AssetIndex {
+    static STRATEGIES = {
+        path: 'exact path',
+        relative: 'relative to the XML file',
+        'file-name': 'file name',
+        'case-insensitive': 'file name, ignoring case',
+        'no-extension': 'name without extension',
+        fuzzy: 'fuzzy name match'
+    };
+
+    constructor(paths, strict = false) {
+        this.paths = [...paths].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        this.pathSet = new Set(this.paths);
+        this.strict = strict;
+        this.byName = new Map(); // file name -> [path]
+        this.byLowerName = new Map(); // lower-case file name -> [path]
+        this.byStem = new Map(); // lower-case name without extension -> [path]
+        this.byTokens = new Map(); // normalized name tokens -> [path]
+        this.cache = new Map(); // base path + reference -> match
+        this.references = []; // [{fileIndex, element, src, match}]
+
+        const add = (map, key, path) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(path);
+        };
+        this.paths.forEach(path => {
+            const name = AssetIndex.fileName(path);
+            add(this.byName, name, path);
+            add(this.byLowerName, name.toLowerCase(), path);
+            add(this.byStem, AssetIndex.stem(name), path);
+            add(this.byTokens, AssetIndex.tokens(name).join(' '), path);
+        });
+    }
+
+    static fileName(path) {
+        return path.split('/').pop();
+    }
+
+    static stem(name) {
+        return name.toLowerCase().replace(/\.[^.]+$/, '');
+    }
+
+    // Words and numbers of a file name; numbers lose their leading zeros
+    static tokens(name) {
+        return (AssetIndex.stem(name).match(/[a-z]+|\d+/g) || []).map(token => /^\d/.test(token) ? String(parseInt(token)) : token);
+    }
+
+    // Reference with any URL decoration removed
+    static cleanReference(src) {
+        let clean = src.trim().replace(/^file:\/+/i, '').split(/[?#]/)[0].replace(/\\/g, '/');
+        try {
+            clean = decodeURI(clean);
+        } catch (e) {
+            // Keep references that are not valid percent-encoding as written
+        }
+        return clean;
+    }
+
+    static joinPath(baseDir, path) {
+        const segments = [];
+        (baseDir + path).split('/').forEach(segment => {
+            if (segment === '..') segments.pop();
+            else if (segment && segment !== '.') segments.push(segment);
+        });
+        return segments.join('/');
+    }
+
+    // {path, strategy, candidates} for a reference made from the XML file at basePath; path is null when nothing matches
+    resolve(src, basePath = '') {
+        const key = `${basePath}\n${src}`;
+        if (!this.cache.has(key)) this.cache.set(key, this.match(src, basePath));
+        return this.cache.get(key);
+    }
+
+    match(src, basePath) {
+        const clean = AssetIndex.cleanReference(src);
+        const result = (strategy, candidates) => ({ path: candidates[0] || null, strategy, candidates });
+        if (!clean) return result(null, []);
+
+        const baseDir = basePath.includes('/') ? basePath.slice(0, basePath.lastIndexOf('/') + 1) : '';
+        const relative = AssetIndex.joinPath(baseDir, clean);
+        if (baseDir && this.pathSet.has(relative)) return result('relative', [relative]);
+        const asWritten = AssetIndex.joinPath('', clean);
+        if (this.pathSet.has(asWritten)) return result('path', [asWritten]);
+
+        const name = AssetIndex.fileName(clean);
+        const lookups = [
+            ['file-name', this.byName.get(name)],
+            ['case-insensitive', this.byLowerName.get(name.toLowerCase())],
+            ['no-extension', this.byStem.get(AssetIndex.stem(name))]
+        ];
+        for (const [strategy, candidates] of lookups) {
+            if (candidates) return result(strategy, candidates);
+        }
+
+        if (!this.strict) {
+            const candidates = this.fuzzyCandidates(name);
+            if (candidates.length > 0) return result('fuzzy', candidates);
+        }
+        return result(null, []);
+    }
+
+    // Names with the same words and numbers, or where one name ends with all of the other's (at least two tokens)
+    fuzzyCandidates(name) {
+        const tokens = AssetIndex.tokens(name);
+        if (tokens.length === 0) return [];
+        const same = this.byTokens.get(tokens.join(' '));
+        if (same) return same;
+        if (tokens.length < 2) return [];
+
+        const endsWith = (longer, shorter) => shorter.length >= 2 && shorter.length < longer.length &&
+            shorter.every((token, i) => token === longer[longer.length - shorter.length + i]);
+        const candidates = [];
+        this.byTokens.forEach((paths, key) => {
+            const other = key ? key.split(' ') : [];
+            if (endsWith(other, tokens) || endsWith(tokens, other)) candidates.push(...paths);
+        });
+        return candidates;
+    }
+
+    // Record the image references of all files; sourceOf gives an element's reference,
+    // '' for an image element without one (never resolved), or null for other elements
+    collect(xmlFiles, sourceOf) {
+        this.references = [];
+        xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (!xmlFile.parsed || xmlFile.hasError) return;
+            for (const element of xmlFile.parsed.getElementsByTagName('*')) {
+                const src = sourceOf(element);
+                if (src !== null) this.references.push({ fileIndex, element, src, match: this.resolve(src, xmlFile.path || '') });
+            }
+        });
+        return this;
+    }
+
+    get unresolved() {
+        return this.references.filter(ref => !ref.match.path);
+    }
+
+    get ambiguous() {
+        return this.references.filter(ref => ref.match.candidates.length > 1);
+    }
+
+    get fuzzy() {
+        return this.references.filter(ref => ref.match.strategy === 'fuzzy' && ref.match.candidates.length === 1);
+    }
+
+    // Images that no reference resolves to
+    get unreferenced() {
+        const used = new Set(this.references.map(ref => ref.match.path).filter(Boolean));
+        return this.paths.filter(path => !used.has(path));
+    }
+}
@@ -0,0 +1,194 @@
+// Footnotes, index terms and glossary entries collected across all XML files
+//
+// The renderer shows footnotes as numbered references with the notes at the
+// end of each file, hides index terms in the text and lists them in a
+// generated index, and links glossary terms in the text to their entries.
+// Elements are found by the role the mapping profile gives them, so profiles
+// can bring these features to their own tags. Footnotes are numbered per file;
+// index terms and glossary entries get anchors ("ix-3", "gl-7") that the
+// generated lists link to across files.
+class BackMatter {
+    // Children that hold the levels of a DocBook index term
+    static TERM_LEVELS = ['primary', 'secondary', 'tertiary'];
+
+    // roleOf(element) gives the mapping profile's role of an element
+    constructor(xmlFiles, roleOf) {
+        this.roleOf = roleOf;
+        this.footnotes = new Map(); // footnote or footnote reference element -> {number, fileIndex, element}
+        this.notesByFile = new Map(); // file index -> [note] in number order
+        this.indexTerms = []; // [{anchor, fileIndex, element, terms, see, seeAlso}]
+        this.termByElement = new Map(); // index term element -> index term
+        this.glossary = []; // [{anchor, fileIndex, element, term, definition}]
+        this.entryByElement = new Map(); // glossary entry element -> entry
+        this.entryTerms = new Set(); // term elements that name their own glossary entry
+        this.termLinks = new Map(); // glossary term in the text -> entry
+        this.undefinedTerms = []; // [{fileIndex, element, term}] glossary terms in the text without an entry
+        this.build(xmlFiles);
+    }
+
+    static normalize(text) {
+        return text.trim().replace(/\s+/g, ' ');
+    }
+
+    static termKey(text) {
+        return BackMatter.normalize(text).toLowerCase();
+    }
+
+    // Title of the nearest titled section around an element, to say where an index term is
+    static contextOf(element) {
+        for (let node = element.parentNode; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+            if (!DocumentOutline.isSection(DocumentOutline.localName(node))) continue;
+            const title = DocumentOutline.sectionTitle(node);
+            if (title && title.textContent.trim()) return BackMatter.normalize(title.textContent);
+        }
+        return null;
+    }
+
+    hasRoleAbove(element, role) {
+        for (let node = element.parentNode; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+            if (this.roleOf(node) === role) return true;
+        }
+        return false;
+    }
+
+    build(xmlFiles) {
+        // Entries may come after the terms that use them, in the same file or a later one
+        const terms = []; // [{fileIndex, element}]
+
+        xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (!xmlFile.parsed || xmlFile.hasError) return;
+            const references = [];
+            const notes = [];
+
+            for (const element of xmlFile.parsed.getElementsByTagName('*')) {
+                switch (this.roleOf(element)) {
+                    case 'footnote':
+                        // An empty footnote pointing at another one (DocBook footnoteref) repeats its number
+                        if (!element.textContent.trim() && IdIndex.referenceIds(element).length > 0) {
+                            references.push(element);
+                        } else {
+                            const note = { number: notes.length + 1, fileIndex, element };
+                            notes.push(note);
+                            this.footnotes.set(element, note);
+                        }
+                        break;
+                    case 'indexterm':
+                        // Nested index terms (DITA, TEI) are sub-entries of the outer one
+                        if (!this.hasRoleAbove(element, 'indexterm')) this.addIndexTerm(element, fileIndex);
+                        break;
+                    case 'glossentry':
+                        this.addGlossaryEntry(element, fileIndex);
+                        break;
+                    case 'glossterm':
+                        terms.push({ fileIndex, element });
+                        break;
+                }
+            }
+
+            this.notesByFile.set(fileIndex, notes);
+            references.forEach(element => {
+                const ids = IdIndex.referenceIds(element).map(ref => ref.id);
+                const note = notes.find(candidate => ids.includes(IdIndex.idOf(candidate.element)));
+                this.footnotes.set(element, note ? { ...note, reference: true } : { number: null, fileIndex, element, reference: true });
+            });
+        });
+
+        terms.forEach(({ fileIndex, element }) => this.linkGlossaryTerm(element, fileIndex));
+    }
+
+    // Levels of an index term: DocBook primary/secondary/tertiary children, or the
+    // text of each nested index term (DITA, and TEI with term children)
+    indexTermLevels(element) {
+        const childText = name => {
+            const child = Array.from(element.children).find(el => DocumentOutline.localName(el) === name);
+            return child ? BackMatter.normalize(child.textContent) : '';
+        };
+        if (childText('primary')) return BackMatter.TERM_LEVELS.map(childText).filter(Boolean);
+
+        const levels = [];
+        for (let node = element; node;) {
+            const term = Array.from(node.children).find(el => DocumentOutline.localName(el) === 'term');
+            const text = term ? term.textContent : Array.from(node.childNodes)
+                .filter(child => child.nodeType === Node.TEXT_NODE).map(child => child.nodeValue).join('');
+            if (BackMatter.normalize(text)) levels.push(BackMatter.normalize(text));
+            node = Array.from(node.children).find(el => this.roleOf(el) === 'indexterm');
+        }
+        return levels;
+    }
+
+    addIndexTerm(element, fileIndex) {
+        const terms = this.indexTermLevels(element);
+        if (terms.length === 0) return;
+        const referenced = names => Array.from(element.getElementsByTagName('*'))
+            .filter(el => names.includes(DocumentOutline.localName(el)))
+            .map(el => BackMatter.normalize(el.textContent));
+        const indexTerm = {
+            anchor: `ix-${this.indexTerms.length + 1}`,
+            fileIndex,
+            element,
+            terms,
+            see: referenced(['see', 'index-see']),
+            seeAlso: referenced(['seealso', 'index-see-also'])
+        };
+        this.indexTerms.push(indexTerm);
+        this.termByElement.set(element, indexTerm);
+    }
+
+    addGlossaryEntry(element, fileIndex) {
+        const children = Array.from(element.children);
+        const termElement = children.find(child => this.roleOf(child) === 'glossterm') || children[0];
+        if (!termElement) return;
+        const definitions = children.filter(child => this.roleOf(child) === 'glossdef');
+        const definition = (definitions.length > 0 ? definitions : children.filter(child => child !== termElement))
+            .map(child => BackMatter.normalize(child.textContent)).join(' ');
+
+        const entry = {
+            anchor: `gl-${this.glossary.length + 1}`,
+            fileIndex,
+            element,
+            term: BackMatter.normalize(termElement.textContent),
+            definition
+        };
+        this.glossary.push(entry);
+        this.entryByElement.set(element, entry);
+        this.entryTerms.add(termElement);
+    }
+
+    // A term in the text finds its entry by reference (linkend), by its base form or by its text
+    linkGlossaryTerm(element, fileIndex) {
+        if (this.entryTerms.has(element)) return;
+        const ids = IdIndex.referenceIds(element).map(ref => ref.id);
+        const key = BackMatter.termKey(element.getAttribute('baseform') || element.textContent);
+        const entry = (ids.length > 0 && this.glossary.find(candidate => ids.includes(IdIndex.idOf(candidate.element)))) ||
+            this.glossary.find(candidate => BackMatter.termKey(candidate.term) === key);
+
+        if (entry) this.termLinks.set(element, entry);
+        else if (key) this.undefinedTerms.push({ fileIndex, element, term: BackMatter.normalize(element.textContent) });
+    }
+
+    // Index entries as a tree sorted by term: [{term, occurrences, see, seeAlso, children}]
+    indexEntries() {
+        const root = { children: new Map() };
+        this.indexTerms.forEach(indexTerm => {
+            let node = root;
+            indexTerm.terms.forEach(term => {
+                const key = BackMatter.termKey(term);
+                if (!node.children.has(key)) node.children.set(key, { term, occurrences: [], see: [], seeAlso: [], children: new Map() });
+                node = node.children.get(key);
+            });
+            // An index term only pointing elsewhere ("see") is not an occurrence
+            if (indexTerm.see.length > 0) indexTerm.see.forEach(see => { if (!node.see.includes(see)) node.see.push(see); });
+            else node.occurrences.push(indexTerm);
+            indexTerm.seeAlso.forEach(see => { if (!node.seeAlso.includes(see)) node.seeAlso.push(see); });
+        });
+
+        const sorted = children => Array.from(children.values())
+            .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base', numeric: true }))
+            .map(node => ({ ...node, children: sorted(node.children) }));
+        return sorted(root.children);
+    }
+
+    glossaryEntries() {
+        return this.glossary.slice().sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base', numeric: true }));
+    }
+}
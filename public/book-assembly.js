@@ -0,0 +1,266 @@
+// Books assembled from a master file and the chapter files it includes
+//
+// Two include mechanisms are resolved against the other XML files of the ZIP,
+// relative to the including file. External parsed entities (<!ENTITY ch1
+// SYSTEM "ch1.xml"> ... &ch1;) are substituted in the source before parsing,
+// since browsers never load them. XInclude elements (xi:include with href,
+// parse="xml" or "text", an xpointer naming an ID, xi:fallback) are replaced
+// in the parsed document. Included files are assembled in turn, so chapters
+// can include sections.
+//
+// A master is a file with includes that no other file includes. The book view
+// shows each master as one document, in authored order, next to the files no
+// book includes. Missing and circular includes are reported and leave a
+// marker element in the book. Entity references in comments, CDATA sections
+// and processing instructions are text, as in XML. A book that grows past
+// MAX_SIZE characters (files included over and over, as in a "billion
+// laughs" attack) is not assembled; it shows a marker element instead.
+class BookAssembly {
+    static XINCLUDE_NAMESPACES = ['http://www.w3.org/2001/XInclude', 'http://www.w3.org/2003/XInclude'];
+    // Marker elements for includes that could not be resolved
+    static NAMESPACE = 'urn:x-xml-viewer:book';
+    static MAX_DEPTH = 30;
+    // Characters of included text one book may add up to
+    static MAX_SIZE = 64 * 1024 * 1024;
+
+    constructor(xmlFiles) {
+        this.xmlFiles = xmlFiles;
+        this.paths = xmlFiles.map(xmlFile => xmlFile.path);
+        this.problems = []; // [{type: 'missing'|'circular'|'not-well-formed'|'xpointer'|'too-large', from, href, message}]
+        this.size = 0; // characters included into the book being assembled
+        this.books = []; // [{fileIndex, xmlFile, parts}] where parts are the included paths in order
+        this.files = []; // the book view's file list: books and the files no book includes
+        this.build();
+    }
+
+    // Cheap check of the source, so files without includes are never parsed again
+    static usesIncludes(content) {
+        return BookAssembly.XINCLUDE_NAMESPACES.some(namespace => content.includes(namespace)) ||
+            /<!ENTITY\s+[^\s%]+\s+(SYSTEM|PUBLIC)\b/.test(content);
+    }
+
+    // External parsed entities declared in a DOCTYPE's internal subset: name -> system ID;
+    // with unparsed, the NDATA entities (images and the like) instead
+    static externalEntities(internalSubset, unparsed = false) {
+        const entities = new Map();
+        const declaration = /<!ENTITY\s+([^\s%]+)\s+(?:SYSTEM\s*("[^"]*"|'[^']*')|PUBLIC\s*(?:"[^"]*"|'[^']*')\s*("[^"]*"|'[^']*'))\s*(NDATA\b)?[^>]*>/g;
+        for (const match of internalSubset.matchAll(declaration)) {
+            // The first declaration of a name is the one that counts
+            if (!!match[4] !== unparsed || entities.has(match[1])) continue;
+            entities.set(match[1], (match[2] || match[3]).slice(1, -1));
+        }
+        return entities;
+    }
+
+    // {start, end, internalSubset} of a source's DOCTYPE, or null
+    static doctypeOf(content) {
+        const start = content.indexOf('<!DOCTYPE');
+        if (start === -1) return null;
+        const scanner = new XmlScanner(content);
+        const end = scanner.scanDoctype(start, () => {});
+        return { start, end, internalSubset: scanner.doctype.internalSubset || '' };
+    }
+
+    // Element ID an xpointer names: "id", element(id) or xpointer(id('id')); null for other schemes
+    static xpointerId(xpointer) {
+        const match = /^\s*(?:element\(([^/)]+)\)|xpointer\(id\(["']([^"']+)["']\)\)|([^\s()/]+))\s*$/.exec(xpointer);
+        return match ? match[1] || match[2] || match[3] : null;
+    }
+
+    build() {
+        const assembled = new Map(); // file index -> book
+        const included = new Set(); // paths some file includes
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (!BookAssembly.usesIncludes(xmlFile.content)) return;
+            const book = this.assemble(xmlFile, fileIndex);
+            if (book.parts.length === 0 && !book.xmlFile.hasError && book.problems === 0) return;
+            assembled.set(fileIndex, book);
+            book.parts.forEach(path => included.add(path));
+        });
+
+        // A chapter that includes sections is part of a book, not a book of its own
+        this.books = Array.from(assembled.values()).filter(book => !included.has(book.xmlFile.path));
+        const inBooks = new Set(this.books.flatMap(book => book.parts));
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (inBooks.has(xmlFile.path)) return;
+            const book = this.books.find(candidate => candidate.fileIndex === fileIndex);
+            this.files.push(book ? book.xmlFile : xmlFile);
+        });
+    }
+
+    assemble(xmlFile, fileIndex) {
+        const parts = [];
+        const problemsBefore = this.problems.length;
+        this.size = 0;
+        let assembled;
+        try {
+            assembled = this.documentFor(xmlFile.path, [], parts);
+        } catch (err) {
+            if (!err.tooLarge) throw err;
+            this.report('too-large', xmlFile.path, xmlFile.path, err.message);
+            const text = this.problemMarkup('too-large', xmlFile.path, err.message);
+            assembled = { doc: new DOMParser().parseFromString(text, 'text/xml'), text };
+        }
+        const { doc, text } = assembled;
+        const hasError = !doc;
+        return {
+            fileIndex,
+            parts: [...new Set(parts)],
+            problems: this.problems.length - problemsBefore,
+            xmlFile: {
+                name: xmlFile.name,
+                path: xmlFile.path,
+                // The source of the book is its serialization, so source positions match the document
+                content: hasError ? text : new XMLSerializer().serializeToString(doc),
+                parsed: hasError ? new DOMParser().parseFromString(text, 'text/xml') : doc,
+                hasError,
+                book: { parts: [...new Set(parts)] }
+            }
+        };
+    }
+
+    // Count text read into the book being assembled; throws once the book is over MAX_SIZE
+    take(text, path) {
+        this.size += text.length;
+        if (this.size > BookAssembly.MAX_SIZE) {
+            const error = new Error(`Book too large: including ${path} takes it past ${BookAssembly.MAX_SIZE} characters; files are included too many times`);
+            error.tooLarge = true;
+            throw error;
+        }
+        return text;
+    }
+
+    // Path of an included file among the ZIP's XML files
+    resolve(href, basePath) {
+        return XsltRenderer.resolvePath(href, basePath, this.paths);
+    }
+
+    report(type, from, href, message) {
+        if (this.problems.some(problem => problem.type === type && problem.from === from && problem.href === href)) return;
+        this.problems.push({ type, from, href, message });
+    }
+
+    // The assembled document of a file ({doc: null} when it is not well-formed once assembled);
+    // stack holds the including files, parts collects every included path
+    documentFor(path, stack, parts) {
+        const source = this.xmlFiles[this.paths.indexOf(path)];
+        this.take(source.content, path);
+        const chain = stack.concat(path);
+        const doctype = BookAssembly.doctypeOf(source.content);
+        const entities = new Map();
+        if (doctype) {
+            BookAssembly.externalEntities(doctype.internalSubset).forEach((systemId, name) => entities.set(name, { systemId, basePath: path }));
+        }
+        const bodyStart = doctype ? doctype.end : 0;
+        const text = source.content.slice(0, bodyStart) + this.expandEntities(source.content.slice(bodyStart), path, entities, chain, parts);
+
+        // Always a fresh parse: includes are resolved by changing the document
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.querySelector('parsererror')) return { doc: null, text };
+        this.expandIncludes(doc, path, chain, parts);
+        return { doc, text };
+    }
+
+    // Marker markup for the source (entities) and the document (XInclude)
+    problemMarkup(type, href, message) {
+        const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        return `<include-problem xmlns="${BookAssembly.NAMESPACE}" type="${type}" href="${escape(href)}">${escape(message)}</include-problem>`;
+    }
+
+    problemElement(doc, type, href, message) {
+        const element = doc.createElementNS(BookAssembly.NAMESPACE, 'include-problem');
+        element.setAttribute('type', type);
+        element.setAttribute('href', href);
+        element.textContent = message;
+        return element;
+    }
+
+    // Substitute references to external entities with the (assembled) text of the files they name;
+    // comments, CDATA sections and processing instructions are skipped whole
+    expandEntities(text, path, entities, chain, parts) {
+        if (entities.size === 0) return text;
+        return text.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|&([^\s&;#<]+);/g, (reference, name) => {
+            const entity = name && entities.get(name);
+            if (!entity) return reference;
+
+            const target = this.resolve(entity.systemId, entity.basePath);
+            if (!target) {
+                const message = `Missing include: ${entity.systemId} (&${name};) is not an XML file in the ZIP`;
+                this.report('missing', path, entity.systemId, message);
+                return this.problemMarkup('missing', entity.systemId, message);
+            }
+            if (chain.includes(target) || chain.length > BookAssembly.MAX_DEPTH) {
+                const message = `Circular include: ${chain.concat(target).join(' → ')}`;
+                this.report('circular', path, entity.systemId, message);
+                return this.problemMarkup('circular', entity.systemId, message);
+            }
+            parts.push(target);
+
+            // The included text without its own XML and DOCTYPE declarations; entities it declares apply inside it
+            let included = this.take(this.xmlFiles[this.paths.indexOf(target)].content, target).replace(/^﻿?\s*<\?xml\b[^?]*\?>/, '');
+            const doctype = BookAssembly.doctypeOf(included);
+            const scope = new Map(entities);
+            if (doctype) {
+                BookAssembly.externalEntities(doctype.internalSubset).forEach((systemId, entityName) => {
+                    // The first declaration wins, as in XML
+                    if (!scope.has(entityName)) scope.set(entityName, { systemId, basePath: target });
+                });
+                included = included.slice(0, doctype.start) + included.slice(doctype.end);
+            }
+            return this.expandEntities(included, target, scope, chain.concat(target), parts);
+        });
+    }
+
+    expandIncludes(doc, path, chain, parts) {
+        const includes = BookAssembly.XINCLUDE_NAMESPACES.flatMap(namespace => Array.from(doc.getElementsByTagNameNS(namespace, 'include')));
+        for (const include of includes) {
+            // Includes inside the fallback of an include that worked are gone
+            if (!doc.documentElement.contains(include)) continue;
+            const href = include.getAttribute('href') || '';
+            const replacement = this.includeContent(doc, include, href, path, chain, parts);
+            include.replaceWith(...replacement);
+        }
+    }
+
+    // Nodes replacing one xi:include: the included content, its fallback or a problem marker
+    includeContent(doc, include, href, path, chain, parts) {
+        const xpointer = include.getAttribute('xpointer');
+        const target = href ? this.resolve(href, path) : path;
+        let problem = null;
+        let nodes = null;
+
+        if (!target) {
+            problem = ['missing', `Missing include: ${href} is not an XML file in the ZIP`];
+        } else if (href && (chain.includes(target) || chain.length > BookAssembly.MAX_DEPTH)) {
+            problem = ['circular', `Circular include: ${chain.concat(target).join(' → ')}`];
+        } else if (include.getAttribute('parse') === 'text') {
+            parts.push(target);
+            nodes = [doc.createTextNode(this.take(this.xmlFiles[this.paths.indexOf(target)].content, target))];
+        } else {
+            const included = href ? this.documentFor(target, chain, parts).doc : doc;
+            const id = xpointer ? BookAssembly.xpointerId(xpointer) : null;
+            if (href) parts.push(target);
+            if (!included) {
+                problem = ['not-well-formed', `Include not well-formed: ${href}`];
+            } else if (xpointer && !id) {
+                problem = ['xpointer', `Unsupported xpointer "${xpointer}" in the include of ${href || path}`];
+            } else {
+                const node = id
+                    ? Array.from(included.getElementsByTagName('*')).find(element => IdIndex.idOf(element) === id)
+                    : included.documentElement;
+                // Text from another file was counted when it was read; a copy from this document is counted here
+                if (node && !href) this.take(new XMLSerializer().serializeToString(node), path);
+                if (node) nodes = [doc.importNode(node, true)];
+                else problem = ['xpointer', `Missing include: no element with ID "${id}" in ${href || path}`];
+            }
+        }
+        if (nodes) return nodes;
+
+        const fallback = Array.from(include.children).find(child =>
+            child.localName === 'fallback' && BookAssembly.XINCLUDE_NAMESPACES.includes(child.namespaceURI));
+        if (fallback) return Array.from(fallback.childNodes);
+        const [type, message] = problem;
+        this.report(type, path, href, message);
+        return [this.problemElement(doc, type, href, message)];
+    }
+}
@@ -0,0 +1,154 @@
+// Input containers: ZIPs, EPUB, DOCX/ODT, tarballs, folders and loose XML files
+//
+// Every input is opened as a ZipArchive, so the rest of the viewer reads it the
+// same way. What differs is which XML files are the document: a plain ZIP shows
+// all its *.xml files, an EPUB the XHTML files of its OPF spine in reading
+// order, a DOCX word/document.xml and an ODT content.xml. Word documents name
+// their images and link targets through relationship IDs (r:embed="rId5"),
+// which the layout resolves to paths from the package's .rels files.
+class DocumentContainer {
+    static ZIP_EXTENSIONS = ['zip', 'epub', 'docx', 'docm', 'dotx', 'odt', 'ott'];
+    static TAR_EXTENSIONS = ['tar', 'tgz', 'tar.gz'];
+    static OPF = 'http://www.idpf.org/2007/opf';
+    static PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    static RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    // Names shown for each kind, and the built-in mapping preset it renders with
+    static KINDS = {
+        zip: { label: 'ZIP', profile: null },
+        epub: { label: 'EPUB', profile: 'xhtml' },
+        docx: { label: 'Word document', profile: 'docx' },
+        odt: { label: 'OpenDocument text', profile: 'odt' },
+        tar: { label: 'tar archive', profile: null },
+        folder: { label: 'folder', profile: null },
+        files: { label: 'files', profile: null }
+    };
+
+    static extensionOf(name) {
+        const lower = name.toLowerCase();
+        if (lower.endsWith('.tar.gz')) return 'tar.gz';
+        return lower.includes('.') ? lower.split('.').pop() : '';
+    }
+
+    static isArchive(name) {
+        const extension = DocumentContainer.extensionOf(name);
+        return DocumentContainer.ZIP_EXTENSIONS.includes(extension) || DocumentContainer.TAR_EXTENSIONS.includes(extension);
+    }
+
+    // The archive (or loose files) among those selected or dropped, opened as a ZipArchive
+    // Gives {archive, name, kind}, or null when there is nothing the viewer can show; limits as in SafetyPolicy
+    static async open(files, limits = SafetyPolicy.DEFAULT_LIMITS) {
+        const archiveFile = files.find(file => DocumentContainer.isArchive(file.name));
+        if (archiveFile) {
+            const tar = DocumentContainer.TAR_EXTENSIONS.includes(DocumentContainer.extensionOf(archiveFile.name));
+            return {
+                archive: tar ? await ZipArchive.fromTar(archiveFile, limits) : await ZipArchive.open(archiveFile, limits),
+                name: archiveFile.name,
+                kind: tar ? 'tar' : 'zip'
+            };
+        }
+
+        if (!files.some(file => DocumentContainer.extensionOf(file.name) === 'xml')) return null;
+        const relativePath = files[0].relativePath || files[0].webkitRelativePath;
+        const folder = relativePath && relativePath.includes('/') ? relativePath.split('/')[0] : null;
+        return {
+            archive: ZipArchive.fromFiles(files).applyLimits(limits),
+            name: folder || (files.length === 1 ? files[0].name : `${files.length} files`),
+            kind: folder ? 'folder' : 'files'
+        };
+    }
+
+    // How to read an opened archive: {kind, xmlPaths, profile, relationships}
+    // xmlPaths lists the document's XML files in reading order, or is null for "every *.xml file";
+    // relationships maps an XML path to a Map of relationship ID to {target, external}
+    static async layoutOf(archive, kind = 'zip') {
+        const files = archive.files;
+        const read = async path => files[path] ? files[path].async('text') : null;
+        const mimetype = ((await read('mimetype')) || '').trim();
+
+        if (mimetype === 'application/epub+zip' || (files['META-INF/container.xml'] && !mimetype.startsWith('application/vnd.oasis'))) {
+            const xmlPaths = await DocumentContainer.epubSpine(archive);
+            if (xmlPaths) return DocumentContainer.layout('epub', xmlPaths);
+        }
+        if (files['[Content_Types].xml'] && files['word/document.xml']) {
+            const relationships = new Map();
+            const rels = await read('word/_rels/document.xml.rels');
+            if (rels) relationships.set('word/document.xml', DocumentContainer.parseRelationships(rels, 'word/document.xml'));
+            return DocumentContainer.layout('docx', ['word/document.xml'], relationships);
+        }
+        if (mimetype.startsWith('application/vnd.oasis.opendocument.text') && files['content.xml']) {
+            return DocumentContainer.layout('odt', ['content.xml']);
+        }
+        return DocumentContainer.layout(kind, null);
+    }
+
+    static layout(kind, xmlPaths, relationships = new Map()) {
+        const { label, profile } = DocumentContainer.KINDS[kind];
+        return { kind, label, xmlPaths, profile, relationships };
+    }
+
+    // Content documents of an EPUB in spine order, found through META-INF/container.xml and the OPF
+    static async epubSpine(archive) {
+        const containerEntry = archive.files['META-INF/container.xml'];
+        if (!containerEntry) return null;
+        const parser = new DOMParser();
+        const container = parser.parseFromString(await containerEntry.async('text'), 'application/xml');
+        const rootfile = Array.from(container.getElementsByTagNameNS('*', 'rootfile'))
+            .find(element => !element.getAttribute('media-type') || element.getAttribute('media-type') === 'application/oebps-package+xml');
+        const opfPath = rootfile && rootfile.getAttribute('full-path');
+        if (!opfPath || !archive.files[opfPath]) return null;
+
+        const opf = parser.parseFromString(await archive.files[opfPath].async('text'), 'application/xml');
+        const manifest = new Map();
+        Array.from(opf.getElementsByTagNameNS(DocumentContainer.OPF, 'item')).forEach(item => {
+            manifest.set(item.getAttribute('id'), { href: item.getAttribute('href'), type: item.getAttribute('media-type') });
+        });
+        const paths = Array.from(opf.getElementsByTagNameNS(DocumentContainer.OPF, 'itemref'))
+            .map(itemref => manifest.get(itemref.getAttribute('idref')))
+            .filter(item => item && item.href && /xml/.test(item.type || 'xml'))
+            .map(item => DocumentContainer.resolvePath(item.href, opfPath))
+            .filter(path => archive.files[path]);
+        return paths.length > 0 ? paths : null;
+    }
+
+    // Map of relationship ID to {target, external} from a .rels part; internal targets become package paths
+    static parseRelationships(text, sourcePath) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const relationships = new Map();
+        Array.from(doc.getElementsByTagNameNS(DocumentContainer.PACKAGE_RELATIONSHIPS, 'Relationship')).forEach(rel => {
+            const target = rel.getAttribute('Target') || '';
+            const external = rel.getAttribute('TargetMode') === 'External';
+            relationships.set(rel.getAttribute('Id'), {
+                target: external ? target : DocumentContainer.resolvePath(target, sourcePath),
+                external
+            });
+        });
+        return relationships;
+    }
+
+    // Relationship ID an element refers to, itself or through a descendant (a:blip inside w:drawing)
+    static relationshipId(element) {
+        const namespace = DocumentContainer.RELATIONSHIPS;
+        for (const node of [element, ...element.getElementsByTagName('*')]) {
+            for (const name of ['embed', 'id', 'link']) {
+                if (node.hasAttributeNS(namespace, name)) return node.getAttributeNS(namespace, name);
+            }
+        }
+        return null;
+    }
+
+    // Package path of a (URL-encoded) reference relative to the part that makes it
+    static resolvePath(href, fromPath) {
+        let reference = href.split('#')[0];
+        try {
+            reference = decodeURIComponent(reference);
+        } catch (err) {
+            // Kept as written
+        }
+        const parts = reference.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+        reference.replace(/^\//, '').split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+}
@@ -0,0 +1,205 @@
+// Standalone HTML and EPUB3 export of rendered documents
+//
+// Both start from the viewer's renderElement output. The viewer's own
+// attributes (element indexes, outline keys, page markers) are removed,
+// headings get IDs so navigation can point at them, cross-references are
+// pointed at the page that holds their target, and images are either inlined
+// as data URIs (HTML) or copied into the package (EPUB).
+class DocumentExport {
+    static MEDIA_TYPES = {
+        png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp',
+        svg: 'image/svg+xml', webp: 'image/webp', tif: 'image/tiff', tiff: 'image/tiff'
+    };
+    // Image types EPUB reading systems must support; others would need fallbacks
+    static EPUB_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml', 'image/webp'];
+    static VIEWER_ATTRIBUTES = ['data-node', 'data-outline', 'data-page', 'data-broken-ref', 'data-chunk', 'data-diff', 'data-xref', 'data-file-index',
+        'data-anchor', 'data-anchor-ref', 'data-include'];
+
+    static mediaType(path) {
+        return DocumentExport.MEDIA_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+    }
+
+    static escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Self-contained HTML page for a rendered document; head is extra markup for the <head>
+    static standalonePage(title, body, css, head = '') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+${head}
+<title>${DocumentExport.escapeXml(title)}</title>
+<style>
+${css}
+</style>
+</head>
+<body class="standalone-preview">
+<div class="preview-container"><div class="preview-content">${body}</div></div>
+</body>
+</html>
+`;
+    }
+
+    // Rendered HTML of one file in a detached container, without the viewer's attributes
+    // headingIds collects outline entry key -> heading ID; hrefForXref(id, fileIndex) and
+    // hrefForAnchor(elementId, fileIndex) give a link target or null
+    static prepare(html, { headingIds, hrefForXref, hrefForAnchor }) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        // Duplicate IDs (reported by the link report) would make the pages invalid
+        const seen = new Set();
+        container.querySelectorAll('[id]').forEach(node => {
+            if (seen.has(node.id)) node.removeAttribute('id');
+            else seen.add(node.id);
+        });
+
+        container.querySelectorAll('[data-outline]').forEach(node => {
+            if (!node.id) node.id = `toc-${node.dataset.outline.replace(/\./g, '-')}`;
+            headingIds.set(node.dataset.outline, node.id);
+        });
+        container.querySelectorAll('a[data-xref]').forEach(link => {
+            const href = hrefForXref(link.dataset.xref, parseInt(link.dataset.fileIndex));
+            if (href) link.setAttribute('href', href);
+            else link.removeAttribute('href');
+        });
+
+        // Generated anchors (index terms, glossary entries) become IDs derived from their name,
+        // so links from other files can be written before those files are prepared
+        container.querySelectorAll('[data-anchor]').forEach(node => {
+            const id = DocumentExport.anchorId(node.dataset.anchor);
+            if (!node.id) node.id = id;
+            else node.insertAdjacentHTML('beforebegin', `<span id="${id}"></span>`);
+        });
+        container.querySelectorAll('a[data-anchor-ref]').forEach(link => {
+            const href = hrefForAnchor(DocumentExport.anchorId(link.dataset.anchorRef), parseInt(link.dataset.fileIndex));
+            if (href) link.setAttribute('href', href);
+            else link.removeAttribute('href');
+        });
+        DocumentExport.VIEWER_ATTRIBUTES.forEach(name => {
+            container.querySelectorAll(`[${name}]`).forEach(node => node.removeAttribute(name));
+        });
+        container.querySelectorAll('[contenteditable]').forEach(node => node.removeAttribute('contenteditable'));
+        return container;
+    }
+
+    static anchorId(anchor) {
+        return `xml-${anchor}`;
+    }
+
+    static base64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    }
+
+    // Point images at new URLs; urlFor(path) gives a URL or null to replace the image with a note
+    static async replaceImages(container, urlFor) {
+        for (const img of container.querySelectorAll('img[data-image], image[data-image]')) {
+            const path = img.dataset.image;
+            img.removeAttribute('data-image');
+            const url = await urlFor(path);
+            if (url === null) {
+                const note = document.createElement('div');
+                note.className = 'image-error';
+                note.textContent = `Image not included: ${path}`;
+                (img.closest('.xml-image-container') || img).replaceWith(note);
+            } else if (img.namespaceURI === Namespaces.SVG) {
+                img.setAttribute('href', url);
+            } else {
+                img.setAttribute('src', url);
+            }
+        }
+    }
+
+    // XHTML serialization of a container's content
+    static xhtml(container) {
+        const serializer = new XMLSerializer();
+        return Array.from(container.childNodes).map(node => serializer.serializeToString(node))
+            .join('')
+            // Children of an HTML container are serialized with their namespace each
+            .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+    }
+
+    static contentDocument(title, body, lang) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${DocumentExport.escapeXml(lang)}" lang="${DocumentExport.escapeXml(lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${DocumentExport.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles/book.css"/>
+</head>
+<body class="standalone-preview">
+<div class="preview-content">${body}</div>
+</body>
+</html>
+`;
+    }
+
+    // Navigation document: the outline of every file, or the file names where a file has no headings
+    static navDocument(title, files, lang) {
+        const list = entries => `<ol>${entries.map(entry => `<li><a href="${DocumentExport.escapeXml(entry.href)}">${DocumentExport.escapeXml(entry.title)}</a>` +
+            (entry.children.length > 0 ? list(entry.children) : '') + '</li>').join('')}</ol>`;
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${DocumentExport.escapeXml(lang)}" lang="${DocumentExport.escapeXml(lang)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${DocumentExport.escapeXml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>${DocumentExport.escapeXml(title)}</h1>
+${list(files)}
+</nav>
+</body>
+</html>
+`;
+    }
+
+    // items: [{id, href, mediaType, properties}]; spine: [id]
+    static packageDocument({ identifier, title, lang, items, spine }) {
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const manifest = items.map(item => `    <item id="${item.id}" href="${DocumentExport.escapeXml(item.href)}" media-type="${item.mediaType}"` +
+            (item.properties ? ` properties="${item.properties}"` : '') + '/>').join('\n');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${DocumentExport.escapeXml(lang)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${DocumentExport.escapeXml(identifier)}</dc:identifier>
+    <dc:title>${DocumentExport.escapeXml(title)}</dc:title>
+    <dc:language>${DocumentExport.escapeXml(lang)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${manifest}
+  </manifest>
+  <spine>
+${spine.map(id => `    <itemref idref="${id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+    }
+
+    static containerXml() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+    }
+
+    // Percent-encode each segment of a package path for use in hrefs
+    static href(path) {
+        return path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    static uuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx'.replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
+    }
+}
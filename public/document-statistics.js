@@ -0,0 +1,65 @@
+// Counts per XML file: element and attribute frequency, words, images and unmapped tags
+//
+// Words are runs of non-space characters in text nodes, so a word split by
+// inline markup ("<i>W</i>ord") counts twice; block-level markup without
+// whitespace between the blocks does not run words together. Images are the
+// references the asset report lists, and unmapped tags are the elements the
+// renderer gives its generic fallback, so the numbers match those views.
+class DocumentStatistics {
+    // imageReferenceOf(element) gives an element's image reference ('' when it names none) or null;
+    // unmappedElements(root) gives a Map of tag name to the elements no mapping rule covers
+    constructor(xmlFiles, { imageReferenceOf, unmappedElements }) {
+        this.files = xmlFiles.map((xmlFile, fileIndex) => DocumentStatistics.count(xmlFile, fileIndex, imageReferenceOf, unmappedElements));
+        this.totals = DocumentStatistics.sum(this.files);
+    }
+
+    static empty() {
+        return { elements: new Map(), attributes: new Map(), unmapped: new Map(), elementCount: 0, attributeCount: 0, words: 0, images: 0 };
+    }
+
+    static count(xmlFile, fileIndex, imageReferenceOf, unmappedElements) {
+        const stats = { fileIndex, name: xmlFile.name, wellFormed: !xmlFile.hasError, ...DocumentStatistics.empty() };
+        if (xmlFile.hasError) return stats;
+
+        const add = (map, key, count = 1) => map.set(key, (map.get(key) || 0) + count);
+        const visit = (node) => {
+            if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+                stats.words += (node.nodeValue.match(/\S+/g) || []).length;
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            stats.elementCount++;
+            add(stats.elements, node.nodeName);
+            for (const attr of ElementTree.attributesOf(node)) {
+                stats.attributeCount++;
+                add(stats.attributes, attr.name);
+            }
+            if (imageReferenceOf(node) !== null) stats.images++;
+            node.childNodes.forEach(visit);
+        };
+        const root = xmlFile.parsed.documentElement;
+        visit(root);
+        unmappedElements(root).forEach((elements, name) => stats.unmapped.set(name, elements.length));
+        return stats;
+    }
+
+    static sum(files) {
+        const totals = DocumentStatistics.empty();
+        const merge = (target, source) => source.forEach((count, key) => target.set(key, (target.get(key) || 0) + count));
+        files.forEach(stats => {
+            merge(totals.elements, stats.elements);
+            merge(totals.attributes, stats.attributes);
+            merge(totals.unmapped, stats.unmapped);
+            totals.elementCount += stats.elementCount;
+            totals.attributeCount += stats.attributeCount;
+            totals.words += stats.words;
+            totals.images += stats.images;
+        });
+        return totals;
+    }
+
+    // [[name, count]] most frequent first, then by name
+    static ranked(map) {
+        return [...map].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    }
+}
@@ -0,0 +1,49 @@
+// Undo and redo of XML edits
+//
+// A step records the whole source of the edited file before and after the
+// edit. Snapshots are simple and exact for any kind of edit (a retyped title,
+// a reformatted raw view), and undo works across files: undoing a step shows
+// the file it was made in.
+class EditHistory {
+    static MAX_STEPS = 100;
+
+    constructor() {
+        this.undoStack = []; // [{fileIndex, before, after, label}], oldest first
+        this.redoStack = [];
+    }
+
+    record(step) {
+        this.undoStack.push(step);
+        if (this.undoStack.length > EditHistory.MAX_STEPS) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // The step to revert, or null
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.redoStack.push(step);
+        return step;
+    }
+
+    // The step to apply again, or null
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.undoStack.push(step);
+        return step;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,46 @@
+// Element tree inspector: the nodes a tree row shows and the XPath it copies
+//
+// XPaths use the prefixes written in the document, which the XPath search
+// resolves, so a copied path can be pasted back into it. Elements in a default
+// namespace have no prefix to name them by and are matched by local name.
+// Positions are only added where siblings share a name.
+class ElementTree {
+    static XMLNS = 'http://www.w3.org/2000/xmlns/';
+
+    // Child nodes worth a row: elements, comments, processing instructions and text that is not just whitespace
+    static childrenOf(element) {
+        return Array.from(element.childNodes).filter(node => node.nodeType !== Node.TEXT_NODE || node.nodeValue.trim());
+    }
+
+    // Attributes without the namespace declarations
+    static attributesOf(element) {
+        return Array.from(element.attributes).filter(attr => attr.namespaceURI !== ElementTree.XMLNS);
+    }
+
+    // Namespaces declared on an element: [{prefix, uri}], prefix '' for the default namespace
+    static declarationsOf(element) {
+        return Array.from(element.attributes)
+            .filter(attr => attr.namespaceURI === ElementTree.XMLNS)
+            .map(attr => ({ prefix: attr.prefix ? attr.localName : '', uri: attr.value }));
+    }
+
+    // XPath of an element or attribute
+    static xpathOf(node) {
+        if (node.nodeType === Node.ATTRIBUTE_NODE) return `${ElementTree.xpathOf(node.ownerElement)}/@${node.name}`;
+        const steps = [];
+        for (let element = node; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
+            steps.unshift(ElementTree.stepOf(element));
+        }
+        return `/${steps.join('/')}`;
+    }
+
+    static stepOf(element) {
+        const byLocalName = element.namespaceURI && !element.prefix;
+        const test = byLocalName ? `*[local-name()='${element.localName}']` : element.nodeName;
+        const matches = sibling => sibling.localName === element.localName && (byLocalName || sibling.namespaceURI === element.namespaceURI);
+        const parent = element.parentNode;
+        if (!parent || parent.nodeType !== Node.ELEMENT_NODE) return test;
+        const siblings = Array.from(parent.children).filter(matches);
+        return siblings.length > 1 ? `${test}[${siblings.indexOf(element) + 1}]` : test;
+    }
+}
@@ -0,0 +1,129 @@
+// ID index and cross-reference resolution across all loaded XML files
+//
+// Collects every id/xml:id target and every internal reference (linkend,
+// idref, rid, endterm, href="#...") so the renderer can turn references into
+// in-document navigation and the link report can list what does not resolve.
+class IdIndex {
+    constructor(xmlFiles) {
+        this.targets = new Map(); // id -> [{fileIndex, element}]
+        this.references = []; // [{index, fileIndex, element, attribute, id}], index being the position in this list
+        this.referencesByElement = new Map(); // element -> [reference]
+        this.documents = new Map(); // parsed document -> file index
+        this.build(xmlFiles);
+    }
+
+    static idOf(element) {
+        return Namespaces.attribute(element, Namespaces.XML, 'id') ||
+            element.getAttribute('xml:id') ||
+            element.getAttribute('id') ||
+            null;
+    }
+
+    // Attributes that point at an ID; values may hold several space-separated IDs
+    static referenceIds(element) {
+        const refs = [];
+        for (const attribute of ['linkend', 'linkends', 'idref', 'idrefs', 'rid', 'endterm']) {
+            const value = element.getAttribute(attribute);
+            if (!value) continue;
+            value.trim().split(/\s+/).forEach(id => refs.push({ attribute, id }));
+        }
+
+        const href = element.getAttribute('href') || Namespaces.xlinkHref(element);
+        if (href && href.startsWith('#') && href.length > 1) {
+            let id = href.slice(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (e) {
+                // Keep the raw fragment when it is not valid percent-encoding
+            }
+            refs.push({ attribute: 'href', id });
+        }
+
+        return refs;
+    }
+
+    build(xmlFiles) {
+        xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (!xmlFile.parsed || xmlFile.hasError) return;
+            this.documents.set(xmlFile.parsed, fileIndex);
+
+            for (const element of xmlFile.parsed.getElementsByTagName('*')) {
+                const id = IdIndex.idOf(element);
+                if (id) {
+                    if (!this.targets.has(id)) this.targets.set(id, []);
+                    this.targets.get(id).push({ fileIndex, element });
+                }
+
+                IdIndex.referenceIds(element).forEach(({ attribute, id: refId }) => {
+                    const reference = { index: this.references.length, fileIndex, element, attribute, id: refId };
+                    this.references.push(reference);
+                    if (!this.referencesByElement.has(element)) this.referencesByElement.set(element, []);
+                    this.referencesByElement.get(element).push(reference);
+                });
+            }
+        });
+    }
+
+    fileIndexOf(node) {
+        const index = this.documents.get(node.ownerDocument || node);
+        return index === undefined ? -1 : index;
+    }
+
+    // Resolve an ID, preferring a target in the file the reference comes from
+    resolve(id, fromFileIndex) {
+        const matches = this.targets.get(id);
+        if (!matches || matches.length === 0) return null;
+        return matches.find(match => match.fileIndex === fromFileIndex) || matches[0];
+    }
+
+    // First resolvable reference made by an element, or its first reference if none resolve
+    primaryReference(element, fileIndex) {
+        const refs = (this.referencesByElement.get(element) || []).filter(ref => ref.attribute !== 'endterm');
+        return refs.find(ref => this.resolve(ref.id, fileIndex)) || refs[0] || null;
+    }
+
+    isDangling(reference) {
+        return !this.resolve(reference.id, reference.fileIndex);
+    }
+
+    danglingReferences() {
+        return this.references.filter(ref => this.isDangling(ref));
+    }
+
+    duplicateIds() {
+        const duplicates = [];
+        for (const [id, matches] of this.targets) {
+            if (matches.length > 1) duplicates.push({ id, matches });
+        }
+        return duplicates;
+    }
+
+    // Text for an empty xref: endterm, xreflabel, then the target's title or label
+    generatedLinkText(element, fileIndex) {
+        const endterm = element.getAttribute('endterm');
+        if (endterm) {
+            const term = this.resolve(endterm, fileIndex);
+            if (term) return term.element.textContent.trim();
+        }
+
+        const reference = this.primaryReference(element, fileIndex);
+        if (!reference) return '';
+
+        const target = this.resolve(reference.id, fileIndex);
+        if (!target) return reference.id;
+
+        const xreflabel = target.element.getAttribute('xreflabel');
+        if (xreflabel) return xreflabel;
+
+        const labelNames = ['title', 'label', 'caption', 'term'];
+        for (const child of target.element.children) {
+            if (labelNames.includes((child.localName || '').toLowerCase()) && child.textContent.trim()) {
+                return child.textContent.trim().replace(/\s+/g, ' ');
+            }
+        }
+
+        const text = target.element.textContent.trim().replace(/\s+/g, ' ');
+        if (text && text.length <= 60) return text;
+        return `${target.element.localName} ${reference.id}`;
+    }
+}
@@ -0,0 +1,827 @@
+// Decoding of images browsers cannot show, and the header facts of all of them
+//
+// TIFF is read page by page (one IFD each) from strips or tiles, uncompressed
+// or compressed with LZW, PackBits, Deflate or CCITT fax coding (Modified
+// Huffman, Group 3 one- and two-dimensional, Group 4), in bilevel, grayscale,
+// palette, RGB and CMYK. A decoded page is drawn to a canvas and handed out as
+// PNG. JPEG-compressed TIFF is not supported. BMP, which browsers show with
+// varying success, is decoded the same way. ImageInfo reads the dimensions and
+// resolution of every image format the viewer shows, for the lightbox.
+
+// CCITT T.4/T.6 fax decoding into rows of bits, 1 for the runs the code calls black
+class CcittDecoder {
+    // Run lengths by code, as listed in T.4: terminating codes 0-63, then make-up codes
+    static WHITE_CODES = {
+        0: '00110101', 1: '000111', 2: '0111', 3: '1000', 4: '1011', 5: '1100', 6: '1110', 7: '1111',
+        8: '10011', 9: '10100', 10: '00111', 11: '01000', 12: '001000', 13: '000011', 14: '110100', 15: '110101',
+        16: '101010', 17: '101011', 18: '0100111', 19: '0001100', 20: '0001000', 21: '0010111', 22: '0000011', 23: '0000100',
+        24: '0101000', 25: '0101011', 26: '0010011', 27: '0100100', 28: '0011000', 29: '00000010', 30: '00000011', 31: '00011010',
+        32: '00011011', 33: '00010010', 34: '00010011', 35: '00010100', 36: '00010101', 37: '00010110', 38: '00010111', 39: '00101000',
+        40: '00101001', 41: '00101010', 42: '00101011', 43: '00101100', 44: '00101101', 45: '00000100', 46: '00000101', 47: '00001010',
+        48: '00001011', 49: '01010010', 50: '01010011', 51: '01010100', 52: '01010101', 53: '00100100', 54: '00100101', 55: '01011000',
+        56: '01011001', 57: '01011010', 58: '01011011', 59: '01001010', 60: '01001011', 61: '00110010', 62: '00110011', 63: '00110100',
+        64: '11011', 128: '10010', 192: '010111', 256: '0110111', 320: '00110110', 384: '00110111', 448: '01100100', 512: '01100101',
+        576: '01101000', 640: '01100111', 704: '011001100', 768: '011001101', 832: '011010010', 896: '011010011', 960: '011010100',
+        1024: '011010101', 1088: '011010110', 1152: '011010111', 1216: '011011000', 1280: '011011001', 1344: '011011010',
+        1408: '011011011', 1472: '010011000', 1536: '010011001', 1600: '010011010', 1664: '011000', 1728: '010011011'
+    };
+    static BLACK_CODES = {
+        0: '0000110111', 1: '010', 2: '11', 3: '10', 4: '011', 5: '0011', 6: '0010', 7: '00011',
+        8: '000101', 9: '000100', 10: '0000100', 11: '0000101', 12: '0000111', 13: '00000100', 14: '00000111', 15: '000011000',
+        16: '0000010111', 17: '0000011000', 18: '0000001000', 19: '00001100111', 20: '00001101000', 21: '00001101100', 22: '00000110111', 23: '00000101000',
+        24: '00000010111', 25: '00000011000', 26: '000011001010', 27: '000011001011', 28: '000011001100', 29: '000011001101', 30: '000001101000', 31: '000001101001',
+        32: '000001101010', 33: '000001101011', 34: '000011010010', 35: '000011010011', 36: '000011010100', 37: '000011010101', 38: '000011010110', 39: '000011010111',
+        40: '000001101100', 41: '000001101101', 42: '000011011010', 43: '000011011011', 44: '000001010100', 45: '000001010101', 46: '000001010110', 47: '000001010111',
+        48: '000001100100', 49: '000001100101', 50: '000001010010', 51: '000001010011', 52: '000000100100', 53: '000000110111', 54: '000000111000', 55: '000000100111',
+        56: '000000101000', 57: '000001011000', 58: '000001011001', 59: '000000101011', 60: '000000101100', 61: '000001011010', 62: '000001100110', 63: '000001100111',
+        64: '0000001111', 128: '000011001000', 192: '000011001001', 256: '000001011011', 320: '000000110011', 384: '000000110100', 448: '000000110101',
+        512: '0000001101100', 576: '0000001101101', 640: '0000001001010', 704: '0000001001011', 768: '0000001001100', 832: '0000001001101',
+        896: '0000001110010', 960: '0000001110011', 1024: '0000001110100', 1088: '0000001110101', 1152: '0000001110110', 1216: '0000001110111',
+        1280: '0000001010010', 1344: '0000001010011', 1408: '0000001010100', 1472: '0000001010101', 1536: '0000001011010', 1600: '0000001011011',
+        1664: '0000001100100', 1728: '0000001100101'
+    };
+    // Make-up codes both colours share, for very wide pages
+    static EXTENDED_CODES = {
+        1792: '00000001000', 1856: '00000001100', 1920: '00000001101', 1984: '000000010010', 2048: '000000010011', 2112: '000000010100',
+        2176: '000000010101', 2240: '000000010110', 2304: '000000010111', 2368: '000000011100', 2432: '000000011101', 2496: '000000011110',
+        2560: '000000011111'
+    };
+    // Two-dimensional coding modes; vertical modes carry the offset of a1 from b1
+    static MODE_CODES = {
+        '1': 'V0', '011': 'VR1', '000011': 'VR2', '0000011': 'VR3', '010': 'VL1', '000010': 'VL2', '0000010': 'VL3',
+        '001': 'H', '0001': 'P', '0000001': 'X'
+    };
+    static VERTICAL = { V0: 0, VR1: 1, VR2: 2, VR3: 3, VL1: -1, VL2: -2, VL3: -3 };
+    static tables = null;
+
+    // Code tables keyed by (length << 16 | code bits)
+    static codeTables() {
+        if (CcittDecoder.tables) return CcittDecoder.tables;
+        const table = (...sources) => {
+            const map = new Map();
+            sources.forEach(codes => Object.entries(codes).forEach(([value, bits]) => {
+                map.set(bits.length << 16 | parseInt(bits, 2), isNaN(value) ? value : parseInt(value));
+            }));
+            return map;
+        };
+        CcittDecoder.tables = {
+            white: table(CcittDecoder.WHITE_CODES, CcittDecoder.EXTENDED_CODES),
+            black: table(CcittDecoder.BLACK_CODES, CcittDecoder.EXTENDED_CODES),
+            modes: table(Object.fromEntries(Object.entries(CcittDecoder.MODE_CODES).map(([bits, mode]) => [mode, bits])))
+        };
+        return CcittDecoder.tables;
+    }
+
+    // scheme: 'mh' (TIFF compression 2), 't4' (3) or 't6' (4); options are the T4Options flags
+    constructor(data, width, height, scheme, options = 0) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+        this.scheme = scheme;
+        this.twoDimensional = scheme === 't4' && (options & 1) !== 0;
+        this.position = 0; // in bits
+        this.tables = CcittDecoder.codeTables();
+    }
+
+    bit() {
+        const index = this.position >> 3;
+        if (index >= this.data.length) throw new Error('CCITT data ends early');
+        const value = (this.data[index] >> (7 - (this.position & 7))) & 1;
+        this.position++;
+        return value;
+    }
+
+    byteAlign() {
+        this.position = (this.position + 7) & ~7;
+    }
+
+    // Longest codes are 13 bits
+    readCode(table) {
+        let code = 0;
+        for (let length = 1; length <= 13; length++) {
+            code = code << 1 | this.bit();
+            const value = table.get(length << 16 | code);
+            if (value !== undefined) return value;
+        }
+        throw new Error(`Invalid CCITT code at bit ${this.position}`);
+    }
+
+    readRun(black) {
+        const table = black ? this.tables.black : this.tables.white;
+        let run = 0;
+        for (;;) {
+            const length = this.readCode(table);
+            run += length;
+            if (length < 64) return run;
+        }
+    }
+
+    // Skip an end-of-line code (eleven or more zeros, then a one) if one comes next
+    skipEol() {
+        const start = this.position;
+        let zeros = 0;
+        while ((this.position >> 3) < this.data.length && this.bit() === 0) zeros++;
+        if (zeros >= 11) return true;
+        this.position = start;
+        return false;
+    }
+
+    // Packed rows, width / 8 bytes each rounded up; rows after a coding error stay zero
+    decode() {
+        const rowBytes = Math.ceil(this.width / 8);
+        const output = new Uint8Array(rowBytes * this.height);
+        let reference = [this.width, this.width];
+        for (let row = 0; row < this.height; row++) {
+            let changes;
+            try {
+                changes = this.decodeRow(reference);
+            } catch (err) {
+                console.warn(`CCITT decoding stopped at row ${row}: ${err.message}`);
+                break;
+            }
+            for (let i = 0; i < changes.length; i += 2) {
+                const end = Math.min(i + 1 < changes.length ? changes[i + 1] : this.width, this.width);
+                for (let x = changes[i]; x < end; x++) output[row * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+            reference = changes.concat([this.width, this.width]);
+        }
+        return output;
+    }
+
+    // Positions where the colour changes along a row, the first from white to black
+    decodeRow(reference) {
+        if (this.scheme === 'mh') {
+            this.byteAlign();
+            return this.decode1D();
+        }
+        if (this.scheme === 't6') return this.decode2D(reference);
+        this.skipEol();
+        if (this.twoDimensional && this.bit() === 0) return this.decode2D(reference);
+        return this.decode1D();
+    }
+
+    decode1D() {
+        const changes = [];
+        let x = 0;
+        let black = false;
+        while (x < this.width) {
+            x += this.readRun(black);
+            changes.push(Math.min(x, this.width));
+            black = !black;
+        }
+        return changes;
+    }
+
+    decode2D(reference) {
+        const changes = [];
+        let a0 = -1;
+        let black = false;
+        let index = 0; // into the reference line, where the search for b1 starts
+        while (a0 < this.width) {
+            // b1: the first change on the reference line right of a0 to the colour opposite a0's
+            while (index > 0 && reference[index - 1] > a0) index--;
+            while (reference[index] <= a0 || (index & 1) !== (black ? 1 : 0)) index++;
+            const b1 = reference[index];
+            const b2 = reference[index + 1] !== undefined ? reference[index + 1] : this.width;
+
+            const mode = this.readCode(this.tables.modes);
+            if (mode === 'P') {
+                a0 = b2;
+            } else if (mode === 'H') {
+                const start = Math.max(a0, 0);
+                const a1 = Math.min(start + this.readRun(black), this.width);
+                const a2 = Math.min(a1 + this.readRun(!black), this.width);
+                changes.push(a1, a2);
+                a0 = a2;
+            } else if (mode === 'X') {
+                throw new Error('Uncompressed mode is not supported');
+            } else {
+                const a1 = Math.min(Math.max(b1 + CcittDecoder.VERTICAL[mode], 0), this.width);
+                changes.push(a1);
+                a0 = a1;
+                black = !black;
+            }
+        }
+        return changes;
+    }
+}
+
+class TiffDecoder {
+    static FORMAT = 'TIFF';
+    static TAGS = {
+        subfileType: 254, width: 256, height: 257, bitsPerSample: 258, compression: 259, photometric: 262, fillOrder: 266,
+        stripOffsets: 273, samplesPerPixel: 277, rowsPerStrip: 278, stripByteCounts: 279, xResolution: 282,
+        yResolution: 283, planarConfiguration: 284, t4Options: 292, t6Options: 293, resolutionUnit: 296,
+        predictor: 317, colorMap: 320, tileWidth: 322, tileLength: 323, tileOffsets: 324, tileByteCounts: 325,
+        extraSamples: 338, sampleFormat: 339
+    };
+    static COMPRESSIONS = {
+        1: 'none', 2: 'CCITT modified Huffman', 3: 'CCITT Group 3', 4: 'CCITT Group 4', 5: 'LZW', 6: 'JPEG (old)',
+        7: 'JPEG', 8: 'Deflate', 32773: 'PackBits', 32946: 'Deflate'
+    };
+    // Bytes per value of each field type
+    static TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+    static isTiff(bytes) {
+        return bytes.length >= 8 && ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+            (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42));
+    }
+
+    constructor(bytes) {
+        if (!TiffDecoder.isTiff(bytes)) throw new Error('Not a TIFF file (or a BigTIFF, which is not supported)');
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.littleEndian = bytes[0] === 0x49;
+        this.pages = []; // [{width, height, compression, dpiX, dpiY, fields}], one per IFD
+
+        const seen = new Set();
+        for (let offset = this.view.getUint32(4, this.littleEndian); offset && !seen.has(offset) && offset + 2 <= bytes.length;) {
+            seen.add(offset);
+            const fields = this.readIfd(offset);
+            this.pages.push(this.describe(fields));
+            const count = this.view.getUint16(offset, this.littleEndian);
+            const next = offset + 2 + count * 12;
+            offset = next + 4 <= bytes.length ? this.view.getUint32(next, this.littleEndian) : 0;
+        }
+        // Reduced-resolution copies (thumbnails) are not pages of their own
+        const fullPages = this.pages.filter(page => !(page.fields.has(TiffDecoder.TAGS.subfileType) && page.fields.get(TiffDecoder.TAGS.subfileType)[0] & 1));
+        if (fullPages.length > 0) this.pages = fullPages;
+        if (this.pages.length === 0) throw new Error('The TIFF file has no pages');
+    }
+
+    // Map of tag -> array of values (numbers, or a string for ASCII fields)
+    readIfd(offset) {
+        const fields = new Map();
+        const count = this.view.getUint16(offset, this.littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > this.bytes.length) break;
+            const tag = this.view.getUint16(entry, this.littleEndian);
+            const type = this.view.getUint16(entry + 2, this.littleEndian);
+            const length = this.view.getUint32(entry + 4, this.littleEndian);
+            const size = TiffDecoder.TYPE_SIZES[type];
+            if (!size) continue;
+            const start = size * length <= 4 ? entry + 8 : this.view.getUint32(entry + 8, this.littleEndian);
+            if (start + size * length > this.bytes.length) continue;
+            fields.set(tag, this.readValues(type, start, length));
+        }
+        return fields;
+    }
+
+    readValues(type, start, length) {
+        const view = this.view;
+        const little = this.littleEndian;
+        if (type === 2) return String.fromCharCode(...this.bytes.subarray(start, start + length)).replace(/\0+$/, '');
+        const values = [];
+        for (let i = 0; i < length; i++) {
+            const at = start + i * TiffDecoder.TYPE_SIZES[type];
+            switch (type) {
+                case 3: values.push(view.getUint16(at, little)); break;
+                case 4: case 13: values.push(view.getUint32(at, little)); break;
+                case 5: values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1)); break;
+                case 6: values.push(view.getInt8(at)); break;
+                case 8: values.push(view.getInt16(at, little)); break;
+                case 9: values.push(view.getInt32(at, little)); break;
+                case 10: values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1)); break;
+                case 11: values.push(view.getFloat32(at, little)); break;
+                case 12: values.push(view.getFloat64(at, little)); break;
+                default: values.push(view.getUint8(at));
+            }
+        }
+        return values;
+    }
+
+    describe(fields) {
+        const TAGS = TiffDecoder.TAGS;
+        const value = (tag, fallback) => fields.has(tag) ? fields.get(tag)[0] : fallback;
+        // Resolution is per inch unless the unit says centimetre; without a unit there is none
+        const unit = value(TAGS.resolutionUnit, 2);
+        const dpi = tag => fields.has(tag) && unit !== 1 ? Math.round(value(tag) * (unit === 3 ? 2.54 : 1)) : null;
+        const compression = value(TAGS.compression, 1);
+        return {
+            width: value(TAGS.width, 0),
+            height: value(TAGS.height, 0),
+            compression: TiffDecoder.COMPRESSIONS[compression] || `compression ${compression}`,
+            dpiX: dpi(TAGS.xResolution),
+            dpiY: dpi(TAGS.yResolution),
+            fields
+        };
+    }
+
+    // {width, height, data} with data as RGBA bytes
+    async decode(pageIndex = 0) {
+        const TAGS = TiffDecoder.TAGS;
+        const page = this.pages[pageIndex];
+        if (!page) throw new Error(`The TIFF file has no page ${pageIndex + 1}`);
+        const fields = page.fields;
+        const value = (tag, fallback) => fields.has(tag) ? fields.get(tag)[0] : fallback;
+        const { width, height } = page;
+        const compression = value(TAGS.compression, 1);
+        const samples = value(TAGS.samplesPerPixel, 1);
+        const bits = fields.has(TAGS.bitsPerSample) ? fields.get(TAGS.bitsPerSample)[0] : 1;
+        const photometric = value(TAGS.photometric, [2, 3, 4].includes(compression) ? 0 : 1);
+        const planar = value(TAGS.planarConfiguration, 1) === 2 && samples > 1;
+        if (!width || !height) throw new Error('The TIFF page has no size');
+        if (width * height > ImageDecoder.MAX_PIXELS) throw new Error(`The TIFF page is too large to decode (${width} × ${height})`);
+        if (![1, 2, 4, 8, 16].includes(bits)) throw new Error(`${bits}-bit TIFF samples are not supported`);
+        if (value(TAGS.sampleFormat, 1) === 3) throw new Error('Floating-point TIFF is not supported');
+        if ([6, 7].includes(compression)) throw new Error('JPEG-compressed TIFF is not supported');
+        if (![0, 1, 2, 3, 5].includes(photometric)) throw new Error(`TIFF photometric interpretation ${photometric} is not supported`);
+
+        // Strips are tiles as wide as the page
+        const tiled = fields.has(TAGS.tileOffsets);
+        const unitWidth = tiled ? value(TAGS.tileWidth) : width;
+        const unitHeight = tiled ? value(TAGS.tileLength) : Math.min(value(TAGS.rowsPerStrip, height), height);
+        const offsets = fields.get(tiled ? TAGS.tileOffsets : TAGS.stripOffsets) || [];
+        const byteCounts = fields.get(tiled ? TAGS.tileByteCounts : TAGS.stripByteCounts) || [];
+        // A zero or missing size would make the number of strips or tiles infinite
+        if (!(unitWidth >= 1 && unitHeight >= 1) || unitWidth * unitHeight > ImageDecoder.MAX_PIXELS) {
+            throw new Error(`Invalid TIFF ${tiled ? 'tile' : 'strip'} size`);
+        }
+        const across = Math.ceil(width / unitWidth);
+        const down = Math.ceil(height / unitHeight);
+        const planes = planar ? samples : 1;
+        const pixelBits = bits * (planar ? 1 : samples);
+        const rowBytes = Math.ceil(unitWidth * pixelBits / 8);
+
+        // Decoded samples of the whole page, plane by plane when planar
+        const planeRowBytes = Math.ceil(width * pixelBits / 8);
+        const planesData = Array.from({ length: planes }, () => new Uint8Array(planeRowBytes * height));
+        for (let plane = 0; plane < planes; plane++) {
+            for (let unitRow = 0; unitRow < down; unitRow++) {
+                for (let unitColumn = 0; unitColumn < across; unitColumn++) {
+                    const unit = plane * across * down + unitRow * across + unitColumn;
+                    if (offsets[unit] === undefined) continue;
+                    // The last strip may be short
+                    const rows = tiled ? unitHeight : Math.min(unitHeight, height - unitRow * unitHeight);
+                    let data = this.bytes.subarray(offsets[unit], offsets[unit] + (byteCounts[unit] || 0));
+                    if (value(TAGS.fillOrder, 1) === 2) data = TiffDecoder.reverseBits(data);
+                    const decoded = await this.decompress(data, compression, rowBytes * rows, unitWidth, rows, fields);
+                    if (value(TAGS.predictor, 1) === 2) TiffDecoder.undoPredictor(decoded, rowBytes, rows, bits, planar ? 1 : samples, this.littleEndian);
+                    this.place(decoded, rowBytes, rows, planesData[plane], planeRowBytes, unitColumn * unitWidth, unitRow * unitHeight, width, height, pixelBits);
+                }
+            }
+        }
+        return { width, height, data: this.toRgba(planesData, planeRowBytes, width, height, bits, samples, planar, photometric, fields) };
+    }
+
+    async decompress(data, compression, expected, width, rows, fields) {
+        const TAGS = TiffDecoder.TAGS;
+        switch (compression) {
+            case 1: return Uint8Array.from(data.subarray(0, expected));
+            case 2: return new CcittDecoder(data, width, rows, 'mh').decode();
+            case 3: return new CcittDecoder(data, width, rows, 't4', fields.has(TAGS.t4Options) ? fields.get(TAGS.t4Options)[0] : 0).decode();
+            case 4: return new CcittDecoder(data, width, rows, 't6').decode();
+            case 5: return TiffDecoder.lzw(data, expected);
+            case 8:
+            case 32946: return TiffDecoder.inflate(data, expected);
+            case 32773: return TiffDecoder.packBits(data, expected);
+            default: throw new Error(`TIFF compression ${TiffDecoder.COMPRESSIONS[compression] || compression} is not supported`);
+        }
+    }
+
+    static reverseBits(data) {
+        return data.map(byte => {
+            let reversed = 0;
+            for (let i = 0; i < 8; i++) reversed |= ((byte >> i) & 1) << (7 - i);
+            return reversed;
+        });
+    }
+
+    // TIFF LZW: codes from 9 to 12 bits, most significant bit first, widened one code early
+    static lzw(data, expected) {
+        const output = new Uint8Array(expected);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        const first = new Uint8Array(4096);
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            lengths[i] = 1;
+            first[i] = i;
+        }
+        let out = 0;
+        let position = 0;
+        let width = 9;
+        let next = 258;
+        let previous = -1;
+
+        const write = code => {
+            const length = lengths[code];
+            for (let i = length - 1, node = code; i >= 0; i--, node = prefix[node]) {
+                if (out + i < expected) output[out + i] = suffix[node];
+            }
+            out += length;
+        };
+
+        while (position + width <= data.length * 8 && out < expected) {
+            let code = 0;
+            for (let i = 0; i < width; i++, position++) code = code << 1 | ((data[position >> 3] >> (7 - (position & 7))) & 1);
+            if (code === 257) break;
+            if (code === 256) {
+                width = 9;
+                next = 258;
+                previous = -1;
+                continue;
+            }
+            if (previous === -1) {
+                if (code > 255) break;
+                write(code);
+                previous = code;
+                continue;
+            }
+            if (code > next) break;
+            if (next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = code < next ? first[code] : first[previous];
+                lengths[next] = lengths[previous] + 1;
+                first[next] = first[previous];
+                next++;
+            }
+            write(code);
+            previous = code;
+            if (next >= (1 << width) - 1 && width < 12) width++;
+        }
+        return output;
+    }
+
+    static packBits(data, expected) {
+        const output = new Uint8Array(expected);
+        let out = 0;
+        for (let i = 0; i < data.length && out < expected;) {
+            const header = data[i] > 127 ? data[i] - 256 : data[i];
+            i++;
+            if (header >= 0) {
+                output.set(data.subarray(i, i + header + 1).subarray(0, expected - out), out);
+                out += header + 1;
+                i += header + 1;
+            } else if (header !== -128) {
+                output.fill(data[i], out, Math.min(out + 1 - header, expected));
+                out += 1 - header;
+                i++;
+            }
+        }
+        return output;
+    }
+
+    // zlib streams, through the browser's own decompressor
+    static async inflate(data, expected) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('Deflate-compressed TIFF needs a browser with DecompressionStream');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const inflated = new Uint8Array(await new Response(stream).arrayBuffer());
+        const output = new Uint8Array(expected);
+        output.set(inflated.subarray(0, expected));
+        return output;
+    }
+
+    // Horizontal differencing: each sample was stored as the difference from the one a pixel before
+    static undoPredictor(data, rowBytes, rows, bits, samples, littleEndian) {
+        if (bits === 8) {
+            for (let row = 0; row < rows; row++) {
+                const start = row * rowBytes;
+                for (let i = start + samples; i < start + rowBytes; i++) data[i] = (data[i] + data[i - samples]) & 0xff;
+            }
+        } else if (bits === 16) {
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            for (let row = 0; row < rows; row++) {
+                const start = row * rowBytes;
+                for (let i = start + samples * 2; i + 1 < start + rowBytes; i += 2) {
+                    view.setUint16(i, (view.getUint16(i, littleEndian) + view.getUint16(i - samples * 2, littleEndian)) & 0xffff, littleEndian);
+                }
+            }
+        }
+    }
+
+    // Copy a decoded strip or tile into the page, clipping tiles at the right and bottom edges
+    place(decoded, rowBytes, rows, target, targetRowBytes, x, y, width, height, pixelBits) {
+        // Tile widths are multiples of 16, so even sub-byte samples start on a whole byte
+        const start = x * pixelBits / 8;
+        const bytes = Math.min(rowBytes, targetRowBytes - start);
+        for (let row = 0; row < Math.min(rows, height - y); row++) {
+            target.set(decoded.subarray(row * rowBytes, row * rowBytes + bytes), (y + row) * targetRowBytes + start);
+        }
+    }
+
+    toRgba(planesData, rowBytes, width, height, bits, samples, planar, photometric, fields) {
+        const TAGS = TiffDecoder.TAGS;
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const max = (1 << bits) - 1;
+        const little = this.littleEndian;
+        // Sample s of pixel x in row y, scaled to 0..255 (palette indexes are left as they are)
+        const sample = (x, y, s, raw = false) => {
+            const data = planar ? planesData[s] : planesData[0];
+            const index = planar ? x : x * samples + s;
+            let value;
+            if (bits === 8) value = data[y * rowBytes + index];
+            else if (bits === 16) {
+                const at = y * rowBytes + index * 2;
+                value = little ? data[at] | data[at + 1] << 8 : data[at] << 8 | data[at + 1];
+            } else {
+                const bit = index * bits;
+                value = (data[y * rowBytes + (bit >> 3)] >> (8 - bits - (bit & 7))) & max;
+            }
+            return raw ? value : Math.round(value * 255 / max);
+        };
+        const colorMap = fields.get(TAGS.colorMap);
+        const paletteSize = 1 << bits;
+        // Extra samples after the colour ones: associated (1) or unassociated (2) alpha
+        const colorSamples = photometric === 2 ? 3 : photometric === 5 ? 4 : 1;
+        const alpha = samples > colorSamples && fields.has(TAGS.extraSamples) && [1, 2].includes(fields.get(TAGS.extraSamples)[0]);
+
+        // Bilevel pages (faxes, mostly) are large: a byte at a time
+        if (bits === 1 && samples === 1 && photometric !== 3) {
+            const data = planesData[0];
+            const one = photometric === 0 ? 0 : 255;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const gray = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1 ? one : 255 - one;
+                    const at = (y * width + x) * 4;
+                    rgba[at] = rgba[at + 1] = rgba[at + 2] = gray;
+                    rgba[at + 3] = 255;
+                }
+            }
+            return rgba;
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const at = (y * width + x) * 4;
+                let r;
+                let g;
+                let b;
+                if (photometric === 2) {
+                    r = sample(x, y, 0);
+                    g = sample(x, y, 1);
+                    b = sample(x, y, 2);
+                } else if (photometric === 3) {
+                    if (!colorMap) throw new Error('The palette TIFF has no colour map');
+                    const index = sample(x, y, 0, true);
+                    r = colorMap[index] >> 8;
+                    g = colorMap[paletteSize + index] >> 8;
+                    b = colorMap[2 * paletteSize + index] >> 8;
+                } else if (photometric === 5) {
+                    const k = sample(x, y, 3);
+                    r = (255 - sample(x, y, 0)) * (255 - k) / 255;
+                    g = (255 - sample(x, y, 1)) * (255 - k) / 255;
+                    b = (255 - sample(x, y, 2)) * (255 - k) / 255;
+                } else {
+                    const gray = sample(x, y, 0);
+                    r = g = b = photometric === 0 ? 255 - gray : gray;
+                }
+                rgba[at] = r;
+                rgba[at + 1] = g;
+                rgba[at + 2] = b;
+                rgba[at + 3] = alpha ? sample(x, y, colorSamples) : 255;
+            }
+        }
+        return rgba;
+    }
+}
+
+// Windows and OS/2 bitmaps: 1 to 32 bits per pixel, RLE4/RLE8, bit fields and alpha,
+// decoded here so they look the same in every browser
+class BmpDecoder {
+    static FORMAT = 'BMP';
+
+    static isBmp(bytes) {
+        return bytes.length >= 26 && bytes[0] === 0x42 && bytes[1] === 0x4d;
+    }
+
+    constructor(bytes) {
+        if (!BmpDecoder.isBmp(bytes)) throw new Error('Not a BMP file');
+        this.bytes = bytes;
+        const view = this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.headerSize = view.getUint32(14, true);
+        // OS/2 headers (12 bytes) have 16-bit sizes, no compression and 3-byte palette entries
+        this.core = this.headerSize === 12;
+        if (this.core) {
+            this.width = view.getUint16(18, true);
+            this.height = view.getUint16(20, true);
+            this.bits = view.getUint16(24, true);
+            this.compression = 0;
+        } else {
+            if (bytes.length < 54) throw new Error('The BMP header is cut short');
+            this.width = view.getInt32(18, true);
+            this.height = view.getInt32(22, true);
+            this.bits = view.getUint16(28, true);
+            this.compression = view.getUint32(30, true);
+        }
+        this.topDown = this.height < 0;
+        this.height = Math.abs(this.height);
+        const perMetre = offset => !this.core && bytes.length >= offset + 4 && view.getInt32(offset, true) > 0 ? Math.round(view.getInt32(offset, true) * 0.0254) : null;
+        this.pages = [{
+            width: this.width,
+            height: this.height,
+            compression: { 0: 'none', 1: 'RLE8', 2: 'RLE4', 3: 'none', 4: 'JPEG', 5: 'PNG', 6: 'none' }[this.compression] || `compression ${this.compression}`,
+            dpiX: perMetre(38),
+            dpiY: perMetre(42)
+        }];
+    }
+
+    // Red, green, blue and alpha masks: from the header, after it (BI_BITFIELDS with a 40-byte header) or the defaults
+    masks() {
+        const view = this.view;
+        if ([3, 6].includes(this.compression)) {
+            const masks = [0, 1, 2, 3].map(i => 54 + i * 4 + 4 <= this.bytes.length ? view.getUint32(54 + i * 4, true) : 0);
+            // The alpha mask is only there in V3 and later headers, or with BI_ALPHABITFIELDS
+            if (this.headerSize < 56 && this.compression !== 6) masks[3] = 0;
+            return masks;
+        }
+        if (this.bits === 16) return [0x7c00, 0x03e0, 0x001f, 0];
+        return [0xff0000, 0xff00, 0xff, this.bits === 32 ? 0xff000000 : 0];
+    }
+
+    palette() {
+        const entrySize = this.core ? 3 : 4;
+        let start = 14 + this.headerSize;
+        if (this.headerSize === 40 && this.compression === 3) start += 12;
+        if (this.headerSize === 40 && this.compression === 6) start += 16;
+        const used = this.core ? 0 : this.view.getUint32(46, true);
+        const count = Math.min(used || 1 << this.bits, 256);
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+            const at = start + i * entrySize;
+            colors.push(at + 3 <= this.bytes.length ? [this.bytes[at + 2], this.bytes[at + 1], this.bytes[at]] : [0, 0, 0]);
+        }
+        return colors;
+    }
+
+    // {width, height, data} with data as RGBA bytes
+    async decode() {
+        const { width, height, bits, compression, bytes } = this;
+        if (!width || !height) throw new Error('The BMP has no size');
+        if (width * height > ImageDecoder.MAX_PIXELS) throw new Error(`The BMP is too large to decode (${width} × ${height})`);
+        if ([4, 5].includes(compression)) throw new Error('BMPs holding JPEG or PNG data are not supported');
+        if (![1, 4, 8, 16, 24, 32].includes(bits)) throw new Error(`${bits}-bit BMPs are not supported`);
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        const start = this.view.getUint32(10, true);
+        // Row r of the file is row y of the picture
+        const rowOf = r => this.topDown ? r : height - 1 - r;
+
+        if (compression === 1 || compression === 2) {
+            // Pixels the run-length data skips stay transparent
+            const colors = this.palette();
+            const put = (x, r, index) => {
+                if (x >= width || r >= height) return;
+                const color = colors[index] || [0, 0, 0];
+                rgba.set([...color, 255], (rowOf(r) * width + x) * 4);
+            };
+            this.runLength(bytes.subarray(start), compression === 2, put);
+            return { width, height, data: rgba };
+        }
+
+        const rowBytes = Math.ceil(width * bits / 32) * 4;
+        const colors = bits <= 8 ? this.palette() : null;
+        const masks = bits > 8 ? this.masks() : null;
+        // Each mask as [shift, maximum], so a channel is (value >>> shift & maximum) scaled to 0..255
+        const channels = masks && masks.map(mask => {
+            if (!mask) return null;
+            let shift = 0;
+            while (!((mask >>> shift) & 1)) shift++;
+            return [shift, mask >>> shift];
+        });
+        let anyAlpha = false;
+        for (let r = 0; r < height; r++) {
+            const row = start + r * rowBytes;
+            if (row + Math.ceil(width * bits / 8) > bytes.length) break;
+            const y = rowOf(r);
+            for (let x = 0; x < width; x++) {
+                const at = (y * width + x) * 4;
+                if (colors) {
+                    const bit = x * bits;
+                    const index = (bytes[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+                    rgba.set([...(colors[index] || [0, 0, 0]), 255], at);
+                } else if (bits === 24 && compression === 0) {
+                    rgba[at] = bytes[row + x * 3 + 2];
+                    rgba[at + 1] = bytes[row + x * 3 + 1];
+                    rgba[at + 2] = bytes[row + x * 3];
+                    rgba[at + 3] = 255;
+                } else {
+                    const value = bits === 16 ? this.view.getUint16(row + x * 2, true) : this.view.getUint32(row + x * bits / 8, true);
+                    channels.forEach((channel, c) => {
+                        rgba[at + c] = channel ? Math.round(((value >>> channel[0]) & channel[1]) * 255 / channel[1]) : 255;
+                    });
+                    if (channels[3] && rgba[at + 3]) anyAlpha = true;
+                }
+            }
+        }
+        // Many 32-bit BMPs leave the alpha byte zero; they are meant to be opaque
+        if (channels && channels[3] && !anyAlpha) {
+            for (let i = 3; i < rgba.length; i += 4) rgba[i] = 255;
+        }
+        return { width, height, data: rgba };
+    }
+
+    // RLE8 and RLE4: runs of one index, absolute stretches, and escapes for end of line, end of bitmap and a jump
+    runLength(data, nibbles, put) {
+        let x = 0;
+        let r = 0;
+        for (let i = 0; i + 1 < data.length && r < this.height;) {
+            const count = data[i];
+            const value = data[i + 1];
+            i += 2;
+            if (count > 0) {
+                for (let n = 0; n < count; n++) put(x++, r, nibbles ? (n & 1 ? value & 0x0f : value >> 4) : value);
+            } else if (value === 0) {
+                x = 0;
+                r++;
+            } else if (value === 1) {
+                break;
+            } else if (value === 2) {
+                x += data[i];
+                r += data[i + 1];
+                i += 2;
+            } else {
+                // Absolute mode: value indexes follow, padded to a 16-bit boundary
+                const length = nibbles ? Math.ceil(value / 2) : value;
+                for (let n = 0; n < value; n++) put(x++, r, nibbles ? (n & 1 ? data[i + (n >> 1)] & 0x0f : data[i + (n >> 1)] >> 4) : data[i + n]);
+                i += length + (length & 1);
+            }
+        }
+    }
+}
+
+// Format, pixel size and resolution from an image's header
+class ImageInfo {
+    // {format, pages: [{width, height, dpiX, dpiY, compression}]}; sizes are null where the header does not say
+    static read(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+        const page = (width, height, dpiX = null, dpiY = dpiX) => ({ width, height, dpiX, dpiY, compression: null });
+        const perMetre = value => value ? Math.round(value * 0.0254) : null;
+
+        const decoder = ImageDecoder.forBytes(bytes);
+        if (decoder) {
+            return { format: decoder.constructor.FORMAT, pages: decoder.pages.map(({ width, height, dpiX, dpiY, compression }) => ({ width, height, dpiX, dpiY, compression })) };
+        }
+        if (bytes.length >= 24 && ascii(1, 3) === 'PNG') {
+            const info = page(view.getUint32(16), view.getUint32(20));
+            // pHYs: pixels per unit, the unit being the metre when it is 1
+            for (let at = 8; at + 12 <= bytes.length;) {
+                const length = view.getUint32(at);
+                if (ascii(at + 4, 4) === 'pHYs' && bytes[at + 16] === 1) {
+                    info.dpiX = perMetre(view.getUint32(at + 8));
+                    info.dpiY = perMetre(view.getUint32(at + 12));
+                }
+                if (ascii(at + 4, 4) === 'IDAT') break;
+                at += 12 + length;
+            }
+            return { format: 'PNG', pages: [info] };
+        }
+        if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+            const info = page(null, null);
+            for (let at = 2; at + 4 <= bytes.length && bytes[at] === 0xff;) {
+                const marker = bytes[at + 1];
+                const length = view.getUint16(at + 2);
+                // JFIF density: units 1 for inch, 2 for centimetre
+                if (marker === 0xe0 && ascii(at + 4, 5) === 'JFIF\0' && [1, 2].includes(bytes[at + 11])) {
+                    const factor = bytes[at + 11] === 2 ? 2.54 : 1;
+                    info.dpiX = Math.round(view.getUint16(at + 12) * factor);
+                    info.dpiY = Math.round(view.getUint16(at + 14) * factor);
+                }
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    info.height = view.getUint16(at + 5);
+                    info.width = view.getUint16(at + 7);
+                    break;
+                }
+                at += 2 + length;
+            }
+            return { format: 'JPEG', pages: [info] };
+        }
+        if (bytes.length >= 10 && ascii(0, 4) === 'GIF8') {
+            return { format: 'GIF', pages: [page(view.getUint16(6, true), view.getUint16(8, true))] };
+        }
+        if (bytes.length >= 32 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+            const chunk = ascii(12, 4);
+            const size = chunk === 'VP8X' ? [1 + (view.getUint32(24, true) & 0xffffff), 1 + (view.getUint32(27, true) & 0xffffff)]
+                : chunk === 'VP8L' ? [1 + (view.getUint32(21, true) & 0x3fff), 1 + ((view.getUint32(21, true) >> 14) & 0x3fff)]
+                    : [view.getUint16(26, true) & 0x3fff, view.getUint16(28, true) & 0x3fff];
+            return { format: 'WebP', pages: [page(...size)] };
+        }
+        if (/^\s*(<\?xml|<svg|<!--)/.test(ascii(0, Math.min(bytes.length, 64)))) return { format: 'SVG', pages: [page(null, null)] };
+        return { format: 'unknown', pages: [page(null, null)] };
+    }
+}
+
+// The decoder for an image the viewer draws itself, and the PNG it hands the browser
+class ImageDecoder {
+    // Larger images are left to the browser: their RGBA copy and canvas alone would take gigabytes
+    static MAX_PIXELS = 50 * 1000 * 1000;
+
+    // A TiffDecoder or BmpDecoder, or null for images the browser shows as they are
+    static forBytes(bytes) {
+        if (TiffDecoder.isTiff(bytes)) return new TiffDecoder(bytes);
+        if (BmpDecoder.isBmp(bytes)) return new BmpDecoder(bytes);
+        return null;
+    }
+
+    static async pngBlob(decoder, pageIndex = 0) {
+        const { width, height, data } = await decoder.decode(pageIndex);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        return new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image is too large to draw')), 'image/png'));
+    }
+}
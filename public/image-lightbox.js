@@ -0,0 +1,193 @@
+// Full-window view of one image: zoom, pan, pages and what the file says about itself
+//
+// The image is moved and scaled with a CSS transform inside the stage. The
+// wheel zooms about the pointer, dragging pans, and the toolbar and keys
+// (+, -, 0 to fit, 1 for actual size, arrows or Page Up/Down for pages, Escape)
+// do the rest. Pages come from the viewer as URLs, so multi-page TIFFs are only
+// decoded a page at a time.
+class ImageLightbox {
+    static ZOOM_STEP = 1.25;
+    static MIN_SCALE = 0.02;
+    static MAX_SCALE = 32;
+
+    // elements: {root, stage, image, title, info, page, zoom, prev, next, zoomIn, zoomOut, fit, actual, close}
+    constructor(elements) {
+        this.elements = elements;
+        this.image = null; // {name, size, info, pageUrl} of the image shown
+        this.pageIndex = 0;
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.loadToken = 0;
+        this.drag = null;
+
+        const { stage, image } = elements;
+        elements.prev.addEventListener('click', () => this.showPage(this.pageIndex - 1));
+        elements.next.addEventListener('click', () => this.showPage(this.pageIndex + 1));
+        elements.zoomIn.addEventListener('click', () => this.zoomBy(ImageLightbox.ZOOM_STEP));
+        elements.zoomOut.addEventListener('click', () => this.zoomBy(1 / ImageLightbox.ZOOM_STEP));
+        elements.fit.addEventListener('click', () => this.fit());
+        elements.actual.addEventListener('click', () => this.zoomTo(1));
+        elements.close.addEventListener('click', () => this.close());
+
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = stage.getBoundingClientRect();
+            this.zoomBy(e.deltaY < 0 ? ImageLightbox.ZOOM_STEP : 1 / ImageLightbox.ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+        stage.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.drag = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, x: this.x, y: this.y, moved: false };
+            stage.setPointerCapture(e.pointerId);
+        });
+        stage.addEventListener('pointermove', (e) => {
+            if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+            const dx = e.clientX - this.drag.startX;
+            const dy = e.clientY - this.drag.startY;
+            if (Math.abs(dx) + Math.abs(dy) > 3) this.drag.moved = true;
+            this.x = this.drag.x + dx;
+            this.y = this.drag.y + dy;
+            this.applyTransform();
+        });
+        const endDrag = (e) => {
+            if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+            // A click on the backdrop closes; the end of a drag does not
+            if (e.type === 'pointerup' && !this.drag.moved && e.target === stage) this.close();
+            this.drag = null;
+        };
+        stage.addEventListener('pointerup', endDrag);
+        stage.addEventListener('pointercancel', endDrag);
+        image.addEventListener('dblclick', () => this.scale < 1 ? this.zoomTo(1) : this.fit());
+        image.addEventListener('dragstart', e => e.preventDefault());
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen() || e.ctrlKey || e.metaKey || e.altKey) return;
+            const actions = {
+                Escape: () => this.close(),
+                '+': () => this.zoomBy(ImageLightbox.ZOOM_STEP),
+                '=': () => this.zoomBy(ImageLightbox.ZOOM_STEP),
+                '-': () => this.zoomBy(1 / ImageLightbox.ZOOM_STEP),
+                0: () => this.fit(),
+                1: () => this.zoomTo(1),
+                ArrowLeft: () => this.showPage(this.pageIndex - 1),
+                PageUp: () => this.showPage(this.pageIndex - 1),
+                ArrowRight: () => this.showPage(this.pageIndex + 1),
+                PageDown: () => this.showPage(this.pageIndex + 1)
+            };
+            if (!actions[e.key]) return;
+            e.preventDefault();
+            actions[e.key]();
+        });
+    }
+
+    isOpen() {
+        return this.elements.root.style.display !== 'none';
+    }
+
+    // image: {name, size (formatted), info (ImageInfo.read), pageUrl(pageIndex) giving a promise of a URL}
+    open(image) {
+        this.image = image;
+        this.returnFocus = document.activeElement;
+        this.elements.root.style.display = 'flex';
+        this.elements.title.textContent = image.name;
+        this.elements.close.focus();
+        this.showPage(0);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.loadToken++;
+        this.elements.root.style.display = 'none';
+        this.elements.image.removeAttribute('src');
+        this.image = null;
+        if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+    }
+
+    get pageCount() {
+        return this.image ? this.image.info.pages.length : 0;
+    }
+
+    async showPage(pageIndex) {
+        if (!this.image || pageIndex < 0 || pageIndex >= this.pageCount) return;
+        const token = ++this.loadToken;
+        const { image: img, page, prev, next, stage } = this.elements;
+        this.pageIndex = pageIndex;
+        page.textContent = this.pageCount > 1 ? `Page ${pageIndex + 1} of ${this.pageCount}` : '';
+        prev.style.display = next.style.display = this.pageCount > 1 ? '' : 'none';
+        prev.disabled = pageIndex === 0;
+        next.disabled = pageIndex === this.pageCount - 1;
+        this.elements.info.textContent = this.describe(pageIndex);
+        stage.classList.add('lightbox-loading');
+        img.style.visibility = 'hidden';
+
+        let url;
+        try {
+            url = await this.image.pageUrl(pageIndex);
+        } catch (err) {
+            if (token !== this.loadToken) return;
+            stage.classList.remove('lightbox-loading');
+            this.elements.info.textContent = `${this.describe(pageIndex)} · could not be shown: ${err.message}`;
+            return;
+        }
+        if (token !== this.loadToken) return;
+        img.onload = () => {
+            if (token !== this.loadToken) return;
+            stage.classList.remove('lightbox-loading');
+            img.style.visibility = '';
+            this.fit();
+        };
+        img.src = url;
+    }
+
+    // Format, pixel size, resolution, compression and file size of a page
+    describe(pageIndex) {
+        const { info, size } = this.image;
+        const page = info.pages[pageIndex] || {};
+        const parts = [info.format];
+        if (page.width && page.height) parts.push(`${page.width} × ${page.height} px`);
+        if (page.dpiX && page.dpiY) parts.push(page.dpiX === page.dpiY ? `${page.dpiX} dpi` : `${page.dpiX} × ${page.dpiY} dpi`);
+        else if (info.format !== 'SVG') parts.push('no resolution given');
+        if (page.dpiX && page.dpiY && page.width && page.height) {
+            parts.push(`${(page.width / page.dpiX).toFixed(2)} × ${(page.height / page.dpiY).toFixed(2)} in`);
+        }
+        if (page.compression && page.compression !== 'none') parts.push(`${page.compression} compression`);
+        parts.push(size);
+        return parts.join(' · ');
+    }
+
+    // Natural size of the page on screen; SVGs without one get the stage's
+    naturalSize() {
+        const img = this.elements.image;
+        const stage = this.elements.stage;
+        return { width: img.naturalWidth || stage.clientWidth, height: img.naturalHeight || stage.clientHeight };
+    }
+
+    fit() {
+        const { width, height } = this.naturalSize();
+        const { stage, image } = this.elements;
+        image.style.width = `${width}px`;
+        image.style.height = `${height}px`;
+        this.scale = Math.min(stage.clientWidth / width, stage.clientHeight / height, 1) || 1;
+        this.x = (stage.clientWidth - width * this.scale) / 2;
+        this.y = (stage.clientHeight - height * this.scale) / 2;
+        this.applyTransform();
+    }
+
+    zoomTo(scale, originX = this.elements.stage.clientWidth / 2, originY = this.elements.stage.clientHeight / 2) {
+        const next = Math.min(Math.max(scale, ImageLightbox.MIN_SCALE), ImageLightbox.MAX_SCALE);
+        // Keep the point under the origin where it is
+        this.x = originX - (originX - this.x) * next / this.scale;
+        this.y = originY - (originY - this.y) * next / this.scale;
+        this.scale = next;
+        this.applyTransform();
+    }
+
+    zoomBy(factor, originX, originY) {
+        this.zoomTo(this.scale * factor, originX, originY);
+    }
+
+    applyTransform() {
+        this.elements.image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.elements.zoom.textContent = `${Math.round(this.scale * 100)}%`;
+    }
+}
@@ -0,0 +1,151 @@
+// Namespace URIs and helpers for rendering namespaced XML
+//
+// Decisions go by namespace URI, never by prefix: "mml:math", "m:math" and a
+// <math> under a default MathML namespace are the same element. MathML and SVG
+// subtrees are copied into unprefixed markup the HTML parser turns back into
+// native MathML and SVG elements. Only allow-listed elements and presentation
+// attributes are copied; links must pass the SafetyPolicy, references inside the
+// SVG must stay inside the page, and CSS may only point at fragments (url(#id)).
+class Namespaces {
+    static XML = 'http://www.w3.org/XML/1998/namespace';
+    static XMLNS = 'http://www.w3.org/2000/xmlns/';
+    static XLINK = 'http://www.w3.org/1999/xlink';
+    static XHTML = 'http://www.w3.org/1999/xhtml';
+    static MATHML = 'http://www.w3.org/1998/Math/MathML';
+    static SVG = 'http://www.w3.org/2000/svg';
+
+    // Root element the browser needs around a stray MathML or SVG element
+    static FOREIGN_ROOTS = {
+        'http://www.w3.org/1998/Math/MathML': 'math',
+        'http://www.w3.org/2000/svg': 'svg'
+    };
+    // Elements copied into the page, by namespace; everything else is left out with its content
+    static ELEMENTS = {
+        'http://www.w3.org/1998/Math/MathML': ['math', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msub', 'msup',
+            'msubsup', 'munder', 'mover', 'munderover', 'mfrac', 'msqrt', 'mroot', 'mfenced', 'menclose', 'mpadded',
+            'mphantom', 'mstyle', 'merror', 'mtable', 'mtr', 'mtd', 'mlabeledtr', 'mmultiscripts', 'mprescripts', 'none',
+            'semantics', 'annotation', 'maligngroup', 'malignmark', 'mstack', 'mlongdiv', 'msgroup', 'msrow',
+            'mscarries', 'mscarry', 'msline'],
+        'http://www.w3.org/2000/svg': ['svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'a', 'switch', 'path', 'rect',
+            'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan', 'textPath', 'image', 'clipPath', 'mask',
+            'pattern', 'marker', 'linearGradient', 'radialGradient', 'stop', 'filter', 'feBlend', 'feColorMatrix',
+            'feComponentTransfer', 'feComposite', 'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight',
+            'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge',
+            'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+            'feTurbulence', 'animate', 'animateMotion', 'animateTransform', 'set']
+    };
+    // Unnamespaced attributes copied, by namespace; href is handled by copyLink
+    static ATTRIBUTES = {
+        'http://www.w3.org/1998/Math/MathML': ['id', 'class', 'style', 'dir', 'display', 'displaystyle', 'scriptlevel',
+            'mathvariant', 'mathsize', 'mathcolor', 'mathbackground', 'fence', 'separator', 'separators', 'stretchy',
+            'symmetric', 'largeop', 'movablelimits', 'accent', 'accentunder', 'lspace', 'rspace', 'minsize', 'maxsize',
+            'form', 'linethickness', 'bevelled', 'numalign', 'denomalign', 'notation', 'open', 'close', 'width', 'height',
+            'depth', 'voffset', 'align', 'columnalign', 'rowalign', 'columnspan', 'rowspan', 'columnlines', 'rowlines',
+            'frame', 'framespacing', 'columnspacing', 'rowspacing', 'equalrows', 'equalcolumns', 'encoding',
+            'charalign', 'charspacing', 'stackalign', 'longdivstyle', 'position', 'shift', 'location', 'crossout'],
+        'http://www.w3.org/2000/svg': ['id', 'class', 'style', 'transform', 'viewBox', 'preserveAspectRatio', 'version',
+            'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr', 'width', 'height', 'd', 'points',
+            'pathLength', 'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-linecap',
+            'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit', 'stroke-opacity', 'opacity',
+            'color', 'display', 'visibility', 'overflow', 'font-family', 'font-size', 'font-weight', 'font-style',
+            'font-variant', 'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift', 'letter-spacing',
+            'word-spacing', 'text-decoration', 'writing-mode', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust',
+            'startOffset', 'method', 'spacing', 'offset', 'stop-color', 'stop-opacity', 'gradientUnits',
+            'gradientTransform', 'spreadMethod', 'patternUnits', 'patternContentUnits', 'patternTransform',
+            'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits', 'maskContentUnits', 'marker-start',
+            'marker-mid', 'marker-end', 'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+            'filter', 'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation', 'mode', 'operator',
+            'k1', 'k2', 'k3', 'k4', 'values', 'type', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+            'flood-color', 'flood-opacity', 'lighting-color', 'surfaceScale', 'diffuseConstant', 'specularConstant',
+            'specularExponent', 'kernelUnitLength', 'azimuth', 'elevation', 'z', 'pointsAtX', 'pointsAtY',
+            'pointsAtZ', 'limitingConeAngle', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'scale',
+            'xChannelSelector', 'yChannelSelector', 'radius', 'requiredFeatures', 'systemLanguage',
+            'attributeName', 'attributeType', 'begin', 'dur', 'end', 'min', 'max', 'restart', 'repeatCount',
+            'repeatDur', 'calcMode', 'keyTimes', 'keySplines', 'keyPoints', 'from', 'to', 'by', 'additive',
+            'accumulate', 'path']
+    };
+    static ANIMATIONS = ['animate', 'animateMotion', 'animateTransform', 'set'];
+
+    // Namespaced attribute value, or null (getAttributeNS gives '' for missing attributes in older engines)
+    static attribute(element, namespace, localName) {
+        return element.hasAttributeNS(namespace, localName) ? element.getAttributeNS(namespace, localName) : null;
+    }
+
+    static xlinkHref(element) {
+        return Namespaces.attribute(element, Namespaces.XLINK, 'href');
+    }
+
+    // HTML markup for a MathML or SVG element; resolveImage maps an SVG image reference to a ZIP path
+    static foreignMarkup(element, resolveImage) {
+        const namespace = element.namespaceURI;
+        const doc = document.implementation.createDocument(namespace, null, null);
+        let copy = Namespaces.copyForeign(element, doc, namespace, resolveImage);
+        if (!copy) return '';
+
+        const rootName = Namespaces.FOREIGN_ROOTS[namespace];
+        if (rootName && copy.localName !== rootName) {
+            const root = doc.createElementNS(namespace, rootName);
+            root.appendChild(copy);
+            copy = root;
+        }
+        return new XMLSerializer().serializeToString(copy);
+    }
+
+    static copyForeign(node, doc, namespace, resolveImage) {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            return doc.createTextNode(node.nodeValue);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== namespace) return null;
+        if (!(Namespaces.ELEMENTS[namespace] || []).includes(node.localName)) return null;
+        // An animation could set a link to javascript: after the link was checked
+        if (Namespaces.ANIMATIONS.includes(node.localName) && /^(\w+:)?href$/i.test((node.getAttribute('attributeName') || '').trim())) return null;
+
+        const copy = doc.createElementNS(namespace, node.localName);
+        const allowed = Namespaces.ATTRIBUTES[namespace] || [];
+        Array.from(node.attributes).forEach(attr => {
+            const isLink = attr.localName === 'href' && (!attr.namespaceURI || attr.namespaceURI === Namespaces.XLINK);
+            if (isLink) {
+                Namespaces.copyLink(copy, attr, namespace, resolveImage);
+            } else if (!attr.namespaceURI) {
+                if (allowed.includes(attr.localName) && Namespaces.isLocalStyle(attr.value)) copy.setAttribute(attr.localName, attr.value);
+            } else if (attr.namespaceURI === Namespaces.XML) {
+                copy.setAttributeNS(Namespaces.XML, `xml:${attr.localName}`, attr.value);
+            }
+        });
+
+        node.childNodes.forEach(child => {
+            const childCopy = Namespaces.copyForeign(child, doc, namespace, resolveImage);
+            if (childCopy) copy.appendChild(childCopy);
+        });
+        return copy;
+    }
+
+    // CSS values and presentation attributes may only refer to the page's own fragments: url(#gradient).
+    // Comments and escapes are undone first, so u\72l( is caught too.
+    static isLocalStyle(value) {
+        const css = value.replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+            .replace(/\\(.)/g, '$1');
+        return !/url\s*\((?!\s*['"]?\s*#)|\bsrc\s*\(|image-set\s*\(|@import|expression\s*\(/i.test(css);
+    }
+
+    // Links keep their target when the SafetyPolicy allows it; SVG images come from the ZIP when they can.
+    // Other SVG references (use, gradients, textPath) must point into the page.
+    static copyLink(copy, attr, namespace, resolveImage) {
+        const value = attr.value;
+        const image = namespace === Namespaces.SVG && copy.localName === 'image';
+        const link = namespace !== Namespaces.SVG || copy.localName === 'a';
+        if (!image && !link && !value.trim().startsWith('#')) return;
+        if (!SafetyPolicy.allowsUrl(value, image ? 'image' : 'link')) return;
+
+        if (image && !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+            const path = resolveImage ? resolveImage(value) : null;
+            if (path) {
+                copy.setAttribute('data-image', path);
+                return;
+            }
+        }
+        if (attr.namespaceURI === Namespaces.XLINK) copy.setAttributeNS(Namespaces.XLINK, 'xlink:href', value);
+        else copy.setAttribute('href', value);
+    }
+}
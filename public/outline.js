@@ -0,0 +1,114 @@
+// Document outline built from section and heading structure
+//
+// Sections (section, chapter, sect1..., sec) become entries when they carry a
+// title; free-standing h1-h3/heading elements are nested by level inside the
+// nearest titled section. Every entry remembers the element the renderer must
+// mark so the outline can jump to it and follow the scroll position.
+class DocumentOutline {
+    static SECTION_TAGS = ['book', 'part', 'chapter', 'appendix', 'preface', 'article', 'section',
+        'simplesect', 'sec', 'glossary', 'bibliography', 'index', 'colophon', 'dedication'];
+    static TITLE_TAGS = ['title', 'heading', 'h1', 'h2', 'h3'];
+    static HEADING_LEVELS = { h1: 1, heading: 1, title: 1, h2: 2, h3: 3 };
+    // Titles inside these belong to the block, not to the document structure
+    static SKIP_TAGS = ['table', 'informaltable', 'figure', 'informalfigure', 'example', 'equation',
+        'note', 'warning', 'tip', 'caution', 'important', 'sidebar', 'footnote', 'list',
+        'itemizedlist', 'orderedlist', 'variablelist', 'glossentry', 'bibliomixed', 'biblioentry'];
+
+    constructor(xmlFiles) {
+        this.files = []; // [{fileIndex, name, children}]
+        this.entries = new Map(); // key -> entry
+        this.entryByElement = new Map(); // element to mark in the rendered view -> entry
+        this.build(xmlFiles);
+    }
+
+    static localName(node) {
+        return (node.localName || node.nodeName || '').toLowerCase();
+    }
+
+    static isSection(name) {
+        return DocumentOutline.SECTION_TAGS.includes(name) || /^(sect|refsect)\d$/.test(name);
+    }
+
+    static sectionTitle(section) {
+        for (const child of section.children) {
+            const name = DocumentOutline.localName(child);
+            if (DocumentOutline.TITLE_TAGS.includes(name)) return child;
+            // Allow an info wrapper (DocBook 5 info / 4.x *info) holding the title
+            if (name === 'info' || name.endsWith('info')) {
+                const title = Array.from(child.children).find(el => DocumentOutline.localName(el) === 'title');
+                if (title) return title;
+            }
+        }
+        return null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    build(xmlFiles) {
+        xmlFiles.forEach((xmlFile, fileIndex) => {
+            const fileNode = { fileIndex, name: xmlFile.name, children: [], stack: [] };
+            this.files.push(fileNode);
+            this.counter = 0;
+
+            if (xmlFile.parsed && !xmlFile.hasError) {
+                this.visit(xmlFile.parsed.documentElement, fileNode, fileIndex);
+            }
+        });
+
+        // Level stacks are only needed while building
+        this.files.forEach(file => delete file.stack);
+        this.entries.forEach(entry => delete entry.stack);
+    }
+
+    visit(element, parent, fileIndex) {
+        const name = DocumentOutline.localName(element);
+        // MathML and SVG have title-like elements of their own
+        if (DocumentOutline.SKIP_TAGS.includes(name) || Namespaces.FOREIGN_ROOTS[element.namespaceURI]) return;
+
+        if (DocumentOutline.isSection(name)) {
+            const titleEl = DocumentOutline.sectionTitle(element);
+            if (titleEl) {
+                const entry = this.addEntry(parent, titleEl, fileIndex, 0);
+                this.visitChildren(element, entry, fileIndex, titleEl);
+                return;
+            }
+        } else if (DocumentOutline.HEADING_LEVELS[name]) {
+            // Free-standing heading: nest it under the last shallower heading of this section
+            const level = DocumentOutline.HEADING_LEVELS[name];
+            while (parent.stack.length > 0 && parent.stack[parent.stack.length - 1].level >= level) {
+                parent.stack.pop();
+            }
+            const owner = parent.stack.length > 0 ? parent.stack[parent.stack.length - 1] : parent;
+            const entry = this.addEntry(owner, element, fileIndex, level);
+            parent.stack.push(entry);
+            return;
+        }
+
+        this.visitChildren(element, parent, fileIndex, null);
+    }
+
+    visitChildren(element, parent, fileIndex, skip) {
+        for (const child of element.children) {
+            if (child !== skip) this.visit(child, parent, fileIndex);
+        }
+    }
+
+    addEntry(parent, titleEl, fileIndex, level) {
+        const text = titleEl.textContent.trim().replace(/\s+/g, ' ');
+        const entry = {
+            key: `${fileIndex}.${this.counter++}`,
+            fileIndex,
+            level,
+            title: text || `<${titleEl.parentNode.nodeName}>`,
+            element: titleEl,
+            children: [],
+            stack: []
+        };
+        parent.children.push(entry);
+        this.entries.set(entry.key, entry);
+        this.entryByElement.set(titleEl, entry);
+        return entry;
+    }
+}
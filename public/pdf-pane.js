@@ -0,0 +1,183 @@
+// Source PDF pane and page markers for keeping it in step with the rendered view
+//
+// PageMap finds where pages start in a document: pagebreak/page-break/beginpage
+// markers (numbered by their n/number/pagenum attribute, or counted) and any
+// element whose page-number attribute changes the current page. PdfPane shows a
+// PDF from the ZIP with the bundled pdf.js build, rendering pages lazily as they
+// scroll into view.
+class PageMap {
+    static BREAK_TAGS = ['pagebreak', 'page-break', 'beginpage'];
+    static BREAK_NUMBER_ATTRIBUTES = ['n', 'number', 'num', 'pagenum', 'page', 'pageno', 'label'];
+    static PAGE_ATTRIBUTES = ['page', 'pagenum', 'page-number', 'pageno', 'data-page'];
+
+    // isBreak marks further elements as page breaks (tags a mapping profile renders as one)
+    constructor(root, isBreak = null) {
+        this.markers = []; // [{element, page}] in document order; each element starts its page
+        this.pageByElement = new Map();
+
+        let current = 1;
+        for (const element of root.getElementsByTagName('*')) {
+            const name = (element.localName || element.nodeName).toLowerCase();
+            let page = null;
+
+            if (PageMap.BREAK_TAGS.includes(name) || (isBreak && isBreak(element))) {
+                page = PageMap.numberOf(element, PageMap.BREAK_NUMBER_ATTRIBUTES) ?? current + 1;
+            } else {
+                const attributes = name === 'page' ? PageMap.BREAK_NUMBER_ATTRIBUTES : PageMap.PAGE_ATTRIBUTES;
+                const number = PageMap.numberOf(element, attributes);
+                if (number !== null && number !== current) page = number;
+            }
+
+            if (page !== null) {
+                this.markers.push({ element, page });
+                this.pageByElement.set(element, page);
+                current = page;
+            }
+        }
+    }
+
+    // Numeric page number from the first attribute that has one; labels like "iv" do not count
+    static numberOf(element, attributes) {
+        for (const name of attributes) {
+            const value = element.getAttribute(name);
+            if (value && /^\s*\d+\s*$/.test(value)) return parseInt(value);
+        }
+        return null;
+    }
+
+    get size() {
+        return this.markers.length;
+    }
+}
+
+class PdfPane {
+    static PAGE_GAP = 12;
+    static WORKER_SRC = 'vendor/pdfjs/pdf.worker.min.mjs';
+
+    constructor(container, onPageChange) {
+        this.container = container; // scrolling element that holds the pages
+        this.onPageChange = onPageChange; // called with the page number when the user scrolls to another page
+        this.pdf = null;
+        this.pages = []; // [{element, rendered}]
+        this.loadToken = 0;
+        this.currentPageNumber = 1;
+        this.ignoreScroll = false;
+
+        this.container.addEventListener('scroll', () => {
+            if (this.scrollPending) return;
+            this.scrollPending = true;
+            requestAnimationFrame(() => {
+                this.scrollPending = false;
+                this.renderVisiblePages();
+                const page = this.currentPage();
+                const programmatic = this.ignoreScroll;
+                this.ignoreScroll = false;
+                if (page === this.currentPageNumber) return;
+                this.currentPageNumber = page;
+                if (!programmatic) this.onPageChange(page);
+            });
+        });
+    }
+
+    static available() {
+        return typeof pdfjsLib !== 'undefined';
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    // Show a PDF; pages get placeholders sized like the first page and are drawn when visible
+    async load(bytes) {
+        const token = ++this.loadToken;
+        this.close();
+
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PdfPane.WORKER_SRC;
+        // PDFs come from the delivery: fonts must not be compiled with eval (CVE-2024-4367)
+        const pdf = await pdfjsLib.getDocument({ data: bytes, isEvalSupported: false }).promise;
+        if (token !== this.loadToken) {
+            pdf.destroy();
+            return;
+        }
+        this.pdf = pdf;
+
+        const firstPage = await pdf.getPage(1);
+        const viewport = firstPage.getViewport({ scale: 1 });
+        this.scale = Math.max(this.container.clientWidth - 2 * PdfPane.PAGE_GAP, 200) / viewport.width;
+
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const element = document.createElement('div');
+            element.className = 'pdf-page';
+            element.dataset.page = number;
+            element.style.width = `${viewport.width * this.scale}px`;
+            element.style.height = `${viewport.height * this.scale}px`;
+            this.container.appendChild(element);
+            this.pages.push({ element, rendered: false });
+        }
+        this.currentPageNumber = 1;
+        this.renderVisiblePages();
+    }
+
+    close() {
+        if (this.pdf) this.pdf.destroy();
+        this.pdf = null;
+        this.pages = [];
+        this.container.innerHTML = '';
+    }
+
+    renderVisiblePages() {
+        const top = this.container.scrollTop;
+        const height = this.container.clientHeight;
+        this.pages.forEach((entry, index) => {
+            if (entry.rendered) return;
+            const pageTop = entry.element.offsetTop;
+            // Draw a screen ahead in both directions so fast scrolling rarely shows blank pages
+            if (pageTop + entry.element.offsetHeight >= top - height && pageTop <= top + 2 * height) {
+                entry.rendered = true;
+                this.renderPage(index + 1).catch(err => console.error(`Failed to render PDF page ${index + 1}:`, err));
+            }
+        });
+    }
+
+    async renderPage(number) {
+        const pdf = this.pdf;
+        const entry = this.pages[number - 1];
+        const page = await pdf.getPage(number);
+        if (pdf !== this.pdf) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const viewport = page.getViewport({ scale: this.scale });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        entry.element.style.width = `${viewport.width}px`;
+        entry.element.style.height = `${viewport.height}px`;
+        entry.element.appendChild(canvas);
+
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+        }).promise;
+    }
+
+    // The page at the top of the pane
+    currentPage() {
+        const top = this.container.scrollTop + PdfPane.PAGE_GAP;
+        let current = 1;
+        this.pages.forEach((entry, index) => {
+            if (entry.element.offsetTop <= top) current = index + 1;
+        });
+        return current;
+    }
+
+    scrollToPage(number) {
+        const entry = this.pages[Math.min(Math.max(number, 1), this.pages.length) - 1];
+        if (!entry) return;
+        const target = entry.element.offsetTop - PdfPane.PAGE_GAP;
+        const before = this.container.scrollTop;
+        this.container.scrollTop = target;
+        // Only a scroll that actually happened fires an event to ignore
+        this.ignoreScroll = this.container.scrollTop !== before;
+    }
+}
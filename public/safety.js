@@ -0,0 +1,242 @@
+// Safety layer for deliveries from outside: URL allow-lists, archive limits and sandboxing
+//
+// URLs from the XML reach the page only when their scheme is allow-listed
+// (relative URLs always are), so a javascript: link in a vendor file renders as
+// plain text. Archives are checked against limits on entry count, total and
+// per-entry uncompressed size and compression ratio before anything is read,
+// and entries are decompressed with a running byte count that is held to the
+// same limits, because the sizes a ZIP declares can lie. Documents can also be shown in a sandboxed iframe with
+// a strict Content-Security-Policy. Runs in the page and in zip-worker.js, so
+// nothing here touches the DOM.
+class SafetyPolicy {
+    static STORAGE_KEY = 'xmlViewer.safety';
+    static LINK_SCHEMES = ['http', 'https', 'mailto', 'ftp', 'tel'];
+    static IMAGE_SCHEMES = ['http', 'https', 'data'];
+    static MB = 1024 * 1024;
+    static DEFAULT_LIMITS = {
+        maxEntries: 20000,
+        maxTotalSize: 1024 * SafetyPolicy.MB,
+        maxEntrySize: 256 * SafetyPolicy.MB,
+        maxRatio: 200
+    };
+    // Small entries compress as well as they like; a ratio only means something for large ones
+    static RATIO_MIN_SIZE = SafetyPolicy.MB;
+    // No scripts, no requests: only the inlined styles and data URI images of the page itself
+    static SANDBOX_CSP = "default-src 'none'; img-src data:; style-src 'unsafe-inline'; font-src data:";
+    // Never copied from XSLT output into the page
+    static UNSAFE_ELEMENTS = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta', 'link', 'portal'];
+    static URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'background', 'cite', 'data'];
+
+    // settings: {limits, sandbox}
+    constructor(settings = {}) {
+        this.limits = { ...SafetyPolicy.DEFAULT_LIMITS, ...(settings.limits || {}) };
+        this.sandbox = !!settings.sandbox;
+    }
+
+    // Settings saved in the browser, or the defaults
+    static load() {
+        try {
+            return new SafetyPolicy(JSON.parse(localStorage.getItem(SafetyPolicy.STORAGE_KEY)) || {});
+        } catch (err) {
+            console.warn('Ignoring unreadable safety settings:', err);
+            return new SafetyPolicy();
+        }
+    }
+
+    save() {
+        localStorage.setItem(SafetyPolicy.STORAGE_KEY, JSON.stringify({ limits: this.limits, sandbox: this.sandbox }));
+    }
+
+    // Scheme of a URL in lower case, or null for relative URLs and Windows drive letters ("C:\fig.png")
+    static schemeOf(url) {
+        // Browsers drop control characters and spaces inside a scheme ("java\tscript:")
+        const clean = String(url).replace(/[\u0000-\u0020\u007f]/g, '');
+        const match = /^([a-z][a-z0-9+.-]+):/i.exec(clean);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    // kind is 'link' or 'image'; data URIs are only images, and never HTML
+    static allowsUrl(url, kind = 'link') {
+        const scheme = SafetyPolicy.schemeOf(url);
+        if (!scheme) return true;
+        if (kind !== 'image') return SafetyPolicy.LINK_SCHEMES.includes(scheme);
+        if (scheme === 'data') return /^\s*data:image\/(png|jpe?g|gif|webp|bmp|svg\+xml)[;,]/i.test(url);
+        return SafetyPolicy.IMAGE_SCHEMES.includes(scheme);
+    }
+
+    // Entries the limits keep out of an archive: [{path, reason}]; throws when the archive as a whole is over a limit
+    // entries: [{name, size, compressedSize}], sizes as the archive declares them
+    static checkEntries(entries, limits) {
+        const files = entries.filter(entry => !entry.dir);
+        if (files.length > limits.maxEntries) {
+            throw new Error(`The archive has ${files.length} files, more than the limit of ${limits.maxEntries}`);
+        }
+        const total = files.reduce((sum, entry) => sum + (entry.size || 0), 0);
+        if (total > limits.maxTotalSize) {
+            throw new Error(`The archive unpacks to ${SafetyPolicy.formatSize(total)}, more than the limit of ${SafetyPolicy.formatSize(limits.maxTotalSize)}`);
+        }
+
+        const blocked = [];
+        files.forEach(entry => {
+            if (entry.size > limits.maxEntrySize) {
+                blocked.push({ path: entry.name, reason: `${SafetyPolicy.formatSize(entry.size)} unpacked, over the ${SafetyPolicy.formatSize(limits.maxEntrySize)} limit` });
+            } else if (entry.compressedSize && entry.size >= SafetyPolicy.RATIO_MIN_SIZE && entry.size / entry.compressedSize > limits.maxRatio) {
+                blocked.push({ path: entry.name, reason: `compressed ${Math.round(entry.size / entry.compressedSize)}:1, over the ${limits.maxRatio}:1 limit` });
+            }
+        });
+        return blocked;
+    }
+
+    // Sizes a ZIP's central directory declares: Map of entry name to {size, compressedSize}, names decoded
+    // as JSZip decodes them. Empty when the directory cannot be found (such as data before the ZIP).
+    static declaredSizes(bytes, decodeFileName = null) {
+        const sizes = new Map();
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const utf8 = new TextDecoder();
+        const uint64 = offset => Number(view.getBigUint64(offset, true));
+
+        // The end record is followed only by its comment, of at most 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) return sizes;
+        let count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        // ZIP64 archives keep the real numbers in a record the locator before the end record points at
+        if (end >= 20 && view.getUint32(end - 20, true) === 0x07064b50) {
+            const end64 = uint64(end - 12);
+            if (end64 + 56 > bytes.length || view.getUint32(end64, true) !== 0x06064b50) return sizes;
+            count = uint64(end64 + 32);
+            offset = uint64(end64 + 48);
+        }
+
+        for (let i = 0; i < count && offset + 46 <= bytes.length && view.getUint32(offset, true) === 0x02014b50; i++) {
+            let compressedSize = view.getUint32(offset + 20, true);
+            let size = view.getUint32(offset + 24, true);
+            const nameEnd = offset + 46 + view.getUint16(offset + 28, true);
+            const extraEnd = nameEnd + view.getUint16(offset + 30, true);
+            const nameBytes = bytes.subarray(offset + 46, nameEnd);
+            // Names flagged as UTF-8 are UTF-8, as are JSZip's names without a decodeFileName
+            let name = view.getUint16(offset + 8, true) & 0x800 || !decodeFileName ? utf8.decode(nameBytes) : null;
+            for (let field = nameEnd; field + 4 <= extraEnd && field + 4 <= bytes.length;) {
+                const id = view.getUint16(field, true);
+                const length = view.getUint16(field + 2, true);
+                if (id === 0x0001) {
+                    // ZIP64 sizes, for the ones the record gives as 0xffffffff, uncompressed first
+                    let value = field + 4;
+                    if (size === 0xffffffff) {
+                        size = uint64(value);
+                        value += 8;
+                    }
+                    if (compressedSize === 0xffffffff) compressedSize = uint64(value);
+                } else if (id === 0x7075 && name === null) {
+                    // Unicode path field, which JSZip prefers to a name in another encoding
+                    name = utf8.decode(bytes.subarray(field + 9, field + 4 + length));
+                }
+                field += 4 + length;
+            }
+            sizes.set(name ?? decodeFileName(nameBytes), { size, compressedSize });
+            offset = extraEnd + view.getUint16(offset + 32, true);
+        }
+        return sizes;
+    }
+
+    // {size, compressedSize} of a JSZip entry as declaredSizes gives them; 0 for unknown (entries of a ZIP built
+    // in memory), which readZipEntry still holds to the limits while it unpacks
+    static entrySizes(file, declared) {
+        return declared.get(file.name) || { size: 0, compressedSize: 0 };
+    }
+
+    // Bytes actually decompressed from one archive: the largest count reached per entry, so reading an entry again adds nothing
+    static inflatedBytes() {
+        return { total: 0, entries: new Map() };
+    }
+
+    // Why an entry being decompressed breaks the limits, or null; size is what it has unpacked to so far
+    static inflateProblem(name, size, compressedSize, inflated, limits) {
+        if (size > limits.maxEntrySize) {
+            return `${name} unpacks to more than the ${SafetyPolicy.formatSize(limits.maxEntrySize)} limit`;
+        }
+        if (compressedSize && size >= SafetyPolicy.RATIO_MIN_SIZE && size / compressedSize > limits.maxRatio) {
+            return `${name} is compressed more than the ${limits.maxRatio}:1 limit`;
+        }
+        if (inflated.total > limits.maxTotalSize) {
+            return `The archive unpacks to more than the ${SafetyPolicy.formatSize(limits.maxTotalSize)} limit`;
+        }
+        return null;
+    }
+
+    // Decompress a JSZip entry as type, failing once it breaks the limits whatever its header says.
+    // inflated (from inflatedBytes) is shared by the entries of an archive; compressedSize is the declared one.
+    static readZipEntry(file, type, { limits, inflated, compressedSize }, onUpdate) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let total = 0;
+            let failed = false;
+            const stream = file.internalStream('uint8array');
+            stream.on('data', (chunk, metadata) => {
+                if (failed) return;
+                total += chunk.length;
+                const counted = inflated.entries.get(file.name) || 0;
+                if (total > counted) {
+                    inflated.total += total - counted;
+                    inflated.entries.set(file.name, total);
+                }
+                const problem = SafetyPolicy.inflateProblem(file.name, total, compressedSize, inflated, limits);
+                if (problem) {
+                    failed = true;
+                    stream.pause();
+                    const error = new Error(problem);
+                    error.overLimit = true;
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+                if (onUpdate) onUpdate(metadata.percent / 100);
+            }).on('error', err => {
+                failed = true;
+                reject(err);
+            }).on('end', () => {
+                if (failed) return;
+                const bytes = new Uint8Array(total);
+                let offset = 0;
+                chunks.forEach(chunk => {
+                    bytes.set(chunk, offset);
+                    offset += chunk.length;
+                });
+                resolve(SafetyPolicy.bytesAs(bytes, type));
+            }).resume();
+        });
+    }
+
+    // Bytes in the JSZip output types the viewer asks for
+    static bytesAs(bytes, type) {
+        switch (type) {
+            case 'uint8array':
+                return bytes;
+            case 'arraybuffer':
+                return bytes.buffer;
+            case 'blob':
+                return new Blob([bytes]);
+            case 'text':
+            case 'string':
+                return new TextDecoder().decode(bytes);
+            case 'base64': {
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+                return btoa(binary);
+            }
+            default:
+                throw new Error(`Cannot read an entry as ${type}`);
+        }
+    }
+
+    static formatSize(bytes) {
+        if (bytes >= SafetyPolicy.MB) return `${Math.round(bytes / SafetyPolicy.MB)} MB`;
+        return `${Math.ceil(bytes / 1024)} KB`;
+    }
+}
@@ -0,0 +1,746 @@
+// Schema parsers: compile DTD, XSD and RelaxNG (XML syntax) into the grammar
+// model checked by SchemaValidator (see schema-validator.js).
+//
+// Each parser takes resolve(reference, basePath) -> {path, text} | null so that
+// external modules, includes and imports are read from the files in the
+// archive instead of the network.
+
+// DTD: ELEMENT/ATTLIST declarations with parameter entities and conditional sections
+class DtdParser {
+    static MAX_DEPTH = 50;
+    // Characters all parameter entity references may expand to; nested entities grow exponentially
+    static MAX_SIZE = 32 * 1024 * 1024;
+
+    constructor(resolve) {
+        this.resolve = resolve;
+        this.size = 0;
+        this.parameterEntities = new Map(); // name -> {value} | {systemId, basePath}
+        this.grammar = { kind: 'dtd', elements: new Map(), roots: null, warnings: [] };
+    }
+
+    // The internal subset is processed first so its declarations take precedence
+    parse(internalSubset, externalText, externalPath) {
+        this.process(internalSubset || '', '', 0);
+        this.process(externalText || '', externalPath || '', 0);
+        return this.grammar;
+    }
+
+    declFor(name) {
+        if (!this.grammar.elements.has(name)) {
+            this.grammar.elements.set(name, {
+                name,
+                type: { content: null, attributes: new Map(), anyAttribute: false }
+            });
+        }
+        return this.grammar.elements.get(name);
+    }
+
+    // Replacement text of a parameter entity, loading external ones from the archive
+    entityText(name, depth) {
+        const entity = this.parameterEntities.get(name);
+        if (!entity) {
+            this.grammar.warnings.push(`Parameter entity %${name}; is not declared`);
+            return { text: '', basePath: '' };
+        }
+        if (entity.value !== undefined) return { text: entity.value, basePath: entity.basePath };
+
+        const resolved = this.resolve(entity.systemId, entity.basePath);
+        if (!resolved) {
+            this.grammar.warnings.push(`External DTD module "${entity.systemId}" was not found in the archive`);
+            entity.value = '';
+            return { text: '', basePath: '' };
+        }
+        entity.value = resolved.text;
+        entity.basePath = resolved.path;
+        return { text: resolved.text, basePath: resolved.path };
+    }
+
+    // Count replacement text; throws once the expansions pass MAX_SIZE characters
+    take(text) {
+        this.size += text.length;
+        if (this.size > DtdParser.MAX_SIZE) {
+            const error = new Error(`Parameter entities expand to more than ${DtdParser.MAX_SIZE} characters`);
+            error.tooLarge = true;
+            throw error;
+        }
+        return text;
+    }
+
+    expandReferences(text, depth) {
+        if (depth > DtdParser.MAX_DEPTH) return text;
+        return text.replace(/%([^\s;%]+);/g, (match, name) =>
+            this.take(this.expandReferences(this.entityText(name, depth).text, depth + 1)));
+    }
+
+    process(text, basePath, depth) {
+        if (depth > DtdParser.MAX_DEPTH) return;
+        let pos = 0;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (/\s/.test(ch)) {
+                pos++;
+            } else if (text.startsWith('<!--', pos)) {
+                const close = text.indexOf('-->', pos + 4);
+                pos = close === -1 ? text.length : close + 3;
+            } else if (text.startsWith('<?', pos)) {
+                const close = text.indexOf('?>', pos + 2);
+                pos = close === -1 ? text.length : close + 2;
+            } else if (ch === '%') {
+                const match = /^%([^\s;%]+);/.exec(text.slice(pos, pos + 256));
+                if (!match) {
+                    pos++;
+                    continue;
+                }
+                const entity = this.entityText(match[1], depth);
+                this.process(this.take(entity.text), entity.basePath || basePath, depth + 1);
+                pos += match[0].length;
+            } else if (text.startsWith('<![', pos)) {
+                pos = this.processConditional(text, pos, basePath, depth);
+            } else if (text.startsWith('<!', pos)) {
+                const end = this.declarationEnd(text, pos);
+                this.declaration(text.slice(pos + 2, end), basePath, depth);
+                pos = end + 1;
+            } else {
+                pos++;
+            }
+        }
+    }
+
+    // Position of the ">" closing a markup declaration, skipping quoted literals
+    declarationEnd(text, pos) {
+        let i = pos + 2;
+        while (i < text.length && text[i] !== '>') {
+            if (text[i] === '"' || text[i] === "'") {
+                const close = text.indexOf(text[i], i + 1);
+                i = close === -1 ? text.length : close + 1;
+            } else {
+                i++;
+            }
+        }
+        return i;
+    }
+
+    processConditional(text, pos, basePath, depth) {
+        const open = text.indexOf('[', pos + 3);
+        if (open === -1) return text.length;
+        const keyword = this.expandReferences(text.slice(pos + 3, open), depth).trim();
+
+        // Find the matching ]]>, allowing nested sections
+        let nesting = 1;
+        let i = open + 1;
+        while (i < text.length && nesting > 0) {
+            if (text.startsWith('<![', i)) {
+                nesting++;
+                i += 3;
+            } else if (text.startsWith(']]>', i)) {
+                nesting--;
+                i += 3;
+            } else {
+                i++;
+            }
+        }
+
+        if (keyword === 'INCLUDE') {
+            this.process(text.slice(open + 1, i - 3), basePath, depth + 1);
+        }
+        return i;
+    }
+
+    declaration(body, basePath, depth) {
+        const keyword = /^[A-Z]+/.exec(body);
+        if (!keyword) return;
+        const rest = body.slice(keyword[0].length);
+
+        if (keyword[0] === 'ENTITY') {
+            this.entityDeclaration(rest, basePath, depth);
+        } else if (keyword[0] === 'ELEMENT') {
+            this.elementDeclaration(this.expandReferences(rest, depth));
+        } else if (keyword[0] === 'ATTLIST') {
+            this.attlistDeclaration(this.expandReferences(rest, depth));
+        }
+    }
+
+    entityDeclaration(rest, basePath, depth) {
+        const match = /^\s+%\s+([^\s]+)\s+(?:("[^"]*"|'[^']*')|(?:SYSTEM\s+("[^"]*"|'[^']*')|PUBLIC\s+("[^"]*"|'[^']*')\s+("[^"]*"|'[^']*')))/.exec(rest);
+        if (!match) return; // general entities do not affect validation
+        const name = match[1];
+        if (this.parameterEntities.has(name)) return; // first declaration wins
+
+        if (match[2] !== undefined) {
+            this.parameterEntities.set(name, { value: this.expandReferences(match[2].slice(1, -1), depth + 1), basePath });
+        } else {
+            const systemId = (match[3] || match[5]).slice(1, -1);
+            this.parameterEntities.set(name, { systemId, basePath });
+        }
+    }
+
+    elementDeclaration(rest) {
+        const match = /^\s*([^\s(]+)\s*([\s\S]*)$/.exec(rest);
+        if (!match) return;
+        const decl = this.declFor(match[1].split(':').pop());
+        if (decl.type.content) return;
+
+        const spec = match[2].trim();
+        if (spec === 'EMPTY') {
+            decl.type.content = { type: 'empty' };
+        } else if (spec === 'ANY') {
+            decl.type.content = { type: 'any' };
+        } else if (/^\(\s*#PCDATA/.test(spec)) {
+            const names = spec.replace(/[()*\s]/g, '').split('|').filter(name => name && name !== '#PCDATA');
+            decl.type.content = names.length === 0
+                ? { type: 'text' }
+                : {
+                    type: 'mixed',
+                    particle: {
+                        kind: 'choice',
+                        min: 0,
+                        max: Infinity,
+                        items: names.map(name => ({ kind: 'element', name: name.split(':').pop(), decl: null }))
+                    }
+                };
+        } else {
+            this.tokens = spec.match(/[^\s(),|?*+]+|[(),|?*+]/g) || [];
+            this.tokenIndex = 0;
+            decl.type.content = { type: 'element', particle: this.contentParticle() };
+        }
+    }
+
+    contentParticle() {
+        const token = this.tokens[this.tokenIndex++];
+        let particle;
+
+        if (token === '(') {
+            const items = [this.contentParticle()];
+            let kind = 'seq';
+            while (this.tokenIndex < this.tokens.length && this.tokens[this.tokenIndex] !== ')') {
+                const separator = this.tokens[this.tokenIndex++];
+                kind = separator === '|' ? 'choice' : 'seq';
+                items.push(this.contentParticle());
+            }
+            this.tokenIndex++; // )
+            particle = { kind, items };
+        } else {
+            particle = { kind: 'element', name: (token || '').split(':').pop(), decl: null };
+        }
+
+        const occurrence = this.tokens[this.tokenIndex];
+        if (occurrence === '?') {
+            particle.min = 0;
+            this.tokenIndex++;
+        } else if (occurrence === '*') {
+            particle.min = 0;
+            particle.max = Infinity;
+            this.tokenIndex++;
+        } else if (occurrence === '+') {
+            particle.max = Infinity;
+            this.tokenIndex++;
+        }
+        return particle;
+    }
+
+    attlistDeclaration(rest) {
+        const tokens = rest.match(/"[^"]*"|'[^']*'|\([^)]*\)|[^\s]+/g) || [];
+        if (tokens.length === 0) return;
+        const decl = this.declFor(tokens[0].split(':').pop());
+
+        let i = 1;
+        while (i < tokens.length) {
+            const name = tokens[i++];
+            let type = tokens[i++] || 'CDATA';
+            if (type === 'NOTATION') type = tokens[i++];
+            let defaultDecl = tokens[i++] || '#IMPLIED';
+            let fixed = null;
+            if (defaultDecl === '#FIXED') {
+                fixed = (tokens[i++] || '""').slice(1, -1);
+            } else if (/^["']/.test(defaultDecl)) {
+                defaultDecl = null;
+            }
+
+            if (!decl.type.attributes.has(name)) {
+                decl.type.attributes.set(name, {
+                    required: defaultDecl === '#REQUIRED',
+                    values: type.startsWith('(') ? type.slice(1, -1).split('|').map(value => value.trim()) : null,
+                    fixed
+                });
+            }
+        }
+    }
+}
+
+// W3C XML Schema: elements, named and anonymous types, groups, extensions and includes
+class XsdParser {
+    static NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+    constructor(resolve) {
+        this.resolve = resolve;
+        this.globals = { element: new Map(), complexType: new Map(), simpleType: new Map(), group: new Map(), attributeGroup: new Map(), attribute: new Map() };
+        this.loaded = new Set();
+        this.elementDecls = new Map(); // xs:element node -> decl
+        this.types = new Map(); // xs:complexType node -> type
+        this.grammar = { kind: 'xsd', elements: new Map(), roots: [], warnings: [] };
+    }
+
+    static localName(value) {
+        return (value || '').split(':').pop();
+    }
+
+    static children(node, name) {
+        return Array.from(node.children).filter(child =>
+            child.namespaceURI === XsdParser.NAMESPACE && (!name || child.localName === name));
+    }
+
+    static occurs(node, particle) {
+        const min = node.getAttribute('minOccurs');
+        const max = node.getAttribute('maxOccurs');
+        if (min !== null) particle.min = parseInt(min, 10);
+        if (max !== null) particle.max = max === 'unbounded' ? Infinity : parseInt(max, 10);
+        return particle;
+    }
+
+    parse(text, path) {
+        this.load(text, path);
+
+        for (const [name, node] of this.globals.element) {
+            this.grammar.elements.set(name, this.elementDecl(node));
+            this.grammar.roots.push(name);
+        }
+        return this.grammar;
+    }
+
+    load(text, path) {
+        if (this.loaded.has(path)) return;
+        this.loaded.add(path);
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${path} is not well-formed XML`);
+        }
+
+        const schema = doc.documentElement;
+        for (const child of XsdParser.children(schema)) {
+            if (['include', 'import', 'redefine', 'override'].includes(child.localName)) {
+                const location = child.getAttribute('schemaLocation');
+                const resolved = location && this.resolve(location, path);
+                if (resolved) {
+                    this.load(resolved.text, resolved.path);
+                } else if (location) {
+                    this.grammar.warnings.push(`Schema "${location}" referenced from ${path} was not found in the archive`);
+                }
+                if (child.localName === 'redefine' || child.localName === 'override') {
+                    XsdParser.children(child).forEach(redefined => this.register(redefined));
+                }
+            } else {
+                this.register(child);
+            }
+        }
+    }
+
+    register(node) {
+        const collection = this.globals[node.localName];
+        const name = node.getAttribute('name');
+        if (collection && name) collection.set(name, node);
+    }
+
+    elementDecl(node) {
+        const ref = node.getAttribute('ref');
+        if (ref) {
+            const target = this.globals.element.get(XsdParser.localName(ref));
+            return target ? this.elementDecl(target) : null;
+        }
+        if (this.elementDecls.has(node)) return this.elementDecls.get(node);
+
+        const decl = { name: node.getAttribute('name'), type: null };
+        this.elementDecls.set(node, decl);
+
+        const typeName = node.getAttribute('type');
+        const inlineComplex = XsdParser.children(node, 'complexType')[0];
+        const inlineSimple = XsdParser.children(node, 'simpleType')[0];
+
+        if (inlineComplex) {
+            decl.type = this.complexType(inlineComplex);
+        } else if (inlineSimple) {
+            decl.type = { content: { type: 'text' }, attributes: new Map(), anyAttribute: false };
+        } else if (typeName) {
+            const complex = this.globals.complexType.get(XsdParser.localName(typeName));
+            if (complex) {
+                decl.type = this.complexType(complex);
+            } else if (XsdParser.localName(typeName) === 'anyType') {
+                decl.type = { content: { type: 'any' }, attributes: new Map(), anyAttribute: true };
+            } else {
+                decl.type = { content: { type: 'text' }, attributes: new Map(), anyAttribute: false };
+            }
+        } else {
+            decl.type = { content: { type: 'any' }, attributes: new Map(), anyAttribute: true };
+        }
+        return decl;
+    }
+
+    complexType(node) {
+        if (this.types.has(node)) return this.types.get(node);
+        const type = { content: null, attributes: new Map(), anyAttribute: false };
+        this.types.set(node, type);
+
+        const mixed = node.getAttribute('mixed') === 'true';
+        let particle = null;
+        let textOnly = false;
+
+        const complexContent = XsdParser.children(node, 'complexContent')[0];
+        const simpleContent = XsdParser.children(node, 'simpleContent')[0];
+
+        if (complexContent || simpleContent) {
+            const derivation = XsdParser.children(complexContent || simpleContent).find(child =>
+                child.localName === 'extension' || child.localName === 'restriction');
+            if (derivation) {
+                const base = this.globals.complexType.get(XsdParser.localName(derivation.getAttribute('base')));
+                const baseType = base ? this.complexType(base) : null;
+
+                if (simpleContent) {
+                    textOnly = true;
+                } else {
+                    const own = this.modelGroup(derivation);
+                    if (derivation.localName === 'extension' && baseType && baseType.content && baseType.content.particle) {
+                        particle = own ? { kind: 'seq', items: [baseType.content.particle, own] } : baseType.content.particle;
+                    } else {
+                        particle = own;
+                    }
+                }
+
+                if (baseType && (derivation.localName === 'extension' || simpleContent)) {
+                    baseType.attributes.forEach((attr, name) => type.attributes.set(name, attr));
+                    type.anyAttribute = type.anyAttribute || baseType.anyAttribute;
+                }
+                this.attributes(derivation, type);
+            }
+            if (complexContent && complexContent.getAttribute('mixed') === 'true') {
+                type.content = { type: 'mixed', particle };
+            }
+        } else {
+            particle = this.modelGroup(node);
+            this.attributes(node, type);
+        }
+
+        if (!type.content) {
+            if (textOnly) type.content = { type: 'text' };
+            else if (mixed) type.content = { type: 'mixed', particle };
+            else type.content = particle ? { type: 'element', particle } : { type: 'empty' };
+        }
+        return type;
+    }
+
+    // The sequence/choice/all/group child of a type or derivation, as a particle
+    modelGroup(node) {
+        const group = XsdParser.children(node).find(child => ['sequence', 'choice', 'all', 'group'].includes(child.localName));
+        return group ? this.particle(group) : null;
+    }
+
+    particle(node) {
+        switch (node.localName) {
+            case 'element': {
+                const ref = node.getAttribute('ref');
+                const name = XsdParser.localName(ref || node.getAttribute('name'));
+                const particle = { kind: 'element', name, decl: null };
+                Object.defineProperty(particle, 'decl', { get: () => this.elementDecl(node), enumerable: true });
+                return XsdParser.occurs(node, particle);
+            }
+
+            case 'any':
+                return XsdParser.occurs(node, { kind: 'element', name: null, decl: null });
+
+            case 'group': {
+                const ref = node.getAttribute('ref');
+                const group = ref ? this.globals.group.get(XsdParser.localName(ref)) : node;
+                const inner = group ? this.modelGroup(group) : null;
+                return XsdParser.occurs(node, inner ? { kind: 'seq', items: [inner] } : { kind: 'empty' });
+            }
+
+            case 'sequence':
+            case 'choice':
+            case 'all': {
+                const kind = { sequence: 'seq', choice: 'choice', all: 'all' }[node.localName];
+                const items = XsdParser.children(node)
+                    .filter(child => ['element', 'any', 'group', 'sequence', 'choice'].includes(child.localName))
+                    .map(child => this.particle(child));
+                return XsdParser.occurs(node, { kind, items });
+            }
+
+            default:
+                return { kind: 'empty' };
+        }
+    }
+
+    attributes(node, type) {
+        for (const child of XsdParser.children(node)) {
+            if (child.localName === 'attribute') {
+                const ref = child.getAttribute('ref');
+                const source = ref ? this.globals.attribute.get(XsdParser.localName(ref)) || child : child;
+                const name = ref ? ref : child.getAttribute('name');
+                if (!name || child.getAttribute('use') === 'prohibited') continue;
+                type.attributes.set(name.includes(':') && !name.startsWith('xml:') ? XsdParser.localName(name) : name, {
+                    required: child.getAttribute('use') === 'required',
+                    values: this.enumeration(source),
+                    fixed: child.getAttribute('fixed') ?? source.getAttribute('fixed')
+                });
+            } else if (child.localName === 'attributeGroup') {
+                const group = this.globals.attributeGroup.get(XsdParser.localName(child.getAttribute('ref')));
+                if (group) this.attributes(group, type);
+            } else if (child.localName === 'anyAttribute') {
+                type.anyAttribute = true;
+            }
+        }
+    }
+
+    enumeration(attribute) {
+        let simpleType = XsdParser.children(attribute, 'simpleType')[0];
+        if (!simpleType && attribute.getAttribute('type')) {
+            simpleType = this.globals.simpleType.get(XsdParser.localName(attribute.getAttribute('type')));
+        }
+        if (!simpleType) return null;
+
+        const restriction = XsdParser.children(simpleType, 'restriction')[0];
+        if (!restriction) return null;
+        const values = XsdParser.children(restriction, 'enumeration').map(en => en.getAttribute('value'));
+        return values.length > 0 ? values : null;
+    }
+}
+
+// RelaxNG XML syntax: patterns are folded into particles, attributes and a text flag
+class RngParser {
+    static NAMESPACE = 'http://relaxng.org/ns/structure/1.0';
+
+    constructor(resolve) {
+        this.resolve = resolve;
+        this.defines = new Map(); // name -> [pattern nodes]
+        this.starts = [];
+        this.elementDecls = new Map(); // element pattern node -> decl
+        this.defineCache = new Map(); // name -> compiled fragment
+        this.grammar = { kind: 'rng', elements: new Map(), roots: [], warnings: [] };
+    }
+
+    static children(node) {
+        return Array.from(node.children).filter(child => child.namespaceURI === RngParser.NAMESPACE);
+    }
+
+    parse(text, path) {
+        const root = this.parseXml(text, path);
+        if (root.localName === 'grammar') this.collectDefinitions(RngParser.children(root), path);
+
+        const start = root.localName === 'grammar' ? this.combine(this.starts) : this.pattern(root);
+        this.collectRoots(start.particle);
+        return this.grammar;
+    }
+
+    parseXml(text, path) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${path} is not well-formed XML`);
+        }
+        return doc.documentElement;
+    }
+
+    // Collect start and define patterns; definitions given inside <include> replace the included ones
+    collectDefinitions(nodes, path, overridden = null, skipStart = false) {
+        for (const child of nodes) {
+            if (child.localName === 'start') {
+                if (!skipStart) this.starts.push(child);
+            } else if (child.localName === 'define') {
+                const name = child.getAttribute('name');
+                if (overridden && overridden.has(name)) continue;
+                if (!this.defines.has(name)) this.defines.set(name, []);
+                this.defines.get(name).push(child);
+            } else if (child.localName === 'div') {
+                this.collectDefinitions(RngParser.children(child), path, overridden, skipStart);
+            } else if (child.localName === 'include') {
+                const href = child.getAttribute('href');
+                const resolved = this.resolve(href, path);
+                const overrides = RngParser.children(child);
+                const replaced = new Set(overrides.filter(c => c.localName === 'define').map(c => c.getAttribute('name')));
+                const replacesStart = overrides.some(c => c.localName === 'start');
+
+                if (resolved) {
+                    const included = this.parseXml(resolved.text, resolved.path);
+                    this.collectDefinitions(RngParser.children(included), resolved.path, replaced, replacesStart);
+                } else {
+                    this.grammar.warnings.push(`Included schema "${href}" was not found in the archive`);
+                }
+                this.collectDefinitions(overrides, path, overridden, skipStart);
+            }
+        }
+    }
+
+    // Combined content of several start/define nodes (combine="choice" or "interleave")
+    combine(nodes) {
+        const fragments = nodes.map(node => this.group(RngParser.children(node)));
+        if (fragments.length === 1) return fragments[0];
+        const interleave = nodes.some(node => node.getAttribute('combine') === 'interleave');
+        return this.merge(fragments, interleave ? 'all' : 'choice');
+    }
+
+    merge(fragments, kind) {
+        const attributes = new Map();
+        fragments.forEach(fragment => fragment.attributes.forEach((attr, name) => {
+            attributes.set(name, kind === 'choice' ? { ...attr, required: false } : attr);
+        }));
+        return {
+            particle: { kind, items: fragments.map(fragment => fragment.particle) },
+            attributes,
+            text: fragments.some(fragment => fragment.text),
+            anyAttribute: fragments.some(fragment => fragment.anyAttribute)
+        };
+    }
+
+    group(nodes) {
+        return this.merge(nodes.map(node => this.pattern(node)), 'seq');
+    }
+
+    pattern(node) {
+        const empty = () => ({ particle: { kind: 'empty' }, attributes: new Map(), text: false });
+
+        switch (node.localName) {
+            case 'element':
+                return { particle: { kind: 'element', name: this.elementName(node), decl: this.elementDecl(node) }, attributes: new Map(), text: false };
+
+            case 'attribute': {
+                const name = this.elementName(node);
+                const values = RngParser.children(node).flatMap(child => this.valuesOf(child));
+                const fragment = empty();
+                if (name) fragment.attributes.set(name, { required: true, values: values.length > 0 ? values : null, fixed: null });
+                else fragment.anyAttribute = true;
+                return fragment;
+            }
+
+            case 'group':
+                return this.group(RngParser.children(node));
+
+            case 'interleave':
+                return this.merge(RngParser.children(node).map(child => this.pattern(child)), 'all');
+
+            case 'choice':
+                return this.merge(RngParser.children(node).map(child => this.pattern(child)), 'choice');
+
+            case 'optional': {
+                const fragment = this.group(RngParser.children(node));
+                fragment.particle = { ...fragment.particle, min: 0 };
+                fragment.attributes.forEach(attr => { attr.required = false; });
+                return fragment;
+            }
+
+            case 'zeroOrMore':
+            case 'oneOrMore': {
+                const fragment = this.group(RngParser.children(node));
+                fragment.particle = { kind: 'seq', items: [fragment.particle], min: node.localName === 'zeroOrMore' ? 0 : 1, max: Infinity };
+                if (node.localName === 'zeroOrMore') fragment.attributes.forEach(attr => { attr.required = false; });
+                return fragment;
+            }
+
+            case 'mixed': {
+                const fragment = this.merge(RngParser.children(node).map(child => this.pattern(child)), 'all');
+                fragment.text = true;
+                return fragment;
+            }
+
+            case 'ref':
+            case 'parentRef':
+                return this.reference(node.getAttribute('name'));
+
+            case 'externalRef': {
+                const resolved = this.resolve(node.getAttribute('href'), '');
+                if (!resolved) {
+                    this.grammar.warnings.push(`External pattern "${node.getAttribute('href')}" was not found in the archive`);
+                    return empty();
+                }
+                const root = this.parseXml(resolved.text, resolved.path);
+                if (root.localName !== 'grammar') return this.pattern(root);
+                this.collectDefinitions(RngParser.children(root).filter(c => c.localName !== 'start'), resolved.path);
+                return this.combine(RngParser.children(root).filter(c => c.localName === 'start'));
+            }
+
+            case 'text':
+            case 'data':
+            case 'value':
+            case 'list': {
+                const fragment = empty();
+                fragment.text = true;
+                return fragment;
+            }
+
+            case 'notAllowed':
+                return { particle: { kind: 'choice', items: [] }, attributes: new Map(), text: false };
+
+            default:
+                return empty();
+        }
+    }
+
+    reference(name) {
+        if (this.defineCache.has(name)) return this.copy(this.defineCache.get(name));
+        const nodes = this.defines.get(name);
+        if (!nodes) {
+            this.grammar.warnings.push(`Pattern "${name}" is not defined`);
+            return { particle: { kind: 'empty' }, attributes: new Map(), text: false };
+        }
+
+        // Placeholder guards against references looping without an element in between
+        this.defineCache.set(name, { particle: { kind: 'empty' }, attributes: new Map(), text: false });
+        const fragment = this.combine(nodes);
+        this.defineCache.set(name, fragment);
+        return this.copy(fragment);
+    }
+
+    copy(fragment) {
+        const attributes = new Map();
+        fragment.attributes.forEach((attr, name) => attributes.set(name, { ...attr }));
+        return { ...fragment, attributes };
+    }
+
+    valuesOf(node) {
+        if (node.localName === 'value') return [node.textContent.trim()];
+        if (node.localName === 'choice') return RngParser.children(node).flatMap(child => this.valuesOf(child));
+        return [];
+    }
+
+    // Name of an element/attribute pattern; null for anyName/nsName wildcards
+    elementName(node) {
+        const name = node.getAttribute('name');
+        if (name) return name.split(':').pop();
+        const nameClass = RngParser.children(node)[0];
+        if (nameClass && nameClass.localName === 'name') return nameClass.textContent.trim().split(':').pop();
+        return null;
+    }
+
+    elementDecl(node) {
+        if (this.elementDecls.has(node)) return this.elementDecls.get(node);
+
+        const name = this.elementName(node);
+        const decl = { name, type: { content: null, attributes: new Map(), anyAttribute: false } };
+        this.elementDecls.set(node, decl);
+
+        const body = RngParser.children(node).filter((child, index) =>
+            !(index === 0 && !node.getAttribute('name') && ['name', 'anyName', 'nsName', 'choice'].includes(child.localName)));
+        const fragment = this.group(body);
+
+        decl.type.attributes = fragment.attributes;
+        decl.type.anyAttribute = !!fragment.anyAttribute;
+
+        const hasElements = this.containsElements(fragment.particle);
+        if (hasElements && fragment.text) decl.type.content = { type: 'mixed', particle: fragment.particle };
+        else if (hasElements) decl.type.content = { type: 'element', particle: fragment.particle };
+        else if (fragment.text) decl.type.content = { type: 'text' };
+        else decl.type.content = { type: 'empty' };
+
+        if (name && !this.grammar.elements.has(name)) this.grammar.elements.set(name, decl);
+        return decl;
+    }
+
+    containsElements(particle) {
+        if (!particle) return false;
+        if (particle.kind === 'element') return true;
+        return (particle.items || []).some(item => this.containsElements(item));
+    }
+
+    collectRoots(particle) {
+        if (!particle) return;
+        if (particle.kind === 'element' && particle.name) this.grammar.roots.push(particle.name);
+        (particle.items || []).forEach(item => this.collectRoots(item));
+    }
+}
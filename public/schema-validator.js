@@ -0,0 +1,475 @@
+// Offline XML validation: well-formedness plus DTD, XSD and RelaxNG schemas
+//
+// Every schema language is compiled (see schema-parsers.js) into the same
+// grammar model, which this file checks documents against:
+//
+//   grammar  = {kind, elements: Map(name -> decl), roots: [name] | null}
+//   decl     = {name, type: {content, attributes: Map(name -> attr), anyAttribute}}
+//   content  = {type: 'empty' | 'any' | 'text' | 'mixed' | 'element', particle}
+//   particle = {kind: 'element', name, decl} | {kind: 'seq' | 'choice' | 'all', items}
+//              | {kind: 'empty'}, each with optional min/max occurrence
+//   attr     = {required, values: [enumeration] | null, fixed}
+//
+// Names are compared by local name; namespaces are not checked.
+class ContentMatcher {
+    static MAX_EXPANDED_OCCURS = 25;
+
+    constructor(particle) {
+        this.states = [];
+        const fragment = this.compile(particle || { kind: 'empty' });
+        this.start = fragment.start;
+        this.accept = fragment.end;
+    }
+
+    newState() {
+        this.states.push({ epsilon: [], transitions: [] });
+        return this.states.length - 1;
+    }
+
+    compile(particle) {
+        const min = particle.min === undefined ? 1 : particle.min;
+        const max = particle.max === undefined ? 1 : particle.max;
+        const start = this.newState();
+        let current = start;
+
+        const required = Math.min(min, ContentMatcher.MAX_EXPANDED_OCCURS);
+        for (let i = 0; i < required; i++) {
+            const once = this.compileOnce(particle);
+            this.states[current].epsilon.push(once.start);
+            current = once.end;
+        }
+
+        if (max === Infinity || max - required > ContentMatcher.MAX_EXPANDED_OCCURS) {
+            const loop = this.compileOnce(particle);
+            const end = this.newState();
+            this.states[current].epsilon.push(loop.start, end);
+            this.states[loop.end].epsilon.push(loop.start, end);
+            return { start, end };
+        }
+
+        const end = this.newState();
+        for (let i = required; i < max; i++) {
+            const once = this.compileOnce(particle);
+            this.states[current].epsilon.push(once.start, end);
+            current = once.end;
+        }
+        this.states[current].epsilon.push(end);
+        return { start, end };
+    }
+
+    compileOnce(particle) {
+        const start = this.newState();
+        const end = this.newState();
+
+        switch (particle.kind) {
+            case 'element':
+                this.states[start].transitions.push({ particle, to: end });
+                break;
+
+            case 'seq': {
+                let current = start;
+                particle.items.forEach(item => {
+                    const fragment = this.compile(item);
+                    this.states[current].epsilon.push(fragment.start);
+                    current = fragment.end;
+                });
+                this.states[current].epsilon.push(end);
+                break;
+            }
+
+            case 'choice':
+                particle.items.forEach(item => {
+                    const fragment = this.compile(item);
+                    this.states[start].epsilon.push(fragment.start);
+                    this.states[fragment.end].epsilon.push(end);
+                });
+                break;
+
+            case 'all': {
+                // Any order: accepted as a repeated choice, then required members are checked by count
+                const hub = this.newState();
+                this.states[start].epsilon.push(hub);
+                this.states[hub].epsilon.push(end);
+                particle.items.forEach(item => {
+                    const fragment = this.compileOnce(item);
+                    this.states[hub].epsilon.push(fragment.start);
+                    this.states[fragment.end].epsilon.push(hub);
+                });
+                break;
+            }
+
+            default:
+                this.states[start].epsilon.push(end);
+        }
+
+        return { start, end };
+    }
+
+    closure(states) {
+        const result = new Set(states);
+        const pending = Array.from(states);
+        while (pending.length > 0) {
+            const state = pending.pop();
+            for (const next of this.states[state].epsilon) {
+                if (!result.has(next)) {
+                    result.add(next);
+                    pending.push(next);
+                }
+            }
+        }
+        return result;
+    }
+
+    // Names that may come next from the given state set
+    expected(states) {
+        const names = new Set();
+        for (const state of states) {
+            for (const { particle } of this.states[state].transitions) {
+                names.add(particle.name || '*');
+            }
+        }
+        return Array.from(names);
+    }
+
+    // Match a list of child names; returns the particle used for each child and any failures
+    match(names) {
+        let current = this.closure([this.start]);
+        const matched = [];
+        const failures = [];
+
+        names.forEach((name, index) => {
+            const next = new Set();
+            let particle = null;
+            for (const state of current) {
+                for (const transition of this.states[state].transitions) {
+                    if (transition.particle.name === null || transition.particle.name === name) {
+                        next.add(transition.to);
+                        if (!particle || (particle.name === null && transition.particle.name !== null)) {
+                            particle = transition.particle;
+                        }
+                    }
+                }
+            }
+
+            if (next.size === 0) {
+                failures.push({ index, expected: this.expected(current) });
+                matched.push(null);
+                return; // skip the offending child and keep going
+            }
+
+            matched.push(particle);
+            current = this.closure(next);
+        });
+
+        const complete = current.has(this.accept);
+        return { matched, failures, complete, expected: complete ? [] : this.expected(current) };
+    }
+}
+
+class SchemaValidator {
+    static IGNORED_ATTRIBUTE_PREFIXES = ['xmlns', 'xml', 'xsi'];
+
+    constructor(grammar) {
+        this.grammar = grammar;
+        this.matchers = new Map(); // decl type -> ContentMatcher
+    }
+
+    static localName(node) {
+        return node.localName || node.nodeName;
+    }
+
+    // Validate a parsed document; positionOf(element) returns {line, column, offset} or null
+    validate(doc, positionOf) {
+        this.errors = [];
+        this.positionOf = positionOf;
+
+        const root = doc.documentElement;
+        const rootName = SchemaValidator.localName(root);
+        const roots = this.grammar.roots;
+        if (roots && roots.length > 0 && !roots.includes(rootName)) {
+            this.report(root, `Root element <${rootName}> is not allowed by the schema; expected ${SchemaValidator.formatNames(roots)}`);
+        }
+
+        this.validateElement(root, this.grammar.elements.get(rootName) || null);
+        return this.errors;
+    }
+
+    report(element, message) {
+        const position = this.positionOf(element) || {};
+        this.errors.push({ message, line: position.line, column: position.column, offset: position.offset });
+    }
+
+    static formatNames(names) {
+        const shown = names.slice(0, 8).map(name => name === '*' ? 'any element' : `<${name}>`);
+        if (names.length > 8) shown.push(`${names.length - 8} more`);
+        return shown.join(', ') || 'nothing';
+    }
+
+    validateElement(element, decl) {
+        const name = SchemaValidator.localName(element);
+        if (!decl) {
+            this.report(element, `Element <${name}> is not declared in the schema`);
+            // Still descend so undeclared children are reported against their own declarations
+            for (const child of element.children) {
+                this.validateElement(child, this.grammar.elements.get(SchemaValidator.localName(child)) || null);
+            }
+            return;
+        }
+
+        const type = decl.type;
+        this.validateAttributes(element, type);
+
+        const content = type.content || { type: 'any' };
+        const children = Array.from(element.children);
+        const hasText = Array.from(element.childNodes).some(node =>
+            (node.nodeType === 3 || node.nodeType === 4) && node.nodeValue.trim());
+
+        if (content.type === 'any') {
+            children.forEach(child => this.validateElement(child, this.grammar.elements.get(SchemaValidator.localName(child)) || { name: '*', type: { content: { type: 'any' }, attributes: new Map(), anyAttribute: true } }));
+            return;
+        }
+
+        if (content.type === 'empty') {
+            if (children.length > 0 || hasText) this.report(element, `Element <${name}> must be empty`);
+            return;
+        }
+
+        if (content.type === 'text') {
+            if (children.length > 0) {
+                this.report(children[0], `Element <${SchemaValidator.localName(children[0])}> is not allowed in <${name}>, which only allows text`);
+            }
+            return;
+        }
+
+        if (content.type === 'element' && hasText) {
+            this.report(element, `Text is not allowed directly inside <${name}>`);
+        }
+
+        if (!this.matchers.has(type)) this.matchers.set(type, new ContentMatcher(content.particle));
+        const result = this.matchers.get(type).match(children.map(child => SchemaValidator.localName(child)));
+
+        result.failures.forEach(({ index, expected }) => {
+            const childName = SchemaValidator.localName(children[index]);
+            this.report(children[index], `Element <${childName}> is not allowed here in <${name}>; expected ${SchemaValidator.formatNames(expected)}`);
+        });
+        if (!result.complete) {
+            this.report(element, `Element <${name}> is incomplete; expected ${SchemaValidator.formatNames(result.expected)}`);
+        }
+        if (content.particle && content.particle.kind === 'all') {
+            this.checkAllGroup(element, content.particle, children);
+        }
+
+        children.forEach((child, index) => {
+            const particle = result.matched[index];
+            const childName = SchemaValidator.localName(child);
+            const childDecl = (particle && particle.decl) || this.grammar.elements.get(childName) || null;
+            if (particle || childDecl) {
+                this.validateElement(child, childDecl || { name: childName, type: { content: { type: 'any' }, attributes: new Map(), anyAttribute: true } });
+            }
+        });
+    }
+
+    checkAllGroup(element, particle, children) {
+        particle.items.forEach(item => {
+            if (item.kind !== 'element' || item.min === 0) return;
+            if (!children.some(child => SchemaValidator.localName(child) === item.name)) {
+                this.report(element, `Element <${SchemaValidator.localName(element)}> is missing required child <${item.name}>`);
+            }
+        });
+    }
+
+    validateAttributes(element, type) {
+        const declared = type.attributes || new Map();
+        const name = SchemaValidator.localName(element);
+
+        for (const attr of element.attributes) {
+            const prefix = attr.name.includes(':') ? attr.name.split(':')[0] : attr.name;
+            if (SchemaValidator.IGNORED_ATTRIBUTE_PREFIXES.includes(prefix)) continue;
+
+            const decl = declared.get(attr.name) || declared.get(attr.localName);
+            if (!decl) {
+                if (!type.anyAttribute) this.report(element, `Attribute "${attr.name}" is not declared for <${name}>`);
+                continue;
+            }
+            if (decl.values && !decl.values.includes(attr.value.trim())) {
+                this.report(element, `Attribute "${attr.name}" of <${name}> has value "${attr.value}"; expected one of ${decl.values.map(v => `"${v}"`).join(', ')}`);
+            }
+            if (decl.fixed !== null && decl.fixed !== undefined && attr.value !== decl.fixed) {
+                this.report(element, `Attribute "${attr.name}" of <${name}> must have the fixed value "${decl.fixed}"`);
+            }
+        }
+
+        for (const [attrName, decl] of declared) {
+            if (decl.required && !element.hasAttribute(attrName) && !element.hasAttribute(attrName.split(':').pop())) {
+                this.report(element, `Required attribute "${attrName}" is missing on <${name}>`);
+            }
+        }
+    }
+}
+
+// Finds the schema for a document, validates it and reports errors with positions
+class XmlValidator {
+    static SCHEMA_EXTENSIONS = ['dtd', 'xsd', 'rng', 'rnc', 'ent', 'mod'];
+
+    constructor(schemaFiles) {
+        this.schemaFiles = schemaFiles; // Map of path -> text
+        this.grammars = new Map(); // cache key -> grammar
+    }
+
+    static extensionOf(path) {
+        return path.split('.').pop().toLowerCase();
+    }
+
+    static kindOf(path) {
+        return { dtd: 'dtd', ent: 'dtd', mod: 'dtd', xsd: 'xsd', rng: 'rng', rnc: 'rnc' }[XmlValidator.extensionOf(path)] || null;
+    }
+
+    // Schemas that can be selected for validation (entity and module files only get included)
+    selectableSchemas() {
+        return Array.from(this.schemaFiles.keys())
+            .filter(path => ['dtd', 'xsd', 'rng', 'rnc'].includes(XmlValidator.extensionOf(path)))
+            .sort();
+    }
+
+    // Look up a referenced schema file by path relative to the referencing file, then by file name
+    resolvePath(reference, basePath = '') {
+        if (!reference) return null;
+        const clean = reference.replace(/^file:\/+/, '').split(/[?#]/)[0];
+        const baseDir = basePath.includes('/') ? basePath.slice(0, basePath.lastIndexOf('/') + 1) : '';
+
+        const segments = [];
+        (baseDir + clean).split('/').forEach(segment => {
+            if (segment === '..') segments.pop();
+            else if (segment && segment !== '.') segments.push(segment);
+        });
+        const joined = segments.join('/');
+        if (this.schemaFiles.has(joined)) return joined;
+        if (this.schemaFiles.has(clean)) return clean;
+
+        const fileName = clean.split('/').pop().toLowerCase();
+        for (const path of this.schemaFiles.keys()) {
+            if (path.split('/').pop().toLowerCase() === fileName) return path;
+        }
+        return null;
+    }
+
+    // Schema named by the document itself: xml-model PI, xsi schema location or DOCTYPE system ID
+    detectSchema(xmlFile, scanner) {
+        for (const pi of scanner.processingInstructions) {
+            if (pi.target !== 'xml-model') continue;
+            const href = /href\s*=\s*["']([^"']+)["']/.exec(pi.data);
+            const path = href && this.resolvePath(href[1], xmlFile.path);
+            if (path) return path;
+        }
+
+        const root = xmlFile.parsed && xmlFile.parsed.documentElement;
+        if (root) {
+            const xsiNamespace = 'http://www.w3.org/2001/XMLSchema-instance';
+            const noNamespace = root.getAttributeNS(xsiNamespace, 'noNamespaceSchemaLocation');
+            const located = root.getAttributeNS(xsiNamespace, 'schemaLocation');
+            const candidates = [];
+            if (noNamespace) candidates.push(noNamespace);
+            if (located) {
+                const parts = located.trim().split(/\s+/);
+                for (let i = 1; i < parts.length; i += 2) candidates.push(parts[i]);
+            }
+            for (const candidate of candidates) {
+                const path = this.resolvePath(candidate, xmlFile.path);
+                if (path) return path;
+            }
+        }
+
+        if (scanner.doctype && scanner.doctype.systemId) {
+            const path = this.resolvePath(scanner.doctype.systemId, xmlFile.path);
+            if (path) return path;
+        }
+
+        return null;
+    }
+
+    grammarFor(schemaPath, scanner) {
+        const kind = XmlValidator.kindOf(schemaPath || '');
+        const internalSubset = scanner.doctype && scanner.doctype.internalSubset;
+        const cacheKey = `${schemaPath}|${kind === 'dtd' ? internalSubset || '' : ''}`;
+        if (this.grammars.has(cacheKey)) return this.grammars.get(cacheKey);
+
+        const resolve = (reference, basePath) => {
+            const path = this.resolvePath(reference, basePath);
+            return path ? { path, text: this.schemaFiles.get(path) } : null;
+        };
+
+        let grammar;
+        if (kind === 'dtd' || (!schemaPath && internalSubset)) {
+            grammar = new DtdParser(resolve).parse(internalSubset || '', schemaPath ? this.schemaFiles.get(schemaPath) : '', schemaPath || '');
+            if (scanner.doctype && scanner.doctype.name) grammar.roots = [scanner.doctype.name.split(':').pop()];
+        } else if (kind === 'xsd') {
+            grammar = new XsdParser(resolve).parse(this.schemaFiles.get(schemaPath), schemaPath);
+        } else if (kind === 'rng') {
+            grammar = new RngParser(resolve).parse(this.schemaFiles.get(schemaPath), schemaPath);
+        } else if (kind === 'rnc') {
+            throw new Error('RelaxNG compact syntax (.rnc) is not supported; use the XML syntax (.rng)');
+        } else {
+            grammar = null;
+        }
+
+        this.grammars.set(cacheKey, grammar);
+        return grammar;
+    }
+
+    // Validate one XML file; schemaChoice is 'auto', 'none' or a schema path
+    validate(xmlFile, schemaChoice = 'auto', scanner = new XmlScanner(xmlFile.content).scan()) {
+        const result = { errors: [], schema: null, scanner };
+        const add = (source, severity, message, position = {}) => {
+            result.errors.push({ source, severity, message, line: position.line, column: position.column, offset: position.offset });
+        };
+
+        scanner.errors.forEach(error => add('well-formedness', 'error', error.message, error));
+
+        if (xmlFile.hasError) {
+            if (scanner.errors.length === 0) {
+                const parserError = xmlFile.parsed.getElementsByTagName('parsererror')[0];
+                const message = parserError ? parserError.textContent.trim().split('\n')[0] : 'Document is not well-formed';
+                const location = /line[^\d]*(\d+)[^\d]+(\d+)/i.exec(parserError ? parserError.textContent : '');
+                const line = location ? parseInt(location[1], 10) : undefined;
+                const column = location ? parseInt(location[2], 10) : undefined;
+                add('well-formedness', 'error', message, { line, column, offset: line ? scanner.offsetAt(line, column) : undefined });
+            }
+            return result;
+        }
+
+        if (schemaChoice === 'none') return result;
+        const internalSubset = scanner.doctype && scanner.doctype.internalSubset;
+        const schemaPath = schemaChoice === 'auto' ? this.detectSchema(xmlFile, scanner) : schemaChoice;
+        if (!schemaPath && !internalSubset) return result;
+
+        result.schema = schemaPath || 'internal DTD subset';
+        const source = XmlValidator.kindOf(schemaPath || 'x.dtd');
+
+        let grammar;
+        try {
+            grammar = this.grammarFor(schemaPath, scanner);
+        } catch (err) {
+            // A DTD that expands past the size limit is an error of the document, not a missing schema
+            add(source, err.tooLarge ? 'error' : 'warning', `Schema could not be loaded: ${err.message}`);
+            return result;
+        }
+        if (!grammar) return result;
+        (grammar.warnings || []).forEach(message => add(source, 'warning', message));
+
+        // DOM elements and scanned start tags are both in document order
+        const positions = new Map();
+        const elements = xmlFile.parsed.getElementsByTagName('*');
+        for (let i = 0, j = 0; i < elements.length && j < scanner.elements.length; i++, j++) {
+            const record = scanner.elements[j];
+            if (record.name !== elements[i].nodeName) break;
+            positions.set(elements[i], { offset: record.start, ...scanner.positionAt(record.start) });
+        }
+
+        new SchemaValidator(grammar)
+            .validate(xmlFile.parsed, element => positions.get(element))
+            .sort((a, b) => (a.offset ?? Infinity) - (b.offset ?? Infinity))
+            .forEach(error => add(source, 'error', error.message, error));
+
+        return result;
+    }
+}
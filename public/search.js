@@ -0,0 +1,162 @@
+// Full-text, regex and XPath search over all loaded XML files
+//
+// Results point at the containing element by its document-order index (the
+// same index the renderer writes into data-node) so a hit can be found again
+// in the rendered view and, through the scanner positions, in the raw view.
+class DocumentSearch {
+    static MAX_RESULTS = 1000;
+    static SNIPPET_CONTEXT = 40;
+
+    constructor(xmlFiles, elementIndexOf) {
+        this.xmlFiles = xmlFiles;
+        this.elementIndexOf = elementIndexOf; // element -> document-order index
+    }
+
+    // Build the regular expression used for text and regex modes; throws on invalid patterns
+    static buildPattern(query, mode, caseSensitive) {
+        const source = mode === 'regex' ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+
+    // Run a search; returns {results: [result], total, truncated, values: [{fileIndex, value}]}
+    run(query, mode, caseSensitive = false) {
+        const outcome = { results: [], total: 0, truncated: false, values: [] };
+        if (!query) return outcome;
+
+        const pattern = mode === 'xpath' ? null : DocumentSearch.buildPattern(query, mode, caseSensitive);
+
+        this.xmlFiles.forEach((xmlFile, fileIndex) => {
+            if (!xmlFile.parsed || xmlFile.hasError) return;
+            if (mode === 'xpath') {
+                this.searchXPath(xmlFile.parsed, fileIndex, query, outcome);
+            } else {
+                this.searchText(xmlFile.parsed, fileIndex, pattern, outcome);
+            }
+        });
+
+        return outcome;
+    }
+
+    add(outcome, result) {
+        outcome.total++;
+        if (outcome.results.length >= DocumentSearch.MAX_RESULTS) {
+            outcome.truncated = true;
+            return;
+        }
+        outcome.results.push(result);
+    }
+
+    // Matches are found per text node, so a phrase split across inline markup is not found
+    searchText(doc, fileIndex, pattern, outcome) {
+        const ordinals = new Map(); // element -> matches seen so far
+        const walker = doc.createTreeWalker(doc.documentElement, 4 | 8); // text and CDATA nodes
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const text = node.nodeValue;
+            const element = node.parentNode;
+            pattern.lastIndex = 0;
+
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                const ordinal = ordinals.get(element) || 0;
+                ordinals.set(element, ordinal + 1);
+
+                const start = Math.max(0, match.index - DocumentSearch.SNIPPET_CONTEXT);
+                const end = Math.min(text.length, match.index + match[0].length + DocumentSearch.SNIPPET_CONTEXT);
+                this.add(outcome, {
+                    fileIndex,
+                    kind: 'text',
+                    elementIndex: this.elementIndexOf(element),
+                    tagName: element.nodeName,
+                    ordinal,
+                    snippet: {
+                        before: (start > 0 ? '…' : '') + text.slice(start, match.index).replace(/\s+/g, ' '),
+                        match: match[0],
+                        after: text.slice(match.index + match[0].length, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '')
+                    }
+                });
+            }
+        }
+    }
+
+    // Prefixes declared anywhere in the document resolve to their namespace URIs
+    static namespaceResolver(doc) {
+        const prefixes = new Map();
+        for (const element of doc.getElementsByTagName('*')) {
+            for (const attr of element.attributes) {
+                if (attr.name.startsWith('xmlns:') && !prefixes.has(attr.localName)) {
+                    prefixes.set(attr.localName, attr.value);
+                }
+            }
+        }
+        return prefix => prefixes.get(prefix) || (prefix === 'xml' ? 'http://www.w3.org/XML/1998/namespace' : null);
+    }
+
+    searchXPath(doc, fileIndex, expression, outcome) {
+        const resolver = DocumentSearch.namespaceResolver(doc);
+        const result = doc.evaluate(expression, doc, resolver, XPathResult.ANY_TYPE, null);
+
+        switch (result.resultType) {
+            case XPathResult.NUMBER_TYPE:
+                outcome.values.push({ fileIndex, value: String(result.numberValue) });
+                return;
+            case XPathResult.STRING_TYPE:
+                outcome.values.push({ fileIndex, value: result.stringValue });
+                return;
+            case XPathResult.BOOLEAN_TYPE:
+                outcome.values.push({ fileIndex, value: String(result.booleanValue) });
+                return;
+        }
+
+        const nodes = [];
+        for (let node = result.iterateNext(); node; node = result.iterateNext()) nodes.push(node);
+
+        nodes.forEach(node => {
+            let element;
+            let kind;
+            let label;
+            let preview;
+
+            if (node.nodeType === 1) {
+                element = node;
+                kind = 'element';
+                label = `<${node.nodeName}>`;
+                preview = node.textContent;
+            } else if (node.nodeType === 2) {
+                element = node.ownerElement;
+                kind = 'attribute';
+                label = `@${node.name} on <${element.nodeName}>`;
+                preview = node.value;
+            } else if (node.nodeType === 9) {
+                element = node.documentElement;
+                kind = 'element';
+                label = 'document';
+                preview = node.documentElement.textContent;
+            } else {
+                element = node.parentNode;
+                kind = 'node';
+                label = `${node.nodeName} in <${element.nodeName}>`;
+                preview = node.nodeValue;
+            }
+
+            const text = (preview || '').trim().replace(/\s+/g, ' ');
+            this.add(outcome, {
+                fileIndex,
+                kind,
+                elementIndex: this.elementIndexOf(element),
+                tagName: element.nodeName,
+                ordinal: 0,
+                snippet: {
+                    before: '',
+                    match: label,
+                    after: text ? ` ${text.slice(0, 80)}${text.length > 80 ? '…' : ''}` : ''
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,199 @@
+// Pretty-printed, syntax-highlighted source lines for the raw view
+//
+// Lines are printed from the parsed DOM rather than by splitting the text, so
+// mixed content, CDATA, comments and attribute values containing '>' come out
+// intact. Elements with only element children become foldable blocks; text and
+// mixed content stay on one line with their markup. Every line keeps the source
+// offset it was printed from (element positions come from the XmlScanner) so
+// validation errors, search hits and the rendered view can be mapped to it.
+class SourcePrinter {
+    // Whitespace is kept as written inside these (and under xml:space="preserve")
+    static PRESERVE_TAGS = ['programlisting', 'screen', 'literallayout', 'synopsis', 'pre', 'code', 'preformat'];
+    static PROLOG_TOKEN = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>/g;
+
+    // lines: [{offset, line, depth, segments: [{cls, text}], node, kind, close, tagLength, exact}]
+    // kind is 'open' and 'close' for the two ends of a block (open.close is the close line index)
+    // and 'line' otherwise; node is the document-order index of the element the line belongs to
+    constructor(doc, text, scanner, elementIndexOf) {
+        this.doc = doc;
+        this.text = text;
+        this.scanner = scanner;
+        this.elementIndexOf = elementIndexOf;
+        this.lines = [];
+        this.print();
+    }
+
+    static escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    static escapeAttribute(value) {
+        return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    }
+
+    // Source lines exactly as written, for documents that did not parse
+    static plainLines(text) {
+        const lines = [];
+        let offset = 0;
+        text.split('\n').forEach((line, index) => {
+            lines.push({ offset, line: index + 1, depth: 0, segments: [{ cls: null, text: line }], node: null, kind: 'line', exact: true });
+            offset += line.length + 1;
+        });
+        return lines;
+    }
+
+    sourceOf(element) {
+        return this.scanner.elements[this.elementIndexOf(element)] || null;
+    }
+
+    addLine(offset, depth, segments, node, kind = 'line', tagLength = 0) {
+        const line = { offset, line: this.scanner.positionAt(offset).line, depth, segments, node, kind, tagLength };
+        this.lines.push(line);
+        return line;
+    }
+
+    print() {
+        const root = this.doc.documentElement;
+        const rootSource = this.sourceOf(root);
+        const rootStart = rootSource ? rootSource.start : 0;
+        const rootEnd = rootSource ? rootSource.end : this.text.length;
+
+        this.printMisc(0, rootStart);
+        this.printElement(root, 0, false);
+        this.printMisc(rootEnd, this.text.length);
+    }
+
+    // Declaration, DOCTYPE, comments and processing instructions outside the root element, verbatim
+    printMisc(start, end) {
+        const source = this.text.slice(start, end);
+        SourcePrinter.PROLOG_TOKEN.lastIndex = 0;
+        let match;
+        while ((match = SourcePrinter.PROLOG_TOKEN.exec(source)) !== null) {
+            const token = match[0];
+            const cls = token.startsWith('<!--') ? 'raw-comment' : token.startsWith('<?') ? 'raw-pi' : 'raw-doctype';
+            this.addLine(start + match.index, 0, [{ cls, text: token }], null);
+        }
+    }
+
+    // Element-only content (layout whitespace aside) is printed as a foldable block
+    static isBlock(element) {
+        if (element.children.length === 0) return false;
+        return Array.from(element.childNodes).every(child =>
+            (child.nodeType !== 3 && child.nodeType !== 4) || (child.nodeType === 3 && !child.nodeValue.trim())
+        );
+    }
+
+    static preservesSpace(element, inherited) {
+        const space = element.getAttribute('xml:space');
+        if (space) return space === 'preserve';
+        return inherited || SourcePrinter.PRESERVE_TAGS.includes((element.localName || element.nodeName).toLowerCase());
+    }
+
+    printElement(element, depth, preserve) {
+        preserve = SourcePrinter.preservesSpace(element, preserve);
+        const source = this.sourceOf(element);
+        const node = this.elementIndexOf(element);
+        const offset = source ? source.start : this.lastOffset();
+
+        if (!SourcePrinter.isBlock(element)) {
+            const segments = [];
+            const tagLength = this.inlineElement(element, segments, preserve, true);
+            this.addLine(offset, depth, segments, node, 'line', tagLength);
+            return;
+        }
+
+        const openSegments = this.startTag(element, false);
+        const open = this.addLine(offset, depth, openSegments, node, 'open', SourcePrinter.length(openSegments));
+
+        let childOffset = source ? source.openEnd : offset;
+        for (const child of element.childNodes) {
+            if (child.nodeType === 1) {
+                this.printElement(child, depth + 1, preserve);
+                const childSource = this.sourceOf(child);
+                if (childSource) childOffset = childSource.end;
+            } else if (child.nodeType === 8 || child.nodeType === 7) {
+                const comment = child.nodeType === 8;
+                const found = this.text.indexOf(comment ? '<!--' : '<?', childOffset);
+                if (found !== -1) childOffset = found;
+                const segment = comment
+                    ? { cls: 'raw-comment', text: `<!--${child.nodeValue}-->` }
+                    : { cls: 'raw-pi', text: `<?${child.target}${child.data ? ` ${child.data}` : ''}?>` };
+                this.addLine(childOffset, depth + 1, [segment], node);
+            }
+        }
+
+        const closeOffset = source ? this.text.lastIndexOf('</', source.end) : childOffset;
+        this.addLine(Math.max(closeOffset, childOffset), depth, this.endTag(element), node, 'close');
+        open.close = this.lines.length - 1;
+    }
+
+    lastOffset() {
+        return this.lines.length > 0 ? this.lines[this.lines.length - 1].offset : 0;
+    }
+
+    static length(segments) {
+        return segments.reduce((sum, segment) => sum + segment.text.length, 0);
+    }
+
+    startTag(element, selfClosing) {
+        const segments = [{ cls: 'raw-tag', text: `<${element.nodeName}` }];
+        for (const attr of element.attributes) {
+            segments.push({ cls: null, text: ' ' });
+            segments.push({ cls: 'raw-attr', text: attr.name });
+            segments.push({ cls: null, text: '=' });
+            segments.push({ cls: 'raw-value', text: `"${SourcePrinter.escapeAttribute(attr.value)}"` });
+        }
+        segments.push({ cls: 'raw-tag', text: selfClosing ? '/>' : '>' });
+        return segments;
+    }
+
+    endTag(element) {
+        return [{ cls: 'raw-tag', text: `</${element.nodeName}>` }];
+    }
+
+    // Print an element and its content on one line; returns the length of its start tag
+    inlineElement(element, segments, preserve, outermost) {
+        preserve = SourcePrinter.preservesSpace(element, preserve);
+        if (element.childNodes.length === 0) {
+            segments.push(...this.startTag(element, true));
+            return SourcePrinter.length(segments);
+        }
+
+        segments.push(...this.startTag(element, false));
+        const tagLength = SourcePrinter.length(segments);
+        const contentStart = segments.length;
+
+        for (const child of element.childNodes) {
+            switch (child.nodeType) {
+                case 1:
+                    this.inlineElement(child, segments, preserve, false);
+                    break;
+                case 3: {
+                    const text = preserve ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' ');
+                    if (text) segments.push({ cls: null, text: SourcePrinter.escapeText(text) });
+                    break;
+                }
+                case 4:
+                    segments.push({ cls: 'raw-cdata', text: `<![CDATA[${child.nodeValue}]]>` });
+                    break;
+                case 8:
+                    segments.push({ cls: 'raw-comment', text: `<!--${child.nodeValue}-->` });
+                    break;
+                case 7:
+                    segments.push({ cls: 'raw-pi', text: `<?${child.target}${child.data ? ` ${child.data}` : ''}?>` });
+                    break;
+            }
+        }
+
+        // Layout whitespace just inside the outermost tags is not part of the content worth showing
+        if (outermost && !preserve) {
+            const first = segments[contentStart];
+            if (first && first.cls === null) first.text = first.text.replace(/^ /, '');
+            const last = segments[segments.length - 1];
+            if (last && last.cls === null && segments.length > contentStart) last.text = last.text.replace(/ $/, '');
+        }
+
+        segments.push(...this.endTag(element));
+        return tagLength;
+    }
+}
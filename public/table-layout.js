@@ -0,0 +1,299 @@
+// Table layout engine for CALS (DocBook) and HTML tables, and the plain
+// row/cell structure of WordprocessingML (w:tr/w:tc) and ODF (table:table-row) tables
+//
+// Turns a table element into a grid model: every cell gets a resolved
+// column position, colspan, rowspan and alignment, so the viewer can emit a
+// plain HTML table that keeps merged cells where the source PDF had them.
+class TableLayout {
+    constructor(element) {
+        this.element = element;
+    }
+
+    static localName(node) {
+        return (node.localName || node.nodeName || '').toLowerCase();
+    }
+
+    static childElements(element, names) {
+        return Array.from(element.children).filter(child =>
+            !names || names.includes(TableLayout.localName(child)));
+    }
+
+    // Build the layout model for the table
+    build() {
+        const table = this.element;
+        const groups = TableLayout.childElements(table, ['tgroup']);
+        const titleEl = TableLayout.childElements(table, ['title', 'caption'])[0] || null;
+
+        const model = {
+            title: titleEl,
+            frame: table.getAttribute('frame') || null,
+            groups: []
+        };
+
+        const inherited = {
+            colsep: table.getAttribute('colsep'),
+            rowsep: table.getAttribute('rowsep')
+        };
+
+        if (groups.length > 0) {
+            groups.forEach(tgroup => model.groups.push(this.layoutCalsGroup(tgroup, inherited)));
+        } else {
+            model.groups.push(this.layoutHtmlGroup(table));
+        }
+
+        return model;
+    }
+
+    // CALS: tgroup > colspec*, spanspec*, thead?, tfoot?, tbody
+    layoutCalsGroup(tgroup, inherited) {
+        const groupDefaults = {
+            align: tgroup.getAttribute('align'),
+            colsep: tgroup.getAttribute('colsep') ?? inherited.colsep,
+            rowsep: tgroup.getAttribute('rowsep') ?? inherited.rowsep
+        };
+
+        const colspecs = [];
+        const colsByName = new Map();
+        let nextColnum = 1;
+        TableLayout.childElements(tgroup, ['colspec']).forEach(colspec => {
+            const colnum = parseInt(colspec.getAttribute('colnum'), 10) || nextColnum;
+            const spec = {
+                index: colnum - 1,
+                name: colspec.getAttribute('colname'),
+                width: colspec.getAttribute('colwidth'),
+                align: colspec.getAttribute('align') || groupDefaults.align,
+                colsep: colspec.getAttribute('colsep') ?? groupDefaults.colsep,
+                rowsep: colspec.getAttribute('rowsep') ?? groupDefaults.rowsep
+            };
+            colspecs[spec.index] = spec;
+            if (spec.name) colsByName.set(spec.name, spec);
+            nextColnum = colnum + 1;
+        });
+
+        const spansByName = new Map();
+        TableLayout.childElements(tgroup, ['spanspec']).forEach(spanspec => {
+            spansByName.set(spanspec.getAttribute('spanname'), {
+                namest: spanspec.getAttribute('namest'),
+                nameend: spanspec.getAttribute('nameend'),
+                align: spanspec.getAttribute('align'),
+                colsep: spanspec.getAttribute('colsep'),
+                rowsep: spanspec.getAttribute('rowsep')
+            });
+        });
+
+        const declaredCols = parseInt(tgroup.getAttribute('cols'), 10) || 0;
+        const context = { colspecs, colsByName, spansByName, groupDefaults };
+
+        const sections = { head: [], body: [], foot: [] };
+        const sectionMap = { thead: 'head', tbody: 'body', tfoot: 'foot' };
+        TableLayout.childElements(tgroup, ['thead', 'tbody', 'tfoot']).forEach(sectionEl => {
+            const key = sectionMap[TableLayout.localName(sectionEl)];
+            const rows = TableLayout.childElements(sectionEl, ['row']);
+            sections[key] = sections[key].concat(
+                this.placeRows(rows, sectionEl, key === 'head', cell => this.calsPosition(cell, context)));
+        });
+
+        const columnCount = Math.max(declaredCols, colspecs.length, this.gridWidth(sections));
+        const columns = [];
+        for (let i = 0; i < columnCount; i++) {
+            const spec = colspecs[i];
+            columns.push({
+                width: spec ? spec.width : null,
+                align: spec ? spec.align : groupDefaults.align
+            });
+        }
+
+        // Resolve inherited alignment and separators now that positions are known
+        Object.values(sections).forEach(rows => rows.forEach(row => row.cells.forEach(cell => {
+            const el = cell.element;
+            const spanName = el.getAttribute('spanname');
+            const span = spanName ? spansByName.get(spanName) : null;
+            const spec = colspecs[cell.column] || {};
+
+            cell.align = cell.align || (span && span.align) || spec.align || groupDefaults.align || null;
+            cell.colsep = el.getAttribute('colsep') ?? (span && span.colsep) ?? spec.colsep ?? groupDefaults.colsep;
+            cell.rowsep = el.getAttribute('rowsep') ?? row.element.getAttribute('rowsep') ??
+                (span && span.rowsep) ?? spec.rowsep ?? groupDefaults.rowsep;
+        })));
+
+        return { element: tgroup, columns, sections };
+    }
+
+    // Column position and span for a CALS entry, or null to use the next free column
+    calsPosition(cell, context) {
+        const { colsByName, spansByName } = context;
+        let start = null;
+        let end = null;
+
+        const spanName = cell.getAttribute('spanname');
+        if (spanName && spansByName.has(spanName)) {
+            const span = spansByName.get(spanName);
+            start = colsByName.get(span.namest);
+            end = colsByName.get(span.nameend);
+        }
+
+        const namest = cell.getAttribute('namest');
+        const nameend = cell.getAttribute('nameend');
+        const colname = cell.getAttribute('colname');
+        if (namest && colsByName.has(namest)) {
+            start = colsByName.get(namest);
+            end = nameend && colsByName.has(nameend) ? colsByName.get(nameend) : start;
+        } else if (colname && colsByName.has(colname)) {
+            start = colsByName.get(colname);
+            end = start;
+        }
+
+        if (!start) return null;
+        const colspan = end && end.index >= start.index ? end.index - start.index + 1 : 1;
+        return { column: start.index, colspan };
+    }
+
+    // HTML (and loose generic) tables: caption?, colgroup*, thead?, tbody*, tfoot?, tr*
+    layoutHtmlGroup(table) {
+        const sections = { head: [], body: [], foot: [] };
+        const sectionMap = { thead: 'head', header: 'head', 'table-header-rows': 'head', tbody: 'body', body: 'body', 'table-rows': 'body', tfoot: 'foot', footer: 'foot' };
+        const rowNames = ['tr', 'row', 'table-row'];
+        const loose = [];
+
+        const columns = [];
+        TableLayout.childElements(table, ['colgroup', 'col']).forEach(el => {
+            const cols = TableLayout.localName(el) === 'col' ? [el] : TableLayout.childElements(el, ['col']);
+            if (cols.length === 0) {
+                const span = parseInt(el.getAttribute('span'), 10) || 1;
+                for (let i = 0; i < span; i++) columns.push({ width: el.getAttribute('width'), align: el.getAttribute('align') });
+            }
+            cols.forEach(col => {
+                const span = parseInt(col.getAttribute('span'), 10) || 1;
+                for (let i = 0; i < span; i++) columns.push({ width: col.getAttribute('width'), align: col.getAttribute('align') });
+            });
+        });
+
+        const flushLoose = () => {
+            if (loose.length > 0) {
+                sections.body = sections.body.concat(this.placeRows(loose.splice(0), table, false, () => null));
+            }
+        };
+
+        for (const child of table.children) {
+            const name = TableLayout.localName(child);
+            if (sectionMap[name]) {
+                flushLoose();
+                const key = sectionMap[name];
+                const rows = TableLayout.childElements(child, rowNames);
+                sections[key] = sections[key].concat(this.placeRows(rows, child, key === 'head', () => null));
+            } else if (rowNames.includes(name)) {
+                loose.push(child);
+            }
+        }
+        flushLoose();
+
+        // Legacy header detection: a leading row made only of th cells
+        if (sections.head.length === 0 && sections.body.length > 0) {
+            const first = sections.body[0];
+            if (first.cells.length > 0 && first.cells.every(cell => TableLayout.localName(cell.element) === 'th')) {
+                sections.head.push(sections.body.shift());
+            }
+        }
+
+        const columnCount = Math.max(columns.length, this.gridWidth(sections));
+        while (columns.length < columnCount) columns.push({ width: null, align: null });
+
+        return { element: table, columns, sections };
+    }
+
+    // Place the cells of consecutive rows into a grid, honouring rowspans from earlier rows
+    placeRows(rowElements, sectionEl, isHeader, positionOf) {
+        const cellNames = ['entry', 'entrytbl', 'td', 'th', 'cell', 'tc', 'table-cell'];
+        const occupied = [];
+        const sectionValign = sectionEl.getAttribute('valign');
+        const rows = [];
+
+        const isTaken = (r, c) => occupied[r] && occupied[r][c];
+        const take = (r, c) => {
+            if (!occupied[r]) occupied[r] = [];
+            occupied[r][c] = true;
+        };
+
+        rowElements.forEach((rowEl, rowIndex) => {
+            const row = { element: rowEl, cells: [] };
+            const rowValign = rowEl.getAttribute('valign') || sectionValign;
+            let cursor = 0;
+
+            TableLayout.childElements(rowEl, cellNames).forEach(cellEl => {
+                const explicit = positionOf(cellEl);
+                let column;
+                let colspan;
+
+                if (explicit) {
+                    column = explicit.column;
+                    colspan = explicit.colspan;
+                } else {
+                    while (isTaken(rowIndex, cursor)) cursor++;
+                    column = cursor;
+                    colspan = Math.max(1, parseInt(cellEl.getAttribute('colspan'), 10) || 1);
+                }
+
+                let rowspan;
+                if (cellEl.hasAttribute('morerows')) {
+                    rowspan = (parseInt(cellEl.getAttribute('morerows'), 10) || 0) + 1;
+                } else {
+                    rowspan = Math.max(1, parseInt(cellEl.getAttribute('rowspan'), 10) || 1);
+                }
+                // Spans never leave their thead/tbody/tfoot
+                rowspan = Math.min(rowspan, rowElements.length - rowIndex);
+
+                for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+                    for (let c = column; c < column + colspan; c++) take(r, c);
+                }
+                cursor = column + colspan;
+
+                row.cells.push({
+                    element: cellEl,
+                    column,
+                    colspan,
+                    rowspan,
+                    header: isHeader || TableLayout.localName(cellEl) === 'th',
+                    align: cellEl.getAttribute('align'),
+                    valign: cellEl.getAttribute('valign') || rowValign || null,
+                    nested: TableLayout.localName(cellEl) === 'entrytbl'
+                        ? this.layoutCalsGroup(cellEl, {})
+                        : null
+                });
+            });
+
+            // Cells may be authored out of column order when namest/colname is used
+            row.cells.sort((a, b) => a.column - b.column);
+            rows.push(row);
+        });
+
+        return rows;
+    }
+
+    gridWidth(sections) {
+        let width = 0;
+        Object.values(sections).forEach(rows => rows.forEach(row => row.cells.forEach(cell => {
+            width = Math.max(width, cell.column + cell.colspan);
+        })));
+        return width;
+    }
+
+    // Convert CALS colwidth values ("2*", "1.5in", "40pt") into CSS widths for a column set
+    static columnWidths(columns) {
+        const stars = columns.map(col => {
+            const match = /^\s*(\d*\.?\d*)\*\s*$/.exec(col.width || '');
+            return match ? (parseFloat(match[1]) || 1) : null;
+        });
+
+        if (stars.every(star => star !== null)) {
+            const total = stars.reduce((sum, star) => sum + star, 0);
+            return stars.map(star => `${(star / total * 100).toFixed(2)}%`);
+        }
+
+        return columns.map(col => {
+            const width = (col.width || '').trim();
+            if (/^\d*\.?\d+(pt|px|in|cm|mm|em|%)$/.test(width)) return width;
+            if (/^\d*\.?\d+$/.test(width)) return `${width}px`;
+            return null;
+        });
+    }
+}
@@ -0,0 +1,265 @@
+// Element-to-HTML mapping profiles for the rendered view
+//
+// A profile maps tag names to rendering roles, optionally only when an
+// attribute is present or has a given value ("hi[rend=italic]"), and can add
+// CSS classes. Profiles start from the built-in mapping unless they set
+// "inherit": false, so a team only lists the tags of its own schema:
+//
+//   {"name": "JATS", "tags": {"sec": "section", "front": "hidden",
+//    "list[list-type=order]": "ordered-list", "sc": {"role": "inline", "class": "xml-smallcaps"}}}
+//
+// Namespaced elements are matched by URI, never by the document's prefix: a key
+// is either in Clark notation ("{http://www.w3.org/1998/Math/MathML}math", or
+// "{uri}*" for a whole namespace) or uses a prefix the profile declares in its
+// "namespaces" object. Plain keys match by local name in any namespace.
+class TagMapping {
+    static ROLES = ['image', 'figure', 'table', 'list', 'ordered-list', 'listitem', 'heading1', 'heading2',
+        'heading3', 'paragraph', 'bold', 'italic', 'underline', 'superscript', 'subscript', 'code',
+        'blockquote', 'link', 'linebreak', 'separator', 'pagebreak', 'section', 'header', 'footer',
+        'caption', 'inline', 'block', 'content', 'hidden', 'math', 'svg', 'footnote', 'indexterm', 'index', 'glossary',
+        'glossentry', 'glossterm', 'glossdef', 'admonition', 'sidebar', 'citation'];
+    // Value of a rule's "class": space-separated class names
+    static CLASS_PATTERN = /^[\w-]+( [\w-]+)*$/;
+    // Roles that make their parent render as a block
+    static BLOCK_ROLES = ['image', 'figure', 'table', 'list', 'ordered-list', 'heading1', 'heading2', 'heading3',
+        'paragraph', 'blockquote', 'section', 'block', 'index', 'glossary', 'glossentry', 'admonition', 'sidebar'];
+
+    static DEFAULT_TAGS = {
+        img: 'image', image: 'image', figure: 'image', graphic: 'image', picture: 'image', imagedata: 'image',
+        table: 'table',
+        ul: 'list', list: 'list', ol: 'ordered-list',
+        li: 'listitem', item: 'listitem', listitem: 'listitem',
+        title: 'heading1', heading: 'heading1', h1: 'heading1',
+        h2: 'heading2', subtitle: 'heading2',
+        h3: 'heading3',
+        p: 'paragraph', para: 'paragraph', paragraph: 'paragraph', text: 'paragraph',
+        b: 'bold', bold: 'bold', strong: 'bold',
+        i: 'italic', italic: 'italic', em: 'italic', emphasis: 'italic',
+        u: 'underline', underline: 'underline',
+        code: 'code', pre: 'code', programlisting: 'code',
+        blockquote: 'blockquote', quote: 'blockquote',
+        a: 'link', link: 'link', xref: 'link',
+        br: 'linebreak', break: 'linebreak', linebreak: 'linebreak',
+        hr: 'separator', separator: 'separator',
+        pagebreak: 'pagebreak', 'page-break': 'pagebreak',
+        section: 'section', div: 'section', block: 'section', chapter: 'section',
+        header: 'header',
+        footer: 'footer',
+        caption: 'caption', figcaption: 'caption',
+        span: 'inline', inline: 'inline',
+        'inline-formula': 'inline', inlineequation: 'inline',
+        'disp-formula': 'block', equation: 'block', informalequation: 'block',
+        footnote: 'footnote', footnoteref: 'footnote', indexterm: 'indexterm', index: 'index',
+        glossary: 'glossary', glosslist: 'glossary', glossentry: 'glossentry', glossterm: 'glossterm', firstterm: 'glossterm',
+        glossdef: 'glossdef', note: 'admonition', tip: 'admonition', important: 'admonition', caution: 'admonition',
+        warning: 'admonition', danger: 'admonition', sidebar: 'sidebar', citation: 'citation',
+        '{http://www.w3.org/1998/Math/MathML}*': 'math',
+        '{http://www.w3.org/2000/svg}*': 'svg'
+    };
+
+    static PRESETS = [
+        {
+            id: 'jats',
+            name: 'JATS',
+            tags: {
+                'article-title': 'heading1', sec: 'section', back: 'section', ack: 'section', 'ref-list': 'section',
+                'boxed-text': 'section', 'journal-meta': 'hidden', 'article-meta': 'block', permissions: 'hidden',
+                history: 'hidden', 'custom-meta-group': 'hidden', fig: 'figure', 'table-wrap': 'figure',
+                label: { role: 'inline', class: 'xml-label' }, 'list[list-type=order]': 'ordered-list',
+                'list-item': 'listitem', sup: 'superscript', sub: 'subscript', monospace: 'code',
+                sc: { role: 'inline', class: 'xml-smallcaps' }, 'ext-link': 'link', uri: 'link',
+                'disp-quote': 'blockquote', ref: 'paragraph', 'mixed-citation': 'inline', 'element-citation': 'inline'
+            }
+        },
+        {
+            id: 'dita',
+            name: 'DITA',
+            tags: {
+                topic: 'section', concept: 'section', task: 'section', reference: 'section', conbody: 'content',
+                taskbody: 'content', refbody: 'content', body: 'content', shortdesc: 'paragraph', prolog: 'hidden',
+                fig: 'figure', sup: 'superscript', sub: 'subscript', codeblock: 'code', codeph: 'code',
+                note: 'admonition', fn: 'footnote', steps: 'ordered-list', 'steps-unordered': 'list',
+                step: 'listitem', substeps: 'ordered-list', substep: 'listitem', cmd: 'content', sl: 'list',
+                sli: 'listitem', dl: 'section', dt: { role: 'paragraph', class: 'xml-term' },
+                dd: { role: 'paragraph', class: 'xml-definition' }, uicontrol: 'bold', wintitle: 'bold',
+                ph: 'inline', keyword: 'inline', term: 'italic', cite: 'italic'
+            }
+        },
+        {
+            id: 'tei',
+            name: 'TEI',
+            tags: {
+                teiheader: 'hidden', head: 'heading2', 'hi[rend=italic]': 'italic', 'hi[rend=bold]': 'bold',
+                'hi[rend=underline]': 'underline', 'hi[rend=sup]': 'superscript', 'hi[rend=superscript]': 'superscript',
+                'hi[rend=sub]': 'subscript', hi: 'inline', emph: 'italic', foreign: 'italic', title: 'italic',
+                'list[rend=numbered]': 'ordered-list', lg: { role: 'block', class: 'xml-verse' },
+                l: { role: 'block', class: 'xml-verse-line' }, lb: 'linebreak', pb: 'pagebreak',
+                figure: 'figure', graphic: 'image', note: { role: 'inline', class: 'xml-note' },
+                'note[place=foot]': 'footnote', 'note[place=bottom]': 'footnote', index: 'indexterm', q: 'inline',
+                quote: 'blockquote', ref: 'link'
+            }
+        },
+        {
+            // EPUB content documents
+            id: 'xhtml',
+            name: 'XHTML (EPUB)',
+            namespaces: { h: 'http://www.w3.org/1999/xhtml', epub: 'http://www.idpf.org/2007/ops' },
+            tags: {
+                'h:html': 'content', 'h:head': 'hidden', 'h:body': 'content', 'h:title': 'hidden',
+                'h:h4': 'heading3', 'h:h5': 'heading3', 'h:h6': 'heading3', 'h:article': 'section',
+                'h:aside': 'sidebar', 'h:nav': 'section', 'h:main': 'content', 'h:sup': 'superscript', 'h:sub': 'subscript',
+                'h:dl': 'section', 'h:dt': { role: 'paragraph', class: 'xml-term' }, 'h:dd': { role: 'paragraph', class: 'xml-definition' },
+                'h:cite': 'italic', 'h:small': 'inline', 'h:script': 'hidden', 'h:style': 'hidden',
+                'h:aside[epub:type=footnote]': 'footnote', 'h:aside[epub:type=endnote]': 'footnote'
+            }
+        },
+        {
+            // Word documents: word/document.xml of a DOCX
+            id: 'docx',
+            name: 'Word (DOCX)',
+            namespaces: { w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main' },
+            tags: {
+                'w:document': 'content', 'w:body': 'content', 'w:p': 'paragraph', 'w:r': 'inline', 'w:t': 'inline', 'w:ins': 'inline',
+                'w:hyperlink': 'link', 'w:drawing': 'image', 'w:pict': 'image', 'w:br': 'linebreak',
+                'w:br[w:type=page]': 'pagebreak', 'w:cr': 'linebreak', 'w:tbl': 'table',
+                'w:pPr': 'hidden', 'w:rPr': 'hidden', 'w:sectPr': 'hidden', 'w:tblPr': 'hidden', 'w:tblGrid': 'hidden',
+                'w:trPr': 'hidden', 'w:tcPr': 'hidden', 'w:del': 'hidden', 'w:instrText': 'hidden',
+                'w:fldChar': 'hidden', 'w:bookmarkStart': 'hidden', 'w:bookmarkEnd': 'hidden', 'w:proofErr': 'hidden',
+                'w:lastRenderedPageBreak': 'hidden'
+            }
+        },
+        {
+            // OpenDocument text: content.xml of an ODT
+            id: 'odt',
+            name: 'OpenDocument (ODT)',
+            namespaces: {
+                office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+                text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+                draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+                table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0'
+            },
+            tags: {
+                'office:document-content': 'content', 'office:body': 'content', 'office:text': 'content',
+                'office:scripts': 'hidden', 'office:font-face-decls': 'hidden', 'office:automatic-styles': 'hidden',
+                'text:sequence-decls': 'hidden', 'text:h': 'heading1', 'text:h[text:outline-level=2]': 'heading2',
+                'text:h[text:outline-level=3]': 'heading3', 'text:p': 'paragraph', 'text:span': 'inline',
+                'text:a': 'link', 'text:list': 'list', 'text:list-item': 'listitem', 'text:line-break': 'linebreak',
+                'text:soft-page-break': 'pagebreak', 'text:note': 'footnote', 'text:note-citation': 'hidden',
+                'text:note-body': 'content', 'text:section': 'section', 'text:bookmark-ref': 'link',
+                'draw:frame': 'figure', 'draw:image': 'image', 'table:table': 'table', 'table:table-columns': 'hidden',
+                'table:table-column': 'hidden'
+            }
+        }
+    ];
+
+    // The built-in mapping is the one a null profile gives
+    constructor(profile = null) {
+        this.name = profile ? profile.name : 'Default';
+        this.rules = new Map(); // tag name -> {conditional: [rule], plain: rule}
+
+        if (!profile || profile.inherit !== false) {
+            Object.entries(TagMapping.DEFAULT_TAGS).forEach(([key, value]) => this.add(key, value));
+        }
+        if (profile) {
+            Object.entries(profile.tags).forEach(([key, value]) => this.add(key, value, profile.namespaces));
+        }
+    }
+
+    // Parse and check a profile file; throws an Error describing the first problem
+    static parse(text, fallbackName) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Not valid JSON: ${err.message}`);
+        }
+        if (!profile || typeof profile.tags !== 'object' || Array.isArray(profile.tags)) {
+            throw new Error('A mapping profile needs a "tags" object');
+        }
+        const namespaces = profile.namespaces || {};
+        if (typeof namespaces !== 'object' || Array.isArray(namespaces) ||
+            Object.values(namespaces).some(uri => typeof uri !== 'string' || !uri)) {
+            throw new Error('"namespaces" must map prefixes to namespace URIs');
+        }
+
+        Object.entries(profile.tags).forEach(([key, value]) => {
+            if (!TagMapping.parseKey(key, namespaces)) throw new Error(`Invalid tag selector "${key}"`);
+            const role = typeof value === 'string' ? value : value && value.role;
+            if (!TagMapping.ROLES.includes(role)) throw new Error(`Unknown role "${role}" for "${key}"`);
+            if (value.class !== undefined && TagMapping.classNames(value.class) === null) {
+                throw new Error(`Invalid class for "${key}"`);
+            }
+        });
+
+        return {
+            name: typeof profile.name === 'string' && profile.name ? profile.name : fallbackName,
+            inherit: profile.inherit,
+            namespaces: profile.namespaces,
+            tags: profile.tags
+        };
+    }
+
+    // A rule's class names with single spaces, '' for none, or null when they are not valid class names
+    static classNames(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value !== 'string') return null;
+        const names = value.trim().replace(/\s+/g, ' ');
+        return names === '' || TagMapping.CLASS_PATTERN.test(names) ? names : null;
+    }
+
+    // Selector syntax: name, name[attribute] or name[attribute=value], where name may be
+    // {uri}local, {uri}* or prefix:local with a prefix from the profile's namespaces
+    static parseKey(key, namespaces = {}) {
+        const match = /^(?:\{([^{}\s]+)\})?([^\s[\]={}]+)(?:\[([^\s[\]=]+)(?:=["']?([^"'\]]*)["']?)?\])?$/.exec(key.trim());
+        if (!match) return null;
+
+        let namespace = match[1] || null;
+        let name = match[2];
+        const colon = name.indexOf(':');
+        if (!namespace && colon > 0 && namespaces && namespaces[name.slice(0, colon)]) {
+            namespace = namespaces[name.slice(0, colon)];
+            name = name.slice(colon + 1);
+        }
+        // Undeclared prefixes are kept in the name and match the document's qualified name
+        name = name.toLowerCase();
+        return { name: namespace ? `{${namespace}}${name}` : name, attribute: match[3] || null, value: match[4] ?? null };
+    }
+
+    add(key, value, namespaces = {}) {
+        const { name, attribute, value: attributeValue } = TagMapping.parseKey(key, namespaces);
+        const rule = {
+            attribute,
+            value: attributeValue,
+            role: typeof value === 'string' ? value : value.role,
+            // Saved presets and inherited profiles come through here too
+            className: typeof value === 'string' ? '' : TagMapping.classNames(value.class) || ''
+        };
+
+        if (!this.rules.has(name)) this.rules.set(name, { conditional: [], plain: null });
+        const entry = this.rules.get(name);
+        // Later rules (the profile's) win over earlier ones (the defaults)
+        if (attribute) entry.conditional.unshift(rule);
+        else entry.plain = rule;
+    }
+
+    // Rendering rule for an element, or null to render it generically
+    ruleFor(element) {
+        const tagName = element.tagName.toLowerCase();
+        const localName = (element.localName || tagName).toLowerCase();
+        const namespace = element.namespaceURI;
+        const entry = (namespace && (this.rules.get(`{${namespace}}${localName}`) || this.rules.get(`{${namespace}}*`))) ||
+            this.rules.get(tagName) || this.rules.get(localName);
+        if (!entry) return null;
+
+        const conditional = entry.conditional.find(rule => {
+            const value = element.getAttribute(rule.attribute);
+            return value !== null && (rule.value === null || value === rule.value);
+        });
+        return conditional || entry.plain;
+    }
+
+    roleOf(element) {
+        const rule = this.ruleFor(element);
+        return rule ? rule.role : null;
+    }
+}
@@ -0,0 +1,155 @@
+// Character encoding of XML files and of ZIP entry names
+//
+// XML files are decoded from their bytes the way an XML parser would: a
+// byte-order mark wins, then the encoding declaration (read from the first
+// bytes, which are ASCII-compatible or recognizably UTF-16), then UTF-8. A file
+// that declares nothing and is not valid UTF-8 is read as Windows-1252, the
+// usual culprit. Edited files are written back in the encoding they came in.
+// ZIP entry names without the UTF-8 flag are decoded as UTF-8 when they are
+// valid UTF-8 and as CP437, the ZIP format's original code page, otherwise.
+class TextEncoding {
+    // Encodings offered for a manual override; any label TextDecoder knows also works
+    static ENCODINGS = ['UTF-8', 'UTF-16LE', 'UTF-16BE', 'ISO-8859-1', 'windows-1252', 'ISO-8859-2', 'ISO-8859-15',
+        'windows-1250', 'windows-1251', 'KOI8-R', 'Shift_JIS', 'EUC-JP', 'GB18030', 'Big5', 'EUC-KR'];
+    static SOURCES = {
+        bom: 'byte-order mark',
+        declaration: 'encoding declaration',
+        default: 'no declaration',
+        fallback: 'not valid UTF-8',
+        override: 'chosen by hand'
+    };
+    static tables = new Map(); // encoding -> single-byte table, see singleByteTable
+    // Characters of CP437 bytes 0x80-0xFF
+    static CP437 = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+    // Encoding of an XML file's bytes: {encoding, label, source, bom, declared}
+    // encoding is the TextDecoder name, label the name as declared (or chosen)
+    static detect(bytes) {
+        const bom = TextEncoding.bomOf(bytes);
+        const declared = TextEncoding.declaredEncoding(bytes, bom ? bom.encoding : TextEncoding.sniffUtf16(bytes));
+        if (bom) return { encoding: bom.encoding, label: bom.label, source: 'bom', bom: true, declared };
+
+        const utf16 = TextEncoding.sniffUtf16(bytes);
+        if (utf16) return { encoding: utf16, label: declared || utf16.toUpperCase(), source: 'declaration', bom: false, declared };
+
+        // A UTF-16 declaration on bytes that are not UTF-16 is wrong; the parser would say the same
+        const encoding = declared && !/^utf-?16/i.test(declared) ? TextEncoding.decoderName(declared) : null;
+        if (encoding) return { encoding, label: declared, source: 'declaration', bom: false, declared };
+
+        if (!TextEncoding.isUtf8(bytes)) {
+            return { encoding: 'windows-1252', label: 'windows-1252', source: 'fallback', bom: false, declared };
+        }
+        return { encoding: 'utf-8', label: 'UTF-8', source: 'default', bom: false, declared };
+    }
+
+    // Text of an XML file's bytes, with the encoding it was read in; override is an encoding label
+    static decode(bytes, override = null) {
+        const info = override
+            ? { ...TextEncoding.detect(bytes), encoding: TextEncoding.decoderName(override) || 'utf-8', label: override, source: 'override' }
+            : TextEncoding.detect(bytes);
+        return { text: new TextDecoder(info.encoding).decode(bytes), encoding: info };
+    }
+
+    static bomOf(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', label: 'UTF-8' };
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', label: 'UTF-16LE' };
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', label: 'UTF-16BE' };
+        return null;
+    }
+
+    // UTF-16 without a byte-order mark, recognized by "<?" in the first four bytes
+    static sniffUtf16(bytes) {
+        if (bytes[0] === 0x3C && bytes[1] === 0x00 && bytes[2] === 0x3F && bytes[3] === 0x00) return 'utf-16le';
+        if (bytes[0] === 0x00 && bytes[1] === 0x3C && bytes[2] === 0x00 && bytes[3] === 0x3F) return 'utf-16be';
+        return null;
+    }
+
+    // encoding="..." of the XML declaration, or null
+    static declaredEncoding(bytes, utf16 = null) {
+        const head = bytes.subarray(0, 400);
+        const text = utf16 ? new TextDecoder(utf16).decode(head) : String.fromCharCode(...head);
+        const match = /^\uFEFF?<\?xml\s[^>]*?\bencoding\s*=\s*(["'])([A-Za-z][\w.:-]*)\1/.exec(text);
+        return match ? match[2] : null;
+    }
+
+    // TextDecoder name of an encoding label, or null when the browser does not know it
+    static decoderName(label) {
+        try {
+            return new TextDecoder(label).encoding;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    static isUtf8(bytes) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // "windows-1252 (encoding declaration)" for the file info
+    static describe(info) {
+        const readAs = TextEncoding.decoderName(info.label) === info.encoding ? '' : `, read as ${info.encoding}`;
+        const declared = info.declared && info.source !== 'declaration' && info.declared.toLowerCase() !== info.label.toLowerCase()
+            ? `, declared ${info.declared}`
+            : '';
+        return `${info.label} (${TextEncoding.SOURCES[info.source]}${readAs}${declared})`;
+    }
+
+    // Bytes of an edited file in the encoding it was read in. UTF-8, UTF-16 and single-byte encodings are
+    // written as they were, characters a single-byte encoding lacks as character references; other encodings
+    // have no encoder in the browser, so the file is written as UTF-8 with its declaration changed to match
+    static encode(text, info) {
+        const encoding = info ? info.encoding : 'utf-8';
+        const bom = info && info.bom ? '\uFEFF' : '';
+
+        if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+            const source = bom + text;
+            const bytes = new Uint8Array(source.length * 2);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < source.length; i++) view.setUint16(i * 2, source.charCodeAt(i), encoding === 'utf-16le');
+            return bytes;
+        }
+
+        const table = encoding === 'utf-8' ? null : TextEncoding.singleByteTable(encoding);
+        if (!table) {
+            const utf8 = encoding === 'utf-8' ? text : text.replace(/^(\uFEFF?<\?xml\s[^>]*?\bencoding\s*=\s*)(["'])[^"']*\2/, '$1$2UTF-8$2');
+            return new TextEncoder().encode(bom + utf8);
+        }
+
+        const bytes = [];
+        for (const char of text) {
+            const byte = table.get(char);
+            if (byte !== undefined) bytes.push(byte);
+            else bytes.push(...new TextEncoder().encode(`&#x${char.codePointAt(0).toString(16).toUpperCase()};`));
+        }
+        return new Uint8Array(bytes);
+    }
+
+    // Map of character to byte for a single-byte encoding, or null for multi-byte encodings
+    static singleByteTable(encoding) {
+        if (!TextEncoding.tables.has(encoding)) {
+            const all = Uint8Array.from({ length: 256 }, (value, index) => index);
+            const chars = Array.from(new TextDecoder(encoding).decode(all));
+            let table = null;
+            if (chars.length === 256) {
+                table = new Map();
+                chars.forEach((char, byte) => {
+                    if (char !== '\uFFFD' && !table.has(char)) table.set(char, byte);
+                });
+            }
+            TextEncoding.tables.set(encoding, table);
+        }
+        return TextEncoding.tables.get(encoding);
+    }
+
+    // JSZip decodeFileName option: names without the UTF-8 flag
+    static decodeFileName(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+        if (TextEncoding.isUtf8(data)) return new TextDecoder('utf-8').decode(data);
+        return Array.from(data, byte => byte < 0x80 ? String.fromCharCode(byte) : TextEncoding.CP437[byte - 0x80]).join('');
+    }
+}
@@ -0,0 +1,195 @@
+// Source and translated files side by side, aligned block by block
+//
+// Files are paired by language: the xml:lang (or lang) of their root element,
+// or a language code in their path ("en/ch1.xml" and "de/ch1.xml",
+// "ch1.en.xml" and "ch1_de.xml"). Only known ISO 639 codes count in paths, so
+// "ch1_toc.xml" and "ch1_bib.xml" are not taken for translations. Files of the same name stem and different
+// languages form a set. The source is the language found in the most sets
+// (then the one seen first), and each set pairs its source file with the others.
+// Without telling names, a ZIP with files in exactly two root languages pairs
+// them in order.
+//
+// Each file is cut into segments: the outermost titles, paragraphs, list
+// items, tables, images and the like (by mapping role), and any other element
+// that holds text of its own. Segments are aligned with the sequence diff the
+// comparison uses, over keys made of the element path below the nearest ID
+// both files have ("#sec2/list/listitem"), so shared IDs anchor the alignment
+// and structure fills in between. Segments left over on either side are
+// unaligned.
+class TranslationAlignment {
+    static SEGMENT_ROLES = ['heading1', 'heading2', 'heading3', 'paragraph', 'listitem', 'caption', 'code', 'blockquote',
+        'table', 'image', 'math', 'svg', 'glossentry'];
+    static LANGUAGE = /^[a-z]{2,3}(?:[-_][A-Za-z]{2,4})?$/;
+    // ISO 639-1 codes, the ISO 639-2 codes of single languages (not collections such as "art" or "map"), and cmn and yue
+    static LANGUAGE_CODES = new Set([
+        'aa', 'ab', 'ae', 'af', 'ak', 'am', 'an', 'ar', 'as', 'av', 'ay', 'az', 'ba', 'be', 'bg', 'bh', 'bi', 'bm', 'bn', 'bo',
+        'br', 'bs', 'ca', 'ce', 'ch', 'co', 'cr', 'cs', 'cu', 'cv', 'cy', 'da', 'de', 'dv', 'dz', 'ee', 'el', 'en', 'eo', 'es',
+        'et', 'eu', 'fa', 'ff', 'fi', 'fj', 'fo', 'fr', 'fy', 'ga', 'gd', 'gl', 'gn', 'gu', 'gv', 'ha', 'he', 'hi', 'ho', 'hr',
+        'ht', 'hu', 'hy', 'hz', 'ia', 'id', 'ie', 'ig', 'ii', 'ik', 'io', 'is', 'it', 'iu', 'ja', 'jv', 'ka', 'kg', 'ki', 'kj',
+        'kk', 'kl', 'km', 'kn', 'ko', 'kr', 'ks', 'ku', 'kv', 'kw', 'ky', 'la', 'lb', 'lg', 'li', 'ln', 'lo', 'lt', 'lu', 'lv',
+        'mg', 'mh', 'mi', 'mk', 'ml', 'mn', 'mr', 'ms', 'mt', 'my', 'na', 'nb', 'nd', 'ne', 'ng', 'nl', 'nn', 'no', 'nr', 'nv',
+        'ny', 'oc', 'oj', 'om', 'or', 'os', 'pa', 'pi', 'pl', 'ps', 'pt', 'qu', 'rm', 'rn', 'ro', 'ru', 'rw', 'sa', 'sc', 'sd',
+        'se', 'sg', 'si', 'sk', 'sl', 'sm', 'sn', 'so', 'sq', 'sr', 'ss', 'st', 'su', 'sv', 'sw', 'ta', 'te', 'tg', 'th', 'ti',
+        'tk', 'tl', 'tn', 'to', 'tr', 'ts', 'tt', 'tw', 'ty', 'ug', 'uk', 'ur', 'uz', 've', 'vi', 'vo', 'wa', 'wo', 'xh', 'yi',
+        'yo', 'za', 'zh', 'zu',
+        'aar', 'abk', 'ace', 'ach', 'ada', 'ady', 'afh', 'afr', 'ain', 'aka', 'akk', 'alb', 'ale', 'alt', 'amh', 'ang', 'anp', 'ara', 'arc', 'arg',
+        'arm', 'arn', 'arp', 'arw', 'asm', 'ast', 'ava', 'ave', 'awa', 'aym', 'aze', 'bak', 'bal', 'bam', 'ban', 'baq', 'bas', 'bej', 'bel', 'bem',
+        'ben', 'bho', 'bik', 'bin', 'bis', 'bla', 'bod', 'bos', 'bra', 'bre', 'bua', 'bug', 'bul', 'bur', 'byn', 'cad', 'car', 'cat', 'ceb', 'ces',
+        'cha', 'chb', 'che', 'chg', 'chi', 'chk', 'chm', 'chn', 'cho', 'chp', 'chr', 'chu', 'chv', 'chy', 'cmn', 'cnr', 'cop', 'cor', 'cos', 'cre',
+        'crh', 'csb', 'cym', 'cze', 'dak', 'dan', 'dar', 'del', 'den', 'deu', 'dgr', 'din', 'div', 'doi', 'dsb', 'dua', 'dum', 'dut', 'dyu', 'dzo',
+        'efi', 'egy', 'eka', 'ell', 'elx', 'eng', 'enm', 'epo', 'est', 'eus', 'ewe', 'ewo', 'fan', 'fao', 'fas', 'fat', 'fij', 'fil', 'fin', 'fon',
+        'fra', 'fre', 'frm', 'fro', 'frr', 'frs', 'fry', 'ful', 'fur', 'gaa', 'gay', 'gba', 'geo', 'ger', 'gez', 'gil', 'gla', 'gle', 'glg', 'glv',
+        'gmh', 'goh', 'gon', 'gor', 'got', 'grb', 'grc', 'gre', 'grn', 'gsw', 'guj', 'gwi', 'hai', 'hat', 'hau', 'haw', 'heb', 'her', 'hil', 'hin',
+        'hit', 'hmn', 'hmo', 'hrv', 'hsb', 'hun', 'hup', 'hye', 'iba', 'ibo', 'ice', 'ido', 'iii', 'iku', 'ile', 'ilo', 'ina', 'ind', 'inh', 'ipk',
+        'isl', 'ita', 'jav', 'jbo', 'jpn', 'jpr', 'jrb', 'kaa', 'kab', 'kac', 'kal', 'kam', 'kan', 'kas', 'kat', 'kau', 'kaw', 'kaz', 'kbd', 'kha',
+        'khm', 'kho', 'kik', 'kin', 'kir', 'kmb', 'kok', 'kom', 'kon', 'kor', 'kos', 'kpe', 'krc', 'krl', 'kru', 'kua', 'kum', 'kur', 'kut', 'lad',
+        'lah', 'lam', 'lao', 'lat', 'lav', 'lez', 'lim', 'lin', 'lit', 'lol', 'loz', 'ltz', 'lua', 'lub', 'lug', 'lui', 'lun', 'luo', 'lus', 'mac',
+        'mad', 'mag', 'mah', 'mai', 'mak', 'mal', 'man', 'mao', 'mar', 'mas', 'may', 'mdf', 'mdr', 'men', 'mga', 'mic', 'min', 'mkd', 'mlg', 'mlt',
+        'mnc', 'mni', 'moh', 'mon', 'mos', 'mri', 'msa', 'mus', 'mwl', 'mwr', 'mya', 'myv', 'nap', 'nau', 'nav', 'nbl', 'nde', 'ndo', 'nds', 'nep',
+        'new', 'nia', 'niu', 'nld', 'nno', 'nob', 'nog', 'non', 'nor', 'nqo', 'nso', 'nwc', 'nya', 'nym', 'nyn', 'nyo', 'nzi', 'oci', 'oji', 'ori',
+        'orm', 'osa', 'oss', 'ota', 'pag', 'pal', 'pam', 'pan', 'pap', 'pau', 'peo', 'per', 'phn', 'pli', 'pol', 'pon', 'por', 'pro', 'pus', 'que',
+        'raj', 'rap', 'rar', 'roh', 'rom', 'ron', 'rum', 'run', 'rup', 'rus', 'sad', 'sag', 'sah', 'sam', 'san', 'sas', 'sat', 'scn', 'sco', 'sel',
+        'sga', 'shn', 'sid', 'sin', 'slk', 'slo', 'slv', 'sma', 'sme', 'smj', 'smn', 'smo', 'sms', 'sna', 'snd', 'snk', 'sog', 'som', 'sot', 'spa',
+        'sqi', 'srd', 'srn', 'srp', 'srr', 'ssw', 'suk', 'sun', 'sus', 'sux', 'swa', 'swe', 'syc', 'syr', 'tah', 'tam', 'tat', 'tel', 'tem', 'ter',
+        'tet', 'tgk', 'tgl', 'tha', 'tib', 'tig', 'tir', 'tiv', 'tkl', 'tlh', 'tli', 'tmh', 'tog', 'ton', 'tpi', 'tsi', 'tsn', 'tso', 'tuk', 'tum',
+        'tur', 'tvl', 'twi', 'tyv', 'udm', 'uga', 'uig', 'ukr', 'umb', 'urd', 'uzb', 'vai', 'ven', 'vie', 'vol', 'vot', 'wal', 'war', 'was', 'wel',
+        'wln', 'wol', 'xal', 'xho', 'yao', 'yap', 'yid', 'yor', 'yue', 'zap', 'zbl', 'zen', 'zgh', 'zha', 'zho', 'zul', 'zun', 'zza'
+    ]);
+
+    // roleOf(element) gives the mapping profile's role of an element
+    constructor(sourceRoot, targetRoot, roleOf) {
+        this.roleOf = roleOf;
+        this.rows = []; // [{source, target, by: 'id'|'position'|null, empty}]; one side is null when unaligned
+        this.stats = { byId: 0, byPosition: 0, missing: 0, extra: 0, empty: 0 };
+        const ids = root => new Set(Array.from(root.getElementsByTagName('*'), element => IdIndex.idOf(element)).filter(Boolean));
+        const targetIds = ids(targetRoot);
+        const shared = new Set([...ids(sourceRoot)].filter(id => targetIds.has(id)));
+        this.align(this.segments(sourceRoot, shared), this.segments(targetRoot, shared));
+    }
+
+    static normalizeLanguage(lang) {
+        return lang.trim().replace(/_/g, '-').toLowerCase();
+    }
+
+    // A language tag in a path, such as "de" or "pt_BR", whose language is a known code
+    static isLanguageTag(text) {
+        return TranslationAlignment.LANGUAGE.test(text) && TranslationAlignment.LANGUAGE_CODES.has(text.split(/[-_]/)[0]);
+    }
+
+    // Language of a file's root element, or null
+    static rootLanguage(xmlFile) {
+        if (!xmlFile.parsed || xmlFile.hasError) return null;
+        const root = xmlFile.parsed.documentElement;
+        const lang = Namespaces.attribute(root, Namespaces.XML, 'lang') || root.getAttribute('xml:lang') || root.getAttribute('lang');
+        return lang ? TranslationAlignment.normalizeLanguage(lang) : null;
+    }
+
+    // Ways a path can name a language: [{stem, lang}], the stem being the path without it
+    static pathLanguages(path) {
+        const candidates = [];
+        const segments = path.split('/');
+        segments.slice(0, -1).forEach((segment, index) => {
+            if (!TranslationAlignment.isLanguageTag(segment)) return;
+            const stem = segments.slice();
+            stem[index] = '*';
+            candidates.push({ stem: stem.join('/'), lang: TranslationAlignment.normalizeLanguage(segment) });
+        });
+        const match = /^(.*[^/])[._-]([a-z]{2,3}(?:[-_][A-Za-z]{2,4})?)(\.[^./]+)$/.exec(path);
+        if (match && TranslationAlignment.isLanguageTag(match[2])) candidates.push({ stem: `${match[1]}.*${match[3]}`, lang: TranslationAlignment.normalizeLanguage(match[2]) });
+        return candidates;
+    }
+
+    // Pair the files of a ZIP by language; returns [{source, target, sourceLang, targetLang}] of file indexes
+    static pairFiles(xmlFiles) {
+        const languages = xmlFiles.map(xmlFile => TranslationAlignment.rootLanguage(xmlFile));
+        const sets = new Map(); // stem -> [{fileIndex, lang}]
+        xmlFiles.forEach((xmlFile, fileIndex) => {
+            TranslationAlignment.pathLanguages(xmlFile.path).forEach(({ stem, lang }) => {
+                // The root's language wins over a name that happens to look like a language code
+                if (languages[fileIndex] && languages[fileIndex] !== lang && !languages[fileIndex].startsWith(`${lang}-`)) return;
+                if (!sets.has(stem)) sets.set(stem, []);
+                sets.get(stem).push({ fileIndex, lang: languages[fileIndex] || lang });
+            });
+        });
+
+        // A file is in the first set that pairs it
+        const bilingual = [];
+        const paired = new Set();
+        for (const members of sets.values()) {
+            const files = members.filter(member => !paired.has(member.fileIndex));
+            if (new Set(files.map(member => member.lang)).size < 2) continue;
+            bilingual.push(files);
+            files.forEach(member => paired.add(member.fileIndex));
+        }
+
+        const setCounts = new Map();
+        bilingual.forEach(files => new Set(files.map(member => member.lang)).forEach(lang => setCounts.set(lang, (setCounts.get(lang) || 0) + 1)));
+        const ranking = [...setCounts.keys()].sort((a, b) => setCounts.get(b) - setCounts.get(a));
+        const pairs = [];
+        bilingual.forEach(files => {
+            const source = files.find(member => member.lang === ranking.find(lang => files.some(other => other.lang === lang)));
+            files.filter(member => member.lang !== source.lang).forEach(target => {
+                pairs.push({ source: source.fileIndex, target: target.fileIndex, sourceLang: source.lang, targetLang: target.lang });
+            });
+        });
+
+        // Files named alike in two root languages, such as source.xml and target.xml
+        const rest = xmlFiles.map((xmlFile, fileIndex) => fileIndex).filter(fileIndex => !paired.has(fileIndex) && languages[fileIndex]);
+        const restLanguages = [...new Set(rest.map(fileIndex => languages[fileIndex]))];
+        if (restLanguages.length === 2) {
+            const [sources, targets] = restLanguages.map(lang => rest.filter(fileIndex => languages[fileIndex] === lang));
+            if (sources.length === targets.length) {
+                sources.forEach((source, i) => pairs.push({ source, target: targets[i], sourceLang: restLanguages[0], targetLang: restLanguages[1] }));
+            }
+        }
+        return pairs;
+    }
+
+    // Outermost block elements in document order, keyed by their path below the nearest shared ID
+    segments(root, shared) {
+        const segments = [];
+        const visit = (element, path) => {
+            const role = this.roleOf(element);
+            if (role === 'hidden') return;
+            const id = IdIndex.idOf(element);
+            const key = shared.has(id) ? `#${id}` : `${path}/${element.localName}`;
+            const ownText = Array.from(element.childNodes).some(child => child.nodeType === Node.TEXT_NODE && child.nodeValue.trim());
+            if (TranslationAlignment.SEGMENT_ROLES.includes(role) || ownText) {
+                segments.push({ element, key });
+                return;
+            }
+            Array.from(element.children).forEach(child => visit(child, key));
+        };
+        visit(root, '');
+        return segments;
+    }
+
+    align(sourceSegments, targetSegments) {
+        const sourceKeys = sourceSegments.map(segment => segment.key);
+        const targetKeys = targetSegments.map(segment => segment.key);
+
+        XmlDiff.sequence(sourceKeys, targetKeys).forEach(([type, i, j]) => {
+            if (type === 'equal') {
+                const source = sourceSegments[i].element;
+                const target = targetSegments[j].element;
+                // A segment with an ID of its own is aligned by it; others by their place below one
+                const by = /^#[^/]*$/.test(sourceKeys[i]) ? 'id' : 'position';
+                // Translated blocks left empty are as good as dropped
+                const empty = !!source.textContent.trim() && !target.textContent.trim();
+                this.rows.push({ source, target, by, empty });
+                this.stats[by === 'id' ? 'byId' : 'byPosition']++;
+                if (empty) this.stats.empty++;
+            } else if (type === 'delete') {
+                this.rows.push({ source: sourceSegments[i].element, target: null, by: null, empty: false });
+                this.stats.missing++;
+            } else {
+                this.rows.push({ source: null, target: targetSegments[j].element, by: null, empty: false });
+                this.stats.extra++;
+            }
+        });
+    }
+
+    get problems() {
+        return this.stats.missing + this.stats.extra + this.stats.empty;
+    }
+}
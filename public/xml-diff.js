@@ -0,0 +1,309 @@
+// Element-aware diff between two versions of the same deliverable
+//
+// Children are aligned with a Myers sequence diff over keys built from the
+// element name, its ID and a hash of its text, so unchanged siblings line up
+// even when content is inserted in between. Within each unaligned gap,
+// elements with the same name are paired and compared recursively (attribute
+// and text changes); whatever is left over counts as inserted or deleted.
+// The same sequence diff is reused for words inside changed text and for the
+// lines of the side-by-side raw view.
+class XmlDiff {
+    static MAX_TRACE = 20000000; // Myers trace cells before giving up on a minimal alignment
+    static MAX_ENTRIES = 2000;
+
+    constructor(oldRoot, newRoot) {
+        this.changes = new Map(); // new node -> {type: 'inserted'|'text'|'attributes', oldNode, attributes}
+        this.oldChanges = new Map(); // old node -> {type: 'deleted'|'text'|'attributes', newNode}
+        this.deletions = new Map(); // new parent element -> [{before: new node or null, node: old node}]
+        this.entries = []; // [{type, oldNode, newNode, attributes, parent}]; parent is the new element a deletion was in
+        this.stats = { inserted: 0, deleted: 0, text: 0, attributes: 0 };
+
+        if (oldRoot.nodeName === newRoot.nodeName) {
+            this.compareElements(oldRoot, newRoot);
+        } else {
+            this.record('deleted', oldRoot, null);
+            this.record('inserted', null, newRoot);
+        }
+    }
+
+    get size() {
+        return this.stats.inserted + this.stats.deleted + this.stats.text + this.stats.attributes;
+    }
+
+    // Pair the files of two deliverables by path, falling back to a unique file name
+    static matchFiles(oldFiles, newFiles) {
+        const pairs = newFiles.map((newFile, newIndex) => ({ newIndex, newFile, oldFile: null }));
+        const unmatched = new Set(oldFiles);
+
+        pairs.forEach(pair => {
+            const match = oldFiles.find(oldFile => unmatched.has(oldFile) && oldFile.path === pair.newFile.path);
+            if (match) {
+                pair.oldFile = match;
+                unmatched.delete(match);
+            }
+        });
+        pairs.filter(pair => !pair.oldFile).forEach(pair => {
+            const candidates = oldFiles.filter(oldFile => unmatched.has(oldFile) && oldFile.name === pair.newFile.name);
+            if (candidates.length === 1) {
+                pair.oldFile = candidates[0];
+                unmatched.delete(candidates[0]);
+            }
+        });
+
+        return { pairs, removed: Array.from(unmatched) };
+    }
+
+    // Compare two maps of asset path -> content hash, pairing by path and then by unique file name
+    // Returns {added: [path], removed: [path], changed: [{path, oldPath}], unchanged: count}
+    static compareAssets(oldHashes, newHashes) {
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+        const fileName = path => path.split('/').pop().toLowerCase();
+        const unmatched = new Set(oldHashes.keys());
+
+        const pairs = new Map(); // new path -> old path
+        newHashes.forEach((hash, path) => {
+            if (unmatched.delete(path)) pairs.set(path, path);
+        });
+        newHashes.forEach((hash, path) => {
+            if (pairs.has(path)) return;
+            const candidates = Array.from(unmatched).filter(candidate => fileName(candidate) === fileName(path));
+            if (candidates.length === 1) {
+                pairs.set(path, candidates[0]);
+                unmatched.delete(candidates[0]);
+            }
+        });
+
+        newHashes.forEach((hash, path) => {
+            const oldPath = pairs.get(path);
+            if (!oldPath) result.added.push(path);
+            else if (oldHashes.get(oldPath) !== hash) result.changed.push({ path, oldPath });
+            else result.unchanged++;
+        });
+        result.removed = Array.from(unmatched);
+        return result;
+    }
+
+    static async hashBytes(bytes) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', bytes);
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        // Without SubtleCrypto (insecure origins) fall back to FNV-1a plus the length
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(16)}-${bytes.length}`;
+    }
+
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    static normalize(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // Align two arrays of keys; returns [[type, aIndex, bIndex]] with type equal, delete or insert
+    static sequence(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push(['equal', i, i]);
+        ops.push(...XmlDiff.myers(a, b, start, endA, start, endB));
+        for (let i = 0; i < a.length - endA; i++) ops.push(['equal', endA + i, endB + i]);
+        return ops;
+    }
+
+    static myers(a, b, a0, a1, b0, b1) {
+        const n = a1 - a0;
+        const m = b1 - b0;
+        const max = n + m;
+        const replaceAll = () => {
+            const ops = [];
+            for (let i = a0; i < a1; i++) ops.push(['delete', i, null]);
+            for (let j = b0; j < b1; j++) ops.push(['insert', null, j]);
+            return ops;
+        };
+        if (n === 0 || m === 0) return replaceAll();
+
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+        let done = false;
+
+        for (let d = 0; d <= max && !done; d++) {
+            if ((d + 1) * v.length > XmlDiff.MAX_TRACE) return replaceAll();
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[a0 + x] === b[b0 + y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    done = true;
+                    break;
+                }
+            }
+        }
+
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const k = x - y;
+            const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+            const prevX = previous[offset + prevK];
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                ops.push(['equal', a0 + x - 1, b0 + y - 1]);
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) ops.push(['insert', null, b0 + y - 1]);
+                else ops.push(['delete', a0 + x - 1, null]);
+            }
+            x = prevX;
+            y = prevY;
+        }
+        return ops.reverse();
+    }
+
+    // Word-level changes inside a text node; returns [{type: 'equal'|'delete'|'insert', text}]
+    static diffWords(oldText, newText) {
+        const a = oldText.split(/(\s+)/);
+        const b = newText.split(/(\s+)/);
+        const parts = [];
+        XmlDiff.sequence(a, b).forEach(([type, i, j]) => {
+            const text = type === 'delete' ? a[i] : b[j];
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) last.text += text;
+            else parts.push({ type, text });
+        });
+        return parts;
+    }
+
+    static relevantChildren(element) {
+        return Array.from(element.childNodes).filter(node =>
+            node.nodeType === 1 || ((node.nodeType === 3 || node.nodeType === 4) && node.nodeValue.trim())
+        );
+    }
+
+    static keyOf(node) {
+        if (node.nodeType !== 1) return `#text ${XmlDiff.normalize(node.nodeValue)}`;
+        const id = node.getAttribute('xml:id') || node.getAttribute('id') || '';
+        return `${node.nodeName}#${id}#${XmlDiff.hashText(XmlDiff.normalize(node.textContent))}`;
+    }
+
+    record(type, oldNode, newNode, attributes = null, parent = null) {
+        const change = { type, oldNode, newNode, attributes, parent };
+        if (newNode) this.changes.set(newNode, change);
+        if (oldNode) this.oldChanges.set(oldNode, change);
+        this.stats[type]++;
+        if (this.entries.length < XmlDiff.MAX_ENTRIES) this.entries.push(change);
+    }
+
+    compareElements(oldElement, newElement) {
+        if (oldElement.isEqualNode(newElement)) return;
+
+        const attributes = [];
+        for (const attr of newElement.attributes) {
+            const oldValue = oldElement.getAttribute(attr.name);
+            if (oldValue !== attr.value) attributes.push({ name: attr.name, oldValue, newValue: attr.value });
+        }
+        for (const attr of oldElement.attributes) {
+            if (!newElement.hasAttribute(attr.name)) attributes.push({ name: attr.name, oldValue: attr.value, newValue: null });
+        }
+        if (attributes.length > 0) this.record('attributes', oldElement, newElement, attributes);
+
+        this.compareChildren(oldElement, newElement);
+    }
+
+    compareChildren(oldParent, newParent) {
+        const oldChildren = XmlDiff.relevantChildren(oldParent);
+        const newChildren = XmlDiff.relevantChildren(newParent);
+        const ops = XmlDiff.sequence(oldChildren.map(XmlDiff.keyOf), newChildren.map(XmlDiff.keyOf));
+
+        let gapOld = [];
+        let gapNew = [];
+        const flush = (before) => {
+            if (gapOld.length || gapNew.length) this.compareGap(gapOld, gapNew, newParent, before);
+            gapOld = [];
+            gapNew = [];
+        };
+
+        ops.forEach(([type, i, j]) => {
+            if (type === 'delete') {
+                gapOld.push(oldChildren[i]);
+            } else if (type === 'insert') {
+                gapNew.push(newChildren[j]);
+            } else {
+                flush(newChildren[j]);
+                // Equal keys still allow changes below the text, such as attributes
+                if (newChildren[j].nodeType === 1) this.compareElements(oldChildren[i], newChildren[j]);
+            }
+        });
+        flush(null);
+    }
+
+    // Pair what the alignment left over: same-name elements and text nodes in order
+    compareGap(oldNodes, newNodes, newParent, before) {
+        const paired = new Map(); // new node -> old node
+        const used = new Set();
+        newNodes.forEach(newNode => {
+            const match = oldNodes.find(oldNode => !used.has(oldNode) &&
+                (newNode.nodeType === 1 ? oldNode.nodeName === newNode.nodeName : oldNode.nodeType !== 1));
+            if (match) {
+                used.add(match);
+                paired.set(newNode, match);
+            }
+        });
+
+        oldNodes.filter(oldNode => !used.has(oldNode)).forEach(oldNode => {
+            // Deleted nodes are shown before the first new node of the gap that follows them
+            const next = newNodes.find(newNode => paired.has(newNode) &&
+                (paired.get(newNode).compareDocumentPosition(oldNode) & Node.DOCUMENT_POSITION_PRECEDING));
+            if (!this.deletions.has(newParent)) this.deletions.set(newParent, []);
+            this.deletions.get(newParent).push({ before: next || (paired.size === 0 && newNodes[0]) || before, node: oldNode });
+            this.record('deleted', oldNode, null, null, newParent);
+        });
+
+        newNodes.forEach(newNode => {
+            const oldNode = paired.get(newNode);
+            if (!oldNode) {
+                this.record('inserted', null, newNode);
+            } else if (newNode.nodeType === 1) {
+                this.compareElements(oldNode, newNode);
+            } else if (XmlDiff.normalize(oldNode.nodeValue) !== XmlDiff.normalize(newNode.nodeValue)) {
+                this.record('text', oldNode, newNode);
+            }
+        });
+    }
+
+    // Old nodes deleted from newParent that belong just before a new node (null: at the end)
+    deletionsBefore(newParent, before) {
+        const deletions = this.deletions.get(newParent);
+        if (!deletions) return [];
+        return deletions.filter(deletion => deletion.before === before).map(deletion => deletion.node);
+    }
+}
@@ -0,0 +1,371 @@
+// Position-aware XML scanner
+//
+// DOMParser only reports the first well-formedness error, in a browser
+// specific message, and keeps no source positions. The scanner walks the raw
+// text once, reports every error it can recover from with a line and column,
+// and records where each element starts so DOM nodes can be mapped back to
+// the source (elements are recorded in document order, like
+// getElementsByTagName('*')).
+class XmlScanner {
+    static PREDEFINED_ENTITIES = ['lt', 'gt', 'amp', 'apos', 'quot'];
+    static NAME_START = /[A-Za-z_:\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\uD800-\uDBFF]/;
+    static NAME = /[A-Za-z0-9_:.\-\u00B7\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u037D\u037F-\u1FFF\u200C-\u200D\u203F-\u2040\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\uD800-\uDFFF]/;
+    static MAX_ERRORS = 100;
+
+    constructor(text) {
+        this.text = text;
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) this.lineStarts.push(i + 1);
+        }
+
+        this.elements = []; // [{name, start, end, openEnd, depth}] in document order
+        this.errors = []; // [{message, offset, line, column}]
+        this.doctype = null; // {name, publicId, systemId, internalSubset, offset}
+        this.processingInstructions = []; // [{target, data, offset}]
+        this.declaredEntities = new Set();
+    }
+
+    // Convert a character offset to a 1-based line and column
+    positionAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    // Convert a 1-based line and column back to a character offset
+    offsetAt(line, column) {
+        const lineStart = this.lineStarts[Math.min(Math.max(line, 1), this.lineStarts.length) - 1];
+        return Math.min(lineStart + Math.max(column, 1) - 1, this.text.length);
+    }
+
+    error(message, offset) {
+        if (this.errors.length >= XmlScanner.MAX_ERRORS) return;
+        this.errors.push({ message, offset, ...this.positionAt(offset) });
+    }
+
+    // Scan the whole document; onToken(type, start, end, info) is called for every token
+    scan(onToken = null) {
+        const text = this.text;
+        const stack = [];
+        let pos = 0;
+        let rootSeen = false;
+        let rootClosed = false;
+
+        const emit = (type, start, end, info = {}) => {
+            if (onToken) onToken(type, start, end, info);
+        };
+
+        // Byte-order mark
+        if (text.charCodeAt(0) === 0xFEFF) pos = 1;
+
+        while (pos < text.length) {
+            const lt = text.indexOf('<', pos);
+            const textEnd = lt === -1 ? text.length : lt;
+
+            if (textEnd > pos) {
+                this.checkText(pos, textEnd, stack.length > 0);
+                if (stack.length === 0 && text.slice(pos, textEnd).trim()) {
+                    this.error(rootClosed ? 'Content is not allowed after the root element' : 'Content is not allowed before the root element', pos + text.slice(pos, textEnd).search(/\S/));
+                }
+                emit('text', pos, textEnd);
+                pos = textEnd;
+                continue;
+            }
+
+            if (text.startsWith('<!--', pos)) {
+                const close = text.indexOf('-->', pos + 4);
+                if (close === -1) {
+                    this.error('Unterminated comment', pos);
+                    emit('comment', pos, text.length);
+                    pos = text.length;
+                    break;
+                }
+                if (text.slice(pos + 4, close).includes('--')) {
+                    this.error('The string "--" is not allowed inside comments', pos + 4 + text.slice(pos + 4, close).indexOf('--'));
+                }
+                emit('comment', pos, close + 3);
+                pos = close + 3;
+            } else if (text.startsWith('<![CDATA[', pos)) {
+                const close = text.indexOf(']]>', pos + 9);
+                if (stack.length === 0) this.error('CDATA section outside the root element', pos);
+                if (close === -1) {
+                    this.error('Unterminated CDATA section', pos);
+                    emit('cdata', pos, text.length);
+                    pos = text.length;
+                    break;
+                }
+                emit('cdata', pos, close + 3);
+                pos = close + 3;
+            } else if (text.startsWith('<!DOCTYPE', pos)) {
+                if (rootSeen) this.error('DOCTYPE declaration must come before the root element', pos);
+                pos = this.scanDoctype(pos, emit);
+            } else if (text.startsWith('<?', pos)) {
+                const close = text.indexOf('?>', pos + 2);
+                if (close === -1) {
+                    this.error('Unterminated processing instruction', pos);
+                    emit('pi', pos, text.length);
+                    pos = text.length;
+                    break;
+                }
+                const body = text.slice(pos + 2, close);
+                const target = (/^[^\s?]+/.exec(body) || [''])[0];
+                if (!target) {
+                    this.error('Processing instruction target missing', pos + 2);
+                } else if (target.toLowerCase() === 'xml') {
+                    if (target !== 'xml' || pos > (text.charCodeAt(0) === 0xFEFF ? 1 : 0)) {
+                        this.error('XML declaration is only allowed at the very start of the document', pos);
+                    }
+                    emit('xmldecl', pos, close + 2, { target, data: body.slice(target.length).trim() });
+                    pos = close + 2;
+                    continue;
+                }
+                this.processingInstructions.push({ target, data: body.slice(target.length).trim(), offset: pos });
+                emit('pi', pos, close + 2, { target });
+                pos = close + 2;
+            } else if (text.startsWith('</', pos)) {
+                const nameMatch = this.readName(pos + 2);
+                const close = text.indexOf('>', pos);
+                const end = close === -1 ? text.length : close + 1;
+                if (!nameMatch) {
+                    this.error('Malformed end tag', pos);
+                } else {
+                    if (text.slice(pos + 2 + nameMatch.length, close === -1 ? text.length : close).trim()) {
+                        this.error(`Unexpected content in end tag </${nameMatch}>`, pos);
+                    }
+                    this.closeElement(stack, nameMatch, pos, end);
+                    if (stack.length === 0 && rootSeen) rootClosed = true;
+                }
+                if (close === -1) this.error(`Unterminated end tag </${nameMatch || ''}`, pos);
+                emit('end', pos, end, { name: nameMatch });
+                pos = end;
+            } else if (text.startsWith('<!', pos)) {
+                this.error('Markup declaration is only allowed inside a DOCTYPE', pos);
+                const close = text.indexOf('>', pos);
+                pos = close === -1 ? text.length : close + 1;
+            } else {
+                const tag = this.scanStartTag(pos);
+                if (!tag) {
+                    this.error('Invalid character after "<": element name expected', pos);
+                    emit('text', pos, pos + 1);
+                    pos += 1;
+                    continue;
+                }
+
+                if (stack.length === 0) {
+                    if (rootClosed) this.error(`Extra content at the end of the document: <${tag.name}>`, pos);
+                    rootSeen = true;
+                }
+
+                const record = { name: tag.name, start: pos, openEnd: tag.end, end: tag.end, depth: stack.length };
+                this.elements.push(record);
+                emit(tag.selfClosing ? 'empty' : 'start', pos, tag.end, { name: tag.name, attributes: tag.attributes });
+
+                if (!tag.selfClosing) {
+                    stack.push(record);
+                } else if (stack.length === 0) {
+                    rootClosed = true;
+                }
+                pos = tag.end;
+            }
+        }
+
+        for (let i = stack.length - 1; i >= 0; i--) {
+            this.error(`Element <${stack[i].name}> is never closed`, stack[i].start);
+        }
+        if (!rootSeen) this.error('No root element found', text.length);
+
+        return this;
+    }
+
+    readName(offset) {
+        const text = this.text;
+        if (offset >= text.length || !XmlScanner.NAME_START.test(text[offset])) return null;
+        let end = offset + 1;
+        while (end < text.length && XmlScanner.NAME.test(text[end])) end++;
+        return text.slice(offset, end);
+    }
+
+    closeElement(stack, name, offset, end) {
+        if (stack.length === 0) {
+            this.error(`End tag </${name}> has no matching start tag`, offset);
+            return;
+        }
+
+        const top = stack[stack.length - 1];
+        if (top.name === name) {
+            stack.pop();
+            top.end = end;
+            return;
+        }
+
+        // Recover from a missing end tag when an outer element matches
+        const matchIndex = stack.map(record => record.name).lastIndexOf(name);
+        if (matchIndex === -1) {
+            this.error(`End tag </${name}> does not match start tag <${top.name}>`, offset);
+            return;
+        }
+
+        for (let i = stack.length - 1; i > matchIndex; i--) {
+            this.error(`Element <${stack[i].name}> is not closed before </${name}>`, stack[i].start);
+            stack[i].end = offset;
+        }
+        stack[matchIndex].end = end;
+        stack.length = matchIndex;
+    }
+
+    scanStartTag(offset) {
+        const text = this.text;
+        const name = this.readName(offset + 1);
+        if (!name) return null;
+
+        const attributes = [];
+        const seen = new Set();
+        let pos = offset + 1 + name.length;
+
+        while (pos < text.length) {
+            const wsStart = pos;
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+
+            if (text[pos] === '>') {
+                return { name, attributes, end: pos + 1, selfClosing: false };
+            }
+            if (text.startsWith('/>', pos)) {
+                return { name, attributes, end: pos + 2, selfClosing: true };
+            }
+            if (pos >= text.length || text[pos] === '<') break;
+
+            const attrName = this.readName(pos);
+            if (!attrName) {
+                this.error(`Unexpected character "${text[pos]}" in start tag <${name}>`, pos);
+                pos++;
+                continue;
+            }
+            if (wsStart === pos) this.error(`Whitespace is required before attribute "${attrName}"`, pos);
+
+            const attrStart = pos;
+            pos += attrName.length;
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+            if (text[pos] !== '=') {
+                this.error(`Attribute "${attrName}" has no value`, attrStart);
+                continue;
+            }
+            pos++;
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+
+            const quote = text[pos];
+            if (quote !== '"' && quote !== "'") {
+                this.error(`Value of attribute "${attrName}" must be quoted`, pos);
+                while (pos < text.length && !/[\s>]/.test(text[pos])) pos++;
+                continue;
+            }
+            const valueEnd = text.indexOf(quote, pos + 1);
+            if (valueEnd === -1) {
+                this.error(`Unterminated value for attribute "${attrName}"`, pos);
+                return { name, attributes, end: text.length, selfClosing: false };
+            }
+
+            const valueStart = pos + 1;
+            const ltIndex = text.slice(valueStart, valueEnd).indexOf('<');
+            if (ltIndex !== -1) this.error(`The "<" character is not allowed in attribute values`, valueStart + ltIndex);
+            this.checkReferences(valueStart, valueEnd);
+
+            if (seen.has(attrName)) this.error(`Attribute "${attrName}" is specified more than once`, attrStart);
+            seen.add(attrName);
+
+            attributes.push({ name: attrName, start: attrStart, valueStart, valueEnd, value: text.slice(valueStart, valueEnd) });
+            pos = valueEnd + 1;
+        }
+
+        this.error(`Unterminated start tag <${name}>`, offset);
+        return { name, attributes, end: pos, selfClosing: false };
+    }
+
+    checkText(start, end, insideRoot) {
+        if (!insideRoot) return;
+        const cdataEnd = this.text.slice(start, end).indexOf(']]>');
+        if (cdataEnd !== -1) this.error('The sequence "]]>" is not allowed in character data', start + cdataEnd);
+        this.checkReferences(start, end);
+    }
+
+    checkReferences(start, end) {
+        const text = this.text;
+        let amp = text.indexOf('&', start);
+        while (amp !== -1 && amp < end) {
+            const semi = text.indexOf(';', amp);
+            const ref = semi === -1 || semi > end ? null : text.slice(amp + 1, semi);
+
+            if (ref === null || !/^(#[0-9]+|#x[0-9a-fA-F]+|[^\s&;#][^\s&;]*)$/.test(ref)) {
+                this.error('Unescaped "&" or malformed entity reference', amp);
+            } else if (ref[0] === '#') {
+                const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                if (!(code === 0x9 || code === 0xA || code === 0xD || (code >= 0x20 && code <= 0xD7FF) ||
+                    (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF))) {
+                    this.error(`Character reference "&${ref};" is not a legal XML character`, amp);
+                }
+            } else if (!XmlScanner.PREDEFINED_ENTITIES.includes(ref) && !this.declaredEntities.has(ref) &&
+                !(this.doctype && (this.doctype.systemId || this.doctype.hasParameterEntities))) {
+                // Entities from an external DTD cannot be checked here
+                this.error(`Entity "&${ref};" is not declared`, amp);
+            }
+            amp = text.indexOf('&', amp + 1);
+        }
+    }
+
+    scanDoctype(offset, emit) {
+        const text = this.text;
+        let pos = offset + '<!DOCTYPE'.length;
+        const header = /^\s+([^\s[>]+)(?:\s+(?:SYSTEM\s+("[^"]*"|'[^']*')|PUBLIC\s+("[^"]*"|'[^']*')\s+("[^"]*"|'[^']*')))?\s*/.exec(text.slice(pos, pos + 2048));
+        if (!header) {
+            this.error('Malformed DOCTYPE declaration', offset);
+        }
+
+        const unquote = value => value ? value.slice(1, -1) : null;
+        this.doctype = {
+            name: header ? header[1] : null,
+            systemId: header ? unquote(header[2] || header[4]) : null,
+            publicId: header ? unquote(header[3]) : null,
+            internalSubset: null,
+            hasParameterEntities: false,
+            offset
+        };
+        if (header) pos += header[0].length;
+
+        if (text[pos] === '[') {
+            // Internal subset: skip over quoted strings and comments to find the closing ]
+            const subsetStart = pos + 1;
+            pos = subsetStart;
+            while (pos < text.length && text[pos] !== ']') {
+                if (text[pos] === '"' || text[pos] === "'") {
+                    const close = text.indexOf(text[pos], pos + 1);
+                    pos = close === -1 ? text.length : close + 1;
+                } else if (text.startsWith('<!--', pos)) {
+                    const close = text.indexOf('-->', pos + 4);
+                    pos = close === -1 ? text.length : close + 3;
+                } else {
+                    pos++;
+                }
+            }
+            this.doctype.internalSubset = text.slice(subsetStart, pos);
+            for (const match of this.doctype.internalSubset.matchAll(/<!ENTITY\s+(%\s+)?([^\s]+)/g)) {
+                if (match[1]) this.doctype.hasParameterEntities = true;
+                else this.declaredEntities.add(match[2]);
+            }
+            pos++;
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+        }
+
+        if (text[pos] !== '>') {
+            this.error('DOCTYPE declaration is not terminated', offset);
+            const close = text.indexOf('>', pos);
+            pos = close === -1 ? text.length : close;
+        }
+        emit('doctype', offset, pos + 1, { name: this.doctype.name });
+        return pos + 1;
+    }
+}
@@ -0,0 +1,128 @@
+// XSLT rendering mode: transform a document with an XSL stylesheet from the ZIP or an upload
+//
+// The browser's XSLTProcessor cannot fetch xsl:include and xsl:import targets
+// from the ZIP, so they are inlined before the stylesheet is imported. Imported
+// templates go first, which keeps their lower precedence for equal priorities.
+// Output is cleaned of scripts, SVG animations, event handler attributes, URLs
+// outside the SafetyPolicy allow-lists and CSS that loads from outside before it
+// is shown; what was removed is kept in `removed`.
+class XsltRenderer {
+    static NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+    static EXTENSIONS = ['xsl', 'xslt'];
+    static STYLESHEET_TYPES = ['text/xsl', 'application/xslt+xml', 'text/xml', 'application/xml'];
+
+    constructor(path, stylesheets) {
+        this.path = path;
+        this.stylesheets = stylesheets; // Map of stylesheet path to text, for includes
+        this.processor = null;
+        this.removed = []; // [{markup, reason}] cleaned out of the last output
+    }
+
+    static available() {
+        return typeof XSLTProcessor !== 'undefined';
+    }
+
+    // Stylesheet named by an xml-stylesheet processing instruction, if any
+    static stylesheetHref(doc) {
+        for (const node of doc.childNodes) {
+            if (node.nodeType !== 7 || node.target !== 'xml-stylesheet') continue;
+            const type = /type\s*=\s*["']([^"']+)["']/.exec(node.data);
+            const href = /href\s*=\s*["']([^"']+)["']/.exec(node.data);
+            if (href && (!type || XsltRenderer.STYLESHEET_TYPES.includes(type[1].toLowerCase()))) return href[1];
+        }
+        return null;
+    }
+
+    // Path of a stylesheet relative to the referencing file, falling back to a unique file name
+    static resolvePath(reference, basePath, paths) {
+        const clean = reference.replace(/^file:\/+/, '').split(/[?#]/)[0];
+        const baseDir = basePath.includes('/') ? basePath.slice(0, basePath.lastIndexOf('/') + 1) : '';
+
+        const segments = [];
+        (baseDir + clean).split('/').forEach(segment => {
+            if (segment === '..') segments.pop();
+            else if (segment && segment !== '.') segments.push(segment);
+        });
+        const joined = segments.join('/');
+        if (paths.includes(joined)) return joined;
+
+        const fileName = clean.split('/').pop().toLowerCase();
+        const candidates = paths.filter(path => path.split('/').pop().toLowerCase() === fileName);
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    parse(path) {
+        const doc = new DOMParser().parseFromString(this.stylesheets.get(path), 'application/xml');
+        const error = doc.querySelector('parsererror');
+        if (error) throw new Error(`${path} is not well-formed: ${error.textContent.trim().split('\n')[0]}`);
+        return doc;
+    }
+
+    // Stylesheet document with its includes and imports inlined
+    assemble(path, seen = new Set()) {
+        seen.add(path);
+        const doc = this.parse(path);
+        const root = doc.documentElement;
+        const paths = Array.from(this.stylesheets.keys());
+
+        const references = Array.from(root.children).filter(child =>
+            child.namespaceURI === XsltRenderer.NAMESPACE && (child.localName === 'include' || child.localName === 'import'));
+
+        references.forEach(reference => {
+            const href = reference.getAttribute('href') || '';
+            const target = XsltRenderer.resolvePath(href, path, paths);
+            if (!target) throw new Error(`Stylesheet not found in the ZIP: ${href} (from ${path})`);
+
+            if (!seen.has(target)) {
+                const included = this.assemble(target, seen).documentElement;
+                // Imports go before everything else, includes take the place of the instruction
+                const anchor = reference.localName === 'import' ? root.firstChild : reference;
+                Array.from(included.childNodes).forEach(child => root.insertBefore(doc.importNode(child, true), anchor));
+            }
+            reference.remove();
+        });
+        return doc;
+    }
+
+    // Transform a document into a fragment of the page; throws an Error when the stylesheet fails
+    transform(doc) {
+        if (!this.processor) {
+            this.processor = new XSLTProcessor();
+            this.processor.importStylesheet(this.assemble(this.path));
+        }
+
+        const fragment = this.processor.transformToFragment(doc, document);
+        if (!fragment) throw new Error('The stylesheet produced no output');
+        this.removed = XsltRenderer.sanitize(fragment);
+        return fragment;
+    }
+
+    // Remove what could run script or load from outside; gives [{markup, reason}]
+    static sanitize(fragment) {
+        const removed = [];
+        fragment.querySelectorAll(SafetyPolicy.UNSAFE_ELEMENTS.join(',')).forEach(node => {
+            removed.push({ markup: `<${node.localName}>`, reason: 'element removed' });
+            node.remove();
+        });
+        // SVG animations could set a link to javascript: after it was checked; style sheets may load from outside
+        fragment.querySelectorAll('*').forEach(node => {
+            const external = node.localName === 'style' && !Namespaces.isLocalStyle(node.textContent);
+            if (Namespaces.ANIMATIONS.includes(node.localName) || external) {
+                removed.push({ markup: `<${node.localName}>`, reason: 'element removed' });
+                node.remove();
+            }
+        });
+        fragment.querySelectorAll('*').forEach(node => {
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.localName.toLowerCase();
+                const kind = name === 'src' || node.localName === 'image' ? 'image' : 'link';
+                if (name.startsWith('on') || (SafetyPolicy.URL_ATTRIBUTES.includes(name) && !SafetyPolicy.allowsUrl(attr.value, kind)) ||
+                    !Namespaces.isLocalStyle(attr.value)) {
+                    removed.push({ markup: `${attr.name}="${attr.value.slice(0, 80)}"`, reason: `attribute removed from <${node.localName}>` });
+                    node.removeAttributeNode(attr);
+                }
+            });
+        });
+        return removed;
+    }
+}
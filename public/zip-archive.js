@@ -0,0 +1,276 @@
+// ZIP access that keeps decompression off the main thread
+//
+// The archive is opened in a Web Worker (zip-worker.js) and entries are only
+// decompressed when asked for, so thousands of images cost nothing until they
+// are shown. `files` mirrors the JSZip shape the rest of the viewer uses
+// ({path: {name, dir, size, async(type, onUpdate)}}). Where workers are not
+// available (pages opened from file://, or the worker cannot load JSZip) the
+// same interface is served by JSZip on the main thread. Tarballs, uploaded
+// folders and loose files are served through the same interface from memory.
+// Every entry is read within the archive's SafetyPolicy limits; entries over
+// them, by their header or once unpacking shows it, are moved from `files` to
+// `withheld` and listed in `blocked`. They are not unpacked (again), but a
+// rewritten ZIP still carries them as they were.
+class ZipArchive {
+    static WORKER_URL = 'zip-worker.js';
+
+    constructor() {
+        this.files = {};
+        this.worker = null;
+        this.pending = new Map(); // message id -> {resolve, reject, onUpdate}
+        this.nextId = 0;
+        this.limits = { ...SafetyPolicy.DEFAULT_LIMITS };
+        this.blocked = []; // [{path, reason}] entries left out by the limits
+        this.withheld = {}; // the entries of blocked, in the shape of files
+        this.source = null; // the ZIP file itself, or
+        this.zip = null; // the JSZip it was read with
+        this.inflated = SafetyPolicy.inflatedBytes(); // counted against the limits on the main thread
+    }
+
+    static async open(file, limits = SafetyPolicy.DEFAULT_LIMITS) {
+        if (typeof Worker !== 'undefined') {
+            const archive = new ZipArchive();
+            try {
+                await archive.openInWorker(file);
+                archive.source = file;
+                return archive.applyLimits(limits);
+            } catch (err) {
+                archive.close();
+                // Over a limit is an answer, not a worker problem
+                if (err.overLimit) throw err;
+                console.warn('Reading the ZIP on the main thread, the worker is not available:', err.message || err);
+            }
+        }
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const zip = await JSZip.loadAsync(bytes, { decodeFileName: TextEncoding.decodeFileName });
+        const archive = ZipArchive.fromJSZip(zip, SafetyPolicy.declaredSizes(bytes, TextEncoding.decodeFileName));
+        archive.source = file;
+        return archive.applyLimits(limits);
+    }
+
+    // declared: SafetyPolicy.declaredSizes of the ZIP's bytes, when they are at hand
+    static fromJSZip(zip, declared = new Map()) {
+        const archive = new ZipArchive();
+        archive.zip = zip;
+        Object.values(zip.files).forEach(file => {
+            const { size, compressedSize } = SafetyPolicy.entrySizes(file, declared);
+            archive.files[file.name] = {
+                name: file.name,
+                dir: file.dir,
+                size,
+                compressedSize,
+                async: (type, onUpdate) => SafetyPolicy.readZipEntry(file, type, { limits: archive.limits, inflated: archive.inflated, compressedSize }, onUpdate)
+                    .catch(err => archive.readFailed(file.name, err))
+            };
+        });
+        return archive;
+    }
+
+    // Leave out the entries over the limits; throws when the archive as a whole is over one
+    applyLimits(limits) {
+        this.limits = { ...limits };
+        let blocked;
+        try {
+            blocked = SafetyPolicy.checkEntries(Object.values(this.files), this.limits);
+        } catch (err) {
+            err.overLimit = true;
+            throw err;
+        }
+        this.blocked = [];
+        blocked.forEach(({ path, reason }) => this.withhold(path, reason));
+        return this;
+    }
+
+    withhold(path, reason) {
+        if (!this.files[path]) return;
+        this.withheld[path] = this.files[path];
+        delete this.files[path];
+        this.blocked.push({ path, reason });
+    }
+
+    // An entry whose header lied and that unpacked past the limits is left out like the ones over them from the start
+    readFailed(path, err) {
+        if (err.overLimit) this.withhold(path, err.message);
+        throw err;
+    }
+
+    // The archive as a new ZIP Blob with the entries in replacements (Map of path to bytes) changed.
+    // ZIP entries left as they were keep their compressed data, so withheld ones are copied without being unpacked.
+    async rewrite(replacements) {
+        let zip;
+        if (this.source) {
+            zip = await JSZip.loadAsync(this.source, { decodeFileName: TextEncoding.decodeFileName });
+        } else if (this.zip) {
+            // A copy, so the open archive keeps its own entries
+            zip = await JSZip.loadAsync(await this.zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' }));
+        } else {
+            // Tarballs and loose files are in memory already, and their sizes are real
+            zip = new JSZip();
+            for (const [path, entry] of Object.entries({ ...this.files, ...this.withheld })) {
+                if (entry.dir) zip.folder(path);
+                else if (!replacements.has(path)) zip.file(path, await entry.async('uint8array'));
+            }
+        }
+        replacements.forEach((bytes, path) => zip.file(path, bytes));
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    // Loose files, such as a folder upload or an XML file dropped with its images; paths keep the folder structure
+    static fromFiles(files) {
+        const blobs = new Map();
+        files.forEach(file => blobs.set(file.relativePath || file.webkitRelativePath || file.name, file));
+        // A folder upload puts every path under the folder's own name
+        const paths = [...blobs.keys()];
+        const top = paths[0].split('/')[0];
+        if (paths.every(path => path.startsWith(`${top}/`))) {
+            return ZipArchive.fromBlobs(new Map([...blobs].map(([path, blob]) => [path.slice(top.length + 1), blob])));
+        }
+        return ZipArchive.fromBlobs(blobs);
+    }
+
+    // A .tar, .tar.gz or .tgz file; gzip is undone by the browser's DecompressionStream, within the size limits
+    static async fromTar(file, limits = SafetyPolicy.DEFAULT_LIMITS) {
+        let blob = file;
+        const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        if (magic[0] === 0x1f && magic[1] === 0x8b) {
+            if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress gzip');
+            const reader = file.stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+            const chunks = [];
+            let total = 0;
+            for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                total += chunk.value.length;
+                const overRatio = total >= SafetyPolicy.RATIO_MIN_SIZE && total / file.size > limits.maxRatio;
+                if (total > limits.maxTotalSize || overRatio) {
+                    await reader.cancel();
+                    const error = new Error(overRatio
+                        ? `${file.name} is compressed more than the ${limits.maxRatio}:1 limit`
+                        : `${file.name} unpacks to more than the ${SafetyPolicy.formatSize(limits.maxTotalSize)} limit`);
+                    error.overLimit = true;
+                    throw error;
+                }
+                chunks.push(chunk.value);
+            }
+            blob = new Blob(chunks);
+        }
+        return ZipArchive.fromBlobs(ZipArchive.parseTar(new Uint8Array(await blob.arrayBuffer()))).applyLimits(limits);
+    }
+
+    // Map of path to Blob for the regular files of a tar archive (ustar, GNU long names and pax paths)
+    static parseTar(bytes) {
+        const files = new Map();
+        const decoder = new TextDecoder();
+        const text = (offset, length) => decoder.decode(bytes.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+        let longName = null;
+        let offset = 0;
+        while (offset + 512 <= bytes.length) {
+            // Two empty blocks end the archive
+            if (bytes.subarray(offset, offset + 512).every(byte => byte === 0)) break;
+            const size = parseInt(text(offset + 124, 12).trim(), 8) || 0;
+            const type = String.fromCharCode(bytes[offset + 156] || 0x30);
+            const prefix = text(offset + 257, 6) === 'ustar' ? text(offset + 345, 155) : '';
+            const name = longName || (prefix ? `${prefix}/${text(offset, 100)}` : text(offset, 100));
+            const data = bytes.subarray(offset + 512, offset + 512 + size);
+            longName = null;
+
+            if (type === 'L') {
+                longName = decoder.decode(data).replace(/\0.*$/s, '');
+            } else if (type === 'x') {
+                const path = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(decoder.decode(data));
+                if (path) longName = path[1];
+            } else if (type === '0' || type === '\0' || type === '7') {
+                files.set(name.replace(/^\.\//, ''), new Blob([data]));
+            }
+            offset += 512 + Math.ceil(size / 512) * 512;
+        }
+        return files;
+    }
+
+    // Entries served from a Map of path to Blob
+    static fromBlobs(blobs) {
+        const archive = new ZipArchive();
+        blobs.forEach((blob, path) => {
+            archive.files[path] = {
+                name: path,
+                dir: false,
+                size: blob.size,
+                async: async (type, onUpdate) => {
+                    const data = await ZipArchive.readBlob(blob, type);
+                    if (onUpdate) onUpdate(1);
+                    return data;
+                }
+            };
+        });
+        return archive;
+    }
+
+    // Blob contents in the JSZip output types the viewer asks for
+    static async readBlob(blob, type) {
+        if (type === 'blob') return blob;
+        return SafetyPolicy.bytesAs(new Uint8Array(await blob.arrayBuffer()), type);
+    }
+
+    // Total uncompressed size of a set of entries, for progress reporting
+    static totalSize(entries) {
+        return entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    }
+
+    async openInWorker(file) {
+        // The worker loads the same JSZip build as the page
+        const script = document.querySelector('script[src*="jszip"]');
+        this.worker = new Worker(ZipArchive.WORKER_URL);
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            const error = new Error(e.message || 'ZIP worker failed');
+            this.pending.forEach(({ reject }) => reject(error));
+            this.pending.clear();
+        };
+
+        const { entries } = await this.request({ type: 'open', file, jszipUrl: script ? script.src : '' });
+        entries.forEach(({ path, dir, size, compressedSize }) => {
+            this.files[path] = {
+                name: path,
+                dir,
+                size,
+                compressedSize,
+                async: (type, onUpdate) => this.request({ type: 'read', path, as: type === 'string' ? 'text' : type, limits: this.limits }, onUpdate)
+                    .then(reply => reply.data, err => this.readFailed(path, err))
+            };
+        });
+    }
+
+    request(message, onUpdate = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject, onUpdate });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    handleMessage(reply) {
+        const request = this.pending.get(reply.id);
+        if (!request) return;
+        if (reply.progress !== undefined) {
+            if (request.onUpdate) request.onUpdate(reply.progress);
+            return;
+        }
+        this.pending.delete(reply.id);
+        if (reply.error) {
+            // Errors lose their own properties on the way from the worker
+            const error = new Error(reply.error);
+            if (reply.overLimit) error.overLimit = true;
+            request.reject(error);
+        } else {
+            request.resolve(reply);
+        }
+    }
+
+    close() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        const error = new Error('The ZIP was closed');
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,42 @@
+// Worker side of ZipArchive: keeps the ZIP open and decompresses entries on request
+//
+// Messages carry an id that the reply repeats. 'open' loads the ZIP and lists its
+// entries; 'read' decompresses one entry as text, uint8array or blob within the
+// archive's limits, sending progress messages along the way. The bytes every
+// read unpacks are counted here, where the decompression happens. Errors are
+// sent as their message and whether they are about the limits (overLimit).
+let zip = null;
+let declared = null; // entry sizes from the central directory
+let inflated = null;
+
+self.onmessage = async (e) => {
+    const { id, type } = e.data;
+    try {
+        if (type === 'open') {
+            if (typeof JSZip === 'undefined') importScripts(e.data.jszipUrl);
+            if (typeof TextEncoding === 'undefined') importScripts('text-encoding.js', 'safety.js');
+            // Entry names without the UTF-8 flag are CP437 unless they are valid UTF-8
+            const bytes = new Uint8Array(await e.data.file.arrayBuffer());
+            zip = await JSZip.loadAsync(bytes, { decodeFileName: TextEncoding.decodeFileName });
+            declared = SafetyPolicy.declaredSizes(bytes, TextEncoding.decodeFileName);
+            inflated = SafetyPolicy.inflatedBytes();
+            const entries = Object.values(zip.files).map(file => ({ path: file.name, dir: file.dir, ...SafetyPolicy.entrySizes(file, declared) }));
+            self.postMessage({ id, entries });
+        } else if (type === 'read') {
+            const file = zip && zip.file(e.data.path);
+            if (!file) throw new Error(`No such entry in the ZIP: ${e.data.path}`);
+            let lastPercent = -1;
+            const { compressedSize } = SafetyPolicy.entrySizes(file, declared);
+            const data = await SafetyPolicy.readZipEntry(file, e.data.as, { limits: e.data.limits, inflated, compressedSize }, fraction => {
+                // Whole percents are plenty for a progress bar
+                const percent = Math.floor(fraction * 100);
+                if (percent === lastPercent) return;
+                lastPercent = percent;
+                self.postMessage({ id, progress: percent / 100 });
+            });
+            self.postMessage({ id, data }, data instanceof Uint8Array ? [data.buffer] : []);
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err), overLimit: !!err.overLimit });
+    }
+};
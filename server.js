@@ -1,19 +1,135 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
+const { ZipLibrary } = require('./lib/zip-library');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Library mode: `node server.js --library <dir>` (or LIBRARY_DIR) serves the ZIPs in a directory
+const libraryArg = process.argv.indexOf('--library');
+const LIBRARY_DIR = libraryArg !== -1 ? process.argv[libraryArg + 1] : process.env.LIBRARY_DIR;
+const library = LIBRARY_DIR ? new ZipLibrary(LIBRARY_DIR) : null;
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// PDF renderer for the source PDF pane, served from the installed package so it works offline
+app.use('/vendor/pdfjs', express.static(path.join(__dirname, 'node_modules', 'pdfjs-dist', 'build')));
+
 // Serve index.html for root route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// REST API of the library. ZIP names are library-relative paths, sent as one URL-encoded segment
+const api = express.Router();
+
+api.use((req, res, next) => {
+    if (!library) return res.status(404).json({ error: 'The server is not running in library mode' });
+    next();
+});
+
+api.get('/zips', (req, res, next) => {
+    try {
+        res.json({ zips: library.list() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+api.get('/zips/:zip', async (req, res, next) => {
+    try {
+        const metadata = await library.metadata(req.params.zip);
+        if (!metadata) return res.status(404).json({ error: `No such ZIP: ${req.params.zip}` });
+        res.json(metadata);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The whole ZIP, which the viewer opens for permalinks
+api.get('/zips/:zip/file', (req, res) => {
+    const fullPath = library.resolve(req.params.zip);
+    if (!fullPath) return res.status(404).json({ error: `No such ZIP: ${req.params.zip}` });
+    res.sendFile(fullPath);
+});
+
+// Review annotations of a ZIP, stored as JSON next to it
+api.get('/zips/:zip/annotations', (req, res, next) => {
+    try {
+        const data = library.readAnnotations(req.params.zip);
+        if (!data) return res.status(404).json({ error: `No such ZIP: ${req.params.zip}` });
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Comments are added, changed and deleted one at a time, so reviewers never overwrite each other's;
+// every change answers with all comments of the ZIP
+const annotationChange = change => [express.json({ limit: '64kb' }), (req, res, next) => {
+    try {
+        const data = change(req);
+        if (!data) return res.status(404).json({ error: `No such ZIP: ${req.params.zip}` });
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+}];
+
+api.post('/zips/:zip/annotations', annotationChange(req => library.addAnnotation(req.params.zip, req.body)));
+api.patch('/zips/:zip/annotations/:id', annotationChange(req => library.updateAnnotation(req.params.zip, req.params.id, req.body)));
+api.delete('/zips/:zip/annotations/:id', annotationChange(req => library.removeAnnotation(req.params.zip, req.params.id)));
+
+// Entry types sent with their own content type; anything else (HTML, SVG, scripts, ...) is sent as
+// application/octet-stream, so an entry opened from the API can never run as a page of this origin
+const INLINE_TYPES = {
+    '.xml': 'application/xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
+};
+
+// One entry, decompressed as it is sent
+api.get('/zips/:zip/entries/*', async (req, res, next) => {
+    try {
+        const entry = await library.entry(req.params.zip, req.params[0]);
+        if (!entry) return res.status(404).json({ error: `No such entry: ${req.params[0]}` });
+        res.set({
+            'Content-Type': INLINE_TYPES[path.extname(entry.name).toLowerCase()] || 'application/octet-stream',
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': 'sandbox'
+        });
+        entry.nodeStream().on('error', next).pipe(res);
+    } catch (err) {
+        next(err);
+    }
+});
+
+api.use((err, req, res, next) => {
+    // Client errors (such as a malformed JSON body) carry their own status
+    if (!err.status || err.status >= 500) console.error('Library request failed:', err);
+    res.status(err.status || 500).json({ error: err.message });
+});
+
+app.use('/api', api);
+
+// Permalinks: /view/<zip>/<xml>#<id> loads the page, which opens the document itself.
+// A base URL keeps the page's relative script and style URLs working at any depth.
+const indexHtml = fs.readFileSync(path.join(__dirname, 'public', 'index.html'), 'utf8').replace('<head>', '<head>\n    <base href="/">');
+app.get('/view/*', (req, res) => {
+    res.type('html').send(indexHtml);
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`XML Viewer is running at http://localhost:${PORT}`);
+    if (library) console.log(`Serving the ZIP library in ${library.root}`);
     console.log('Press Ctrl+C to stop the server');
 });
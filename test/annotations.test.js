@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HeadlessViewer, zipOf } = require('./helpers');
+const { ZipLibrary } = require('../lib/zip-library');
+
+const comment = (id, fields = {}) => ({
+    id, file: 'doc.xml', xpath: '/doc[1]', offset: -1, quote: '', comment: 'Check this', severity: 'minor',
+    status: 'open', author: 'R', created: '2024-05-01T10:00:00.000Z', updated: '2024-05-01T10:00:00.000Z', ...fields
+});
+
+test('annotation changes of different reviewers are all kept', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+    try {
+        fs.writeFileSync(path.join(root, 'book.zip'), await zipOf({ 'doc.xml': '<doc/>' }).generateAsync({ type: 'nodebuffer' }));
+        const library = new ZipLibrary(root);
+        library.addAnnotation('book.zip', comment('a1'));
+        library.addAnnotation('book.zip', comment('a2'));
+        library.updateAnnotation('book.zip', 'a1', { status: 'resolved' });
+        const data = library.removeAnnotation('book.zip', 'a2');
+        assert.deepStrictEqual(data.annotations.map(item => [item.id, item.status]), [['a1', 'resolved']]);
+
+        assert.throws(() => library.addAnnotation('book.zip', comment('a1')), err => err.status === 409);
+        assert.throws(() => library.addAnnotation('book.zip', comment('a3', { comment: 'x'.repeat(10001) })), err => err.status === 400);
+        assert.throws(() => library.addAnnotation('book.zip', comment('a3', { extra: 1 })), /Unknown annotation field "extra"/);
+        assert.throws(() => library.updateAnnotation('book.zip', 'a1', { xpath: '/other' }), err => err.status === 400);
+        assert.throws(() => library.removeAnnotation('book.zip', 'a9'), err => err.status === 404);
+        assert.strictEqual(library.addAnnotation('missing.zip', comment('a3')), null);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('CSV cells that look like formulas are kept as text', async () => {
+    const headless = await HeadlessViewer.create();
+    try {
+        const { Annotations } = headless.classes;
+        const annotations = new Annotations('book.zip');
+        annotations.items = [comment('a1', { comment: '=HYPERLINK("http://example.com")', quote: '+1', author: '@me' })];
+        const row = annotations.toCsv().split('\r\n')[1];
+        assert.strictEqual(row, `a1,doc.xml,/doc[1],-1,'+1,"'=HYPERLINK(""http://example.com"")",minor,open,'@me,2024-05-01T10:00:00.000Z,2024-05-01T10:00:00.000Z`);
+    } finally {
+        headless.close();
+    }
+});
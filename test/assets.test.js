@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+test('DocBook fileref and entityref images resolve, images without a source are unresolved', async () => {
+    const { viewer } = await renderZip(headless, {
+        'book/doc.xml': `<!DOCTYPE book [
+            <!ENTITY fig2 SYSTEM "images/fig2.png" NDATA png>
+        ]>
+        <book>
+            <imagedata fileref="fig1.png"/>
+            <imagedata entityref="fig2"/>
+            <imagedata/>
+        </book>`,
+        'book/fig1.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+        'book/images/fig2.png': Buffer.from([0x89, 0x50, 0x4e, 0x47])
+    });
+    const references = Array.from(viewer.assets.references, ref => [ref.src, ref.match.path]);
+    assert.deepStrictEqual(references, [['fig1.png', 'book/fig1.png'], ['images/fig2.png', 'book/images/fig2.png'], ['', null]]);
+    assert.strictEqual(viewer.assets.unresolved.length, 1);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const master = body => `<!DOCTYPE book [
+    <!ENTITY ch1 SYSTEM "ch1.xml">
+]>
+<book>${body}</book>`;
+
+test('entity references in comments and CDATA sections are left as they are', async () => {
+    const { viewer } = await renderZip(headless, {
+        'book.xml': master('<!-- &ch1; --><code><![CDATA[x &ch1; y]]></code>&ch1;'),
+        'ch1.xml': '<chapter>One</chapter>'
+    });
+    const [book] = viewer.book.books;
+    assert.strictEqual(book.xmlFile.parsed.getElementsByTagName('chapter').length, 1);
+    assert.match(book.xmlFile.content, /<!-- &ch1; -->/);
+    assert.strictEqual(book.xmlFile.parsed.getElementsByTagName('code')[0].textContent, 'x &ch1; y');
+});
+
+test('a book whose includes multiply past the size limit is reported, not assembled', async () => {
+    const files = { 'book.xml': '' };
+    const declarations = [];
+    for (let level = 1; level <= 8; level++) {
+        declarations.push(`<!ENTITY l${level} SYSTEM "l${level}.xml">`);
+        files[`l${level}.xml`] = level < 8 ? `<p>${`&l${level + 1};`.repeat(10)}</p>` : '<p>lol</p>';
+    }
+    files['book.xml'] = `<!DOCTYPE book [${declarations.join('')}]><book>${'&l1;'.repeat(10)}</book>`;
+
+    const BookAssembly = (await renderZip(headless, { 'doc.xml': '<doc/>' })).viewer.book.constructor;
+    const limit = BookAssembly.MAX_SIZE;
+    BookAssembly.MAX_SIZE = 100000;
+    try {
+        const { viewer } = await renderZip(headless, files);
+        const problems = viewer.book.problems.filter(problem => problem.type === 'too-large');
+        assert.strictEqual(problems.length, 1);
+        assert.match(problems[0].message, /^Book too large: .* past 100000 characters/);
+        assert.strictEqual(viewer.book.books[0].xmlFile.parsed.documentElement.localName, 'include-problem');
+    } finally {
+        BookAssembly.MAX_SIZE = limit;
+    }
+});
+
+test('copies of an element of the same document count toward the size limit', async () => {
+    const includes = '<xi:include xmlns:xi="http://www.w3.org/2001/XInclude" xpointer="big"/>'.repeat(50);
+    const files = {
+        'book.xml': `<book><p xml:id="big">${'x'.repeat(5000)}</p>${includes}<xi:include xmlns:xi="http://www.w3.org/2001/XInclude" href="ch1.xml"/></book>`,
+        'ch1.xml': '<chapter/>'
+    };
+    const BookAssembly = (await renderZip(headless, { 'doc.xml': '<doc/>' })).viewer.book.constructor;
+    const limit = BookAssembly.MAX_SIZE;
+    BookAssembly.MAX_SIZE = 100000;
+    try {
+        const { viewer } = await renderZip(headless, files);
+        assert.strictEqual(viewer.book.problems.filter(problem => problem.type === 'too-large').length, 1);
+    } finally {
+        BookAssembly.MAX_SIZE = limit;
+    }
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { zipOf } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+test('image elements without a source fail the missing-images check', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'book.zip'), await zipOf({ 'doc.xml': '<doc><img/></doc>' }).generateAsync({ type: 'nodebuffer' }));
+        const run = spawnSync(process.execPath, [CLI, 'book.zip', '--no-html'], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(run.status, 1, run.stderr);
+        const report = JSON.parse(fs.readFileSync(path.join(dir, 'xml-viewer-output', 'report.json'), 'utf8'));
+        assert.deepStrictEqual(report.packages[0].files[0].findings['missing-images'], ['<img> names no image source']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
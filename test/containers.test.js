@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+// Tarballs are read with Blob.arrayBuffer and gunzipped with DecompressionStream, which jsdom lacks, so they run in Node itself
+const read = file => fs.readFileSync(path.join(__dirname, '..', 'public', file), 'utf8');
+const { ZipArchive, DocumentContainer } = vm.runInNewContext(
+    `${read('safety.js')}\n${read('zip-archive.js')}\n${read('containers.js')}\n({ ZipArchive, DocumentContainer })`,
+    { TextDecoder, Blob, DecompressionStream }
+);
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+// One ustar entry: header block and data padded to whole blocks
+function tarEntry(name, data, type = '0', prefix = '') {
+    data = Buffer.from(data);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(type, 156);
+    header.write('ustar\0' + '00', 257);
+    header.write(prefix, 345, 155);
+    header.write(' '.repeat(8), 148);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    return Buffer.concat([header, data, Buffer.alloc((512 - data.length % 512) % 512)]);
+}
+
+const LONG_NAME = `img/${'n'.repeat(120)}.png`;
+const PAX_NAME = `pax/${'n'.repeat(120)}.png`;
+const TAR = Buffer.concat([
+    tarEntry('./doc.xml', '<doc/>'),
+    tarEntry('././@LongLink', LONG_NAME, 'L'),
+    tarEntry('truncated', Buffer.from([1, 2])),
+    // A pax record counts its own length: three digits, a space, "path=" and a newline
+    tarEntry('pax', `${PAX_NAME.length + 10} path=${PAX_NAME}\n`, 'x'),
+    tarEntry('short.png', Buffer.from([3])),
+    tarEntry('dir/', '', '5'),
+    tarEntry('a.xml', '<a/>', '0', 'deep/er'),
+    Buffer.alloc(1024)
+]);
+
+test('tar entries keep long GNU, pax and ustar prefix names, without directories', async () => {
+    const files = ZipArchive.parseTar(new Uint8Array(TAR));
+    assert.deepStrictEqual([...files.keys()], ['doc.xml', LONG_NAME, PAX_NAME, 'deep/er/a.xml']);
+    assert.deepStrictEqual([...new Uint8Array(await files.get(LONG_NAME).arrayBuffer())], [1, 2]);
+});
+
+test('gzipped tarballs open as archives, within the compression ratio limit', async () => {
+    const opened = await DocumentContainer.open([new File([zlib.gzipSync(TAR)], 'delivery.tar.gz')]);
+    assert.strictEqual(opened.kind, 'tar');
+    assert.strictEqual(await opened.archive.files['deep/er/a.xml'].async('text'), '<a/>');
+
+    const bomb = zlib.gzipSync(Buffer.concat([tarEntry('zeros.xml', Buffer.alloc(4 * 1024 * 1024)), Buffer.alloc(1024)]));
+    await assert.rejects(DocumentContainer.open([new File([bomb], 'bomb.tgz')]), error => error.overLimit && /compressed more than the 200:1 limit/.test(error.message));
+});
+
+test('EPUBs show the content documents of their spine in reading order', async () => {
+    const { viewer, html } = await renderZip(headless, {
+        'mimetype': 'application/epub+zip',
+        'META-INF/container.xml': `<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles>
+            <rootfile full-path="OPS/book.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`,
+        'OPS/book.opf': `<package xmlns="http://www.idpf.org/2007/opf" version="3.0"><manifest>
+            <item id="a" href="text/a.xhtml" media-type="application/xhtml+xml"/><item id="b" href="text/b.xhtml" media-type="application/xhtml+xml"/>
+            <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        </manifest><spine><itemref idref="b"/><itemref idref="a"/></spine></package>`,
+        'OPS/text/a.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml"><body><p>A</p></body></html>',
+        'OPS/text/b.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml"><body><h1>B</h1><img src="../img/x.png"/></body></html>',
+        'OPS/nav.xhtml': '<html xmlns="http://www.w3.org/1999/xhtml"><body/></html>',
+        'OPS/img/x.png': Buffer.from([1])
+    });
+    assert.deepStrictEqual(Array.from(viewer.xmlFiles, xmlFile => xmlFile.path), ['OPS/text/b.xhtml', 'OPS/text/a.xhtml']);
+    assert.strictEqual(viewer.profileSelector.value, 'preset:xhtml');
+    assert.match(html, /<h1 [^>]*class="xml-title">B<\/h1>/);
+    assert.match(html, /data-image-path="OPS\/img\/x\.png"/);
+});
+
+test('DOCX images and links are resolved through the relationship IDs', async () => {
+    const { viewer, html } = await renderZip(headless, {
+        '[Content_Types].xml': '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+        'word/document.xml': `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+            xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+            <w:body><w:p><w:r><w:t>Hello</w:t></w:r></w:p><w:p><w:r><w:drawing><a:blip r:embed="rId5"/></w:drawing></w:r></w:p>
+            <w:p><w:hyperlink r:id="rId6"><w:r><w:t>Site</w:t></w:r></w:hyperlink></w:p></w:body></w:document>`,
+        'word/_rels/document.xml.rels': `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+            <Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image1.png"/>
+            <Relationship Id="rId6" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://example.com/" TargetMode="External"/>
+        </Relationships>`,
+        'word/media/image1.png': Buffer.from([1])
+    });
+    assert.deepStrictEqual(Array.from(viewer.xmlFiles, xmlFile => xmlFile.path), ['word/document.xml']);
+    assert.match(html, /data-image-path="word\/media\/image1\.png"/);
+    assert.match(html, /<a [^>]*class="xml-link" href="https:\/\/example\.com\/"[^>]*>.*Site/s);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, zipOf, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+    // jsdom has no blob URLs; the old images only need some URL for their previews
+    headless.window.URL.createObjectURL = () => 'blob:old';
+});
+test.after(() => headless.close());
+
+const NEW = {
+    'doc.xml': '<doc><p id="a">Same</p><p id="b" role="x">New words here</p><p>Inserted</p></doc>',
+    'other.xml': '<doc/>',
+    'img/a.png': Buffer.from([1, 2, 3]),
+    'img/c.png': Buffer.from([7])
+};
+const OLD = {
+    'doc.xml': '<doc><p id="a">Same</p><p id="b" role="y">Old words here</p><p>Deleted</p><note>Gone</note></doc>',
+    'img/a.png': Buffer.from([1, 2, 4]),
+    'img/b.png': Buffer.from([5])
+};
+
+async function compare(viewer, files) {
+    const bytes = await zipOf(files).generateAsync({ type: 'nodebuffer' });
+    await viewer.loadComparison(new headless.window.File([bytes], 'old.zip'));
+    return viewer.comparison;
+}
+
+test('a second ZIP is compared file by file and image by image', async () => {
+    const { viewer } = await renderZip(headless, NEW);
+    const comparison = await compare(viewer, OLD);
+    assert.strictEqual(comparison.pairs[1].oldFile, null);
+    const diff = comparison.pairs[0].diff;
+    assert.deepStrictEqual({ ...diff.stats }, { inserted: 0, deleted: 1, text: 2, attributes: 1 });
+
+    const { added, removed, changed, unchanged } = comparison.images;
+    assert.deepStrictEqual({ added: [...added], removed: [...removed], changed: Array.from(changed, change => change.path), unchanged },
+        { added: ['img/c.png'], removed: ['img/b.png'], changed: ['img/a.png'], unchanged: 0 });
+    assert.match(viewer.diffResults.textContent, /other\.xml\s*added/);
+});
+
+test('changes are marked in the rendered view and side by side in the raw view', async () => {
+    const { viewer } = await renderZip(headless, NEW);
+    await compare(viewer, OLD);
+    const view = viewer.renderedView;
+    assert.strictEqual(view.querySelector('#xml-id-b').getAttribute('title'), 'role: y → x');
+    assert.deepStrictEqual(Array.from(view.querySelectorAll('#xml-id-b del, #xml-id-b ins'), node => node.outerHTML),
+        ['<del class="diff-deleted">Old</del>', '<ins class="diff-inserted">New</ins>']);
+    assert.strictEqual(view.querySelector('[data-diff="deleted"]').textContent, 'NoteGone');
+
+    viewer.switchView('raw');
+    const rows = Array.from(viewer.rawView.querySelectorAll('.raw-diff-row'),
+        row => `${row.className.replace('raw-diff-row raw-diff-', '')}: ${Array.from(row.querySelectorAll('.raw-code'), code => code.textContent).join(' | ')}`);
+    assert.deepStrictEqual(rows, [
+        'equal: <doc> | <doc>',
+        'equal: <p id="a">Same</p> | <p id="a">Same</p>',
+        'changed: <p id="b" role="y">Old words here</p> | <p id="b" role="x">New words here</p>',
+        'changed: <p>Deleted</p> | <p>Inserted</p>',
+        'deleted: <note>Gone</note>',
+        'equal: </doc> | </doc>'
+    ]);
+    viewer.switchView('rendered');
+});
+
+test('siblings stay aligned around inserted content', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': '<doc><p>One</p><p>New</p><p>Two</p><p>Three</p></doc>' });
+    const diff = (await compare(viewer, { 'doc.xml': '<doc><p>One</p><p>Two</p><p>Three</p></doc>' })).pairs[0].diff;
+    assert.deepStrictEqual({ ...diff.stats }, { inserted: 1, deleted: 0, text: 0, attributes: 0 });
+    assert.strictEqual(diff.entries[0].newNode.textContent, 'New');
+});
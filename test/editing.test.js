@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+test('text edits change the source and can be undone', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': '<doc>\n  <p id="a">Old &amp; tired</p>\n</doc>' });
+    viewer.editElementText(1, 'New <text>');
+    const xmlFile = viewer.xmlFiles[0];
+    assert.strictEqual(xmlFile.content, '<doc>\n  <p id="a">New &lt;text&gt;</p>\n</doc>');
+    assert.strictEqual(xmlFile.parsed.getElementsByTagName('p')[0].textContent, 'New <text>');
+    assert.match(viewer.renderedView.textContent, /New <text>/);
+    viewer.undoEdit();
+    assert.strictEqual(viewer.xmlFiles[0].content, '<doc>\n  <p id="a">Old &amp; tired</p>\n</doc>');
+});
+
+test('elements without a start tag in the source are not edited', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': '<doc><p>x</p></doc>' });
+    const before = viewer.xmlFiles[0].content;
+    viewer.editElementText(5, 'nothing there');
+    assert.strictEqual(viewer.xmlFiles[0].content, before);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, zipOf } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const utf16 = (text, littleEndian) => {
+    const bytes = Buffer.from(text, 'utf16le');
+    return littleEndian ? bytes : bytes.swap16();
+};
+
+test('byte-order marks, then declarations, then UTF-8 decide the encoding', () => {
+    const { TextEncoding } = headless.classes;
+    const read = bytes => {
+        const { text, encoding } = TextEncoding.decode(new Uint8Array(bytes));
+        return `${TextEncoding.describe(encoding)}: ${text.replace(/^\uFEFF/, '')}`;
+    };
+    assert.strictEqual(read(Buffer.from('\uFEFF<?xml version="1.0" encoding="ISO-8859-1"?><d>é</d>')),
+        'UTF-8 (byte-order mark, declared ISO-8859-1): <?xml version="1.0" encoding="ISO-8859-1"?><d>é</d>');
+    assert.strictEqual(read(utf16('\uFEFF<d>é</d>', true)), 'UTF-16LE (byte-order mark): <d>é</d>');
+    assert.strictEqual(read(utf16('<?xml version="1.0" encoding="UTF-16"?><d>é</d>', false)),
+        'UTF-16 (encoding declaration, read as utf-16be): <?xml version="1.0" encoding="UTF-16"?><d>é</d>');
+    assert.strictEqual(read(Buffer.from('<?xml version="1.0" encoding="windows-1251"?><d>\xe6</d>', 'latin1')),
+        'windows-1251 (encoding declaration): <?xml version="1.0" encoding="windows-1251"?><d>ж</d>');
+    assert.strictEqual(read(Buffer.from('<d>na\xefve \x80</d>', 'latin1')), 'windows-1252 (not valid UTF-8): <d>naïve €</d>');
+    assert.strictEqual(read(Buffer.from('<d>é</d>')), 'UTF-8 (no declaration): <d>é</d>');
+});
+
+test('edited text is written back in the encoding it was read in', () => {
+    const { TextEncoding } = headless.classes;
+    const roundTrip = bytes => {
+        const { text, encoding } = TextEncoding.decode(new Uint8Array(bytes));
+        return Buffer.from(TextEncoding.encode(text.replace(/^\uFEFF/, ''), encoding));
+    };
+    for (const bytes of [
+        utf16('\uFEFF<d>é</d>', true),
+        utf16('<?xml version="1.0" encoding="UTF-16"?><d>é</d>', false),
+        Buffer.from('\uFEFF<d>é</d>'),
+        Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><d>caf\xe9</d>', 'latin1')
+    ]) {
+        assert.deepStrictEqual(roundTrip(bytes), bytes);
+    }
+
+    const latin1 = TextEncoding.decode(new Uint8Array(Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><d/>', 'latin1'))).encoding;
+    assert.strictEqual(Buffer.from(TextEncoding.encode('<d>é ж</d>', latin1)).toString('latin1'), '<d>\xe9 &#x436;</d>');
+    // Without an encoder for Shift_JIS the file becomes UTF-8 and says so
+    const sjis = TextEncoding.decode(new Uint8Array(Buffer.from('<?xml version="1.0" encoding="Shift_JIS"?><d/>'))).encoding;
+    assert.strictEqual(Buffer.from(TextEncoding.encode('<?xml version="1.0" encoding="Shift_JIS"?><d>日本</d>', sjis)).toString(),
+        '<?xml version="1.0" encoding="UTF-8"?><d>日本</d>');
+});
+
+test('ZIP entries are decoded from their bytes, CP437 names included, and can be read again by hand', async () => {
+    const { TextEncoding } = headless.classes;
+    const zip = zipOf({
+        'x.xml': Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><doc>caf\xe9</doc>', 'latin1'),
+        'y.xml': Buffer.from('<doc>na\xefve</doc>', 'latin1')
+    });
+    // "Über.xml" in CP437, without the UTF-8 flag
+    const bytes = await zip.generateAsync({ type: 'nodebuffer', encodeFileName: name => name === 'x.xml' ? Buffer.from([0x9A, ...Buffer.from('ber.xml')]) : Buffer.from(name) });
+    await headless.open(bytes);
+    const viewer = headless.viewer;
+    assert.deepStrictEqual(Array.from(viewer.xmlFiles, xmlFile => `${xmlFile.path}: ${xmlFile.content}`),
+        ['Über.xml: <?xml version="1.0" encoding="ISO-8859-1"?><doc>café</doc>', 'y.xml: <doc>naïve</doc>']);
+    assert.strictEqual(headless.inspect(0).encoding, 'ISO-8859-1 (encoding declaration)');
+
+    viewer.currentXmlIndex = 0;
+    viewer.renderCurrentXML();
+    assert.strictEqual(viewer.encodingSelector.options[0].textContent, 'Encoding: ISO-8859-1 (encoding declaration)');
+    await viewer.setEncoding('UTF-8');
+    assert.strictEqual(viewer.xmlFiles[0].content, '<?xml version="1.0" encoding="ISO-8859-1"?><doc>caf\uFFFD</doc>');
+    assert.strictEqual(viewer.encodingSelector.value, 'UTF-8');
+    assert.strictEqual(TextEncoding.describe(viewer.xmlFiles[0].encoding), 'UTF-8 (chosen by hand, declared ISO-8859-1)');
+    await viewer.setEncoding('auto');
+    assert.strictEqual(viewer.renderedView.textContent, 'café');
+});
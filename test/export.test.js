@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, JSZip, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const FILES = {
+    'ch1.xml': `<chapter xml:lang="de" id="c1"><title>Chapter One</title>
+        <section><title>Part A</title><p>See <xref linkend="c2"/> and <xref linkend="pa"/>.</p><graphic href="img/a.png"/><graphic href="img/b.tif"/></section>
+        <p id="pa">Target</p></chapter>`,
+    'ch2.xml': '<chapter id="c2"><title>Chapter Two</title><p>Text</p></chapter>',
+    'img/a.png': Buffer.from([137, 80, 78, 71]),
+    'img/b.tif': Buffer.from([1, 2, 3])
+};
+
+// Run an export action; gives the downloaded {blob, name}
+async function exported(viewer, action) {
+    const downloads = [];
+    viewer.downloadBlob = (blob, name) => downloads.push({ blob, name });
+    try {
+        await viewer[action]();
+    } finally {
+        delete viewer.downloadBlob;
+    }
+    assert.strictEqual(downloads.length, 1);
+    return downloads[0];
+}
+
+const textOf = blob => new Promise((resolve, reject) => {
+    const reader = new headless.window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+});
+
+test('HTML export is one page with images inlined and only links within the file', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    const { blob, name } = await exported(viewer, 'exportHtml');
+    assert.strictEqual(name, 'ch1.html');
+    const page = new headless.window.DOMParser().parseFromString(await textOf(blob), 'text/html');
+    assert.strictEqual(page.title, 'ch1.xml');
+    assert.ok(page.querySelector('head style'));
+    assert.strictEqual(page.querySelector('[data-node], [data-outline]'), null);
+    assert.deepStrictEqual(Array.from(page.querySelectorAll('img'), img => img.getAttribute('src')),
+        ['data:image/png;base64,iVBORw==', 'data:image/tiff;base64,AQID']);
+    // The other chapter is not part of the page
+    assert.deepStrictEqual(Array.from(page.querySelectorAll('a.xml-xref'), link => link.getAttribute('href')), [null, '#xml-id-pa']);
+    assert.deepStrictEqual(Array.from(page.querySelectorAll('h1'), heading => heading.id), ['toc-0-0', 'toc-0-1']);
+});
+
+test('EPUB export packages every file with navigation from the headings and the images', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    const { blob, name } = await exported(viewer, 'exportEpub');
+    assert.strictEqual(name, 'document.epub');
+    const bytes = Buffer.from(await blob.arrayBuffer());
+    // The media type comes first, stored uncompressed
+    assert.strictEqual(bytes.toString('latin1', 30, 38), 'mimetype');
+    assert.strictEqual(bytes.readUInt16LE(8), 0);
+
+    const zip = await JSZip.loadAsync(bytes);
+    const read = path => zip.file(path).async('string');
+    assert.strictEqual(await read('mimetype'), 'application/epub+zip');
+    assert.match(await read('META-INF/container.xml'), /full-path="OEBPS\/content\.opf"/);
+    assert.ok(zip.file('OEBPS/images/img/a.png'));
+    assert.strictEqual(zip.file('OEBPS/images/img/b.tif'), null);
+    assert.match(viewer.editStatus.textContent, /1 image left out .*: img\/b\.tif/);
+
+    const opf = await read('OEBPS/content.opf');
+    assert.match(opf, /<dc:language>de<\/dc:language>/);
+    assert.deepStrictEqual([...opf.matchAll(/<itemref idref="([^"]+)"\/>/g)].map(match => match[1]), ['doc1', 'doc2']);
+    assert.match(opf, /<item id="img1" href="images\/img\/a\.png" media-type="image\/png"\/>/);
+
+    const nav = await read('OEBPS/nav.xhtml');
+    assert.deepStrictEqual([...nav.matchAll(/<a href="([^"]+)">([^<]+)<\/a>/g)].map(match => `${match[2]}: ${match[1]}`),
+        ['Chapter One: text/doc001.xhtml#toc-0-0', 'Part A: text/doc001.xhtml#toc-0-1', 'Chapter Two: text/doc002.xhtml#toc-1-0']);
+
+    // Content documents are well-formed XHTML with links across files
+    const chapter = new headless.window.DOMParser().parseFromString(await read('OEBPS/text/doc001.xhtml'), 'application/xhtml+xml');
+    assert.strictEqual(chapter.getElementsByTagName('parsererror').length, 0);
+    assert.deepStrictEqual(Array.from(chapter.querySelectorAll('a.xml-xref'), link => link.getAttribute('href')), ['doc002.xhtml#xml-id-c2', '#xml-id-pa']);
+    assert.strictEqual(chapter.querySelector('img').getAttribute('src'), '../images/img/a.png');
+});
@@ -0,0 +1,19 @@
+// Shared setup: one headless viewer per test file, ZIPs built in memory
+const JSZip = require('jszip');
+const { HeadlessViewer } = require('../lib/headless-viewer');
+
+// files: {path: text or Buffer}
+function zipOf(files) {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+    return zip;
+}
+
+// The viewer with the ZIP open and its first file rendered; gives {viewer, html}
+async function renderZip(headless, files, options = {}) {
+    await headless.open(zipOf(files), options);
+    const html = await headless.render(0);
+    return { viewer: headless.viewer, html };
+}
+
+module.exports = { HeadlessViewer, JSZip, zipOf, renderZip };
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+// The decoders need no DOM, and Deflate needs the DecompressionStream jsdom lacks, so they run in Node itself
+const { ImageDecoder } = vm.runInThisContext(
+    `${fs.readFileSync(path.join(__dirname, '..', 'public', 'image-decoder.js'), 'utf8')}\n({ ImageDecoder })`
+);
+
+// Little-endian TIFF with one page; fields: [[tag, values]], all LONG. Strip offsets and byte counts are added
+function tiff(fields, strips) {
+    const entries = [...fields, [273, strips.map(() => 0)], [279, strips.map(strip => strip.length)]].sort((a, b) => a[0] - b[0]);
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let extra = 8 + ifdSize;
+    const placed = entries.map(([tag, values]) => {
+        const at = values.length > 1 ? extra : null;
+        if (at !== null) extra += values.length * 4;
+        return { tag, values, at };
+    });
+    let dataAt = extra;
+    const offsets = strips.map(strip => (dataAt += strip.length) - strip.length);
+    placed.find(entry => entry.tag === 273).values = offsets;
+
+    const bytes = Buffer.alloc(dataAt);
+    bytes.write('II', 0, 'latin1');
+    bytes.writeUInt16LE(42, 2);
+    bytes.writeUInt32LE(8, 4);
+    bytes.writeUInt16LE(placed.length, 8);
+    placed.forEach(({ tag, values, at }, i) => {
+        const entry = 10 + i * 12;
+        bytes.writeUInt16LE(tag, entry);
+        bytes.writeUInt16LE(4, entry + 2);
+        bytes.writeUInt32LE(values.length, entry + 4);
+        if (at === null) bytes.writeUInt32LE(values[0], entry + 8);
+        else {
+            bytes.writeUInt32LE(at, entry + 8);
+            values.forEach((value, n) => bytes.writeUInt32LE(value, at + n * 4));
+        }
+    });
+    strips.forEach((strip, i) => Buffer.from(strip).copy(bytes, offsets[i]));
+    return new Uint8Array(bytes);
+}
+
+// Gray values of the decoded pixels (red channel)
+async function grays(bytes) {
+    const { data } = await ImageDecoder.forBytes(bytes).decode();
+    return Array.from(data.filter((_, i) => i % 4 === 0));
+}
+
+const gray = (compression, strips, extra = []) => tiff([[256, [4]], [257, [1]], [258, [8]], [259, [compression]], [262, [1]], [277, [1]], [278, [1]], ...extra], strips);
+// One row of 8 pixels with pixels 2 to 5 black, bilevel WhiteIsZero
+const bilevel = (compression, row) => tiff([[256, [8]], [257, [1]], [258, [1]], [259, [compression]], [277, [1]], [278, [1]]], [row]);
+
+test('TIFF strips decode uncompressed and with PackBits, LZW and Deflate', async () => {
+    const pixels = [10, 20, 30, 40];
+    assert.deepStrictEqual(await grays(gray(1, [pixels])), pixels);
+    // A literal run of two, then 30 repeated twice
+    assert.deepStrictEqual(await grays(gray(32773, [[1, 10, 20, 255, 30]])), [10, 20, 30, 30]);
+    assert.deepStrictEqual(await grays(gray(8, [zlib.deflateSync(Buffer.from(pixels))])), pixels);
+
+    // 9-bit codes: clear, A, B, then 258 (the AB just added), end of information
+    const codes = [256, 65, 66, 258, 257].map(code => code.toString(2).padStart(9, '0')).join('').padEnd(48, '0');
+    const lzw = codes.match(/.{8}/g).map(bits => parseInt(bits, 2));
+    assert.deepStrictEqual(await grays(gray(5, [lzw])), [65, 66, 65, 66]);
+});
+
+test('CCITT coded TIFF decodes with modified Huffman and Group 4', async () => {
+    const expected = [255, 255, 0, 0, 0, 0, 255, 255];
+    // White 2, black 4, white 2
+    assert.deepStrictEqual(await grays(bilevel(2, [0b01110110, 0b11100000])), expected);
+    // Horizontal mode (white 2, black 4), then vertical 0 to the end of the row
+    assert.deepStrictEqual(await grays(bilevel(4, [0b00101110, 0b11100000])), expected);
+});
+
+test('TIFF pages with a zero strip size or too many pixels are refused', async () => {
+    const started = Date.now();
+    await assert.rejects(ImageDecoder.forBytes(gray(1, [[1, 2, 3, 4]], [[278, [0]]])).decode(), /Invalid TIFF strip size/);
+    await assert.rejects(ImageDecoder.forBytes(tiff([[256, [0x10000]], [257, [0x10000]], [258, [8]], [278, [1]]], [[0]])).decode(), /too large/);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('BMPs decode uncompressed and run-length encoded', async () => {
+    const bmp = (bits, compression, pixelData, palette = []) => {
+        const start = 54 + palette.length * 4;
+        const bytes = Buffer.alloc(start + pixelData.length);
+        bytes.write('BM', 0, 'latin1');
+        bytes.writeUInt32LE(bytes.length, 2);
+        bytes.writeUInt32LE(start, 10);
+        bytes.writeUInt32LE(40, 14);
+        bytes.writeInt32LE(2, 18);
+        bytes.writeInt32LE(2, 22);
+        bytes.writeUInt16LE(1, 26);
+        bytes.writeUInt16LE(bits, 28);
+        bytes.writeUInt32LE(compression, 30);
+        bytes.writeUInt32LE(palette.length, 46);
+        palette.forEach(([r, g, b], i) => bytes.set([b, g, r, 0], 54 + i * 4));
+        Buffer.from(pixelData).copy(bytes, start);
+        return new Uint8Array(bytes);
+    };
+    const rgb = async bytes => {
+        const { data } = await ImageDecoder.forBytes(bytes).decode();
+        return Array.from(data.filter((_, i) => i % 4 !== 3));
+    };
+    // Bottom-up rows of blue-green-red pixels, padded to four bytes
+    const truecolor = bmp(24, 0, [0, 0, 3, 0, 0, 4, 0, 0, 0, 1, 0, 2, 0, 0, 0, 0]);
+    assert.deepStrictEqual(await rgb(truecolor), [0, 1, 0, 0, 0, 2, 3, 0, 0, 4, 0, 0]);
+    // RLE8: a run of two of colour 1, end of line, two of colour 0, end of bitmap
+    const rle = bmp(8, 1, [2, 1, 0, 0, 2, 0, 0, 1], [[9, 9, 9], [200, 100, 50]]);
+    assert.deepStrictEqual(await rgb(rle), [9, 9, 9, 9, 9, 9, 200, 100, 50, 200, 100, 50]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+const copied = [];
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+    // jsdom has no clipboard
+    Object.defineProperty(headless.window.navigator, 'clipboard', { value: { writeText: async text => copied.push(text) } });
+});
+test.after(() => headless.close());
+
+const FILES = {
+    'a.xml': `<doc xmlns="urn:d" xmlns:x="urn:x"><title>Two words</title><p x:role="n">One <b>more</b> here</p><p>Last</p>
+        <widget>W</widget><graphic href="i.png"/><!-- c --></doc>`,
+    'b.xml': '<doc><p id="q">Word</p></doc>'
+};
+
+const click = node => node.dispatchEvent(new headless.window.MouseEvent('click', { bubbles: true }));
+const rowOf = (viewer, elementIndex) => viewer.treeView.querySelector(`.tree-node[data-node="${elementIndex}"]`);
+
+test('the tree shows namespaces, attributes and unmapped tags, and copies XPaths that search finds', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    viewer.switchView('tree');
+    const root = rowOf(viewer, 0);
+    assert.deepStrictEqual(Array.from(root.querySelectorAll(':scope > .tree-ns'), node => node.textContent), ['xmlns="urn:d"', 'xmlns:x="urn:x"']);
+    assert.strictEqual(root.querySelector(':scope > .tree-namespace').textContent, 'urn:d');
+    assert.strictEqual(rowOf(viewer, 2).querySelector('.tree-attr').textContent, 'x:role="n"');
+    assert.deepStrictEqual(Array.from(viewer.treeView.querySelectorAll('.tree-unmapped'), node => node.textContent), ['<doc', '<widget']);
+
+    // Rows below the first levels are built when opened
+    const bold = rowOf(viewer, 3);
+    assert.strictEqual(bold.querySelector('.tree-children').children.length, 0);
+    click(bold.querySelector('.tree-toggle'));
+    assert.ok(bold.classList.contains('tree-open'));
+    assert.strictEqual(bold.querySelector('.tree-text').textContent, 'more');
+
+    copied.length = 0;
+    click(bold.querySelector('.tree-tag'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    click(rowOf(viewer, 2).querySelector('.tree-attr'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepStrictEqual(copied, [
+        "/*[local-name()='doc']/*[local-name()='p'][1]/*[local-name()='b']",
+        "/*[local-name()='doc']/*[local-name()='p'][1]/@x:role"
+    ]);
+    assert.strictEqual(viewer.treeView.querySelector('.tree-status').textContent, `${copied[1]} copied`);
+
+    // jsdom's XPath has no local-name() and matches unprefixed names in any namespace, so search is checked with b.xml's plain path
+    viewer.selectXmlFile(1);
+    viewer.switchView('tree');
+    click(rowOf(viewer, 1).querySelector('.tree-tag'));
+    assert.strictEqual(copied[2], '/doc/p');
+    viewer.searchInput.value = copied[2];
+    viewer.searchMode.value = 'xpath';
+    viewer.runSearch();
+    const found = viewer.search.outcome.results.filter(result => result.fileIndex === 1);
+    assert.deepStrictEqual(Array.from(found, result => result.elementIndex), [1]);
+    viewer.searchInput.value = '';
+    viewer.runSearch();
+    viewer.switchView('rendered');
+});
+
+test('statistics count elements, attributes, words, images and unmapped tags per file', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    viewer.toggleStatsPanel(true);
+    const summary = stats => ({
+        elements: stats.elementCount, attributes: stats.attributeCount, words: stats.words, images: stats.images,
+        unmapped: Object.fromEntries(stats.unmapped)
+    });
+    const { files, totals } = viewer.statistics;
+    assert.deepStrictEqual(Array.from(files, summary), [
+        { elements: 7, attributes: 2, words: 7, images: 1, unmapped: { doc: 1, widget: 1 } },
+        { elements: 2, attributes: 1, words: 1, images: 0, unmapped: { doc: 1 } }
+    ]);
+    assert.deepStrictEqual(Object.fromEntries(totals.elements), { doc: 2, title: 1, p: 3, b: 1, widget: 1, graphic: 1 });
+    assert.deepStrictEqual(Object.fromEntries(totals.attributes), { 'x:role': 1, href: 1, id: 1 });
+
+    const rows = Array.from(viewer.statsBody.querySelectorAll('.stats-table'), table => Array.from(table.querySelectorAll('tr'),
+        row => Array.from(row.children, cell => cell.textContent.trim()).join(' ')));
+    assert.deepStrictEqual(rows[0].slice(1), ['a.xml 7 2 7 1 2', 'b.xml 2 1 1 0 1', 'All files 9 3 8 1 2']);
+    assert.deepStrictEqual(rows[1], ['doc 2', 'widget 1']);
+    assert.strictEqual(viewer.statsBody.querySelector('td.stats-unmapped code').textContent, 'doc');
+    viewer.toggleStatsPanel(false);
+});
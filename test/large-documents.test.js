@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, zipOf } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+// 450 sections, the 421st with an image
+const SECTIONS = Array.from({ length: 450 }, (_, i) => `<sec><p>Item ${i}</p>${i === 420 ? '<graphic href="img/late.png"/>' : ''}</sec>`).join('');
+const FILES = {
+    'a.xml': '<doc><graphic href="img/early.png"/></doc>',
+    'big.xml': `<doc>${SECTIONS}</doc>`,
+    'img/early.png': Buffer.from([1]),
+    'img/late.png': Buffer.from([2])
+};
+
+test('loading reports progress per file before indexing', async () => {
+    const viewer = headless.viewer;
+    const steps = [];
+    viewer.setProgress = (message, fraction) => steps.push([message, fraction]);
+    try {
+        await headless.open(zipOf(FILES));
+    } finally {
+        delete viewer.setProgress;
+    }
+    assert.deepStrictEqual(steps.map(([message]) => message),
+        ['Reading a.xml (1 of 2)', 'Parsing a.xml (1 of 2)', 'Reading big.xml (2 of 2)', 'Parsing big.xml (2 of 2)', 'Indexing…']);
+    assert.ok(steps.every(([, fraction], i) => fraction > 0 && fraction <= 1 && (i === 0 || fraction >= steps[i - 1][1])));
+});
+
+test('large documents render in chunks, reading images only once their chunk is rendered', async () => {
+    const viewer = headless.viewer;
+    const XMLViewer = viewer.constructor;
+    await headless.open(zipOf(FILES));
+    const threshold = XMLViewer.INCREMENTAL_THRESHOLD;
+    XMLViewer.INCREMENTAL_THRESHOLD = 100;
+    try {
+        viewer.currentXmlIndex = 1;
+        viewer.renderCurrentXML();
+        // The first 200 sections are rendered, the other 250 wait in two placeholders
+        assert.ok(viewer.pendingChunks);
+        assert.strictEqual(viewer.renderedView.querySelectorAll('[data-chunk]').length, 2);
+        assert.strictEqual(viewer.renderedView.querySelectorAll('[data-tag="sec"]').length, 200);
+        assert.ok(!viewer.imageUrls.has('img/late.png'));
+
+        viewer.renderNextChunk();
+        assert.strictEqual(viewer.renderedView.querySelectorAll('[data-chunk]').length, 1);
+        assert.ok(!viewer.imageUrls.has('img/late.png'));
+
+        viewer.completeRendering();
+        assert.strictEqual(viewer.pendingChunks, null);
+        assert.ok(viewer.imageUrls.has('img/late.png'));
+        const chunked = viewer.renderedView.textContent;
+
+        XMLViewer.INCREMENTAL_THRESHOLD = threshold;
+        viewer.renderCurrentXML();
+        assert.strictEqual(viewer.pendingChunks, null);
+        assert.strictEqual(chunked, viewer.renderedView.textContent);
+    } finally {
+        XMLViewer.INCREMENTAL_THRESHOLD = threshold;
+    }
+});
+
+test('search hits in chunks rendered later are highlighted', async () => {
+    const viewer = headless.viewer;
+    const XMLViewer = viewer.constructor;
+    await headless.open(zipOf(FILES));
+    const threshold = XMLViewer.INCREMENTAL_THRESHOLD;
+    XMLViewer.INCREMENTAL_THRESHOLD = 100;
+    try {
+        viewer.currentXmlIndex = 1;
+        viewer.renderCurrentXML();
+        viewer.searchInput.value = 'Item 44';
+        viewer.searchMode.value = 'text';
+        viewer.runSearch();
+        // The first hit (Item 44) is in view; showing it needs no chunk rendered
+        assert.ok(viewer.pendingChunks);
+        viewer.completeRendering();
+        assert.deepStrictEqual(Array.from(viewer.renderedView.querySelectorAll('mark.search-hit'), mark => mark.parentNode.textContent),
+            ['Item 44', 'Item 440', 'Item 441', 'Item 442', 'Item 443', 'Item 444', 'Item 445', 'Item 446', 'Item 447', 'Item 448', 'Item 449']);
+    } finally {
+        XMLViewer.INCREMENTAL_THRESHOLD = threshold;
+        viewer.searchInput.value = '';
+        viewer.runSearch();
+    }
+});
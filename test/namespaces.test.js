@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+test('SVG keeps drawing markup and loses script, styles and href animations', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': `<doc xmlns:svg="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><svg:svg viewBox="0 0 10 10">
+            <svg:style>body{display:none}</svg:style>
+            <svg:defs><svg:linearGradient id="g"><svg:stop offset="0" stop-color="red"/></svg:linearGradient></svg:defs>
+            <svg:a href="#x"><svg:set attributeName="href" to="javascript:alert(4)"/><svg:rect width="5" height="5" fill="url(#g)" onclick="alert(1)"/></svg:a>
+            <svg:a xlink:href="javascript:alert(5)"><svg:animate attributeName="xlink:href" values="javascript:alert(6)"/><svg:text>t</svg:text></svg:a>
+            <svg:circle r="2" fill="url(https://example.com/track.svg#p)" style="fill: url('http://example.com/x')"/>
+            <svg:use href="https://example.com/sprite.svg#icon"/>
+            <svg:foreignObject><div xmlns="http://www.w3.org/1999/xhtml">html</div></svg:foreignObject>
+        </svg:svg></doc>`
+    });
+    const svg = viewer.renderedView.querySelector('svg');
+    assert.ok(svg);
+    assert.strictEqual(svg.querySelector('style, set, animate, foreignObject, script'), null);
+    assert.strictEqual(svg.querySelector('[onclick]'), null);
+    assert.strictEqual(svg.querySelector('rect').getAttribute('fill'), 'url(#g)');
+    const circle = svg.querySelector('circle');
+    assert.strictEqual(circle.getAttribute('fill'), null);
+    assert.strictEqual(circle.getAttribute('style'), null);
+    assert.strictEqual(svg.querySelector('use').getAttribute('href'), null);
+    const links = Array.from(svg.querySelectorAll('a')).map(a => a.getAttribute('href') || a.getAttributeNS('http://www.w3.org/1999/xlink', 'href'));
+    assert.deepStrictEqual(links, ['#x', null]);
+});
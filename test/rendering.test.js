@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+test('quotes in IDs and link targets stay inside their attributes', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': `<doc>
+            <p id='a" onmouseover="alert(1)'>Target</p>
+            <p><xref linkend='a" onmouseover="alert(1)'/></p>
+            <p><link href='https://example.com/" onclick="alert(2)'>Link</link></p>
+            <p><link href="https://example.com/?q='x'" title='t' >Single</link></p>
+        </doc>`
+    });
+    const view = viewer.renderedView;
+    assert.strictEqual(view.querySelector('[onmouseover], [onclick]'), null);
+    assert.ok(view.querySelector('[id="xml-id-a\\" onmouseover=\\"alert(1)"]'));
+    const hrefs = Array.from(view.querySelectorAll('a.xml-link')).map(link => link.getAttribute('href'));
+    assert.ok(hrefs.includes('https://example.com/" onclick="alert(2)'));
+    assert.ok(hrefs.includes("https://example.com/?q='x'"));
+});
+
+test('profile class names are checked on load and escaped in the markup', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': '<doc><p>Text</p></doc>' });
+    const TagMapping = viewer.mapping.constructor;
+    const profile = cls => JSON.stringify({ tags: { p: { role: 'paragraph', class: cls } } });
+    assert.throws(() => TagMapping.parse(profile('x" onclick="alert(1)'), 'p.json'), /Invalid class for "p"/);
+    assert.throws(() => TagMapping.parse(profile('a.b'), 'p.json'), /Invalid class/);
+    assert.strictEqual(new TagMapping(TagMapping.parse(profile('  lead  note '), 'p.json')).rules.get('p').plain.className, 'lead note');
+    assert.strictEqual(viewer.addClassToHtml('<p class="a">x</p>', 'b" onclick="c $1'), '<p class="b&quot; onclick=&quot;c $1 a">x</p>');
+});
+
+test('table rows with skipped columns keep the later cells in their columns', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': `<doc><table><tgroup cols="4">
+            <colspec colname="c1"/><colspec colname="c2"/><colspec colname="c3"/><colspec colname="c4"/>
+            <tbody>
+                <row><entry colname="c3">only c3</entry></row>
+                <row><entry colname="c1" morerows="1">A</entry><entry namest="c3" nameend="c4">B</entry></row>
+                <row><entry colname="c4">D</entry></row>
+            </tbody>
+        </tgroup></table></doc>`
+    });
+    const rows = Array.from(viewer.renderedView.querySelectorAll('.xml-table tbody tr'));
+    const cells = row => Array.from(row.children).map(cell => `${cell.textContent}${cell.colSpan > 1 ? `/${cell.colSpan}` : ''}`);
+    assert.deepStrictEqual(cells(rows[0]), ['', '', 'only c3', '']);
+    assert.deepStrictEqual(cells(rows[1]), ['A', '', 'B/2']);
+    // Column 1 is still taken by A
+    assert.deepStrictEqual(cells(rows[2]), ['', '', 'D']);
+});
+
+test('dangling references in the link report point at their rendered elements', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': '<doc><p id="a"><xref linkend="a"/></p><p><xref linkend="gone"/></p><p><link linkend="lost">x</link></p></doc>'
+    });
+    const reported = Array.from(viewer.linkReportBody.querySelectorAll('[data-ref-index]'), item => item.dataset.refIndex);
+    assert.deepStrictEqual(reported, ['1', '2']);
+    reported.forEach(index => assert.ok(viewer.renderedView.querySelector(`[data-broken-ref="${index}"]`)));
+});
+
+test('table frame values outside the CALS list add no class', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': `<doc>
+            <table frame='x" onmouseover="alert(1)'><tgroup cols="1"><tbody><row><entry>A</entry></row></tbody></tgroup></table>
+            <table frame="Topbot"><tgroup cols="1"><tbody><row><entry>B</entry></row></tbody></tgroup></table>
+        </doc>`
+    });
+    const tables = Array.from(viewer.renderedView.querySelectorAll('table'));
+    assert.strictEqual(viewer.renderedView.querySelector('[onmouseover]'), null);
+    assert.deepStrictEqual(tables.map(table => table.className), ['xml-table', 'xml-table xml-table-frame-topbot']);
+});
+
+test('dollar signs in IDs are kept as they are in anchors', async () => {
+    const { viewer } = await renderZip(headless, {
+        'doc.xml': '<doc><p id="a$$b">One</p><p id="$1x">Two</p><p><xref linkend="a$$b"/><xref linkend="$1x"/></p></doc>'
+    });
+    const ids = Array.from(viewer.renderedView.querySelectorAll('[id^="xml-id-"]'), element => element.id);
+    assert.deepStrictEqual(ids, ['xml-id-a$$b', 'xml-id-$1x']);
+    assert.strictEqual(viewer.renderedView.querySelectorAll('.xml-xref-broken, [data-broken-ref]').length, 0);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { ZipLibrary } = require('../lib/zip-library');
+const { HeadlessViewer, JSZip, zipOf, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+// An archive read without the checks on declared sizes, as if its headers lied
+async function unchecked(files, limits) {
+    const { ZipArchive, SafetyPolicy } = headless.classes;
+    const bytes = await zipOf(files).generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    const archive = ZipArchive.fromJSZip(await JSZip.loadAsync(bytes), SafetyPolicy.declaredSizes(bytes));
+    archive.limits = { ...archive.limits, ...limits };
+    return archive;
+}
+
+// A ZIP whose headers give one entry as 10 bytes long, whatever it unpacks to
+async function lyingZip(files, liar) {
+    const bytes = await zipOf(files).generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    for (let i = 0; i + 4 <= bytes.length; i++) {
+        // Local header (size at 22, name at 30) and central directory record (size at 24, name at 46)
+        const [sizeAt, nameAt] = { 0x04034b50: [22, 30], 0x02014b50: [24, 46] }[bytes.readUInt32LE(i)] || [];
+        if (sizeAt && bytes.toString('latin1', i + nameAt, i + nameAt + liar.length) === liar) bytes.writeUInt32LE(10, i + sizeAt);
+    }
+    return bytes;
+}
+
+// zip-worker.js run as a browser runs it: a global scope of its own, scripts loaded from public/
+class ScriptWorker {
+    constructor(url) {
+        const scope = vm.createContext({ JSZip, TextDecoder, setTimeout });
+        scope.self = scope;
+        scope.postMessage = reply => setTimeout(() => this.onmessage({ data: reply }));
+        scope.importScripts = (...names) => names.forEach(name => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', name), 'utf8'), scope));
+        scope.importScripts(url);
+        this.scope = scope;
+    }
+
+    postMessage(message) {
+        setTimeout(() => this.scope.onmessage({ data: message }));
+    }
+
+    terminate() {}
+}
+
+test('bytes actually unpacked count against the total size limit', async () => {
+    const archive = await unchecked({ 'a.txt': 'a'.repeat(100 * 1024), 'b.txt': 'b'.repeat(100 * 1024) }, { maxTotalSize: 150 * 1024 });
+    assert.strictEqual((await archive.files['a.txt'].async('text')).length, 100 * 1024);
+    // Reading an entry again unpacks nothing new
+    assert.strictEqual((await archive.files['a.txt'].async('text')).length, 100 * 1024);
+    await assert.rejects(archive.files['b.txt'].async('text'), /The archive unpacks to more than the 150 KB limit/);
+});
+
+test('the compression ratio is checked while unpacking', async () => {
+    const archive = await unchecked({ 'zeros.bin': Buffer.alloc(4 * 1024 * 1024) }, {});
+    await assert.rejects(archive.files['zeros.bin'].async('uint8array'), /zeros\.bin is compressed more than the 200:1 limit/);
+});
+
+test('sandbox mode renders into the iframe only', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': '<doc><p id="x">Sandboxed text</p></doc>' });
+    viewer.safety.sandbox = true;
+    try {
+        viewer.renderCurrentXML();
+        assert.strictEqual(viewer.renderedView.innerHTML, '');
+        for (let i = 0; i < 50 && !viewer.sandboxView.hasAttribute('srcdoc'); i++) await new Promise(resolve => setTimeout(resolve, 10));
+        assert.match(viewer.sandboxView.getAttribute('srcdoc'), /Sandboxed text/);
+        assert.match(viewer.sandboxView.getAttribute('srcdoc'), /Content-Security-Policy/);
+    } finally {
+        viewer.safety.sandbox = false;
+    }
+});
+
+test('entries kept out by the limits are copied into a rewritten ZIP', async () => {
+    const { viewer } = headless;
+    const limits = viewer.safety.limits;
+    viewer.safety.limits = { ...limits, maxEntrySize: 64 * 1024 };
+    try {
+        await headless.open(await zipOf({ 'doc.xml': '<doc/>', 'big.txt': 'x'.repeat(100 * 1024) }).generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    } finally {
+        viewer.safety.limits = limits;
+    }
+    assert.deepStrictEqual(Object.keys(viewer.archive.files), ['doc.xml']);
+    const blob = await viewer.archive.rewrite(new Map([['doc.xml', new TextEncoder().encode('<doc>edited</doc>')]]));
+    const zip = await JSZip.loadAsync(Buffer.from(await blob.arrayBuffer()));
+    assert.strictEqual(await zip.file('doc.xml').async('text'), '<doc>edited</doc>');
+    assert.strictEqual((await zip.file('big.txt').async('text')).length, 100 * 1024);
+    assert.ok(!viewer.archive.inflated.entries.has('big.txt'));
+});
+
+test('entry sizes are read from the central directory, including names JSZip decodes', async () => {
+    const { SafetyPolicy, TextEncoding } = headless.classes;
+    const zip = zipOf({ 'a.txt': 'a'.repeat(5000), 'dir/größe.xml': '<doc/>' });
+    const bytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    const declared = SafetyPolicy.declaredSizes(bytes, TextEncoding.decodeFileName);
+    assert.deepStrictEqual([...declared.keys()], ['a.txt', 'dir/', 'dir/größe.xml']);
+    assert.strictEqual(declared.get('a.txt').size, 5000);
+    assert.ok(declared.get('a.txt').compressedSize < 100);
+    assert.strictEqual(declared.get('dir/größe.xml').size, 6);
+    // Without a directory to read, sizes are unknown
+    const loaded = await JSZip.loadAsync(bytes);
+    assert.deepStrictEqual({ ...SafetyPolicy.entrySizes(loaded.file('a.txt'), new Map()) }, { size: 0, compressedSize: 0 });
+});
+
+test('library ZIPs list the sizes of their central directory', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+    try {
+        const zip = zipOf({ 'doc.xml': 'x'.repeat(3000), 'images/größe.png': 'png' });
+        fs.writeFileSync(path.join(root, 'book.zip'), await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+        const { entries } = await new ZipLibrary(root).metadata('book.zip');
+        assert.deepStrictEqual(entries.map(entry => [entry.path, entry.size]), [['doc.xml', 3000], ['images/größe.png', 3]]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('an entry whose header lies is left out once it unpacks past the limits', async () => {
+    const bytes = await lyingZip({ 'big.xml': `<doc>${' '.repeat(4 * 1024 * 1024)}</doc>`, 'doc.xml': '<doc/>' }, 'big.xml');
+    await headless.open(bytes);
+    const { viewer } = headless;
+    assert.deepStrictEqual(Array.from(viewer.xmlFiles, xmlFile => xmlFile.path), ['doc.xml']);
+    assert.deepStrictEqual(Array.from(viewer.archive.blocked, entry => entry.path), ['big.xml']);
+    assert.match(headless.warnings[0], /^big\.xml was left out: big\.xml is compressed more than the 200:1 limit/);
+});
+
+test('reads in the worker keep telling limit errors apart', async () => {
+    const { ZipArchive } = headless.classes;
+    const bytes = await lyingZip({ 'big.xml': `<doc>${' '.repeat(4 * 1024 * 1024)}</doc>`, 'doc.xml': '<doc/>' }, 'big.xml');
+    headless.window.Worker = ScriptWorker;
+    try {
+        const archive = await ZipArchive.open({ name: 'lying.zip', arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length) });
+        assert.ok(archive.worker instanceof ScriptWorker);
+        assert.strictEqual(archive.files['big.xml'].size, 10);
+        await assert.rejects(archive.files['big.xml'].async('uint8array'), err => err.overLimit === true && /compressed more than/.test(err.message));
+        assert.strictEqual(await archive.files['doc.xml'].async('text'), '<doc/>');
+        await assert.rejects(archive.request({ type: 'read', path: 'nope.xml', as: 'text', limits: archive.limits }), err => !err.overLimit && /No such entry/.test(err.message));
+        assert.deepStrictEqual(Object.keys(archive.files), ['doc.xml']);
+        assert.deepStrictEqual(Array.from(archive.blocked, entry => entry.path), ['big.xml']);
+        archive.close();
+    } finally {
+        delete headless.window.Worker;
+    }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const FILES = {
+    'a.xml': '<doc><title>Alpha report</title><p>The alpha and the <b>ALPHA</b> value</p></doc>',
+    'b.xml': '<doc xmlns:x="urn:x"><p x:role="note">No match here</p><p>alpha again</p></doc>'
+};
+
+// Run a search through the search bar; gives the outcome
+function search(viewer, query, mode, caseSensitive = false) {
+    viewer.searchInput.value = query;
+    viewer.searchMode.value = mode;
+    viewer.searchCase.checked = caseSensitive;
+    viewer.runSearch();
+    return viewer.search && viewer.search.outcome;
+}
+
+const hits = outcome => Array.from(outcome.results, ({ fileIndex, tagName, snippet }) => `${fileIndex} <${tagName}> ${snippet.match}`);
+
+test('text search covers every file and steps through the hits in both views', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    const outcome = search(viewer, 'alpha', 'text');
+    assert.deepStrictEqual(hits(outcome), ['0 <title> Alpha', '0 <p> alpha', '0 <b> ALPHA', '1 <p> alpha']);
+    assert.deepStrictEqual(Array.from(viewer.searchResults.querySelectorAll('h4'), h4 => h4.textContent), ['a.xml (3)', 'b.xml (1)']);
+    assert.strictEqual(viewer.searchCount.textContent, '1 / 4');
+    assert.strictEqual(viewer.renderedView.querySelectorAll('mark.search-hit').length, 3);
+    assert.strictEqual(viewer.renderedView.querySelector('.search-hit-current').textContent, 'Alpha');
+
+    viewer.stepSearchResult(1);
+    assert.strictEqual(viewer.renderedView.querySelector('.search-hit-current').textContent, 'alpha');
+    viewer.stepSearchResult(-1);
+    viewer.stepSearchResult(-1);
+    assert.strictEqual(viewer.currentXmlIndex, 1);
+    assert.strictEqual(viewer.searchCount.textContent, '4 / 4');
+
+    viewer.switchView('raw');
+    viewer.showSearchResult(0);
+    const current = viewer.rawView.querySelector('.search-hit-current');
+    assert.strictEqual(current.textContent, 'Alpha');
+    assert.strictEqual(viewer.rawView.querySelectorAll('mark.search-hit').length, 3);
+    viewer.switchView('rendered');
+});
+
+test('regex search honours case, and an invalid pattern is reported', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    assert.deepStrictEqual(hits(search(viewer, 'al.ha', 'regex', true)), ['0 <p> alpha', '1 <p> alpha']);
+    assert.strictEqual(search(viewer, '(', 'regex'), null);
+    assert.strictEqual(viewer.searchCount.textContent, 'Invalid');
+    assert.match(viewer.searchResults.textContent, /Invalid regular expression/);
+});
+
+test('XPath search resolves prefixes declared in the document and lists values', async () => {
+    const { viewer } = await renderZip(headless, FILES);
+    const nodes = search(viewer, '//p[@x:role]', 'xpath');
+    assert.deepStrictEqual(hits(nodes), ['1 <p> <p>']);
+    assert.strictEqual(viewer.currentXmlIndex, 1);
+    assert.ok(viewer.renderedView.querySelector('.search-hit-element.search-hit-current'));
+
+    const values = search(viewer, 'count(//p)', 'xpath');
+    assert.deepStrictEqual(Array.from(values.values, ({ fileIndex, value }) => `${fileIndex}: ${value}`), ['0: 1', '1: 2']);
+    assert.strictEqual(values.results.length, 0);
+});
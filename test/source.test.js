@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const DOC = '<?xml version="1.0"?>\n<!-- head -->\n<doc>\n<sec><title>One</title><p a="x>y">Mixed <b>bold</b> text</p></sec>\n' +
+    '<p><![CDATA[if (a < b) {}]]><!-- note --></p>\n</doc>';
+
+const click = node => node.dispatchEvent(new headless.window.MouseEvent('click', { bubbles: true }));
+
+test('the raw view prints mixed content, CDATA, comments and ">" in attributes intact', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': DOC });
+    viewer.switchView('raw');
+    const lines = Array.from(viewer.rawLines, line => `${line.line} ${'  '.repeat(line.depth)}${line.segments.map(segment => segment.text).join('')}`);
+    assert.deepStrictEqual(lines, [
+        '1 <?xml version="1.0"?>',
+        '2 <!-- head -->',
+        '3 <doc>',
+        '4   <sec>',
+        '4     <title>One</title>',
+        '4     <p a="x>y">Mixed <b>bold</b> text</p>',
+        '4   </sec>',
+        '5   <p><![CDATA[if (a < b) {}]]><!-- note --></p>',
+        '6 </doc>'
+    ]);
+    const classes = line => Array.from(viewer.rawLines[line].segments, segment => segment.cls).filter(Boolean);
+    assert.deepStrictEqual(classes(7), ['raw-tag', 'raw-tag', 'raw-cdata', 'raw-comment', 'raw-tag']);
+    assert.ok(classes(5).includes('raw-attr') && classes(5).includes('raw-value'));
+    viewer.switchView('rendered');
+});
+
+test('element blocks fold, and a selection in one view is shown in the other', async () => {
+    const { viewer } = await renderZip(headless, { 'doc.xml': DOC });
+    viewer.switchView('raw');
+    const block = viewer.rawView.querySelector('.raw-block .raw-block');
+    click(block.querySelector('.raw-toggle'));
+    assert.ok(block.classList.contains('folded'));
+
+    // Alt+click on the rendered paragraph reveals its source line, unfolding the section
+    viewer.switchView('rendered');
+    viewer.revealSourceNode(3);
+    assert.strictEqual(viewer.currentView, 'raw');
+    assert.deepStrictEqual(Array.from(viewer.rawView.querySelectorAll('.raw-line-selected .raw-code'), node => node.textContent),
+        ['<p a="x>y">Mixed <b>bold</b> text</p>']);
+    assert.ok(!block.classList.contains('folded'));
+
+    // A click on the line number of <sec> selects the section in the rendered view
+    click(viewer.rawView.querySelector('.raw-line[data-node="1"] .raw-gutter'));
+    assert.strictEqual(viewer.currentView, 'rendered');
+    assert.strictEqual(viewer.renderedView.querySelector('.xml-source-selected').dataset.tag, 'sec');
+});
+
+test('the scanner reports every recoverable well-formedness error with its position', async () => {
+    await renderZip(headless, { 'bad.xml': '<doc>\n<p>one</q>\n<p a=1>two</p>\n&bogus;</doc>' });
+    assert.deepStrictEqual(Array.from(headless.inspect(0).errors, ({ message, line, column }) => `${line}:${column} ${message}`), [
+        '2:7 End tag </q> does not match start tag <p>',
+        '3:6 Value of attribute "a" must be quoted',
+        '4:1 Entity "&bogus;" is not declared',
+        '2:1 Element <p> is not closed before </doc>'
+    ]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, renderZip } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+const pairsOf = viewer => Array.from(viewer.translations, pair => `${viewer.xmlFiles[pair.source].path} -> ${viewer.xmlFiles[pair.target].path}`);
+
+test('files with language codes in their names are paired', async () => {
+    const { viewer } = await renderZip(headless, {
+        'ch1_en.xml': '<chapter><p>One</p></chapter>',
+        'ch1_de.xml': '<chapter><p>Eins</p></chapter>',
+        'en/ch2.xml': '<chapter><p>Two</p></chapter>',
+        'pt_BR/ch2.xml': '<chapter><p>Dois</p></chapter>'
+    });
+    assert.deepStrictEqual(pairsOf(viewer).sort(), ['ch1_en.xml -> ch1_de.xml', 'en/ch2.xml -> pt_BR/ch2.xml']);
+});
+
+test('name suffixes that are not language codes do not pair', async () => {
+    const { viewer } = await renderZip(headless, {
+        'ch1_toc.xml': '<toc><p>Contents</p></toc>',
+        'ch1_app.xml': '<appendix><p>Appendix</p></appendix>',
+        'ch1_bib.xml': '<bibliography><p>Sources</p></bibliography>'
+    });
+    assert.deepStrictEqual(pairsOf(viewer), []);
+});
+
+test('three-letter ISO 639-2 codes pair, in directories and name suffixes', async () => {
+    const { viewer } = await renderZip(headless, {
+        'eng/ch1.xml': '<chapter><p>One</p></chapter>',
+        'afr/ch1.xml': '<chapter><p>Een</p></chapter>',
+        'ch2.kat.xml': '<chapter><p>Two</p></chapter>',
+        'ch2.mkd.xml': '<chapter><p>Dva</p></chapter>',
+        'ch3_art.xml': '<article><p>Three</p></article>',
+        'ch3_map.xml': '<map><p>Three</p></map>'
+    });
+    assert.deepStrictEqual(pairsOf(viewer).sort(), ['ch2.kat.xml -> ch2.mkd.xml', 'eng/ch1.xml -> afr/ch1.xml']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer, zipOf } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+// Schema findings of the first file as "severity: message"
+async function findings(files) {
+    await headless.open(zipOf(files));
+    const { schema, errors } = headless.inspect(0);
+    return { schema, errors: Array.from(errors, error => `${error.severity}: ${error.message}`) };
+}
+
+test('DTD content models and attribute lists are checked, with parameter entities expanded', async () => {
+    const result = await findings({
+        'doc.xml': '<!DOCTYPE doc SYSTEM "doc.dtd"><doc><title/><p role="a"/><p/><bad/></doc>',
+        'doc.dtd': `<!ENTITY % inline "#PCDATA">
+            <!ELEMENT doc (title, p+)><!ELEMENT title (%inline;)*><!ELEMENT p (%inline;)*>
+            <!ATTLIST p role (a|b) #REQUIRED>`
+    });
+    assert.deepStrictEqual(result, {
+        schema: 'doc.dtd',
+        errors: ['error: Required attribute "role" is missing on <p>', 'error: Element <bad> is not allowed here in <doc>; expected <p>']
+    });
+});
+
+test('XSD and RelaxNG schemas are found from the document and checked', async () => {
+    const xsd = await findings({
+        'doc.xml': '<doc xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="doc.xsd"><p/><title/></doc>',
+        'doc.xsd': `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="doc"><xs:complexType><xs:sequence>
+            <xs:element name="title" type="xs:string"/>
+            <xs:element name="p" maxOccurs="unbounded"><xs:complexType><xs:attribute name="n" use="required"/></xs:complexType></xs:element>
+        </xs:sequence></xs:complexType></xs:element></xs:schema>`
+    });
+    assert.strictEqual(xsd.schema, 'doc.xsd');
+    assert.deepStrictEqual(xsd.errors, [
+        'error: Element <doc> is incomplete; expected <p>',
+        'error: Element <p> is not allowed here in <doc>; expected <title>'
+    ]);
+
+    const rng = await findings({
+        'doc.xml': '<?xml-model href="doc.rng"?><doc><p/><x/></doc>',
+        'doc.rng': '<element name="doc" xmlns="http://relaxng.org/ns/structure/1.0"><oneOrMore><element name="p"><empty/></element></oneOrMore></element>'
+    });
+    assert.deepStrictEqual(rng, { schema: 'doc.rng', errors: ['error: Element <x> is not allowed here in <doc>; expected <p>'] });
+});
+
+test('nested parameter entities stop at the size limit with an error', async () => {
+    let dtd = `<!ENTITY % a0 "${'x'.repeat(100)}">`;
+    for (let i = 1; i <= 9; i++) dtd += `<!ENTITY % a${i} "${`%a${i - 1};`.repeat(10)}">`;
+    const result = await findings({ 'doc.xml': '<!DOCTYPE doc SYSTEM "doc.dtd"><doc/>', 'doc.dtd': `${dtd}<!ELEMENT doc (%a9;)>` });
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0], /^error: Schema could not be loaded: Parameter entities expand to more than \d+ characters$/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HeadlessViewer } = require('./helpers');
+
+let headless;
+test.before(async () => {
+    headless = await HeadlessViewer.create();
+});
+test.after(() => headless.close());
+
+// jsdom has no XSLTProcessor, so stylesheet output is stood in for by parsed markup
+function sanitized(markup) {
+    const template = headless.window.document.createElement('template');
+    template.innerHTML = markup;
+    const removed = headless.classes.XsltRenderer.sanitize(template.content);
+    return { html: template.innerHTML, removed: Array.from(removed, item => item.markup) };
+}
+
+test('XSLT output loses SVG animations that could turn links into javascript:', () => {
+    const { html, removed } = sanitized(`<svg><a href="#ok">
+        <set attributeName="href" to="javascript:alert(1)"/>
+        <animate attributeName="xlink:href" values="javascript:alert(2)"/>
+        <animateMotion dur="1s"/><text>link</text></a></svg>`);
+    assert.doesNotMatch(html, /javascript|<set|<animate/i);
+    assert.match(html, /<a href="#ok">/);
+    assert.deepStrictEqual(removed, ['<set>', '<animate>', '<animateMotion>']);
+});
+
+test('XSLT output loses style sheets and style values that load from outside', () => {
+    const { html, removed } = sanitized(`
+        <style>p { color: red }</style>
+        <style>@import "https://example.com/a.css";</style>
+        <style>p { background: u\\72l(https://example.com/b.png) }</style>
+        <p style="background: url('https://example.com/c.png')">x</p>
+        <p style="background: url(#local); color: blue">y</p>
+        <svg><style>rect { fill: url(http://example.com/d.svg#p) }</style><rect fill="url(https://example.com/e.svg#p)"/></svg>`);
+    assert.doesNotMatch(html, /example\.com/);
+    assert.match(html, /<style>p \{ color: red \}<\/style>/);
+    assert.match(html, /style="background: url\(#local\); color: blue"/);
+    assert.deepStrictEqual(removed.slice(0, 3), ['<style>', '<style>', '<style>']);
+    assert.strictEqual(removed.length, 5);
+});